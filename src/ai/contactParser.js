@@ -5,6 +5,9 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('ai/contactParser');
 
 let client = null;
 
@@ -81,7 +84,7 @@ async function parseContacts(messageText) {
         : '';
 
     if (!text) {
-      console.warn('[ai/contactParser] Empty response from Claude');
+      log.warn('Empty response from Claude');
       return [];
     }
 
@@ -94,17 +97,17 @@ async function parseContacts(messageText) {
     const parsed = JSON.parse(jsonStr);
 
     if (!Array.isArray(parsed)) {
-      console.warn('[ai/contactParser] Response is not an array:', typeof parsed);
+      log.warn('Response is not an array:', typeof parsed);
       return [];
     }
 
     // Validate each contact has a name
     const valid = parsed.filter((c) => c && c.name && typeof c.name === 'string');
 
-    console.log(`[ai/contactParser] Parsed ${valid.length} contacts from message`);
+    log.info(`Parsed ${valid.length} contacts from message`);
     return valid;
   } catch (err) {
-    console.error('[ai/contactParser] Failed to parse contacts:', err.message);
+    log.error('Failed to parse contacts:', err.message);
     return [];
   }
 }
@@ -5,6 +5,9 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('ai/intentParser');
 
 let client = null;
 
@@ -24,7 +27,7 @@ You MUST respond with ONLY valid JSON — no markdown, no explanation, no code f
 
 The JSON must have this shape:
 {
-  "action": "schedule_followup" | "log_touchpoint" | "check_status" | "list_overdue" | "list_by_status" | "list_not_contacted" | "assign_followup" | "test_monday" | "add_investor" | "contact_info" | "count_investors" | "delete_followup" | "delete_contact" | "unknown",
+  "action": "schedule_followup" | "log_touchpoint" | "check_status" | "investor_history" | "audit_log" | "list_overdue" | "list_by_status" | "list_not_contacted" | "assign_followup" | "test_monday" | "check_boards" | "add_investor" | "contact_info" | "count_investors" | "delete_followup" | "delete_contact" | "list_reminders" | "snooze_reminder" | "reschedule_reminder" | "cancel_reminder" | "unknown",
   "investorName": string | null,
   "date": string | null,
   "assignee": string | null,
@@ -32,6 +35,8 @@ The JSON must have this shape:
   "statusFilter": string | null,
   "daysSinceFilter": number | null,
   "contactField": string | null,
+  "snoozeDuration": string | null,
+  "reminderScope": "mine" | "team" | null,
   "confidence": number,
   "missing_info": string[]
 }
@@ -39,18 +44,25 @@ The JSON must have this shape:
 Field definitions:
 - action: The primary intent of the message.
   - "schedule_followup": User wants to set/schedule a follow-up date for an investor. This includes phrases like "follow up with X", "set a follow-up for X", "remind me to call X", "we need to reach out to X", "can someone follow up with X".
-  - "log_touchpoint": User is reporting they already contacted an investor. Phrases: "contacted X today", "spoke with X", "reached out to X", "just got off a call with X", "had a meeting with X".
+  - "log_touchpoint": User is reporting they already contacted an investor. Phrases: "contacted X today", "spoke with X", "called X", "met with X", "reached out to X", "just got off a call with X", "had a meeting with X". The message may go on to say what was discussed, amounts, deals or next steps ("called Wyatt, wants to put $250k into the Austin deal, follow up next Thursday") — it is still log_touchpoint, and investorName is only the investor's name.
   - "check_status": User wants to see the current status of a specific investor. Phrases: "status on X", "check on X", "how's X doing", "what's the latest on X", "has anyone talked to X recently".
+  - "investor_history": User wants the full history or timeline of everything done with one investor. Phrases: "history of X", "timeline for X", "X's history", "show me everything we've done with X".
+  - "audit_log": User wants the audit log or audit trail of the bot's changes for one investor. Phrases: "audit X", "audit log for X", "audit trail of X", "what has the bot changed on X".
   - "list_overdue": User wants to see all overdue follow-ups. Phrases: "who's overdue", "overdue investors", "what follow-ups are late".
   - "list_by_status": User wants to see investors filtered by status. Phrases: "show me hot leads", "what's the status on all our hot leads", "list warm prospects".
   - "list_not_contacted": User wants investors not contacted within a time frame. Phrases: "who hasn't been contacted in 2 weeks", "investors we haven't reached out to in a month".
   - "assign_followup": User wants to assign a follow-up to a specific team member. Phrases: "tell Alejandro to follow up with X", "assign X to Sarah", "remind Alejandro to call X", "@alejandro follow up with X".
   - "test_monday": User wants to run the Monday.com diagnostic test. Phrases: "test monday".
+  - "check_boards": User wants to check the Monday boards' columns, labels and groups against the bot's config. Phrases: "check boards", "validate the monday boards", "did someone change the board columns".
   - "add_investor": User is pasting new contact information to add to the board. Signs: message contains a name AND at least one of (phone number, email address, LinkedIn URL). Phrases: "new contact:", "add investor:", "got a new lead:", or just raw contact info being pasted.
   - "contact_info": User wants to look up a specific investor's phone number, email, or contact details. Phrases: "what's X's phone", "X's email", "get me X's number", "contact info for X".
   - "count_investors": User wants a count or summary of investors by status. Phrases: "how many investors do we have", "investor count", "pipeline count".
   - "delete_followup": User wants to delete or remove a follow-up from the tracking board. Phrases: "delete follow-up for X", "remove follow-up X", "cancel follow-up with X", "remove the follow-up for X".
-  - "delete_contact": User wants to delete or remove an investor/contact from the investor list. Phrases: "delete investor X", "remove contact X", "delete X from the board".
+  - "delete_contact": User wants to delete or remove an investor/contact from the investor list. Phrases: "delete investor X", "remove contact X", "delete X from the board". For several investors ("delete investors Jane Doe and Bob Smith"), put all the names in investorName separated by commas.
+  - "list_reminders": User wants to see pending bot reminders. Phrases: "my reminders", "what reminders do I have", "show the team's reminders".
+  - "snooze_reminder": User wants to push one of their reminders back by a duration. Phrases: "snooze Wyatt reminder 2 hours", "snooze my reminder for Bobby until tomorrow".
+  - "reschedule_reminder": User wants to move one of their reminders to a specific time. Phrases: "move my Scott Pastel reminder to Thursday 3pm", "reschedule the Wyatt reminder to Monday".
+  - "cancel_reminder": User wants to cancel one of their reminders (not the Monday.com follow-up). Phrases: "cancel reminder for Bobby", "stop reminding me about Jalin".
   - "unknown": Cannot determine intent.
 
 - investorName: The investor's name mentioned in the message. Extract the full name, stripping any leading prepositions (with, for, on, about, regarding). Return null if no investor is mentioned.
@@ -67,73 +79,95 @@ Field definitions:
 
 - contactField: For contact_info, which field the user wants: "phone", "email", "all". Default to "all" if they just say "contact info".
 
+- snoozeDuration: For snooze_reminder, the relative duration as written ("2 hours", "30 minutes", "1 day"). If the user gives a point in time instead ("until tomorrow"), put it in "date" and leave this null.
+
+- reminderScope: For list_reminders, "team" if the user asks for everyone's/the team's/all reminders, otherwise "mine".
+
 - confidence: 0.0 to 1.0 — how confident you are in the parsed intent. Below 0.5 means the message is likely not a bot command.
 
 - missing_info: An array of field names that are needed but missing. For example, if someone says "schedule a follow-up" without naming an investor, return ["investorName"]. If they say "tell someone to call Wyatt" without specifying who, return ["assignee"]. Empty array if everything needed is present.
 
 Examples:
 User: "Hey can someone follow up with Wyatt Heavy this week?"
-→ {"action":"schedule_followup","investorName":"Wyatt Heavy","date":"this friday","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.9,"missing_info":[]}
+→ {"action":"schedule_followup","investorName":"Wyatt Heavy","date":"this friday","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "Tell Alejandro to follow up with Bobby tomorrow"
-→ {"action":"assign_followup","investorName":"Bobby","date":"tomorrow","assignee":"Alejandro","assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"assign_followup","investorName":"Bobby","date":"tomorrow","assignee":"Alejandro","assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "<@U0A9BLW5480> remind him to call Wyatt Heavy by Friday"
-→ {"action":"assign_followup","investorName":"Wyatt Heavy","date":"Friday","assignee":"<@U0A9BLW5480>","assigneeIsSlackTag":true,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"assign_followup","investorName":"Wyatt Heavy","date":"Friday","assignee":"<@U0A9BLW5480>","assigneeIsSlackTag":true,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "Has anyone talked to Jalin Moore recently?"
-→ {"action":"check_status","investorName":"Jalin Moore","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.85,"missing_info":[]}
+→ {"action":"check_status","investorName":"Jalin Moore","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.85,"missing_info":[]}
+
+User: "show me the timeline for Jalin Moore"
+→ {"action":"investor_history","investorName":"Jalin Moore","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "What's the status on all our hot leads?"
-→ {"action":"list_by_status","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":"Hot Lead","daysSinceFilter":null,"contactField":null,"confidence":0.9,"missing_info":[]}
+→ {"action":"list_by_status","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":"Hot Lead","daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "Who hasn't been contacted in the last 2 weeks?"
-→ {"action":"list_not_contacted","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":14,"contactField":null,"confidence":0.9,"missing_info":[]}
+→ {"action":"list_not_contacted","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":14,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "We need to reach out to Skyler Martin before end of week"
-→ {"action":"schedule_followup","investorName":"Skyler Martin","date":"this friday","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.9,"missing_info":[]}
+→ {"action":"schedule_followup","investorName":"Skyler Martin","date":"this friday","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "Remind me to call Scott Pastel on Monday"
-→ {"action":"schedule_followup","investorName":"Scott Pastel","date":"Monday","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.9,"missing_info":[]}
+→ {"action":"schedule_followup","investorName":"Scott Pastel","date":"Monday","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "contacted Jalin Moore today"
-→ {"action":"log_touchpoint","investorName":"Jalin Moore","date":"today","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"log_touchpoint","investorName":"Jalin Moore","date":"today","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
+
+User: "called Wyatt, wants to put $250k into the Austin deal, follow up after his CPA review next Thursday"
+→ {"action":"log_touchpoint","investorName":"Wyatt","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "who's overdue"
-→ {"action":"list_overdue","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"list_overdue","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "test monday"
-→ {"action":"test_monday","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"test_monday","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "New contact: John Smith, 555-123-4567, john@example.com, works at ABC Corp"
-→ {"action":"add_investor","investorName":"John Smith","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"add_investor","investorName":"John Smith","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "what's Scott Pastel's phone number?"
-→ {"action":"contact_info","investorName":"Scott Pastel","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":"phone","confidence":0.9,"missing_info":[]}
+→ {"action":"contact_info","investorName":"Scott Pastel","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":"phone","snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "how many investors do we have"
-→ {"action":"count_investors","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.9,"missing_info":[]}
+→ {"action":"count_investors","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.9,"missing_info":[]}
 
 User: "delete follow-up for Wyatt Heavy"
-→ {"action":"delete_followup","investorName":"Wyatt Heavy","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"delete_followup","investorName":"Wyatt Heavy","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "remove the follow-up for Scott Pastel"
-→ {"action":"delete_followup","investorName":"Scott Pastel","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"delete_followup","investorName":"Scott Pastel","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "cancel follow-up with Jalin Moore"
-→ {"action":"delete_followup","investorName":"Jalin Moore","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"delete_followup","investorName":"Jalin Moore","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "delete investor Bobby"
-→ {"action":"delete_contact","investorName":"Bobby","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"delete_contact","investorName":"Bobby","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "remove contact Skyler Martin from the board"
-→ {"action":"delete_contact","investorName":"Skyler Martin","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.95,"missing_info":[]}
+→ {"action":"delete_contact","investorName":"Skyler Martin","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
+
+User: "my reminders"
+→ {"action":"list_reminders","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":"mine","confidence":0.95,"missing_info":[]}
+
+User: "snooze Wyatt reminder 2 hours"
+→ {"action":"snooze_reminder","investorName":"Wyatt","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":"2 hours","reminderScope":null,"confidence":0.95,"missing_info":[]}
+
+User: "move my Scott Pastel reminder to Thursday 3pm"
+→ {"action":"reschedule_reminder","investorName":"Scott Pastel","date":"Thursday 3pm","assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
+
+User: "cancel reminder for Bobby"
+→ {"action":"cancel_reminder","investorName":"Bobby","date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.95,"missing_info":[]}
 
 User: "schedule a follow-up"
-→ {"action":"schedule_followup","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.7,"missing_info":["investorName"]}
+→ {"action":"schedule_followup","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.7,"missing_info":["investorName"]}
 
 User: "lol nice"
-→ {"action":"unknown","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"confidence":0.1,"missing_info":[]}
+→ {"action":"unknown","investorName":null,"date":null,"assignee":null,"assigneeIsSlackTag":false,"statusFilter":null,"daysSinceFilter":null,"contactField":null,"snoozeDuration":null,"reminderScope":null,"confidence":0.1,"missing_info":[]}
 
 CRITICAL: Respond with ONLY the JSON object. No markdown fences. No explanation.`;
 
@@ -169,7 +203,7 @@ async function parseIntent(messageText) {
         : '';
 
     if (!text) {
-      console.warn('[ai/intentParser] Empty response from Claude');
+      log.warn('Empty response from Claude');
       return { action: 'unknown', confidence: 0, missing_info: [] };
     }
 
@@ -192,11 +226,11 @@ async function parseIntent(messageText) {
       parsed.missing_info = [];
     }
 
-    console.log(`[ai/intentParser] Parsed intent: action=${parsed.action} investor="${parsed.investorName || 'none'}" date="${parsed.date || 'none'}" assignee="${parsed.assignee || 'none'}" confidence=${parsed.confidence} missing=[${parsed.missing_info.join(',')}]`);
+    log.info(`Parsed intent: action=${parsed.action} investor="${parsed.investorName || 'none'}" date="${parsed.date || 'none'}" assignee="${parsed.assignee || 'none'}" confidence=${parsed.confidence} missing=[${parsed.missing_info.join(',')}]`);
 
     return parsed;
   } catch (err) {
-    console.error('[ai/intentParser] Failed to parse intent:', err.message);
+    log.error('Failed to parse intent:', err.message);
     return { action: 'unknown', confidence: 0, error: err.message, missing_info: [] };
   }
 }
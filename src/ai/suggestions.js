@@ -1,5 +1,8 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('ai/suggestions');
 
 /**
  * Generate an AI-powered follow-up suggestion for a given investor.
@@ -117,7 +120,7 @@ Provide ONLY the suggested follow-up action, nothing else.`;
     // If empty response, return generic fallback
     return _genericSuggestion(investor);
   } catch (err) {
-    console.error('[ai/suggestions] Failed to generate suggestion:', err.message);
+    log.error('Failed to generate suggestion:', err.message);
     return _genericSuggestion(investor);
   }
 }
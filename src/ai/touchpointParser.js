@@ -0,0 +1,126 @@
+// ---------------------------------------------------------------------------
+// AI-powered touchpoint extractor — uses Anthropic Claude to turn call notes,
+// forwarded emails and detailed "spoke with X…" messages into a structured
+// investor touchpoint
+// ---------------------------------------------------------------------------
+
+const Anthropic = require('@anthropic-ai/sdk');
+const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('ai/touchpointParser');
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    if (!config.anthropic.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not configured');
+    }
+    client = new Anthropic({ apiKey: config.anthropic.apiKey });
+  }
+  return client;
+}
+
+// Keys of config.mondayBoards.relationshipManagement.commMethodLabels
+const METHODS = ['email', 'phone', 'text', 'linkedin', 'inPerson'];
+
+const SYSTEM_PROMPT = `You extract investor touchpoints from Slack messages for a real estate investment firm (Elite Capital Group). The message is pasted call or meeting notes, a forwarded email exchange, or a quick note typed by the team ("called Wyatt, wants to put $250k into the Austin deal") about one investor.
+
+You MUST respond with ONLY valid JSON — no markdown, no explanation, no code fences.
+
+The JSON must have this shape:
+{
+  "investorName": string | null,
+  "company": string | null,
+  "method": "email" | "phone" | "text" | "linkedin" | "inPerson" | null,
+  "summary": string | null,
+  "amount": number | null,
+  "deal": string | null,
+  "contactDate": string | null,
+  "nextStep": string | null,
+  "nextStepDate": string | null
+}
+
+Rules:
+- investorName: the investor (outside person) the touchpoint was with — never our own team member who wrote the notes
+- company: the investor's firm or family office, if mentioned
+- method: how the contact happened — a call is "phone", a meeting or coffee is "inPerson", a forwarded email is "email"
+- summary: 1-3 plain sentences of what was discussed, suitable for a CRM notes field. Keep concrete facts (interest, objections, timing). No greetings or signatures.
+- amount: a dollar amount the investor mentioned investing or being interested in, as a plain number (e.g. "$250k" → 250000). null if none.
+- deal: the deal, fund or property they're interested in, as named (e.g. "Austin", "Fund II"). Drop filler words like "the" and "deal".
+- contactDate: when the touchpoint happened, as written ("Monday", "yesterday", "Oct 2") or YYYY-MM-DD. null if it was today or no date is given.
+- nextStep: the agreed next action, if any (e.g. "Send the Fund II deck")
+- nextStepDate: when the next step should happen, as written ("next Tuesday", "in two weeks", "March 3") or YYYY-MM-DD. null if no timing was mentioned.
+- If a field is not found, set it to null
+
+Example:
+
+Message: "Just got off the phone with Wyatt Heavy (Heavy Family Office). He's interested in the Riverside deal, thinking around $250k. Wants the PPM — follow up next Tuesday."
+→ {"investorName":"Wyatt Heavy","company":"Heavy Family Office","method":"phone","summary":"Interested in the Riverside deal, considering around $250k. Asked for the PPM.","amount":250000,"deal":"Riverside","contactDate":null,"nextStep":"Send the PPM","nextStepDate":"next Tuesday"}
+
+Message: "spoke with Jane Doe on Monday, she's passing on Fund II for now"
+→ {"investorName":"Jane Doe","company":null,"method":null,"summary":"Passing on Fund II for now.","amount":null,"deal":"Fund II","contactDate":"Monday","nextStep":null,"nextStepDate":null}
+
+CRITICAL: Respond with ONLY the JSON object. No markdown fences. No explanation.`;
+
+/**
+ * Extract a touchpoint from a Slack message.
+ *
+ * @param {string} messageText - The raw Slack message text
+ * @returns {Promise<{investorName: string|null, company: string|null, method: string|null, summary: string|null, amount: number|null, deal: string|null, contactDate: string|null, nextStep: string|null, nextStepDate: string|null}|null>}
+ *   null if nothing could be extracted
+ */
+async function extractTouchpoint(messageText) {
+  if (!messageText || typeof messageText !== 'string' || !messageText.trim()) {
+    return null;
+  }
+
+  try {
+    const anthropic = getClient();
+
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-5-20250929',
+      max_tokens: 600,
+      system: SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: messageText.trim() }],
+    });
+
+    const text =
+      response.content && response.content[0] && response.content[0].text
+        ? response.content[0].text.trim()
+        : '';
+
+    if (!text) {
+      log.warn('Empty response from Claude');
+      return null;
+    }
+
+    // Strip markdown fences if included despite instructions
+    let jsonStr = text;
+    if (jsonStr.startsWith('```')) {
+      jsonStr = jsonStr.replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+    }
+
+    const parsed = JSON.parse(jsonStr);
+    const touchpoint = {
+      investorName: typeof parsed.investorName === 'string' ? parsed.investorName.trim() || null : null,
+      company: typeof parsed.company === 'string' ? parsed.company.trim() || null : null,
+      method: METHODS.includes(parsed.method) ? parsed.method : null,
+      summary: typeof parsed.summary === 'string' ? parsed.summary.trim() || null : null,
+      amount: typeof parsed.amount === 'number' && parsed.amount > 0 ? parsed.amount : null,
+      deal: typeof parsed.deal === 'string' ? parsed.deal.trim() || null : null,
+      contactDate: typeof parsed.contactDate === 'string' ? parsed.contactDate.trim() || null : null,
+      nextStep: typeof parsed.nextStep === 'string' ? parsed.nextStep.trim() || null : null,
+      nextStepDate: typeof parsed.nextStepDate === 'string' ? parsed.nextStepDate.trim() || null : null,
+    };
+
+    log.info(`Extracted touchpoint: investor="${touchpoint.investorName || 'none'}" method=${touchpoint.method || 'none'} on="${touchpoint.contactDate || 'today'}" next="${touchpoint.nextStepDate || 'none'}"`);
+    return touchpoint;
+  } catch (err) {
+    log.error('Failed to extract touchpoint:', err.message);
+    return null;
+  }
+}
+
+module.exports = { extractTouchpoint };
@@ -1,7 +1,16 @@
 require('dotenv').config();
 
+const path = require('path');
 const mondayBoards = require('./config/monday-boards');
 
+// Comma-separated Slack user IDs from an environment variable
+function slackUserIds(value) {
+  return (value || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
 module.exports = {
   slack: {
     botToken: process.env.SLACK_BOT_TOKEN,
@@ -10,6 +19,15 @@ module.exports = {
     channel: 'monday-investor-followups',
     channelId: process.env.SLACK_CHANNEL_ID || 'C0ADB93MTLP',
     botUserId: process.env.SLACK_BOT_USER_ID || 'U0AED6A08S2',
+    // For links to Slack messages in the audit log, e.g. https://acme.slack.com.
+    // Looked up with auth.test at startup when not set.
+    workspaceUrl: process.env.SLACK_WORKSPACE_URL || null,
+    // Roles for permissions (see slack/permissions.js). Anyone not listed is
+    // an associate.
+    roles: {
+      admin: slackUserIds(process.env.SLACK_ADMIN_USER_IDS),
+      manager: slackUserIds(process.env.SLACK_MANAGER_USER_IDS),
+    },
   },
 
   monday: {
@@ -36,6 +54,8 @@ module.exports = {
     rmGroups: mondayBoards.relationshipManagement.groups,
     // Relationship Management board URL
     rmBoardUrl: mondayBoards.relationshipManagement.boardUrl,
+    // Relationship Management Communication Method labels, keyed email/phone/…
+    rmCommMethodLabels: mondayBoards.relationshipManagement.commMethodLabels,
 
     // Communications Log columns (WRITE — communication records)
     commsColumns: mondayBoards.communicationsLog.columns,
@@ -44,6 +64,38 @@ module.exports = {
 
     // Team user IDs
     team: mondayBoards.team,
+
+    // Request queue: mutations run first, then interactive reads, then cron reads
+    queue: {
+      concurrency: parseInt(process.env.MONDAY_MAX_CONCURRENCY, 10) || 2,
+    },
+    // Hold requests when the complexity budget drops below these reserves;
+    // background reads stop earlier so mutations keep headroom
+    complexity: {
+      reserve: parseInt(process.env.MONDAY_COMPLEXITY_RESERVE, 10) || 100000,
+      lowPriorityReserve: parseInt(process.env.MONDAY_COMPLEXITY_LOW_RESERVE, 10) || 1000000,
+    },
+    // In-memory Investor List cache; webhooks and our own writes refresh
+    // single items between full reloads
+    cache: {
+      ttlMs: parseInt(process.env.INVESTOR_CACHE_TTL_MS, 10) || 5 * 60 * 1000,
+    },
+    // Incoming webhook verification (POST /webhook/monday). Requests must
+    // carry a JWT signed with the app's signing secret; set
+    // MONDAY_WEBHOOK_ALLOW_UNSIGNED=true only for local testing.
+    webhook: {
+      signingSecret: process.env.MONDAY_SIGNING_SECRET,
+      allowUnsigned: process.env.MONDAY_WEBHOOK_ALLOW_UNSIGNED === 'true',
+      maxAgeMs: parseInt(process.env.MONDAY_WEBHOOK_MAX_AGE_MS, 10) || 10 * 60 * 1000,
+    },
+    // Aliased change_multiple_column_values calls per batch request
+    batchSize: parseInt(process.env.MONDAY_BATCH_SIZE, 10) || 25,
+    // Jittered exponential backoff for rate limits and 5xx errors
+    retry: {
+      maxRetries: parseInt(process.env.MONDAY_MAX_RETRIES, 10) || 4,
+      baseDelayMs: 1000,
+      maxDelayMs: 60000,
+    },
   },
 
   // Full board configs (for direct access when needed)
@@ -61,15 +113,45 @@ module.exports = {
     from: process.env.SMTP_FROM || 'Elite Capital Follow-Up Bot <bot@elitecapitalgroup.co>',
   },
 
-  // Tiered follow-up cadence
+  // Reminder storage — "sqlite" (default) or "json". On Railway, set
+  // REMINDERS_DB_PATH to a path on a mounted volume so reminders survive redeploys.
+  reminders: {
+    backend: (process.env.REMINDERS_BACKEND || 'sqlite').toLowerCase(),
+    dbPath: process.env.REMINDERS_DB_PATH || path.join(__dirname, '../reminders.db'),
+    jsonPath: process.env.REMINDERS_JSON_PATH || path.join(__dirname, '../reminders.json'),
+    // Delivery retries — exponential backoff per failed attempt, then dead-letter
+    retry: {
+      maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS, 10) || 5,
+      baseDelayMs: 60 * 1000,      // 1 minute after the first failure
+      maxDelayMs: 60 * 60 * 1000,  // never wait more than 1 hour between attempts
+    },
+  },
+
+  // Investor history recorded from Monday webhooks (status changes) and the
+  // undo journal of the bot's own writes. On Railway, set HISTORY_DB_PATH to
+  // a path on a mounted volume.
+  history: {
+    dbPath: process.env.HISTORY_DB_PATH || path.join(__dirname, '../history.db'),
+    // How long after a command "undo" can still revert it
+    undoWindowMs: parseInt(process.env.UNDO_WINDOW_MINUTES, 10) * 60 * 1000 || 15 * 60 * 1000,
+    // Journal entries older than this are pruned
+    journalRetentionMs: 7 * 24 * 60 * 60 * 1000,
+  },
+
+  // Tiered follow-up cadence. `recurring` makes reminders for that tier repeat
+  // ('daily' | 'weekly' | 'monthly', or 'cadence' for every autoNextDays) until
+  // the investor leaves the tier.
   cadence: {
     '🔥 Hot Lead': { minDays: 1, maxDays: 3, coldAfter: 4, autoNextDays: 1 },
     '🟡 Warm Prospect': { minDays: 5, maxDays: 7, coldAfter: 8, autoNextDays: 5 },
     '🔵 Cold / New Lead': { minDays: 14, maxDays: 21, coldAfter: 22, autoNextDays: 14 },
     '🔵 Cold / New': { minDays: 14, maxDays: 21, coldAfter: 22, autoNextDays: 14 },
-    '✅ Committed': { minDays: 7, maxDays: 7, coldAfter: 10, autoNextDays: 7 },
-    '💰 Funded': { minDays: 30, maxDays: 30, coldAfter: 45, autoNextDays: 30 },
+    '✅ Committed': { minDays: 7, maxDays: 7, coldAfter: 10, autoNextDays: 7, recurring: 'weekly' },
+    '💰 Funded': { minDays: 30, maxDays: 30, coldAfter: 45, autoNextDays: 30, recurring: 'monthly' },
   },
 
   timezone: 'America/Chicago',
+
+  // Structured logs (see utils/logger.js): 'debug' | 'info' | 'warn' | 'error'
+  logLevel: (process.env.LOG_LEVEL || 'info').toLowerCase(),
 };
@@ -4,6 +4,8 @@
 // All board IDs, column IDs, group IDs, and user IDs in one place.
 // Both the follow-up bot and newsletter bot should import from this file
 // to prevent breakage when Monday.com columns change.
+// The follow-up bot checks these IDs against the live boards at startup and
+// on "check boards" (see src/monday/schema.js).
 //
 // Last updated: 2026-02-17 (board audit + webhook column IDs)
 // ===========================================================================
@@ -0,0 +1,261 @@
+// ---------------------------------------------------------------------------
+// Audit log — a permanent record of every change the bot makes on Monday
+// ---------------------------------------------------------------------------
+// Each entry records:
+//   - who triggered it: a Slack user, a cron job or a webhook
+//   - the board, item and columns it touched, with values before and after
+//   - the Slack message that asked for it, as a link
+// Mutations in monday/mutations.js report their writes here (auditUpdate,
+// auditCreate, auditChange). Who is read from the actor context: Slack
+// listeners run inside runAsActor via asOperation in commands.js, cron jobs
+// and webhooks wrap themselves. Writes outside any context are recorded as
+// "system". Unlike the operation journal, audit entries are never pruned.
+// ---------------------------------------------------------------------------
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { addAuditEntry, getAuditEntries, getRestoredFromIds } = require('./store');
+
+const actorContext = new AsyncLocalStorage();
+
+// Workspace URL for message links, e.g. https://acme.slack.com — from config
+// or discovered at startup (see setWorkspaceUrl)
+let workspaceUrl = config.slack.workspaceUrl || null;
+
+// Column ID → readable name, from the board configs ("nextFollowUp" → "Next Follow Up")
+const COLUMN_NAMES = new Map([['name', 'Name'], ['group', 'Group']]);
+for (const cols of [config.monday.columns, config.monday.rmColumns, config.monday.commsColumns]) {
+  for (const [key, colId] of Object.entries(cols || {})) {
+    if (typeof colId !== 'string' || COLUMN_NAMES.has(colId)) continue;
+    COLUMN_NAMES.set(colId, key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, (c) => c.toUpperCase()));
+  }
+}
+
+const ACTOR_LABELS = {
+  slack: 'Slack',
+  cron: 'Scheduled job',
+  webhook: 'Monday webhook',
+  system: 'System',
+};
+
+/**
+ * Run `fn` with everything it writes attributed to `actor`.
+ *
+ * @param {Object} actor
+ * @param {'slack'|'cron'|'webhook'} actor.type
+ * @param {string} [actor.slackUserId] - For Slack actors
+ * @param {string} [actor.name]        - Cron job or webhook event name
+ * @param {string} [actor.channel]     - Slack channel of the triggering message
+ * @param {string} [actor.ts]          - Slack ts of the triggering message
+ * @param {string} [actor.link]        - Link to the triggering message, when known (wins over channel/ts)
+ * @param {Function} fn
+ * @returns {Promise<*>} Whatever `fn` returns
+ */
+function runAsActor(actor, fn) {
+  return actorContext.run({ ...actor }, fn);
+}
+
+/**
+ * Set the workspace URL used for Slack message links (from auth.test).
+ */
+function setWorkspaceUrl(url) {
+  if (url) workspaceUrl = String(url).replace(/\/+$/, '');
+}
+
+/**
+ * Link to a Slack message, or null when the workspace URL isn't known.
+ */
+function slackMessageLink(channel, ts) {
+  if (!workspaceUrl || !channel || !ts) return null;
+  return `${workspaceUrl}/archives/${channel}/p${String(ts).replace('.', '')}`;
+}
+
+/**
+ * Parse a column value the way it was sent to Monday (object or JSON string).
+ */
+function parseValue(value) {
+  if (typeof value !== 'string') return value === undefined ? null : value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+}
+
+/**
+ * Record one change. Never throws.
+ *
+ * @param {Object} change
+ * @param {string} change.event   - "update", "create", "move", "archive", "delete",
+ *                                  "restore" (from the recycle bin) or "undo"
+ * @param {string|number} change.boardId
+ * @param {string|number} change.itemId
+ * @param {string} [change.itemName]
+ * @param {Array<{column: string, before: *, after: *}>} [change.changes]
+ * @param {string} [change.detail]
+ */
+function auditChange({ event, boardId, itemId, itemName, changes = [], detail }) {
+  const actor = actorContext.getStore() || { type: 'system' };
+  addAuditEntry({
+    event,
+    actorType: actor.type,
+    actorName: actor.name,
+    slackUserId: actor.slackUserId,
+    boardId,
+    itemId,
+    itemName,
+    changes,
+    slackLink: actor.link || slackMessageLink(actor.channel, actor.ts),
+    detail,
+  });
+}
+
+/**
+ * Record a column update from a snapshot taken before it (see
+ * journal.snapshotColumns) and the values written.
+ *
+ * @param {Object} snapshot - { boardId, itemId, itemName, previousValues }
+ * @param {Object|string} newValues - columnId → value, as sent to Monday
+ * @param {string} [event]
+ */
+function auditUpdate(snapshot, newValues, event = 'update') {
+  if (!snapshot) return;
+  const after = parseValue(newValues) || {};
+  const before = snapshot.previousValues || {};
+  auditChange({
+    event,
+    boardId: snapshot.boardId,
+    itemId: snapshot.itemId,
+    itemName: snapshot.itemName,
+    changes: Object.keys(after).map((column) => ({
+      column,
+      before: snapshot.previousValues ? (before[column] === undefined ? null : before[column]) : undefined,
+      after: parseValue(after[column]),
+    })),
+  });
+}
+
+/**
+ * Record a created item and the values it was created with.
+ *
+ * @param {string|number} boardId
+ * @param {{id: string, name: string}} item
+ * @param {Object|string} [columnValues] - As sent to Monday
+ * @param {string} [event]
+ */
+function auditCreate(boardId, item, columnValues, event = 'create') {
+  if (!item) return;
+  const values = parseValue(columnValues) || {};
+  auditChange({
+    event,
+    boardId,
+    itemId: item.id,
+    itemName: item.name,
+    changes: Object.keys(values).map((column) => ({ column, before: null, after: parseValue(values[column]) })),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Reading the log
+// ---------------------------------------------------------------------------
+
+/**
+ * Audit entries for an investor: its own item, the items it was restored
+ * from, related items (RM follow-ups, Communications Log entries), and
+ * entries recorded under its exact name with no item. Newest first.
+ *
+ * @param {Object} investor        - { id, name }
+ * @param {Array}  [relatedItemIds] - e.g. the investor's RM and Communications Log item IDs
+ * @param {number} [limit]
+ */
+function getInvestorAudit(investor, relatedItemIds = [], limit) {
+  const itemIds = [String(investor.id), ...relatedItemIds.map(String)];
+  return getAuditEntries({
+    itemIds: [...itemIds, ...getRestoredFromIds(itemIds)],
+    itemName: investor.name,
+    limit,
+  });
+}
+
+function columnName(columnId) {
+  return COLUMN_NAMES.get(columnId) || columnId;
+}
+
+/**
+ * A raw Monday column value as short readable text.
+ */
+function describeValue(value) {
+  if (value === undefined) return '(unknown)';
+  if (value === null || value === '') return '(empty)';
+  if (typeof value !== 'object') return String(value);
+
+  if (value.date) return value.time ? `${value.date} ${value.time}` : value.date;
+  if (value.email) return value.email;
+  if (value.phone) return value.phone;
+  if (value.label) return typeof value.label === 'string' ? value.label : value.label.text || JSON.stringify(value.label);
+  if (Array.isArray(value.labels)) return value.labels.join(', ');
+  if (typeof value.text === 'string') return value.text;
+  if (Array.isArray(value.personsAndTeams)) {
+    return value.personsAndTeams.map((p) => `${p.kind === 'team' ? 'team' : 'user'} ${p.id}`).join(', ') || '(empty)';
+  }
+  if (Array.isArray(value.item_ids)) return `items ${value.item_ids.join(', ')}`;
+  if (Array.isArray(value.linkedPulseIds)) return `items ${value.linkedPulseIds.map((l) => l.linkedPulseId).join(', ')}`;
+  if (value.index !== undefined) return `label #${value.index}`;
+  return JSON.stringify(value);
+}
+
+/**
+ * Who made an entry, as plain text.
+ */
+function describeActor(entry) {
+  if (entry.actorType === 'slack') return entry.slackUserId ? `Slack user ${entry.slackUserId}` : 'Slack';
+  const label = ACTOR_LABELS[entry.actorType] || entry.actorType || 'System';
+  return entry.actorName ? `${label} (${entry.actorName})` : label;
+}
+
+function csvField(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Render audit entries as CSV, one row per changed column (oldest first,
+ * times in UTC ISO format).
+ *
+ * @param {Array} entries - From getInvestorAudit
+ * @returns {string}
+ */
+function auditToCsv(entries) {
+  const rows = [[
+    'When', 'Event', 'Triggered by', 'Slack user', 'Board', 'Item ID', 'Item',
+    'Column', 'Before', 'After', 'Slack message', 'Details',
+  ]];
+  for (const entry of [...entries].reverse()) {
+    const base = [
+      entry.createdAt, entry.event, entry.actorType || '', entry.slackUserId || entry.actorName || '',
+      entry.boardId || '', entry.itemId || '', entry.itemName || '',
+    ];
+    const tail = [entry.slackLink || '', entry.detail || entry.action || ''];
+    if (entry.changes.length === 0) {
+      rows.push([...base, '', '', '', ...tail]);
+      continue;
+    }
+    for (const change of entry.changes) {
+      rows.push([...base, columnName(change.column), describeValue(change.before), describeValue(change.after), ...tail]);
+    }
+  }
+  return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  runAsActor,
+  setWorkspaceUrl,
+  auditChange,
+  auditUpdate,
+  auditCreate,
+  getInvestorAudit,
+  columnName,
+  describeValue,
+  describeActor,
+  auditToCsv,
+};
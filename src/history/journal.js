@@ -0,0 +1,203 @@
+// ---------------------------------------------------------------------------
+// Operation journal — what each command changed on Monday, so it can be undone
+// ---------------------------------------------------------------------------
+// A Slack command (message, button, modal, reaction) runs inside an
+// operation for the user who triggered it (see runOperation). While it runs,
+// the journaled mutations in monday/mutations.js:
+//   - snapshot the columns they are about to overwrite, and record the
+//     previous values once the write succeeds
+//   - record the items they create
+//   - record the items they delete (see history/recycleBin.js)
+// and so do the reminders it adds (reminders/store.js). "undo" then restores
+// those values, deletes those items, restores the deleted ones from the
+// recycle bin and cancels those reminders, newest first.
+//
+// Writes made outside an operation (scheduler, webhooks, undo itself) are
+// not journaled. An operation is only stored once it records its first write,
+// so read-only commands leave nothing behind. Snapshots are taken for every
+// write, though: the audit log (history/audit.js) records the before values.
+// Scheduler batches pass the values they just read so Monday isn't asked twice.
+// ---------------------------------------------------------------------------
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { getItemColumnValues, getItemsColumnValues } = require('../monday/queries');
+const { createOperation, addOperationStep } = require('./store');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('history/journal');
+
+const MAX_LABEL_LENGTH = 120;
+
+// Bookkeeping keys Monday adds to raw values that aren't accepted back on write
+const READ_ONLY_VALUE_KEYS = ['changed_at', 'post_id'];
+
+const operationContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` as one undoable operation for a Slack user.
+ *
+ * @param {Object} context
+ * @param {string} context.userId    - Slack user ID
+ * @param {string} [context.label]   - What they did, e.g. the command text
+ * @param {string} [context.channel] - Where they did it
+ * @param {Function} fn
+ * @returns {Promise<*>} Whatever `fn` returns
+ */
+function runOperation(context, fn) {
+  if (!context || !context.userId) return fn();
+
+  const label = String(context.label || '').replace(/\s+/g, ' ').trim();
+  return operationContext.run({
+    userId: context.userId,
+    label: label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label,
+    channel: context.channel || null,
+    operationId: null,
+  }, fn);
+}
+
+/**
+ * A raw column value as read from Monday, in the form Monday accepts on write.
+ */
+function writableValue(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const copy = { ...value };
+  for (const key of READ_ONLY_VALUE_KEYS) delete copy[key];
+  return copy;
+}
+
+function toSnapshot(boardId, itemId, item) {
+  if (!item) {
+    if (operationContext.getStore()) {
+      log.warn(`Could not snapshot item ${itemId} — this change can't be undone`);
+    }
+    return { boardId, itemId, itemName: null, previousValues: null };
+  }
+
+  const previousValues = {};
+  for (const [colId, value] of Object.entries(item.values)) {
+    previousValues[colId] = writableValue(value);
+  }
+  return { boardId, itemId, itemName: item.name, previousValues };
+}
+
+/**
+ * Read the columns a mutation is about to overwrite.
+ *
+ * @param {string} boardId
+ * @param {string|number} itemId
+ * @param {string[]} columnIds
+ * @returns {Promise<Object|null>} Snapshot to pass to recordUpdate and
+ *   auditUpdate; previousValues is null if the item couldn't be read
+ */
+async function snapshotColumns(boardId, itemId, columnIds) {
+  if (columnIds.length === 0) return null;
+  return toSnapshot(boardId, itemId, await getItemColumnValues(itemId, columnIds));
+}
+
+/**
+ * snapshotColumns for many items at once (batch updates). Targets that bring
+ * their current values along (a scheduler job that just read the board)
+ * aren't read from Monday again.
+ *
+ * @param {Array<{boardId: string, itemId: string|number, columnIds: string[],
+ *   itemName?: string, previousValues?: Object}>} targets
+ * @returns {Promise<Array<Object|null>>} One snapshot per target, in order
+ */
+async function snapshotItems(targets) {
+  const columnIds = [...new Set(targets.flatMap((t) => t.columnIds))];
+  if (columnIds.length === 0) return targets.map(() => null);
+
+  const toRead = targets.filter((t) => !t.previousValues);
+  const items = toRead.length > 0
+    ? await getItemsColumnValues(toRead.map((t) => t.itemId), columnIds)
+    : new Map();
+  return targets.map(({ boardId, itemId, columnIds: cols, itemName, previousValues }) => {
+    const item = previousValues ? { name: itemName || null, values: previousValues } : items.get(String(itemId));
+    const own = item && { name: item.name, values: Object.fromEntries(cols.map((c) => [c, item.values[c] ?? null])) };
+    return toSnapshot(boardId, itemId, own);
+  });
+}
+
+function recordStep(step) {
+  const operation = operationContext.getStore();
+  if (!operation) return;
+
+  try {
+    if (!operation.operationId) {
+      operation.operationId = createOperation({
+        slackUserId: operation.userId,
+        label: operation.label,
+        channel: operation.channel,
+      });
+    }
+    addOperationStep(operation.operationId, step);
+  } catch (err) {
+    log.error(`Could not journal ${step.kind} of item ${step.itemId}:`, err.message);
+  }
+}
+
+/**
+ * Record a successful column update, from a snapshot taken before it.
+ */
+function recordUpdate(snapshot) {
+  if (!snapshot || !snapshot.previousValues) return;
+  recordStep({ kind: 'update', ...snapshot });
+}
+
+/**
+ * Record an item created by the current operation.
+ *
+ * @param {string} boardId
+ * @param {{id: string, name: string}} item - The created item
+ */
+function recordCreate(boardId, item) {
+  if (!item) return;
+  recordStep({ kind: 'create', boardId, itemId: item.id, itemName: item.name });
+}
+
+/**
+ * Record an item the current operation deleted into the recycle bin.
+ *
+ * @param {{boardId: string, itemId: string, itemName: string}} entry - The recycle bin entry
+ */
+function recordRecycle(entry) {
+  if (!entry) return;
+  recordStep({ kind: 'recycle', boardId: entry.boardId, itemId: entry.itemId, itemName: entry.itemName });
+}
+
+/**
+ * Record a reminder added by the current operation.
+ *
+ * @param {{id: string, itemId: string|number, investorName: string}} reminder
+ */
+function recordReminder(reminder) {
+  if (!reminder || !reminder.itemId) return;
+  recordStep({
+    kind: 'reminder',
+    boardId: config.monday.boards.investorList,
+    itemId: reminder.itemId,
+    itemName: reminder.investorName,
+    reminderId: reminder.id,
+  });
+}
+
+/**
+ * Run `fn` outside the current operation, so its writes aren't journaled
+ * (undo restoring a deleted item must not become an undoable create).
+ */
+function runUnjournaled(fn) {
+  return operationContext.exit(fn);
+}
+
+module.exports = {
+  runOperation,
+  runUnjournaled,
+  snapshotColumns,
+  snapshotItems,
+  recordUpdate,
+  recordCreate,
+  recordRecycle,
+  recordReminder,
+  writableValue,
+};
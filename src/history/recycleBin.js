@@ -0,0 +1,158 @@
+// ---------------------------------------------------------------------------
+// Recycle bin — deletes archive the Monday item and keep a local snapshot
+// ---------------------------------------------------------------------------
+// Before an item is archived, every column value is saved to the history
+// store. "restore X" recreates the item from that snapshot in its old group.
+//
+// Monday can't unarchive through the API, so a restore is a new item with a
+// new ID. What pointed at the old ID doesn't follow it:
+//   - its updates (comments) stay with the archived original
+//   - RM follow-ups whose Linked Investor column points at a restored
+//     investor still link to the archived one
+//   - reminders for the investor were cancelled by the archive webhook
+//     (noteLostReminders) and aren't recreated
+// restoreLosses reports the last two so the restore reply can say so.
+// ---------------------------------------------------------------------------
+
+const config = require('../config');
+const { getItemSnapshot, getRMBoardItems } = require('../monday/queries');
+const { archiveItem, recreateItem } = require('../monday/mutations');
+const { writableValue, recordRecycle } = require('./journal');
+const { addToRecycleBin, removeFromRecycleBin, getRecycledItems, markRestored } = require('./store');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('history/recycleBin');
+
+// Column types Monday computes itself or won't accept through column_values
+const READ_ONLY_COLUMN_TYPES = new Set([
+  'auto_number', 'button', 'creation_log', 'doc', 'direct_doc', 'file', 'formula',
+  'item_id', 'last_updated', 'lookup', 'mirror', 'progress', 'subtasks', 'time_tracking', 'vote',
+]);
+// Connect-boards style columns read as linkedPulseIds but are written as item_ids
+const RELATION_COLUMN_TYPES = new Set(['board_relation', 'dependency']);
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Snapshot an item into the recycle bin, then archive it. The snapshot is
+ * dropped again if archiving fails.
+ *
+ * @param {string|number} itemId
+ * @param {string} [deletedBy] - Slack user ID
+ * @returns {Promise<Object|null>} The recycle bin entry, or null if nothing was deleted
+ */
+async function recycleItem(itemId, deletedBy) {
+  let snapshot;
+  try {
+    snapshot = await getItemSnapshot(itemId);
+  } catch (err) {
+    log.error(`Could not snapshot item ${itemId}:`, err.message);
+    return null;
+  }
+  if (!snapshot) {
+    log.warn(`Item ${itemId} not found — nothing to delete`);
+    return null;
+  }
+
+  const entryId = addToRecycleBin({
+    boardId: snapshot.boardId,
+    itemId: snapshot.id,
+    itemName: snapshot.name,
+    groupId: snapshot.groupId,
+    columns: snapshot.columns,
+    deletedBy,
+  });
+
+  if (!(await archiveItem(itemId, { boardId: snapshot.boardId, itemName: snapshot.name }))) {
+    removeFromRecycleBin(entryId);
+    return null;
+  }
+
+  log.info(`Recycled item ${itemId} ("${snapshot.name}") as entry ${entryId}`);
+  const entry = { id: entryId, boardId: snapshot.boardId, itemId: snapshot.id, itemName: snapshot.name };
+  recordRecycle(entry);
+  return entry;
+}
+
+/**
+ * Turn snapshot columns into column_values Monday accepts on create.
+ */
+function restorableColumnValues(columns) {
+  const values = {};
+  for (const col of columns) {
+    if (col.value === null || col.value === undefined || READ_ONLY_COLUMN_TYPES.has(col.type)) continue;
+
+    if (RELATION_COLUMN_TYPES.has(col.type)) {
+      const ids = (col.value.linkedPulseIds || []).map((link) => Number(link.linkedPulseId)).filter(Boolean);
+      if (ids.length > 0) values[col.id] = { item_ids: ids };
+      continue;
+    }
+    values[col.id] = writableValue(col.value);
+  }
+  return values;
+}
+
+/**
+ * Recreate a recycled item and mark its entry restored.
+ *
+ * @param {Object} entry - From findRecycledItems / listRecycledItems
+ * @returns {Promise<{id: string, name: string}|null>} The new item
+ */
+async function restoreItem(entry) {
+  const created = await recreateItem({
+    boardId: entry.boardId,
+    groupId: entry.groupId,
+    itemName: entry.itemName,
+    columnValues: restorableColumnValues(entry.columns),
+  });
+  if (!created) return null;
+
+  markRestored(entry.id, created.id);
+  log.info(`Restored entry ${entry.id} ("${entry.itemName}") as item ${created.id}`);
+  return created;
+}
+
+/**
+ * What restoring an entry leaves behind, because the restored item has a new
+ * ID: for an investor, the RM follow-ups still linked to the archived
+ * original and the reminders cancelled when it was archived.
+ *
+ * @param {Object} entry - Recycle bin entry
+ * @returns {Promise<{linkedFollowUps: Array<{id, name}>, lostReminders: Array<{slackUserId, scheduledAt, recurring}>}>}
+ */
+async function restoreLosses(entry) {
+  if (String(entry.boardId) !== String(config.monday.boards.investorList)) {
+    return { linkedFollowUps: [], lostReminders: [] };
+  }
+
+  const rmItems = await getRMBoardItems();
+  const linkedFollowUps = rmItems
+    .filter((item) => item.linkedInvestorIds.includes(String(entry.itemId)))
+    .map((item) => ({ id: item.id, name: item.name }));
+  return { linkedFollowUps, lostReminders: entry.lostReminders || [] };
+}
+
+/**
+ * Recently deleted items that can still be restored, newest first.
+ */
+function listRecycledItems(limit = 20) {
+  return getRecycledItems(limit);
+}
+
+/**
+ * Recycled items whose name matches `name` — exact matches if there are
+ * any, otherwise names containing it. Newest first.
+ */
+function findRecycledItems(name) {
+  const target = normalizeName(name);
+  if (!target) return [];
+
+  const entries = getRecycledItems(200);
+  const exact = entries.filter((entry) => normalizeName(entry.itemName) === target);
+  if (exact.length > 0) return exact;
+  return entries.filter((entry) => normalizeName(entry.itemName).includes(target));
+}
+
+module.exports = { recycleItem, restoreItem, restoreLosses, listRecycledItems, findRecycledItems };
@@ -0,0 +1,650 @@
+// ---------------------------------------------------------------------------
+// History store — investor changes the bot learns about from Monday webhooks
+// ---------------------------------------------------------------------------
+// Monday's item API only returns current column values, so status changes
+// are recorded here as their webhooks arrive. The investor timeline reads
+// them back alongside the RM board, Communications Log, Monday updates and
+// reminders.
+//
+// The operation journal also lives here: the previous column values and
+// created items of each command's Monday writes (and the reminders it added),
+// so "undo" can revert them (see history/journal.js). So do the recycle bin
+// (snapshots of deleted items, for "restore X"), deletions waiting on a "yes",
+// and the audit log.
+//
+// SQLite, separate from the reminders database. On Railway, point
+// HISTORY_DB_PATH at a mounted volume so history survives redeploys.
+// Schema changes are appended to MIGRATIONS (tracked in `user_version`).
+// ---------------------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('history/store');
+
+// ---------------------------------------------------------------------------
+// Migrations — append only, never edit a migration that has shipped
+// ---------------------------------------------------------------------------
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'create status_changes table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE status_changes (
+          id             INTEGER PRIMARY KEY AUTOINCREMENT,
+          board_id       TEXT NOT NULL,
+          item_id        TEXT NOT NULL,
+          column_id      TEXT,
+          column_title   TEXT,
+          previous_value TEXT,
+          new_value      TEXT,
+          monday_user_id TEXT,
+          changed_at     TEXT NOT NULL
+        );
+        CREATE INDEX idx_status_changes_item ON status_changes (item_id, changed_at);
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'create operation journal tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE operations (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          slack_user_id TEXT NOT NULL,
+          label         TEXT,
+          channel       TEXT,
+          created_at    TEXT NOT NULL,
+          undone_at     TEXT
+        );
+        CREATE INDEX idx_operations_user ON operations (slack_user_id, created_at);
+
+        CREATE TABLE operation_steps (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          operation_id    INTEGER NOT NULL REFERENCES operations (id) ON DELETE CASCADE,
+          kind            TEXT NOT NULL,
+          board_id        TEXT NOT NULL,
+          item_id         TEXT NOT NULL,
+          item_name       TEXT,
+          previous_values TEXT,
+          reminder_id     TEXT
+        );
+        CREATE INDEX idx_operation_steps_operation ON operation_steps (operation_id);
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'create recycle_bin and pending_deletions tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE recycle_bin (
+          id               INTEGER PRIMARY KEY AUTOINCREMENT,
+          board_id         TEXT NOT NULL,
+          item_id          TEXT NOT NULL,
+          item_name        TEXT NOT NULL,
+          group_id         TEXT,
+          columns          TEXT NOT NULL,
+          deleted_by       TEXT,
+          deleted_at       TEXT NOT NULL,
+          restored_at      TEXT,
+          restored_item_id TEXT,
+          lost_reminders   TEXT
+        );
+        CREATE INDEX idx_recycle_bin_deleted ON recycle_bin (deleted_at);
+
+        CREATE TABLE pending_deletions (
+          slack_user_id TEXT PRIMARY KEY,
+          items         TEXT NOT NULL,
+          expires_at    TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'create audit_log table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE audit_log (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          event         TEXT NOT NULL,
+          slack_user_id TEXT,
+          role          TEXT,
+          action        TEXT,
+          item_id       TEXT,
+          item_name     TEXT,
+          detail        TEXT,
+          created_at    TEXT NOT NULL
+        );
+        CREATE INDEX idx_audit_log_created ON audit_log (created_at);
+        CREATE INDEX idx_audit_log_item ON audit_log (item_id);
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'record Monday changes in audit_log',
+    up(db) {
+      db.exec(`
+        ALTER TABLE audit_log ADD COLUMN actor_type TEXT;
+        ALTER TABLE audit_log ADD COLUMN actor_name TEXT;
+        ALTER TABLE audit_log ADD COLUMN board_id TEXT;
+        ALTER TABLE audit_log ADD COLUMN changes TEXT;
+        ALTER TABLE audit_log ADD COLUMN slack_link TEXT;
+        UPDATE audit_log SET actor_type = 'slack' WHERE slack_user_id IS NOT NULL;
+      `);
+    },
+  },
+];
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+
+  const { dbPath } = config.history;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  try { fs.chmodSync(dbPath, 0o600); } catch (_) {}
+
+  const current = db.pragma('user_version', { simple: true });
+  for (const migration of MIGRATIONS.filter((m) => m.version > current)) {
+    db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    log.info(`Applied migration v${migration.version}: ${migration.description}`);
+  }
+  return db;
+}
+
+// ---------------------------------------------------------------------------
+// Status changes
+// ---------------------------------------------------------------------------
+
+/**
+ * Record a status column change from a Monday webhook.
+ *
+ * @param {Object} change
+ * @param {string|number} change.boardId
+ * @param {string|number} change.itemId
+ * @param {string}  [change.columnId]
+ * @param {string}  [change.columnTitle]   - e.g. "Communication Status"
+ * @param {string}  [change.previousValue] - Label text before the change
+ * @param {string}  [change.newValue]      - Label text after the change
+ * @param {string|number} [change.mondayUserId] - Who made the change
+ * @param {Date|string}   [change.changedAt]
+ */
+function recordStatusChange(change) {
+  try {
+    getDb().prepare(`
+      INSERT INTO status_changes
+        (board_id, item_id, column_id, column_title, previous_value, new_value, monday_user_id, changed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      String(change.boardId),
+      String(change.itemId),
+      change.columnId || null,
+      change.columnTitle || null,
+      change.previousValue || null,
+      change.newValue || null,
+      change.mondayUserId ? String(change.mondayUserId) : null,
+      new Date(change.changedAt || Date.now()).toISOString()
+    );
+  } catch (err) {
+    log.error(`Could not record status change for item ${change.itemId}:`, err.message);
+  }
+}
+
+/**
+ * Status changes recorded for any of the given items, oldest first.
+ *
+ * @param {Array<string|number>} itemIds
+ * @returns {Array<{boardId, itemId, columnId, columnTitle, previousValue, newValue, mondayUserId, changedAt}>}
+ */
+function getStatusChanges(itemIds) {
+  if (!itemIds || itemIds.length === 0) return [];
+  try {
+    const ids = itemIds.map(String);
+    return getDb().prepare(`
+      SELECT * FROM status_changes
+      WHERE item_id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY changed_at
+    `).all(...ids).map((row) => ({
+      boardId: row.board_id,
+      itemId: row.item_id,
+      columnId: row.column_id,
+      columnTitle: row.column_title,
+      previousValue: row.previous_value,
+      newValue: row.new_value,
+      mondayUserId: row.monday_user_id,
+      changedAt: row.changed_at,
+    }));
+  } catch (err) {
+    log.error('Could not read status changes:', err.message);
+    return [];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Operation journal
+// ---------------------------------------------------------------------------
+
+/**
+ * Start a journaled operation. Operations past the retention period are
+ * pruned at the same time.
+ *
+ * @param {Object} operation
+ * @param {string} operation.slackUserId - Who ran the command
+ * @param {string} [operation.label]     - What they ran, for the undo reply
+ * @param {string} [operation.channel]
+ * @returns {number} Operation ID
+ */
+function createOperation({ slackUserId, label, channel }) {
+  const conn = getDb();
+  const cutoff = new Date(Date.now() - config.history.journalRetentionMs).toISOString();
+  conn.prepare('DELETE FROM operations WHERE created_at < ?').run(cutoff);
+
+  const result = conn.prepare(`
+    INSERT INTO operations (slack_user_id, label, channel, created_at)
+    VALUES (?, ?, ?, ?)
+  `).run(slackUserId, label || null, channel || null, new Date().toISOString());
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Record one Monday write of an operation.
+ *
+ * @param {number} operationId
+ * @param {Object} step
+ * @param {'update'|'create'|'recycle'|'reminder'} step.kind
+ * @param {string|number} step.boardId
+ * @param {string|number} step.itemId
+ * @param {string}  [step.itemName]
+ * @param {Object}  [step.previousValues] - columnId → raw Monday value (updates only)
+ * @param {string}  [step.reminderId]     - The reminder added (reminders only)
+ */
+function addOperationStep(operationId, step) {
+  getDb().prepare(`
+    INSERT INTO operation_steps (operation_id, kind, board_id, item_id, item_name, previous_values, reminder_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    operationId,
+    step.kind,
+    String(step.boardId),
+    String(step.itemId),
+    step.itemName || null,
+    step.previousValues ? JSON.stringify(step.previousValues) : null,
+    step.reminderId || null
+  );
+}
+
+/**
+ * A user's most recent operation that hasn't been undone, with its steps in
+ * the order they ran.
+ *
+ * @param {string} slackUserId
+ * @returns {{id, slackUserId, label, channel, createdAt, steps: Array}|null}
+ */
+function getLastOperation(slackUserId) {
+  const conn = getDb();
+  const row = conn.prepare(`
+    SELECT * FROM operations
+    WHERE slack_user_id = ? AND undone_at IS NULL
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `).get(slackUserId);
+  if (!row) return null;
+
+  const steps = conn.prepare('SELECT * FROM operation_steps WHERE operation_id = ? ORDER BY id')
+    .all(row.id)
+    .map((step) => ({
+      kind: step.kind,
+      boardId: step.board_id,
+      itemId: step.item_id,
+      itemName: step.item_name,
+      previousValues: step.previous_values ? JSON.parse(step.previous_values) : null,
+      reminderId: step.reminder_id,
+    }));
+
+  return {
+    id: row.id,
+    slackUserId: row.slack_user_id,
+    label: row.label,
+    channel: row.channel,
+    createdAt: row.created_at,
+    steps,
+  };
+}
+
+function markOperationUndone(operationId) {
+  getDb().prepare('UPDATE operations SET undone_at = ? WHERE id = ?')
+    .run(new Date().toISOString(), operationId);
+}
+
+// ---------------------------------------------------------------------------
+// Recycle bin
+// ---------------------------------------------------------------------------
+
+function toRecycledItem(row) {
+  return {
+    id: row.id,
+    boardId: row.board_id,
+    itemId: row.item_id,
+    itemName: row.item_name,
+    groupId: row.group_id,
+    columns: JSON.parse(row.columns),
+    deletedBy: row.deleted_by,
+    deletedAt: row.deleted_at,
+    restoredAt: row.restored_at,
+    restoredItemId: row.restored_item_id,
+    lostReminders: row.lost_reminders ? JSON.parse(row.lost_reminders) : [],
+  };
+}
+
+/**
+ * Save a snapshot of an item that is about to be deleted.
+ *
+ * @param {Object} snapshot
+ * @param {string|number} snapshot.boardId
+ * @param {string|number} snapshot.itemId
+ * @param {string} snapshot.itemName
+ * @param {string} [snapshot.groupId]
+ * @param {Array<{id, type, value}>} snapshot.columns - Raw column values
+ * @param {string} [snapshot.deletedBy] - Slack user ID
+ * @returns {number} Recycle bin entry ID
+ */
+function addToRecycleBin(snapshot) {
+  const result = getDb().prepare(`
+    INSERT INTO recycle_bin (board_id, item_id, item_name, group_id, columns, deleted_by, deleted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    String(snapshot.boardId),
+    String(snapshot.itemId),
+    snapshot.itemName,
+    snapshot.groupId || null,
+    JSON.stringify(snapshot.columns || []),
+    snapshot.deletedBy || null,
+    new Date().toISOString()
+  );
+  return Number(result.lastInsertRowid);
+}
+
+function removeFromRecycleBin(entryId) {
+  getDb().prepare('DELETE FROM recycle_bin WHERE id = ?').run(entryId);
+}
+
+/**
+ * Deleted items that haven't been restored, newest first.
+ *
+ * @param {number} [limit]
+ * @returns {Array<Object>}
+ */
+function getRecycledItems(limit = 50) {
+  return getDb().prepare(`
+    SELECT * FROM recycle_bin
+    WHERE restored_at IS NULL
+    ORDER BY deleted_at DESC, id DESC
+    LIMIT ?
+  `).all(limit).map(toRecycledItem);
+}
+
+/**
+ * The unrestored recycle bin entry for a deleted item, newest first if it
+ * was deleted more than once (recreated items get new IDs, so that's rare).
+ *
+ * @param {string|number} itemId - The ID the item had before it was deleted
+ * @returns {Object|null}
+ */
+function getRecycledItem(itemId) {
+  const row = getDb().prepare(`
+    SELECT * FROM recycle_bin
+    WHERE item_id = ? AND restored_at IS NULL
+    ORDER BY deleted_at DESC, id DESC
+    LIMIT 1
+  `).get(String(itemId));
+  return row ? toRecycledItem(row) : null;
+}
+
+/**
+ * Record the reminders that were cancelled when a recycled item was archived,
+ * so its restore can say they didn't come back. Items deleted outside the bot
+ * have no recycle bin entry and are skipped.
+ *
+ * @param {string|number} itemId - The ID of the archived item
+ * @param {Array<{slackUserId, scheduledAt, recurrence}>} reminders
+ */
+function noteLostReminders(itemId, reminders) {
+  if (reminders.length === 0) return;
+  try {
+    const entry = getRecycledItem(itemId);
+    if (!entry) return;
+    const lost = [...entry.lostReminders, ...reminders.map((r) => ({
+      slackUserId: r.slackUserId || null,
+      scheduledAt: r.scheduledAt,
+      recurring: Boolean(r.recurrence),
+    }))];
+    getDb().prepare('UPDATE recycle_bin SET lost_reminders = ? WHERE id = ?')
+      .run(JSON.stringify(lost), entry.id);
+  } catch (err) {
+    log.error(`Could not note lost reminders for item ${itemId}:`, err.message);
+  }
+}
+
+function markRestored(entryId, restoredItemId) {
+  getDb().prepare('UPDATE recycle_bin SET restored_at = ?, restored_item_id = ? WHERE id = ?')
+    .run(new Date().toISOString(), String(restoredItemId), entryId);
+}
+
+/**
+ * The IDs deleted items had before being restored as the given items
+ * (restored items get new IDs, so their history is under the old ones).
+ *
+ * @param {Array<string|number>} restoredItemIds
+ * @returns {string[]}
+ */
+function getRestoredFromIds(restoredItemIds) {
+  if (restoredItemIds.length === 0) return [];
+  return getDb().prepare(`
+    SELECT item_id FROM recycle_bin
+    WHERE restored_item_id IN (${restoredItemIds.map(() => '?').join(', ')})
+  `).all(...restoredItemIds.map(String)).map((row) => row.item_id);
+}
+
+/**
+ * Put an entry back in the recycle bin after the item restored from it was
+ * deleted again (an undone "restore").
+ */
+function unmarkRestored(restoredItemId) {
+  getDb().prepare('UPDATE recycle_bin SET restored_at = NULL, restored_item_id = NULL WHERE restored_item_id = ?')
+    .run(String(restoredItemId));
+}
+
+// ---------------------------------------------------------------------------
+// Pending deletions — waiting on the user's "yes"
+// ---------------------------------------------------------------------------
+
+/**
+ * Remember the items a user was asked to confirm deleting (replaces any
+ * earlier request of theirs).
+ *
+ * @param {string} slackUserId
+ * @param {Array<{itemId, itemName, boardType, link}>} items
+ * @param {number} expiresAt - Epoch ms
+ */
+function savePendingDeletion(slackUserId, items, expiresAt) {
+  getDb().prepare(`
+    INSERT INTO pending_deletions (slack_user_id, items, expires_at) VALUES (?, ?, ?)
+    ON CONFLICT (slack_user_id) DO UPDATE SET items = excluded.items, expires_at = excluded.expires_at
+  `).run(slackUserId, JSON.stringify(items), new Date(expiresAt).toISOString());
+}
+
+/**
+ * A user's pending deletion, expired or not.
+ *
+ * @returns {{items: Array, expiresAt: number}|null}
+ */
+function getPendingDeletion(slackUserId) {
+  const row = getDb().prepare('SELECT * FROM pending_deletions WHERE slack_user_id = ?').get(slackUserId);
+  if (!row) return null;
+  return { items: JSON.parse(row.items), expiresAt: new Date(row.expires_at).getTime() };
+}
+
+function clearPendingDeletion(slackUserId) {
+  getDb().prepare('DELETE FROM pending_deletions WHERE slack_user_id = ?').run(slackUserId);
+}
+
+/**
+ * Drop pending deletions that expired more than `graceMs` ago. Recently
+ * expired ones are kept so a late "yes" can be told it expired.
+ */
+function prunePendingDeletions(graceMs = 0) {
+  const cutoff = new Date(Date.now() - graceMs).toISOString();
+  getDb().prepare('DELETE FROM pending_deletions WHERE expires_at < ?').run(cutoff);
+}
+
+// ---------------------------------------------------------------------------
+// Audit log
+// ---------------------------------------------------------------------------
+
+/**
+ * Append an audit log entry. Never throws — auditing must not break the
+ * command being audited.
+ *
+ * @param {Object} entry
+ * @param {string} entry.event          - e.g. "update", "create", "permission_denied"
+ * @param {string} [entry.actorType]    - "slack", "cron", "webhook" or "system"
+ *                                        (default "slack" with a user, else "system")
+ * @param {string} [entry.actorName]    - Cron job or webhook event name
+ * @param {string} [entry.slackUserId]
+ * @param {string} [entry.role]
+ * @param {string} [entry.action]       - Intent action, e.g. "delete_contact"
+ * @param {string|number} [entry.boardId]
+ * @param {string|number} [entry.itemId]
+ * @param {string} [entry.itemName]
+ * @param {Array<{column: string, before: *, after: *}>} [entry.changes] - Raw Monday values
+ * @param {string} [entry.slackLink]    - The Slack message that asked for the change
+ * @param {string} [entry.detail]
+ */
+function addAuditEntry(entry) {
+  try {
+    getDb().prepare(`
+      INSERT INTO audit_log (
+        event, actor_type, actor_name, slack_user_id, role, action,
+        board_id, item_id, item_name, changes, slack_link, detail, created_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.event,
+      entry.actorType || (entry.slackUserId ? 'slack' : 'system'),
+      entry.actorName || null,
+      entry.slackUserId || null,
+      entry.role || null,
+      entry.action || null,
+      entry.boardId ? String(entry.boardId) : null,
+      entry.itemId ? String(entry.itemId) : null,
+      entry.itemName || null,
+      entry.changes && entry.changes.length > 0 ? JSON.stringify(entry.changes) : null,
+      entry.slackLink || null,
+      entry.detail || null,
+      new Date().toISOString()
+    );
+  } catch (err) {
+    log.error(`Could not write audit entry "${entry.event}":`, err.message);
+  }
+}
+
+function toAuditEntry(row) {
+  return {
+    id: row.id,
+    event: row.event,
+    actorType: row.actor_type,
+    actorName: row.actor_name,
+    slackUserId: row.slack_user_id,
+    role: row.role,
+    action: row.action,
+    boardId: row.board_id,
+    itemId: row.item_id,
+    itemName: row.item_name,
+    changes: row.changes ? JSON.parse(row.changes) : [],
+    slackLink: row.slack_link,
+    detail: row.detail,
+    createdAt: row.created_at,
+  };
+}
+
+function normalizeName(name) {
+  return String(name || '').replace(/^\uD83D\uDD34\s*/, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function newestFirst(a, b) {
+  if (a.created_at !== b.created_at) return a.created_at < b.created_at ? 1 : -1;
+  return b.id - a.id;
+}
+
+/**
+ * Audit log entries for some items, newest first. Entries match by item ID;
+ * the name only matches entries recorded without one (e.g. a denied
+ * command), and only the exact name — "Dan" doesn't match "Dana".
+ *
+ * @param {Object} query
+ * @param {Array<string|number>} [query.itemIds]
+ * @param {string} [query.itemName] - Compared case- and spacing-insensitively,
+ *   ignoring the going-cold flag
+ * @param {number} [query.limit]    - Omit for every match
+ * @returns {Array<Object>}
+ */
+function getAuditEntries({ itemIds = [], itemName, limit } = {}) {
+  const conn = getDb();
+  let rows = [];
+  if (itemIds.length > 0) {
+    rows = conn.prepare(`
+      SELECT * FROM audit_log
+      WHERE item_id IN (${itemIds.map(() => '?').join(', ')})
+      ORDER BY created_at DESC, id DESC
+      ${limit ? 'LIMIT ?' : ''}
+    `).all(...itemIds.map(String), ...(limit ? [limit] : []));
+  }
+
+  const name = normalizeName(itemName);
+  if (name) {
+    const unlinked = conn.prepare('SELECT * FROM audit_log WHERE item_id IS NULL AND item_name IS NOT NULL')
+      .all()
+      .filter((row) => normalizeName(row.item_name) === name);
+    rows = rows.concat(unlinked).sort(newestFirst);
+  }
+
+  return (limit ? rows.slice(0, limit) : rows).map(toAuditEntry);
+}
+
+module.exports = {
+  recordStatusChange,
+  getStatusChanges,
+  createOperation,
+  addOperationStep,
+  getLastOperation,
+  markOperationUndone,
+  addToRecycleBin,
+  removeFromRecycleBin,
+  getRecycledItems,
+  getRecycledItem,
+  noteLostReminders,
+  markRestored,
+  getRestoredFromIds,
+  unmarkRestored,
+  savePendingDeletion,
+  getPendingDeletion,
+  clearPendingDeletion,
+  prunePendingDeletions,
+  addAuditEntry,
+  getAuditEntries,
+};
@@ -0,0 +1,198 @@
+// ---------------------------------------------------------------------------
+// Investor timeline — one chronological history for "history of Jalin Moore"
+// ---------------------------------------------------------------------------
+// Entries come from:
+//   - Relationship Management items linked to the investor
+//   - Communications Log entries naming the investor
+//   - status changes recorded from Monday webhooks (history store)
+//   - updates (comments) on the investor and its RM items
+//   - the investor's pending and failed bot reminders
+//
+// Built timelines are cached for a few minutes so paging through one in
+// Slack and exporting it don't refetch every board.
+// ---------------------------------------------------------------------------
+
+const { getRMItemsForInvestor, getCommunicationsForInvestor, getItemUpdates } = require('../monday/queries');
+const { getAllReminders, getDeadLetterReminders } = require('../reminders/store');
+const { getMondayUsers } = require('../utils/userMapping');
+const { getStatusChanges } = require('./store');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('history/timeline');
+
+const TIMELINE_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_DETAIL_LENGTH = 300;
+// Monday's items query accepts at most 100 IDs
+const MAX_UPDATE_ITEMS = 100;
+
+// itemId → { entries, expiresAt }
+const timelineCache = new Map();
+
+const SOURCE_LABELS = {
+  rm: 'RM activity',
+  comms: 'Communications Log',
+  status: 'Status change',
+  update: 'Monday update',
+  reminder: 'Reminder',
+};
+
+function truncate(text, max = MAX_DETAIL_LENGTH) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+// ---------------------------------------------------------------------------
+// Entry builders — each returns
+// { at: Date, dateOnly, source, actor, slackUserId?, what, detail?, link? }
+// ---------------------------------------------------------------------------
+
+function rmEntries(rmItems) {
+  return rmItems
+    .filter((item) => item.date || item.lastContactDate)
+    .map((item) => {
+      const parts = [item.communicationMethod || 'Follow-up'];
+      if (item.status) parts.push(item.status);
+      if (item.nextFollowUp) parts.push(`next follow-up ${item.nextFollowUp.toLocaleDateString('en-CA')}`);
+      return {
+        at: item.lastContactDate || item.date,
+        dateOnly: true,
+        source: 'rm',
+        actor: item.person || null,
+        what: parts.join(' · '),
+        detail: truncate(item.notes),
+        link: item.link,
+      };
+    });
+}
+
+function commsEntries(comms) {
+  return comms
+    .filter((item) => item.dateSent)
+    .map((item) => ({
+      at: item.dateSent,
+      dateOnly: true,
+      source: 'comms',
+      actor: item.sentBy || null,
+      what: [item.commType || 'Communication', item.dealSPV, item.sendStatus].filter(Boolean).join(' · '),
+      detail: truncate(item.notes),
+      link: null,
+    }));
+}
+
+function statusEntries(changes, userNames, rmIds) {
+  return changes.map((change) => ({
+    at: new Date(change.changedAt),
+    dateOnly: false,
+    source: 'status',
+    actor: userNames.get(String(change.mondayUserId)) || null,
+    what: `${change.columnTitle || 'Status'}${rmIds.has(change.itemId) ? ' (RM follow-up)' : ''}: ` +
+      `${change.previousValue || '—'} → ${change.newValue || '—'}`,
+  }));
+}
+
+function updateEntries(updates) {
+  return updates
+    .filter((update) => update.createdAt)
+    .map((update) => ({
+      at: new Date(update.createdAt),
+      dateOnly: false,
+      source: 'update',
+      actor: update.creator,
+      what: truncate(update.text) || '(no text)',
+    }));
+}
+
+function reminderEntries(reminders) {
+  return reminders.map((reminder) => ({
+    at: new Date(reminder.createdAt || reminder.scheduledAt),
+    dateOnly: false,
+    source: 'reminder',
+    actor: reminder.userEmail || reminder.slackUserId || null,
+    slackUserId: reminder.slackUserId || null,
+    what: reminder.deadLetteredAt ? 'Reminder could not be delivered' : 'Reminder set',
+    remindAt: new Date(reminder.scheduledAt),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Build an investor's timeline, newest entry first.
+ *
+ * @param {Object} investor - Parsed investor ({ id, name })
+ * @returns {Promise<Array>} Timeline entries
+ */
+async function buildTimeline(investor) {
+  const [rmItems, comms] = await Promise.all([
+    getRMItemsForInvestor(investor),
+    getCommunicationsForInvestor(investor),
+  ]);
+
+  const rmIds = new Set(rmItems.map((item) => String(item.id)));
+  const itemIds = [String(investor.id), ...rmIds];
+  const [updates, users] = await Promise.all([
+    getItemUpdates(itemIds.slice(0, MAX_UPDATE_ITEMS)),
+    getMondayUsers(),
+  ]);
+  const userNames = new Map(users.map((u) => [String(u.id), u.name]));
+
+  const reminders = [...getAllReminders(), ...getDeadLetterReminders()]
+    .filter((r) => String(r.itemId) === String(investor.id));
+
+  const entries = [
+    ...rmEntries(rmItems),
+    ...commsEntries(comms),
+    ...statusEntries(getStatusChanges(itemIds), userNames, rmIds),
+    ...updateEntries(updates),
+    ...reminderEntries(reminders),
+  ].filter((entry) => entry.at && !isNaN(entry.at.getTime()));
+
+  entries.sort((a, b) => b.at - a.at);
+  log.info(`Built timeline for ${investor.name}: ${entries.length} entries`);
+  return entries;
+}
+
+/**
+ * Cached timeline for an investor, rebuilt when stale or when `fresh` is set.
+ *
+ * @returns {Promise<Array>} Timeline entries, newest first
+ */
+async function getTimeline(investor, { fresh = false } = {}) {
+  const key = String(investor.id);
+  const cached = timelineCache.get(key);
+  if (!fresh && cached && cached.expiresAt >= Date.now()) return cached.entries;
+
+  const entries = await buildTimeline(investor);
+  timelineCache.set(key, { entries, expiresAt: Date.now() + TIMELINE_CACHE_TTL_MS });
+  return entries;
+}
+
+function csvField(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Render a timeline as CSV (oldest first, times in UTC ISO format).
+ *
+ * @param {Array} entries - Timeline entries
+ * @returns {string}
+ */
+function timelineToCsv(entries) {
+  const rows = [['When', 'Source', 'Who', 'What', 'Details', 'Link']];
+  for (const entry of [...entries].reverse()) {
+    rows.push([
+      entry.dateOnly ? entry.at.toLocaleDateString('en-CA') : entry.at.toISOString(),
+      SOURCE_LABELS[entry.source] || entry.source,
+      entry.actor || '',
+      entry.remindAt ? `${entry.what} for ${entry.remindAt.toISOString()}` : entry.what,
+      entry.detail || '',
+      entry.link || '',
+    ]);
+  }
+  return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = { SOURCE_LABELS, buildTimeline, getTimeline, timelineToCsv };
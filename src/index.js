@@ -9,6 +9,12 @@ const { loadReminders } = require('./reminders/store');
 const { startReminderChecker } = require('./reminders/checker');
 const { getActiveInvestors } = require('./monday/queries');
 const { registerWebhookRoutes } = require('./webhook/server');
+const { setWorkspaceUrl } = require('./history/audit');
+const { validateBoards } = require('./monday/schema');
+const { formatBoardCheck } = require('./slack/messages');
+const { createLogger } = require('./utils/logger');
+
+const log = createLogger('startup');
 
 async function start() {
   // Health check + webhook endpoint for Railway
@@ -19,31 +25,48 @@ async function start() {
     res.json({ status: 'ok' });
   });
   server.listen(process.env.PORT || 3000, () => {
-    console.log(`[health] Health check + webhook endpoint running on port ${process.env.PORT || 3000}`);
+    log.info(`Health check + webhook endpoint running on port ${process.env.PORT || 3000}`);
   });
 
   // Validate critical env vars
-  if (!config.slack.botToken) console.error('[startup] MISSING: SLACK_BOT_TOKEN');
-  if (!config.slack.appToken) console.error('[startup] MISSING: SLACK_APP_TOKEN');
-  if (!config.slack.signingSecret) console.error('[startup] MISSING: SLACK_SIGNING_SECRET');
+  if (!config.slack.botToken) log.error('MISSING: SLACK_BOT_TOKEN');
+  if (!config.slack.appToken) log.error('MISSING: SLACK_APP_TOKEN');
+  if (!config.slack.signingSecret) log.error('MISSING: SLACK_SIGNING_SECRET');
+  if (!config.monday.webhook.signingSecret) {
+    if (config.monday.webhook.allowUnsigned) {
+      log.warn('MONDAY_SIGNING_SECRET not set — accepting UNSIGNED webhooks (MONDAY_WEBHOOK_ALLOW_UNSIGNED=true)');
+    } else {
+      log.error('MISSING: MONDAY_SIGNING_SECRET (Monday webhooks will be rejected)');
+    }
+  }
   if (!config.monday.apiToken) {
-    console.error('[startup] MISSING: MONDAY_API_TOKEN');
+    log.error('MISSING: MONDAY_API_TOKEN');
   } else {
-    console.log(`[startup] MONDAY_API_TOKEN present: true (first 10 chars: ${config.monday.apiToken.substring(0, 10)}...)`);
+    log.info('MONDAY_API_TOKEN present: true');
   }
-  console.log(`[startup] SLACK_APP_TOKEN present: ${!!config.slack.appToken} (starts with xapp-: ${(config.slack.appToken || '').startsWith('xapp-')})`);
-  console.log(`[startup] SLACK_BOT_TOKEN present: ${!!config.slack.botToken} (starts with xoxb-: ${(config.slack.botToken || '').startsWith('xoxb-')})`);
+  log.info(`SLACK_APP_TOKEN present: ${!!config.slack.appToken} (starts with xapp-: ${(config.slack.appToken || '').startsWith('xapp-')})`);
+  log.info(`SLACK_BOT_TOKEN present: ${!!config.slack.botToken} (starts with xoxb-: ${(config.slack.botToken || '').startsWith('xoxb-')})`);
 
   // Load persisted reminders
   loadReminders();
 
   // Register Slack commands BEFORE app.start()
   registerCommands(app);
-  console.log('[slack] Message listeners registered');
+  log.info('Message listeners registered');
 
   // Start Slack app (Socket Mode — no port)
   await app.start();
-  console.log('[slack] Slack bot connected via Socket Mode');
+  log.info('Slack bot connected via Socket Mode');
+
+  // Workspace URL for Slack message links in the audit log
+  if (!config.slack.workspaceUrl) {
+    try {
+      const auth = await app.client.auth.test();
+      setWorkspaceUrl(auth.url);
+    } catch (err) {
+      log.warn(`Could not look up the Slack workspace URL: ${err.message}`);
+    }
+  }
 
   // Use hardcoded channel ID from config, verify via API
   let channelId = config.slack.channelId;
@@ -51,10 +74,10 @@ async function start() {
     // Verify the channel exists and get its info
     const info = await app.client.conversations.info({ channel: channelId });
     if (info.channel) {
-      console.log(`[startup] Verified channel #${info.channel.name} (${channelId})`);
+      log.info(`Verified channel #${info.channel.name} (${channelId})`);
     }
   } catch (err) {
-    console.warn(`[startup] Could not verify channel ${channelId}: ${err.message}`);
+    log.warn(`Could not verify channel ${channelId}: ${err.message}`);
     // Fall back to searching by name
     try {
       let cursor;
@@ -72,33 +95,44 @@ async function start() {
         cursor = result.response_metadata?.next_cursor;
       } while (cursor);
     } catch (listErr) {
-      console.error('[startup] Error looking up Slack channel:', listErr.message);
+      log.error('Error looking up Slack channel:', listErr.message);
     }
   }
 
   if (!channelId) {
-    console.warn(
-      `[startup] ⚠️ Channel #${config.slack.channel} not found — please create it and invite the bot.`
+    log.warn(
+      `⚠️ Channel #${config.slack.channel} not found — please create it and invite the bot.`
     );
   } else {
-    console.log(`[startup] Using channel #${config.slack.channel} (${channelId})`);
+    log.info(`Using channel #${config.slack.channel} (${channelId})`);
 
     // Ensure the bot has joined the channel
     try {
       await app.client.conversations.join({ channel: channelId });
-      console.log(`[startup] Bot joined channel ${channelId} (or was already a member)`);
+      log.info(`Bot joined channel ${channelId} (or was already a member)`);
     } catch (joinErr) {
       // "already_in_channel" is fine, other errors need attention
       if (joinErr.data?.error === 'already_in_channel') {
-        console.log(`[startup] Bot is already a member of channel ${channelId}`);
+        log.info(`Bot is already a member of channel ${channelId}`);
       } else if (joinErr.data?.error === 'method_not_supported_for_channel_type') {
-        console.warn(`[startup] Cannot auto-join channel ${channelId} (private channel). Please invite the bot manually: /invite @InvestorBot`);
+        log.warn(`Cannot auto-join channel ${channelId} (private channel). Please invite the bot manually: /invite @InvestorBot`);
       } else {
-        console.error(`[startup] Failed to join channel ${channelId}:`, joinErr.message);
+        log.error(`Failed to join channel ${channelId}:`, joinErr.message);
       }
     }
   }
 
+  // Check the configured board, column, group and label IDs against Monday
+  // before anything writes; drift is posted to the channel
+  try {
+    const report = await validateBoards();
+    if (report.problemCount > 0 && channelId) {
+      await app.client.chat.postMessage({ channel: channelId, text: formatBoardCheck(report) });
+    }
+  } catch (err) {
+    log.warn('Startup board check failed:', err.message);
+  }
+
   // Register Monday.com webhook routes (uses the same Express server)
   registerWebhookRoutes(server, app.client);
 
@@ -106,37 +140,37 @@ async function start() {
   const { FOLLOWUP_CHANNEL } = require('./webhook/handler');
   try {
     await app.client.conversations.join({ channel: FOLLOWUP_CHANNEL });
-    console.log(`[startup] Bot joined webhook notification channel ${FOLLOWUP_CHANNEL}`);
+    log.info(`Bot joined webhook notification channel ${FOLLOWUP_CHANNEL}`);
   } catch (joinErr) {
     if (joinErr.data?.error === 'already_in_channel') {
-      console.log(`[startup] Bot already in webhook notification channel ${FOLLOWUP_CHANNEL}`);
+      log.info(`Bot already in webhook notification channel ${FOLLOWUP_CHANNEL}`);
     } else {
-      console.warn(`[startup] Could not join webhook channel ${FOLLOWUP_CHANNEL}: ${joinErr.message}`);
+      log.warn(`Could not join webhook channel ${FOLLOWUP_CHANNEL}: ${joinErr.message}`);
     }
   }
 
   // Set up cron jobs
   setupCronJobs(app.client, channelId);
-  console.log('[cron] Scheduled cron jobs (daily scan 9AM, weekly summary Mon 8AM, stale alerts Mon 8:30AM, polling every 15min)');
+  log.info('Scheduled cron jobs (daily scan 9AM, weekly summary Mon 8AM, stale alerts Mon 8:30AM, polling every 15min)');
 
   // Start reminder checker (every 60 seconds)
   startReminderChecker(app.client, channelId);
-  console.log('[reminders] Reminder checker started (checking every 60 seconds)');
+  log.info('Reminder checker started (checking every 60 seconds)');
 
   // Startup summary
   try {
     const investors = await getActiveInvestors();
     const statusSet = new Set(investors.map(i => i.status).filter(Boolean));
-    console.log(
+    log.info(
       `🚀 Investor Follow-Up Bot started successfully. Monitoring ${investors.length} investors across ${statusSet.size} status categories.`
     );
   } catch (err) {
-    console.log('🚀 Investor Follow-Up Bot started successfully.');
-    console.warn('[startup] Could not fetch initial investor count:', err.message);
+    log.info('🚀 Investor Follow-Up Bot started successfully.');
+    log.warn('Could not fetch initial investor count:', err.message);
   }
 }
 
 start().catch(err => {
-  console.error('[fatal] Failed to start bot:', err);
+  log.error('Failed to start bot:', err);
   process.exit(1);
 });
@@ -1,130 +1,345 @@
 const config = require('../config');
+const { createLogger, withCorrelationId, getCorrelationId } = require('../utils/logger');
 
+const log = createLogger('monday/client');
+
+// ---------------------------------------------------------------------------
+// Monday.com API client — prioritized request queue with rate-limit handling
 // ---------------------------------------------------------------------------
-// Retry helper — waits then retries on 429 (rate limit) or 5xx errors
+// Every request goes through a single in-process queue:
+//   - At most `monday.queue.concurrency` requests are in flight at once
+//   - Mutations ("high") jump ahead of interactive reads ("normal"), which
+//     jump ahead of background reads from cron jobs ("low")
+//   - Each request asks Monday for its complexity budget; when the budget
+//     runs low the queue holds requests until it resets, holding background
+//     reads back first so mutations keep some headroom
+//   - Rate-limit responses (HTTP 429, COMPLEXITY_BUDGET_EXHAUSTED, etc.)
+//     pause the whole queue for Monday's `retry_in_seconds`, and retryable
+//     failures are retried with jittered exponential backoff
+//   - Requests run under the correlation ID of the caller that queued them,
+//     so their log lines line up with the command or job that asked
 // ---------------------------------------------------------------------------
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+
+const RATE_LIMIT_CODES = new Set([
+  'RATE_LIMIT',
+  'RATE_LIMIT_EXCEEDED',
+  'COMPLEXITY_BUDGET_EXHAUSTED',
+  'ComplexityException',
+  'IP_RATE_LIMIT_EXCEEDED',
+  'DAILY_LIMIT_EXCEEDED',
+  'CONCURRENCY_LIMIT_EXCEEDED',
+]);
+
+const queue = [];
+let activeCount = 0;
+let sequence = 0;
+let pausedUntil = 0;
+let wakeTimer = null;
+let wakeAt = 0;
+
+// Latest complexity budget reported by Monday
+const budget = { remaining: null, resetAt: 0 };
+
+// ---------------------------------------------------------------------------
+// Backoff + rate-limit signal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Jittered exponential backoff ("equal jitter"): half the exponential delay
+ * plus a random share of the other half, capped at maxDelayMs.
+ */
+function backoffDelayMs(retryCount) {
+  const { baseDelayMs, maxDelayMs } = config.monday.retry;
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** retryCount);
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
 }
 
 /**
- * Makes a GraphQL request to the Monday.com API.
- * Automatically retries once on rate limit (429) or server errors (5xx)
- * after a 30-second delay.
+ * Pull a retry delay out of whatever Monday told us: the Retry-After header,
+ * `extensions.retry_in_seconds`, or "reset in N seconds" in the message.
  *
- * @param {string} query      - GraphQL query or mutation string
- * @param {object} variables  - Variables to pass with the query
- * @param {object} [opts]     - Options
- * @param {Function} [opts.onRetry] - Callback(error) invoked before retrying
- * @returns {Promise<object>} The parsed JSON response data
+ * @returns {number|null} Delay in milliseconds, or null if none was given
  */
-async function mondayApi(query, variables = {}, opts = {}) {
-  const { apiToken, apiUrl } = config.monday;
+function parseRetryAfterMs({ headers, errors, message }) {
+  const header = headers && headers.get && headers.get('retry-after');
+  if (header && !isNaN(Number(header))) return Number(header) * 1000;
 
-  if (!apiToken) {
-    throw new Error('MONDAY_API_TOKEN is not set. Check your .env file.');
+  for (const e of errors || []) {
+    const seconds = e.extensions && (e.extensions.retry_in_seconds ?? e.extensions.retryInSeconds);
+    if (typeof seconds === 'number') return seconds * 1000;
   }
 
-  const isMutation = /^\s*mutation\b/i.test(query);
-  const requestBody = JSON.stringify({ query, variables });
+  const text = [message, ...(errors || []).map((e) => e.message)].filter(Boolean).join(' ');
+  const match = text.match(/reset in (\d+) seconds?/i);
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+function isRateLimitError(errors, errorCode) {
+  if (errorCode && RATE_LIMIT_CODES.has(errorCode)) return true;
+  return (errors || []).some(
+    (e) => (e.message || '').toLowerCase().includes('rate limit') ||
+           (e.message || '').toLowerCase().includes('complexity budget') ||
+           (e.extensions && RATE_LIMIT_CODES.has(e.extensions.code))
+  );
+}
 
+/**
+ * Ask Monday to report the complexity budget alongside the response by
+ * adding a `complexity` selection to the operation's root selection set.
+ */
+function withComplexity(query) {
+  if (/\bcomplexity\s*\{/.test(query)) return query;
+  const lastBrace = query.lastIndexOf('}');
+  if (lastBrace === -1) return query;
+  return `${query.slice(0, lastBrace)}  complexity { after reset_in_x_seconds }\n${query.slice(lastBrace)}`;
+}
+
+function recordComplexity(complexity) {
+  if (!complexity || typeof complexity.after !== 'number') return;
+  budget.remaining = complexity.after;
+  budget.resetAt = Date.now() + (complexity.reset_in_x_seconds || 60) * 1000;
+}
+
+/**
+ * How long a request of this priority must wait for the complexity budget.
+ */
+function budgetWaitMs(priority, now) {
+  if (budget.remaining === null) return 0;
+  if (now >= budget.resetAt) {
+    budget.remaining = null;
+    return 0;
+  }
+  const { reserve, lowPriorityReserve } = config.monday.complexity;
+  const needed = priority === 'low' ? lowPriorityReserve : reserve;
+  return budget.remaining < needed ? budget.resetAt - now : 0;
+}
+
+function pauseQueue(ms, reason) {
+  const until = Date.now() + ms;
+  if (until > pausedUntil) {
+    pausedUntil = until;
+    log.warn(`Pausing request queue for ${Math.ceil(ms / 1000)}s (${reason})`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Single HTTP request
+// ---------------------------------------------------------------------------
+
+async function sendRequest(query, variables, isMutation) {
+  const { apiToken, apiUrl } = config.monday;
+
+  const requestBody = JSON.stringify({ query: withComplexity(query), variables });
+
+  // Only the size: variables carry investor names, emails and phone numbers
   if (isMutation) {
-    console.log('[monday/client] Sending mutation, body length:', requestBody.length);
-    console.log('[monday/client] Variables:', JSON.stringify(variables));
+    log.debug('Sending mutation, body length:', requestBody.length);
   }
 
-  async function attempt(retryCount) {
-    try {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: apiToken,
-          'API-Version': '2024-10',
-        },
-        body: requestBody,
-      });
-
-      // Retryable HTTP errors: 429 rate limit or 5xx server errors
-      if ((response.status === 429 || response.status >= 500) && retryCount === 0) {
-        const text = await response.text();
-        const err = new Error(
-          `Monday.com API HTTP ${response.status}: ${text}`
-        );
-        err.statusCode = response.status;
-        err.responseBody = text;
-        err.retryable = true;
-        throw err;
-      }
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: apiToken,
+      'API-Version': '2024-10',
+    },
+    body: requestBody,
+  });
 
-      if (!response.ok) {
-        const text = await response.text();
-        console.error('[monday/client] HTTP error response:', text);
-        const err = new Error(
-          `Monday.com API HTTP ${response.status}: ${text}`
-        );
-        err.statusCode = response.status;
-        err.responseBody = text;
-        throw err;
-      }
+  // Retryable HTTP errors: 429 rate limit or 5xx server errors
+  if (response.status === 429 || response.status >= 500) {
+    const text = await response.text();
+    const err = new Error(`Monday.com API HTTP ${response.status}: ${text}`);
+    err.statusCode = response.status;
+    err.responseBody = text;
+    err.retryable = true;
+    err.rateLimited = response.status === 429;
+    err.retryAfterMs = parseRetryAfterMs({ headers: response.headers, message: text });
+    throw err;
+  }
 
-      const json = await response.json();
-
-      if (json.errors && json.errors.length > 0) {
-        const messages = json.errors.map((e) => e.message).join('; ');
-        console.error('[monday/client] GraphQL errors:', JSON.stringify(json.errors, null, 2));
-        const err = new Error(`Monday.com API errors: ${messages}`);
-        err.graphqlErrors = json.errors;
-
-        // Check for rate limit in GraphQL errors
-        const isRateLimit = json.errors.some(
-          (e) => (e.message || '').toLowerCase().includes('rate limit') ||
-                 (e.extensions && e.extensions.code === 'RATE_LIMIT')
-        );
-        if (isRateLimit && retryCount === 0) {
-          err.retryable = true;
-          throw err;
-        }
-
-        throw err;
-      }
+  if (!response.ok) {
+    const text = await response.text();
+    log.error('HTTP error response:', text);
+    const err = new Error(`Monday.com API HTTP ${response.status}: ${text}`);
+    err.statusCode = response.status;
+    err.responseBody = text;
+    throw err;
+  }
 
-      if (json.error_message) {
-        console.error('[monday/client] API error_message:', json.error_message, 'error_code:', json.error_code);
-        const err = new Error(`Monday.com API error: ${json.error_message}`);
-        err.errorCode = json.error_code;
-        throw err;
-      }
+  const json = await response.json();
 
-      if (isMutation) {
-        console.log('[monday/client] Mutation succeeded, data:', JSON.stringify(json.data));
-      }
+  if (json.data && json.data.complexity) {
+    recordComplexity(json.data.complexity);
+    delete json.data.complexity;
+  }
 
-      return json.data;
-    } catch (err) {
-      // Retry once on retryable errors
-      if (err.retryable && retryCount === 0) {
-        const retryDelay = 30000; // 30 seconds
-        console.warn(`[monday/client] Retryable error (${err.statusCode || 'GraphQL'}): ${err.message}. Retrying in ${retryDelay / 1000}s...`);
+  if (json.errors && json.errors.length > 0) {
+    const messages = json.errors.map((e) => e.message).join('; ');
+    log.error('GraphQL errors:', JSON.stringify(json.errors));
+    const err = new Error(`Monday.com API errors: ${messages}`);
+    err.graphqlErrors = json.errors;
+    // Partial results — aliased batch mutations can succeed for some items
+    err.data = json.data || null;
 
-        if (opts.onRetry) {
-          try { opts.onRetry(err); } catch (_) { /* ignore callback errors */ }
-        }
+    if (isRateLimitError(json.errors)) {
+      err.retryable = true;
+      err.rateLimited = true;
+      err.retryAfterMs = parseRetryAfterMs({ errors: json.errors });
+    }
+    throw err;
+  }
 
-        await sleep(retryDelay);
-        return attempt(retryCount + 1);
-      }
+  if (json.error_message) {
+    log.error('API error_message:', json.error_message, 'error_code:', json.error_code);
+    const err = new Error(`Monday.com API error: ${json.error_message}`);
+    err.errorCode = json.error_code;
+    if (isRateLimitError([], json.error_code)) {
+      err.retryable = true;
+      err.rateLimited = true;
+      err.retryAfterMs = parseRetryAfterMs({ message: json.error_message });
+    }
+    throw err;
+  }
+
+  return json.data;
+}
+
+// ---------------------------------------------------------------------------
+// Queue
+// ---------------------------------------------------------------------------
+
+function scheduleWake(ms) {
+  const at = Date.now() + Math.max(ms, 0);
+  if (wakeTimer && wakeAt <= at) return;
+  if (wakeTimer) clearTimeout(wakeTimer);
+  wakeAt = at;
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    pump();
+  }, Math.max(ms, 0));
+}
+
+function pump() {
+  while (activeCount < config.monday.queue.concurrency && queue.length > 0) {
+    const now = Date.now();
+    if (now < pausedUntil) {
+      scheduleWake(pausedUntil - now);
+      return;
+    }
+
+    queue.sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] || a.seq - b.seq);
+
+    // First task (by priority) that is not backing off and fits the budget
+    let nextWait = Infinity;
+    const index = queue.findIndex((task) => {
+      const wait = Math.max(task.notBefore - now, budgetWaitMs(task.priority, now));
+      if (wait > 0) nextWait = Math.min(nextWait, wait);
+      return wait <= 0;
+    });
+
+    if (index === -1) {
+      scheduleWake(nextWait);
+      return;
+    }
+
+    const [task] = queue.splice(index, 1);
+    activeCount++;
+    withCorrelationId(task.correlationId, () => runTask(task)).finally(() => {
+      activeCount--;
+      pump();
+    });
+  }
+}
+
+async function runTask(task) {
+  try {
+    task.resolve(await sendRequest(task.query, task.variables, task.isMutation));
+  } catch (err) {
+    const { maxRetries } = config.monday.retry;
+
+    if (err.retryable && task.retryCount < maxRetries) {
+      const delay = err.retryAfterMs != null
+        ? err.retryAfterMs + Math.round(Math.random() * 1000)
+        : backoffDelayMs(task.retryCount);
 
-      console.error('[monday/client] API request failed:', err.message);
-      if (err.graphqlErrors) {
-        console.error('[monday/client] GraphQL error details:', JSON.stringify(err.graphqlErrors, null, 2));
+      if (err.rateLimited) pauseQueue(delay, err.statusCode ? `HTTP ${err.statusCode}` : 'rate limit');
+
+      log.warn(
+        `Retryable error (${err.statusCode || 'GraphQL'}): ${err.message}. Retry ${task.retryCount + 1}/${maxRetries} in ${Math.ceil(delay / 1000)}s...`
+      );
+
+      if (task.onRetry) {
+        try { task.onRetry(err); } catch (_) { /* ignore callback errors */ }
       }
-      throw err;
+
+      task.retryCount++;
+      task.notBefore = Date.now() + delay;
+      queue.push(task);
+      return;
     }
+
+    log.error('API request failed:', err.message);
+    if (err.graphqlErrors) {
+      log.error('GraphQL error details:', JSON.stringify(err.graphqlErrors));
+    }
+    task.reject(err);
+  }
+}
+
+/**
+ * Makes a GraphQL request to the Monday.com API through the shared queue.
+ * Retries rate limits (429 / complexity budget) and 5xx errors with jittered
+ * exponential backoff, honoring Monday's retry_in_seconds when present.
+ *
+ * @param {string} query      - GraphQL query or mutation string
+ * @param {object} variables  - Variables to pass with the query
+ * @param {object} [opts]     - Options
+ * @param {'high'|'normal'|'low'} [opts.priority] - Queue priority; defaults to
+ *   "high" for mutations and "normal" for queries. Use "low" for cron reads.
+ * @param {Function} [opts.onRetry] - Callback(error) invoked before retrying
+ * @returns {Promise<object>} The parsed JSON response data
+ */
+async function mondayApi(query, variables = {}, opts = {}) {
+  if (!config.monday.apiToken) {
+    throw new Error('MONDAY_API_TOKEN is not set. Check your .env file.');
   }
 
-  return attempt(0);
+  const isMutation = /^\s*mutation\b/i.test(query);
+  const priority = PRIORITY_ORDER[opts.priority] !== undefined
+    ? opts.priority
+    : (isMutation ? 'high' : 'normal');
+
+  return new Promise((resolve, reject) => {
+    queue.push({
+      query,
+      variables,
+      isMutation,
+      priority,
+      onRetry: opts.onRetry,
+      correlationId: getCorrelationId(),
+      retryCount: 0,
+      notBefore: 0,
+      seq: sequence++,
+      resolve,
+      reject,
+    });
+    pump();
+  });
+}
+
+/**
+ * Snapshot of the queue and budget state, for diagnostics.
+ */
+function getQueueStats() {
+  return {
+    queued: queue.length,
+    active: activeCount,
+    pausedForMs: Math.max(pausedUntil - Date.now(), 0),
+    complexityRemaining: budget.remaining,
+  };
 }
 
-module.exports = { mondayApi };
+module.exports = { mondayApi, getQueueStats };
@@ -0,0 +1,147 @@
+const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('monday/investorCache');
+
+// ---------------------------------------------------------------------------
+// Investor cache — parsed Investor List items held in memory
+// ---------------------------------------------------------------------------
+// The whole board is loaded once and served from memory until the TTL runs
+// out. Single items are kept fresh between full loads by:
+//   - patch(id, investor)  — replace an item with data we already have
+//   - invalidate(id)       — mark an item stale; it is refetched (by ID) on
+//                            the next read instead of reloading the board
+//   - remove(id)           — drop a deleted/archived item
+// Monday webhooks and our own mutations call these so reads stay current.
+// ---------------------------------------------------------------------------
+
+let investors = null;         // Map<itemId, investor>
+let loadedAt = 0;
+let loading = null;           // in-flight full load, shared by concurrent reads
+const staleIds = new Set();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  itemRefreshes: 0,
+  patches: 0,
+  invalidations: 0,
+  removals: 0,
+};
+
+function isFresh() {
+  return investors !== null && Date.now() - loadedAt < config.monday.cache.ttlMs;
+}
+
+/**
+ * Return all cached investors, loading or refreshing as needed.
+ *
+ * @param {object} loaders
+ * @param {Function} loaders.loadAll   - async () => investor[] (whole board)
+ * @param {Function} loaders.loadItems - async (ids) => { investors, goneIds } (subset,
+ *   plus the IDs Monday reported as deleted or moved off the board)
+ * @returns {Promise<Array>} Investors in board order
+ */
+async function getInvestors({ loadAll, loadItems }) {
+  if (!isFresh()) {
+    stats.misses++;
+    if (!loading) {
+      loading = loadAll()
+        .then((list) => {
+          investors = new Map(list.map((inv) => [String(inv.id), inv]));
+          loadedAt = Date.now();
+          staleIds.clear();
+        })
+        .finally(() => {
+          loading = null;
+        });
+    }
+    await loading;
+    return Array.from(investors.values());
+  }
+
+  stats.hits++;
+
+  if (staleIds.size > 0) {
+    const ids = Array.from(staleIds);
+    staleIds.clear();
+    try {
+      const { investors: fresh, goneIds } = await loadItems(ids);
+      for (const inv of fresh) investors.set(String(inv.id), inv);
+      // Only evict what Monday says is gone; an ID it didn't return at all
+      // keeps its cached copy until the next full load
+      for (const id of goneIds) investors.delete(String(id));
+      stats.itemRefreshes += ids.length;
+    } catch (err) {
+      log.warn(`Item refresh failed, will reload board: ${err.message}`);
+      ids.forEach((id) => staleIds.add(id));
+      loadedAt = 0;
+      return getInvestors({ loadAll, loadItems });
+    }
+  }
+
+  return Array.from(investors.values());
+}
+
+/**
+ * Replace (or add) a single investor with already-parsed data.
+ */
+function patch(itemId, investor) {
+  if (!investors) return;
+  investors.set(String(itemId), investor);
+  staleIds.delete(String(itemId));
+  stats.patches++;
+}
+
+/**
+ * Mark a single investor stale so the next read refetches it by ID.
+ * Unknown IDs are included, which is how newly created items get picked up.
+ */
+function invalidate(itemId) {
+  if (!investors || !itemId) return;
+  staleIds.add(String(itemId));
+  stats.invalidations++;
+}
+
+/**
+ * Drop a single investor from the cache.
+ */
+function remove(itemId) {
+  if (!investors) return;
+  investors.delete(String(itemId));
+  staleIds.delete(String(itemId));
+  stats.removals++;
+}
+
+/**
+ * Throw away everything; the next read reloads the whole board.
+ */
+function clear() {
+  investors = null;
+  loadedAt = 0;
+  staleIds.clear();
+}
+
+/**
+ * Hit/miss counters plus the current cache state.
+ */
+function getStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) : null,
+    size: investors ? investors.size : 0,
+    stale: staleIds.size,
+    ageMs: investors ? Date.now() - loadedAt : null,
+    ttlMs: config.monday.cache.ttlMs,
+  };
+}
+
+module.exports = {
+  getInvestors,
+  patch,
+  invalidate,
+  remove,
+  clear,
+  getStats,
+};
@@ -1,5 +1,12 @@
 const config = require('../config');
 const { mondayApi } = require('./client');
+const investorCache = require('./investorCache');
+const { snapshotColumns, snapshotItems, recordUpdate, recordCreate } = require('../history/journal');
+const { auditChange, auditUpdate, auditCreate } = require('../history/audit');
+const { assertWritable, unwritableReason } = require('./schema');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('monday/mutations');
 
 // Board IDs
 const INVESTOR_LIST_BOARD_ID = String(config.monday.boards.investorList);
@@ -63,6 +70,28 @@ const MOVE_ITEM_TO_GROUP = `
   }
 `;
 
+/**
+ * The column IDs in a column_values payload (object or JSON string).
+ */
+function columnIdsOf(columnValues) {
+  return Object.keys(typeof columnValues === 'string' ? JSON.parse(columnValues) : columnValues || {});
+}
+
+/**
+ * mondayApi for column writes and item creates. Refuses (throws) when the
+ * last board check couldn't find a target column or group on the board —
+ * see monday/schema.js.
+ */
+function mondayWrite(query, variables) {
+  assertWritable(variables.boardId, {
+    columnIds: variables.columnValues !== undefined
+      ? columnIdsOf(variables.columnValues)
+      : [variables.columnId].filter(Boolean),
+    groupId: variables.groupId,
+  });
+  return mondayApi(query, variables);
+}
+
 // ---------------------------------------------------------------------------
 // Mutation helpers — Investor List board (updates to existing investors)
 // ---------------------------------------------------------------------------
@@ -78,23 +107,24 @@ const MOVE_ITEM_TO_GROUP = `
 async function updateColumnValue(itemId, columnId, value, boardId) {
   const targetBoard = boardId || INVESTOR_LIST_BOARD_ID;
   try {
-    console.log(`[monday/mutations] updateColumnValue: board=${targetBoard} item=${itemId} col=${columnId} value=${value}`);
-    const data = await mondayApi(CHANGE_MULTIPLE_VALUES, {
+    log.info(`updateColumnValue: board=${targetBoard} item=${itemId} cols=${columnIdsOf(value).join(',')}`);
+    const before = await snapshotColumns(targetBoard, itemId, columnIdsOf(value));
+    const data = await mondayWrite(CHANGE_MULTIPLE_VALUES, {
       boardId: targetBoard,
       itemId: String(itemId),
       columnValues: value,
     });
-    console.log(`[monday/mutations] updateColumnValue succeeded for item ${itemId}`);
+    log.info(`updateColumnValue succeeded for item ${itemId}`);
+    recordUpdate(before);
+    auditUpdate(before, value);
+    if (targetBoard === INVESTOR_LIST_BOARD_ID) investorCache.invalidate(itemId);
     return data;
   } catch (err) {
-    console.error(`[monday/mutations] updateColumnValue FAILED for item ${itemId}:`, err.message);
-    console.error(`[monday/mutations] Error details:`, JSON.stringify({
+    log.error(`updateColumnValue FAILED for item ${itemId}:`, err.message);
+    log.error('Error details:', err, {
       graphqlErrors: err.graphqlErrors,
-      errorCode: err.errorCode,
-      statusCode: err.statusCode,
       responseBody: err.responseBody,
-      stack: err.stack,
-    }, null, 2));
+    });
     return null;
   }
 }
@@ -107,17 +137,21 @@ async function updateNextFollowUp(itemId, dateStr) {
     const columnValues = JSON.stringify({
       [investorCols.nextFollowUp]: { date: dateStr },
     });
-    console.log(`[monday/mutations] updateNextFollowUp: item=${itemId} date=${dateStr}`);
+    log.info(`updateNextFollowUp: item=${itemId} date=${dateStr}`);
 
-    const data = await mondayApi(CHANGE_MULTIPLE_VALUES, {
+    const before = await snapshotColumns(INVESTOR_LIST_BOARD_ID, itemId, [investorCols.nextFollowUp]);
+    const data = await mondayWrite(CHANGE_MULTIPLE_VALUES, {
       boardId: INVESTOR_LIST_BOARD_ID,
       itemId: String(itemId),
       columnValues,
     });
-    console.log(`[monday/mutations] updateNextFollowUp succeeded for item ${itemId}`);
+    log.info(`updateNextFollowUp succeeded for item ${itemId}`);
+    recordUpdate(before);
+    auditUpdate(before, columnValues);
+    investorCache.invalidate(itemId);
     return data;
   } catch (err) {
-    console.error(`[monday/mutations] updateNextFollowUp FAILED for item ${itemId}:`, err.message);
+    log.error(`updateNextFollowUp FAILED for item ${itemId}:`, err.message);
     return null;
   }
 }
@@ -130,17 +164,21 @@ async function updateLastContactDate(itemId, dateStr) {
     const columnValues = JSON.stringify({
       [investorCols.lastContactDate]: { date: dateStr },
     });
-    console.log(`[monday/mutations] updateLastContactDate: item=${itemId} date=${dateStr}`);
+    log.info(`updateLastContactDate: item=${itemId} date=${dateStr}`);
 
-    const data = await mondayApi(CHANGE_MULTIPLE_VALUES, {
+    const before = await snapshotColumns(INVESTOR_LIST_BOARD_ID, itemId, [investorCols.lastContactDate]);
+    const data = await mondayWrite(CHANGE_MULTIPLE_VALUES, {
       boardId: INVESTOR_LIST_BOARD_ID,
       itemId: String(itemId),
       columnValues,
     });
-    console.log(`[monday/mutations] updateLastContactDate succeeded for item ${itemId}`);
+    log.info(`updateLastContactDate succeeded for item ${itemId}`);
+    recordUpdate(before);
+    auditUpdate(before, columnValues);
+    investorCache.invalidate(itemId);
     return data;
   } catch (err) {
-    console.error(`[monday/mutations] updateLastContactDate FAILED for item ${itemId}:`, err.message);
+    log.error(`updateLastContactDate FAILED for item ${itemId}:`, err.message);
     return null;
   }
 }
@@ -150,28 +188,51 @@ async function updateLastContactDate(itemId, dateStr) {
  */
 async function updateItemName(itemId, newName) {
   try {
-    console.log(`[monday/mutations] updateItemName: item=${itemId} newName="${newName}"`);
-    const data = await mondayApi(CHANGE_SIMPLE_VALUE, {
+    log.info(`updateItemName: item=${itemId} newName="${newName}"`);
+    const before = await snapshotColumns(INVESTOR_LIST_BOARD_ID, itemId, ['name']);
+    const data = await mondayWrite(CHANGE_SIMPLE_VALUE, {
       boardId: INVESTOR_LIST_BOARD_ID,
       itemId: String(itemId),
       columnId: 'name',
       value: newName,
     });
-    console.log(`[monday/mutations] updateItemName succeeded for item ${itemId}`);
+    log.info(`updateItemName succeeded for item ${itemId}`);
+    recordUpdate(before);
+    auditUpdate(before, { name: newName });
+    investorCache.invalidate(itemId);
     return data;
   } catch (err) {
-    console.error(`[monday/mutations] updateItemName FAILED for item ${itemId}:`, err.message);
+    log.error(`updateItemName FAILED for item ${itemId}:`, err.message);
     return null;
   }
 }
 
+const GOING_COLD_FLAG = '\uD83D\uDD34'; // Red circle emoji
+
+/**
+ * Returns the investor name with the going-cold flag prepended, or null if
+ * the name is already flagged.
+ */
+function flaggedName(currentName) {
+  if (currentName.startsWith(GOING_COLD_FLAG)) return null;
+  return `${GOING_COLD_FLAG} ${currentName}`;
+}
+
+/**
+ * Returns the investor name with the going-cold flag removed, or null if
+ * the name is not flagged.
+ */
+function unflaggedName(currentName) {
+  if (!currentName.startsWith(GOING_COLD_FLAG)) return null;
+  return currentName.replace(/^\uD83D\uDD34\s*/u, '');
+}
+
 /**
  * Prepend the "going cold" indicator to an investor's name if not already present.
  */
 async function addGoingColdFlag(itemId, currentName) {
-  const FLAG = '\uD83D\uDD34'; // Red circle emoji
-  if (currentName.startsWith(FLAG)) return null;
-  const newName = `${FLAG} ${currentName}`;
+  const newName = flaggedName(currentName);
+  if (!newName) return null;
   return updateItemName(itemId, newName);
 }
 
@@ -179,12 +240,130 @@ async function addGoingColdFlag(itemId, currentName) {
  * Remove the "going cold" indicator from an investor's name if present.
  */
 async function removeGoingColdFlag(itemId, currentName) {
-  const FLAG = '\uD83D\uDD34'; // Red circle emoji
-  if (!currentName.startsWith(FLAG)) return null;
-  const newName = currentName.replace(/^\uD83D\uDD34\s*/u, '');
+  const newName = unflaggedName(currentName);
+  if (!newName) return null;
   return updateItemName(itemId, newName);
 }
 
+// ---------------------------------------------------------------------------
+// Batch updates — many change_multiple_column_values calls per request
+// ---------------------------------------------------------------------------
+
+/**
+ * Build one mutation containing an aliased change_multiple_column_values
+ * call per update (u0, u1, ...), each with its own variables.
+ */
+function buildBatchMutation(updates) {
+  const params = [];
+  const fields = [];
+  const variables = {};
+
+  updates.forEach((update, i) => {
+    params.push(`$b${i}: ID!, $i${i}: ID!, $v${i}: JSON!`);
+    fields.push(
+      `u${i}: change_multiple_column_values(board_id: $b${i}, item_id: $i${i}, column_values: $v${i}) { id }`
+    );
+    variables[`b${i}`] = String(update.boardId || INVESTOR_LIST_BOARD_ID);
+    variables[`i${i}`] = String(update.itemId);
+    variables[`v${i}`] = typeof update.columnValues === 'string'
+      ? update.columnValues
+      : JSON.stringify(update.columnValues);
+  });
+
+  const query = `mutation (${params.join(', ')}) {\n  ${fields.join('\n  ')}\n}`;
+  return { query, variables };
+}
+
+/**
+ * Apply many column updates using aliased mutations, `batchSize` per request.
+ * Monday applies each aliased field independently, so one bad item does not
+ * fail the rest of its batch.
+ *
+ * Column values may include `name` to rename the item in the same call.
+ * Callers that already know the item's current values pass them as
+ * `previousValues` (columnId → raw value, plus `itemName`) to spare Monday
+ * the read the audit log would otherwise need.
+ *
+ * @param {Array<{itemId: string|number, columnValues: object|string, boardId?: string,
+ *   itemName?: string, previousValues?: object}>} updates
+ * @param {object} [opts]
+ * @param {number} [opts.batchSize] - Updates per request (default config.monday.batchSize)
+ * @returns {Promise<Array<{itemId: string, success: boolean, error: string|null}>>}
+ *   One result per update, in input order
+ */
+async function batchUpdateColumnValues(updates, opts = {}) {
+  const batchSize = opts.batchSize || config.monday.batchSize;
+  const results = new Array(updates.length);
+
+  // Updates to columns the last board check couldn't find fail up front
+  const writable = [];
+  updates.forEach((update, index) => {
+    const refusal = unwritableReason(update.boardId || INVESTOR_LIST_BOARD_ID, {
+      columnIds: columnIdsOf(update.columnValues),
+    });
+    if (refusal) {
+      results[index] = { itemId: String(update.itemId), success: false, error: `Refused: ${refusal}` };
+    } else {
+      writable.push(index);
+    }
+  });
+
+  for (let start = 0; start < writable.length; start += batchSize) {
+    const indexes = writable.slice(start, start + batchSize);
+    const chunk = indexes.map((index) => updates[index]);
+    const { query, variables } = buildBatchMutation(chunk);
+    log.info(`batchUpdateColumnValues: ${chunk.length} item(s) in one request`);
+    const snapshots = await snapshotItems(chunk.map((update) => ({
+      boardId: String(update.boardId || INVESTOR_LIST_BOARD_ID),
+      itemId: update.itemId,
+      columnIds: columnIdsOf(update.columnValues),
+      itemName: update.itemName,
+      previousValues: update.previousValues,
+    })));
+
+    let data = null;
+    let errors = [];
+    let requestError = null;
+    try {
+      data = await mondayApi(query, variables);
+    } catch (err) {
+      data = err.data || null;
+      errors = err.graphqlErrors || [];
+      requestError = err.message;
+    }
+
+    chunk.forEach((update, i) => {
+      const alias = `u${i}`;
+      if (String(update.boardId || INVESTOR_LIST_BOARD_ID) === INVESTOR_LIST_BOARD_ID) {
+        investorCache.invalidate(update.itemId);
+      }
+      const itemError = errors.find((e) => Array.isArray(e.path) && e.path[0] === alias);
+      const ok = Boolean(data && data[alias] && data[alias].id) && !itemError;
+      if (ok) {
+        recordUpdate(snapshots[i]);
+        auditUpdate(snapshots[i], update.columnValues);
+      }
+      results[indexes[i]] = {
+        itemId: String(update.itemId),
+        success: ok,
+        error: ok ? null : (itemError ? itemError.message : requestError || 'No data returned'),
+      };
+    });
+  }
+
+  const failed = results.filter((r) => !r.success);
+  if (failed.length > 0) {
+    log.error(
+      `batchUpdateColumnValues: ${failed.length}/${results.length} update(s) FAILED:`,
+      failed.map((r) => `${r.itemId} (${r.error})`).join(', ')
+    );
+  } else {
+    log.info(`batchUpdateColumnValues succeeded for ${results.length} item(s)`);
+  }
+
+  return results;
+}
+
 /**
  * Update the "Assigned To" people column on an investor item (Investor List board).
  */
@@ -195,17 +374,60 @@ async function updateAssignedTo(itemId, mondayPersonId) {
         personsAndTeams: [{ id: Number(mondayPersonId), kind: 'person' }],
       },
     });
-    console.log(`[monday/mutations] updateAssignedTo: item=${itemId} person=${mondayPersonId}`);
+    log.info(`updateAssignedTo: item=${itemId} person=${mondayPersonId}`);
 
-    const data = await mondayApi(CHANGE_MULTIPLE_VALUES, {
+    const before = await snapshotColumns(INVESTOR_LIST_BOARD_ID, itemId, [investorCols.assignedTo]);
+    const data = await mondayWrite(CHANGE_MULTIPLE_VALUES, {
       boardId: INVESTOR_LIST_BOARD_ID,
       itemId: String(itemId),
       columnValues,
     });
-    console.log(`[monday/mutations] updateAssignedTo succeeded for item ${itemId}`);
+    log.info(`updateAssignedTo succeeded for item ${itemId}`);
+    recordUpdate(before);
+    auditUpdate(before, columnValues);
+    investorCache.invalidate(itemId);
     return data;
   } catch (err) {
-    console.error(`[monday/mutations] updateAssignedTo FAILED for item ${itemId}:`, err.message);
+    log.error(`updateAssignedTo FAILED for item ${itemId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Update "Investment Interest" and/or "Deal Interest" on an investor item
+ * (Investor List board).
+ *
+ * @param {string|number} itemId
+ * @param {Object}   opts
+ * @param {number}   [opts.amount]     - Investment interest in dollars
+ * @param {string[]} [opts.dealLabels] - Deal Interest dropdown labels (replaces the current set)
+ */
+async function updateInvestmentInterest(itemId, { amount, dealLabels } = {}) {
+  try {
+    const columnValues = {};
+    if (amount) {
+      columnValues[investorCols.investmentInterest] = String(amount);
+    }
+    if (dealLabels && dealLabels.length > 0) {
+      columnValues[investorCols.dealInterest] = { labels: dealLabels };
+    }
+    if (Object.keys(columnValues).length === 0) return null;
+
+    log.info(`updateInvestmentInterest: item=${itemId} amount=${amount || '-'} deals=${(dealLabels || []).join('|') || '-'}`);
+
+    const before = await snapshotColumns(INVESTOR_LIST_BOARD_ID, itemId, Object.keys(columnValues));
+    const data = await mondayWrite(CHANGE_MULTIPLE_VALUES, {
+      boardId: INVESTOR_LIST_BOARD_ID,
+      itemId: String(itemId),
+      columnValues: JSON.stringify(columnValues),
+    });
+    log.info(`updateInvestmentInterest succeeded for item ${itemId}`);
+    recordUpdate(before);
+    auditUpdate(before, columnValues);
+    investorCache.invalidate(itemId);
+    return data;
+  } catch (err) {
+    log.error(`updateInvestmentInterest FAILED for item ${itemId}:`, err.message);
     return null;
   }
 }
@@ -249,9 +471,9 @@ async function createInvestor(investor) {
       };
     }
 
-    console.log(`[monday/mutations] createInvestor: name="${investor.name}" cols=${JSON.stringify(columnValues)}`);
+    log.info(`createInvestor: name="${investor.name}" cols=${Object.keys(columnValues).join(',')}`);
 
-    const data = await mondayApi(CREATE_ITEM, {
+    const data = await mondayWrite(CREATE_ITEM, {
       boardId: INVESTOR_LIST_BOARD_ID,
       groupId: config.monday.groups.coldNewLeads,
       itemName: investor.name,
@@ -260,7 +482,10 @@ async function createInvestor(investor) {
 
     if (data && data.create_item) {
       const newItem = data.create_item;
-      console.log(`[monday/mutations] createInvestor succeeded: id=${newItem.id} name="${newItem.name}"`);
+      log.info(`createInvestor succeeded: id=${newItem.id} name="${newItem.name}"`);
+      recordCreate(INVESTOR_LIST_BOARD_ID, newItem);
+      auditCreate(INVESTOR_LIST_BOARD_ID, newItem, columnValues);
+      investorCache.invalidate(newItem.id);
       return {
         id: newItem.id,
         name: newItem.name,
@@ -269,7 +494,7 @@ async function createInvestor(investor) {
     }
     return null;
   } catch (err) {
-    console.error(`[monday/mutations] createInvestor FAILED:`, err.message);
+    log.error(`createInvestor FAILED:`, err.message);
     return null;
   }
 }
@@ -339,9 +564,9 @@ async function createFollowUpActivity(opts) {
     // Set the date column to today
     columnValues[rmCols.date] = { date: today };
 
-    console.log(`[monday/mutations] createFollowUpActivity: name="${opts.investorName}" cols=${JSON.stringify(columnValues)}`);
+    log.info(`createFollowUpActivity: name="${opts.investorName}" cols=${Object.keys(columnValues).join(',')}`);
 
-    const data = await mondayApi(CREATE_ITEM, {
+    const data = await mondayWrite(CREATE_ITEM, {
       boardId: RM_BOARD_ID,
       groupId: config.monday.rmGroups.activeFollowUps,
       itemName: opts.investorName,
@@ -350,7 +575,9 @@ async function createFollowUpActivity(opts) {
 
     if (data && data.create_item) {
       const newItem = data.create_item;
-      console.log(`[monday/mutations] createFollowUpActivity succeeded: id=${newItem.id}`);
+      log.info(`createFollowUpActivity succeeded: id=${newItem.id}`);
+      recordCreate(RM_BOARD_ID, newItem);
+      auditCreate(RM_BOARD_ID, newItem, columnValues);
       return {
         id: newItem.id,
         name: newItem.name,
@@ -359,7 +586,7 @@ async function createFollowUpActivity(opts) {
     }
     return null;
   } catch (err) {
-    console.error(`[monday/mutations] createFollowUpActivity FAILED:`, err.message);
+    log.error(`createFollowUpActivity FAILED:`, err.message);
     return null;
   }
 }
@@ -398,17 +625,20 @@ async function updateRMItem(itemId, opts) {
       columnValues[rmCols.investorStatus] = { label: opts.investorStatus };
     }
 
-    console.log(`[monday/mutations] updateRMItem: item=${itemId} cols=${JSON.stringify(columnValues)}`);
+    log.info(`updateRMItem: item=${itemId} cols=${Object.keys(columnValues).join(',')}`);
 
-    const data = await mondayApi(CHANGE_MULTIPLE_VALUES, {
+    const before = await snapshotColumns(RM_BOARD_ID, itemId, Object.keys(columnValues));
+    const data = await mondayWrite(CHANGE_MULTIPLE_VALUES, {
       boardId: RM_BOARD_ID,
       itemId: String(itemId),
       columnValues: JSON.stringify(columnValues),
     });
-    console.log(`[monday/mutations] updateRMItem succeeded for item ${itemId}`);
+    log.info(`updateRMItem succeeded for item ${itemId}`);
+    recordUpdate(before);
+    auditUpdate(before, columnValues);
     return data;
   } catch (err) {
-    console.error(`[monday/mutations] updateRMItem FAILED for item ${itemId}:`, err.message);
+    log.error(`updateRMItem FAILED for item ${itemId}:`, err.message);
     return null;
   }
 }
@@ -418,15 +648,22 @@ async function updateRMItem(itemId, opts) {
  */
 async function completeFollowUp(itemId) {
   try {
-    console.log(`[monday/mutations] completeFollowUp: item=${itemId}`);
+    log.info(`completeFollowUp: item=${itemId}`);
+    assertWritable(RM_BOARD_ID, { groupId: config.monday.rmGroups.completedFollowUps });
     const data = await mondayApi(MOVE_ITEM_TO_GROUP, {
       itemId: String(itemId),
       groupId: config.monday.rmGroups.completedFollowUps,
     });
-    console.log(`[monday/mutations] completeFollowUp succeeded for item ${itemId}`);
+    log.info(`completeFollowUp succeeded for item ${itemId}`);
+    auditChange({
+      event: 'move',
+      boardId: RM_BOARD_ID,
+      itemId,
+      changes: [{ column: 'group', after: config.monday.rmGroups.completedFollowUps }],
+    });
     return data;
   } catch (err) {
-    console.error(`[monday/mutations] completeFollowUp FAILED for item ${itemId}:`, err.message);
+    log.error(`completeFollowUp FAILED for item ${itemId}:`, err.message);
     return null;
   }
 }
@@ -474,9 +711,9 @@ async function logCommunication(opts) {
 
     const groupId = opts.groupId || config.monday.commsGroups.adHocCommunications;
 
-    console.log(`[monday/mutations] logCommunication: name="${opts.name}" group=${groupId}`);
+    log.info(`logCommunication: name="${opts.name}" group=${groupId}`);
 
-    const data = await mondayApi(CREATE_ITEM, {
+    const data = await mondayWrite(CREATE_ITEM, {
       boardId: COMMS_LOG_BOARD_ID,
       groupId,
       itemName: opts.name,
@@ -485,16 +722,113 @@ async function logCommunication(opts) {
 
     if (data && data.create_item) {
       const newItem = data.create_item;
-      console.log(`[monday/mutations] logCommunication succeeded: id=${newItem.id}`);
+      log.info(`logCommunication succeeded: id=${newItem.id}`);
+      recordCreate(COMMS_LOG_BOARD_ID, newItem);
+      auditCreate(COMMS_LOG_BOARD_ID, newItem, columnValues);
       return { id: newItem.id, name: newItem.name };
     }
     return null;
   } catch (err) {
-    console.error(`[monday/mutations] logCommunication FAILED:`, err.message);
+    log.error(`logCommunication FAILED:`, err.message);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Undo — restore journaled column values (audited, never journaled itself)
+// ---------------------------------------------------------------------------
+
+/**
+ * Write back column values recorded by the operation journal. A null value
+ * clears the column.
+ *
+ * @param {string|number} boardId
+ * @param {string|number} itemId
+ * @param {Object} values - columnId → raw Monday value
+ * @returns {Promise<Object|null>}
+ */
+async function restoreColumnValues(boardId, itemId, values) {
+  try {
+    log.info(`restoreColumnValues: board=${boardId} item=${itemId} cols=${Object.keys(values).join(',')}`);
+    const before = await snapshotColumns(String(boardId), itemId, Object.keys(values));
+    const data = await mondayWrite(CHANGE_MULTIPLE_VALUES, {
+      boardId: String(boardId),
+      itemId: String(itemId),
+      columnValues: JSON.stringify(values),
+    });
+    log.info(`restoreColumnValues succeeded for item ${itemId}`);
+    auditUpdate(before, values, 'undo');
+    if (String(boardId) === INVESTOR_LIST_BOARD_ID) investorCache.invalidate(itemId);
+    return data;
+  } catch (err) {
+    log.error(`restoreColumnValues FAILED for item ${itemId}:`, err.message);
     return null;
   }
 }
 
+// ---------------------------------------------------------------------------
+// Recycle bin — archive instead of delete, recreate on restore
+// ---------------------------------------------------------------------------
+
+/**
+ * Archive an item (Monday keeps archived items for 30 days).
+ *
+ * @param {string|number} itemId
+ * @param {Object} [item] - { boardId, itemName }, for the audit log
+ */
+async function archiveItem(itemId, { boardId, itemName } = {}) {
+  try {
+    log.info(`archiveItem: item=${itemId}`);
+    const data = await mondayApi(
+      'mutation ($itemId: ID!) { archive_item(item_id: $itemId) { id } }',
+      { itemId: String(itemId) }
+    );
+    log.info(`archiveItem succeeded: ${itemId}`);
+    auditChange({ event: 'archive', boardId, itemId, itemName });
+    investorCache.remove(itemId);
+    return data;
+  } catch (err) {
+    log.error(`archiveItem FAILED: ${itemId}`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Recreate a deleted item from its recycle bin snapshot.
+ *
+ * @param {Object} opts
+ * @param {string} opts.boardId
+ * @param {string} [opts.groupId]     - Falls back to the board's top group if it no longer exists
+ * @param {string} opts.itemName
+ * @param {Object} opts.columnValues  - columnId → writable value
+ * @returns {Promise<{id: string, name: string}|null>}
+ */
+async function recreateItem({ boardId, groupId, itemName, columnValues }) {
+  for (const targetGroup of groupId ? [groupId, null] : [null]) {
+    try {
+      log.info(`recreateItem: board=${boardId} group=${targetGroup || 'default'} name="${itemName}"`);
+      const data = await mondayWrite(CREATE_ITEM, {
+        boardId: String(boardId),
+        groupId: targetGroup,
+        itemName,
+        columnValues: JSON.stringify(columnValues),
+      });
+
+      if (data && data.create_item) {
+        const newItem = data.create_item;
+        log.info(`recreateItem succeeded: id=${newItem.id}`);
+        recordCreate(boardId, newItem);
+        auditCreate(boardId, newItem, columnValues, 'restore');
+        if (String(boardId) === INVESTOR_LIST_BOARD_ID) investorCache.invalidate(newItem.id);
+        return { id: newItem.id, name: newItem.name };
+      }
+    } catch (err) {
+      log.error(`recreateItem FAILED in group ${targetGroup || 'default'}:`, err.message);
+    }
+  }
+  return null;
+}
+
 // ---------------------------------------------------------------------------
 // Diagnostic test
 // ---------------------------------------------------------------------------
@@ -506,27 +840,29 @@ async function testMondayWrite(testItemId) {
   const today = new Date();
   const dateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
 
-  console.log('[monday/mutations] TEST WRITE starting...');
+  log.info('TEST WRITE starting...');
 
   // Test 1: Read from Investor List board
-  console.log(`[monday/mutations] TEST READ: board=${INVESTOR_LIST_BOARD_ID} item=${testItemId}`);
+  log.info(`TEST READ: board=${INVESTOR_LIST_BOARD_ID} item=${testItemId}`);
   try {
     const readValues = JSON.stringify({
       [investorCols.lastContactDate]: { date: dateStr },
     });
-    const readData = await mondayApi(CHANGE_MULTIPLE_VALUES, {
+    const before = await snapshotColumns(INVESTOR_LIST_BOARD_ID, testItemId, [investorCols.lastContactDate]);
+    const readData = await mondayWrite(CHANGE_MULTIPLE_VALUES, {
       boardId: INVESTOR_LIST_BOARD_ID,
       itemId: String(testItemId),
       columnValues: readValues,
     });
-    console.log('[monday/mutations] TEST READ WRITE succeeded:', JSON.stringify(readData));
+    auditUpdate(before, readValues);
+    log.info('TEST READ WRITE succeeded for item', testItemId);
   } catch (err) {
-    console.error('[monday/mutations] TEST Investor List write FAILED:', err.message);
+    log.error('TEST Investor List write FAILED:', err.message);
     return { success: false, error: `Investor List write failed: ${err.message}` };
   }
 
   // Test 2: Create item on Relationship Management board
-  console.log(`[monday/mutations] TEST CREATE on RM board=${RM_BOARD_ID}`);
+  log.info(`TEST CREATE on RM board=${RM_BOARD_ID}`);
   try {
     const rmColumnValues = JSON.stringify({
       [rmCols.investorStatus]: { label: '🔵 Cold / New' },
@@ -535,7 +871,7 @@ async function testMondayWrite(testItemId) {
       [rmCols.notes]: { text: 'API test — this item can be deleted.' },
     });
 
-    const createData = await mondayApi(CREATE_ITEM, {
+    const createData = await mondayWrite(CREATE_ITEM, {
       boardId: RM_BOARD_ID,
       groupId: config.monday.rmGroups.activeFollowUps,
       itemName: '[TEST] API Write Test',
@@ -544,29 +880,35 @@ async function testMondayWrite(testItemId) {
 
     if (createData && createData.create_item) {
       const newId = createData.create_item.id;
-      console.log(`[monday/mutations] TEST CREATE succeeded: id=${newId}`);
+      log.info(`TEST CREATE succeeded: id=${newId}`);
+      auditCreate(RM_BOARD_ID, createData.create_item, rmColumnValues);
       return { success: true, data: createData, testItemId: newId };
     }
     return { success: false, error: 'Create returned no data' };
   } catch (err) {
-    console.error('[monday/mutations] TEST RM write FAILED:', err.message);
+    log.error('TEST RM write FAILED:', err.message);
     return { success: false, error: `RM board write failed: ${err.message}` };
   }
 }
 
 /**
- * Delete a test item (used after testMondayWrite to clean up).
+ * Delete an item (test items after testMondayWrite, created items on undo).
+ *
+ * @param {string|number} itemId
+ * @param {Object} [item] - { boardId, itemName }, for the audit log
  */
-async function deleteItem(itemId) {
+async function deleteItem(itemId, { boardId, itemName } = {}) {
   try {
     const data = await mondayApi(
       'mutation ($itemId: ID!) { delete_item(item_id: $itemId) { id } }',
       { itemId: String(itemId) }
     );
-    console.log(`[monday/mutations] deleteItem succeeded: ${itemId}`);
+    log.info(`deleteItem succeeded: ${itemId}`);
+    auditChange({ event: 'delete', boardId, itemId, itemName });
+    investorCache.remove(itemId);
     return data;
   } catch (err) {
-    console.error(`[monday/mutations] deleteItem FAILED: ${itemId}`, err.message);
+    log.error(`deleteItem FAILED: ${itemId}`, err.message);
     return null;
   }
 }
@@ -578,12 +920,19 @@ module.exports = {
   updateItemName,
   addGoingColdFlag,
   removeGoingColdFlag,
+  flaggedName,
+  unflaggedName,
+  batchUpdateColumnValues,
   testMondayWrite,
   updateAssignedTo,
+  updateInvestmentInterest,
   createInvestor,
   createFollowUpActivity,
   updateRMItem,
   completeFollowUp,
   logCommunication,
+  restoreColumnValues,
+  archiveItem,
+  recreateItem,
   deleteItem,
 };
@@ -1,9 +1,14 @@
 const config = require('../config');
 const { mondayApi } = require('./client');
 const { findBestMatch } = require('../utils/nameMatch');
+const investorCache = require('./investorCache');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('monday/queries');
 
 const cols = config.monday.columns;
 const rmCols = config.monday.rmColumns;
+const commsCols = config.monday.commsColumns;
 
 // ---------------------------------------------------------------------------
 // GraphQL fragments
@@ -29,6 +34,27 @@ const ITEMS_PAGE_QUERY = `
   }
 `;
 
+// Monday's items query accepts at most 100 IDs, and returns 25 unless asked
+// for more
+const MAX_ITEMS_PER_QUERY = 100;
+
+const ITEMS_BY_ID_QUERY = `
+  query ($ids: [ID!], $limit: Int) {
+    items(ids: $ids, limit: $limit) {
+      id
+      name
+      state
+      board { id }
+      group { id title }
+      column_values {
+        id
+        text
+        value
+      }
+    }
+  }
+`;
+
 // ---------------------------------------------------------------------------
 // Column-value parsing helpers
 // ---------------------------------------------------------------------------
@@ -91,6 +117,13 @@ function getPersonValue(columnValues, colId) {
   return parsed ? (parsed.personsAndTeams || []) : [];
 }
 
+function getLinkedItemIds(columnValues, colId) {
+  const col = getColumnById(columnValues, colId);
+  if (!col) return [];
+  const parsed = safeParse(col.value);
+  return parsed ? (parsed.linkedPulseIds || []).map((p) => String(p.linkedPulseId)) : [];
+}
+
 // ---------------------------------------------------------------------------
 // Parse a raw Monday item into a clean investor object
 // ---------------------------------------------------------------------------
@@ -121,7 +154,13 @@ function parseInvestor(item) {
 // Fetch all items from a board using cursor pagination
 // ---------------------------------------------------------------------------
 
-async function fetchAllBoardItems(boardId) {
+/**
+ * @param {string|number} boardId
+ * @param {object} [opts]
+ * @param {'high'|'normal'|'low'} [opts.priority] - Monday request queue
+ *   priority; background jobs pass "low" so interactive commands go first
+ */
+async function fetchAllBoardItems(boardId, opts = {}) {
   const allItems = [];
   let cursor = undefined;
 
@@ -130,7 +169,7 @@ async function fetchAllBoardItems(boardId) {
     const variables = { boardId: [String(boardId)] };
     if (cursor) variables.cursor = cursor;
 
-    const data = await mondayApi(ITEMS_PAGE_QUERY, variables);
+    const data = await mondayApi(ITEMS_PAGE_QUERY, variables, { priority: opts.priority });
 
     const board = data.boards && data.boards[0];
     if (!board || !board.items_page) break;
@@ -151,13 +190,70 @@ async function fetchAllBoardItems(boardId) {
 // Public query functions
 // ---------------------------------------------------------------------------
 
+/**
+ * Fetch specific items by ID, 100 per request.
+ *
+ * @returns {Promise<{items: Array, goneIds: string[]}>} Live items on the
+ *   given board, and the IDs Monday reported as archived, deleted or on
+ *   another board. IDs Monday didn't return at all are in neither.
+ */
+async function fetchItemsByIds(boardId, ids, opts = {}) {
+  const items = [];
+  const goneIds = [];
+  const uniqueIds = [...new Set(ids.map(String))];
+
+  for (let start = 0; start < uniqueIds.length; start += MAX_ITEMS_PER_QUERY) {
+    const chunk = uniqueIds.slice(start, start + MAX_ITEMS_PER_QUERY);
+    const data = await mondayApi(ITEMS_BY_ID_QUERY, { ids: chunk, limit: chunk.length }, { priority: opts.priority });
+    for (const item of data.items || []) {
+      const live = item.board && String(item.board.id) === String(boardId) &&
+                   (!item.state || item.state === 'active');
+      if (live) items.push(item);
+      else goneIds.push(String(item.id));
+    }
+  }
+  return { items, goneIds };
+}
+
+/**
+ * All parsed Investor List items, served from the investor cache.
+ */
+function loadInvestors(opts = {}) {
+  const boardId = config.monday.boards.investorList;
+  return investorCache.getInvestors({
+    loadAll: async () => (await fetchAllBoardItems(boardId, opts)).map(parseInvestor),
+    loadItems: async (ids) => {
+      const { items, goneIds } = await fetchItemsByIds(boardId, ids, opts);
+      return { investors: items.map(parseInvestor), goneIds };
+    },
+  });
+}
+
+/**
+ * Refetch one investor and patch it into the cache. Used by the Monday
+ * webhook so changes show up without waiting for the TTL.
+ *
+ * @returns {Promise<object|null>} The parsed investor, or null if it is gone
+ */
+async function refreshCachedInvestor(itemId) {
+  const { items: [item] } = await fetchItemsByIds(config.monday.boards.investorList, [itemId]);
+  if (!item) {
+    investorCache.remove(itemId);
+    return null;
+  }
+  const investor = parseInvestor(item);
+  investorCache.patch(itemId, investor);
+  return investor;
+}
+
 /**
  * Returns all investors whose status is NOT "Passed / Inactive".
+ *
+ * @param {object} [opts] - Passed through to fetchAllBoardItems (priority)
  */
-async function getActiveInvestors() {
+async function getActiveInvestors(opts = {}) {
   try {
-    const items = await fetchAllBoardItems(config.monday.boards.investorList);
-    const investors = items.map(parseInvestor);
+    const investors = await loadInvestors(opts);
 
     // Filter out passed / inactive investors
     return investors.filter(
@@ -165,20 +261,21 @@ async function getActiveInvestors() {
                !inv.status.toLowerCase().includes('inactive')
     );
   } catch (err) {
-    console.error('[monday/queries] getActiveInvestors failed:', err.message);
+    log.error('getActiveInvestors failed:', err.message);
     return [];
   }
 }
 
 /**
  * Returns ALL investors regardless of status.
+ *
+ * @param {object} [opts] - Passed through to fetchAllBoardItems (priority)
  */
-async function getAllInvestors() {
+async function getAllInvestors(opts = {}) {
   try {
-    const items = await fetchAllBoardItems(config.monday.boards.investorList);
-    return items.map(parseInvestor);
+    return await loadInvestors(opts);
   } catch (err) {
-    console.error('[monday/queries] getAllInvestors failed:', err.message);
+    log.error('getAllInvestors failed:', err.message);
     return [];
   }
 }
@@ -194,7 +291,7 @@ async function getInvestorByName(name) {
       inv.name.toLowerCase().includes(lowerName)
     );
   } catch (err) {
-    console.error('[monday/queries] getInvestorByName failed:', err.message);
+    log.error('getInvestorByName failed:', err.message);
     return [];
   }
 }
@@ -226,7 +323,7 @@ async function getRecentCommunications(daysSince = 7) {
       return false;
     });
   } catch (err) {
-    console.error('[monday/queries] getRecentCommunications failed:', err.message);
+    log.error('getRecentCommunications failed:', err.message);
     return [];
   }
 }
@@ -247,7 +344,7 @@ async function getActiveOfferings() {
       return obj;
     });
   } catch (err) {
-    console.error('[monday/queries] getActiveOfferings failed:', err.message);
+    log.error('getActiveOfferings failed:', err.message);
     return [];
   }
 }
@@ -265,6 +362,10 @@ function parseRMItem(item) {
     id: item.id,
     name: item.name,
     investorStatus: getTextValue(cv, rmCols.investorStatus),
+    status: getTextValue(cv, rmCols.status),
+    person: getTextValue(cv, rmCols.person),
+    personIds: getPersonValue(cv, rmCols.person).map((p) => String(p.id)),
+    date: getDateValue(cv, rmCols.date),
     followUpCadence: getTextValue(cv, rmCols.followUpCadence),
     lastContactDate: getDateValue(cv, rmCols.lastContactDate),
     nextFollowUp: getDateValue(cv, rmCols.nextFollowUp),
@@ -272,6 +373,7 @@ function parseRMItem(item) {
     email: getEmailValue(cv, rmCols.email),
     phone: getPhoneValue(cv, rmCols.phone),
     notes: getLongTextValue(cv, rmCols.notes),
+    linkedInvestorIds: getLinkedItemIds(cv, rmCols.linkedInvestor),
     link: /^\d+$/.test(String(item.id))
       ? config.monday.rmBoardUrl + item.id
       : '#',
@@ -286,7 +388,7 @@ async function getRMBoardItems() {
     const items = await fetchAllBoardItems(config.monday.boards.relationshipManagement);
     return items.map(parseRMItem);
   } catch (err) {
-    console.error('[monday/queries] getRMBoardItems failed:', err.message);
+    log.error('getRMBoardItems failed:', err.message);
     return [];
   }
 }
@@ -317,17 +419,278 @@ async function searchRMByInvestorName(name) {
     }
     return matches;
   } catch (err) {
-    console.error('[monday/queries] searchRMByInvestorName failed:', err.message);
+    log.error('searchRMByInvestorName failed:', err.message);
+    return [];
+  }
+}
+
+/**
+ * RM board items for one investor: those linked to it through the Linked
+ * Investor column, plus unlinked items carrying exactly its name.
+ *
+ * @param {Object} investor - Parsed investor ({ id, name })
+ * @returns {Promise<Array>} Parsed RM items
+ */
+async function getRMItemsForInvestor(investor) {
+  const rmItems = await getRMBoardItems();
+  const name = normalizeItemName(investor.name);
+  return rmItems.filter((item) =>
+    item.linkedInvestorIds.includes(String(investor.id)) ||
+    (item.linkedInvestorIds.length === 0 && normalizeItemName(item.name) === name)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Communications Log and item updates
+// ---------------------------------------------------------------------------
+
+/**
+ * Lowercased item name without the going-cold flag, for name comparisons.
+ */
+function normalizeItemName(name) {
+  return String(name || '').replace(/^\uD83D\uDD34\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function parseCommsItem(item) {
+  const cv = item.column_values;
+  return {
+    id: item.id,
+    name: item.name,
+    commType: getTextValue(cv, commsCols.communicationType),
+    dealSPV: getTextValue(cv, commsCols.dealSPV),
+    dateSent: getDateValue(cv, commsCols.dateSent),
+    sendStatus: getTextValue(cv, commsCols.sendStatus),
+    sentBy: getTextValue(cv, commsCols.sentBy),
+    notes: getLongTextValue(cv, commsCols.notes),
+  };
+}
+
+// The prefix the bot gives Communications Log entries ("Follow-up: <name>")
+const COMMS_NAME_PREFIX = /^follow[\s-]?up:\s*/i;
+
+/**
+ * Communications Log entries for an investor: those named exactly after it,
+ * with or without the "Follow-up:" prefix the bot logs them under. The log
+ * has no link to the Investor List, so "Dan" must not pick up "Dana".
+ *
+ * @param {Object} investor - Parsed investor ({ name })
+ * @returns {Promise<Array>} Parsed Communications Log items
+ */
+async function getCommunicationsForInvestor(investor) {
+  try {
+    const name = normalizeItemName(investor.name);
+    if (!name) return [];
+    const items = await fetchAllBoardItems(config.monday.boards.communicationsLog);
+    return items
+      .filter((item) => normalizeItemName(String(item.name || '').replace(COMMS_NAME_PREFIX, '')) === name)
+      .map(parseCommsItem);
+  } catch (err) {
+    log.error('getCommunicationsForInvestor failed:', err.message);
     return [];
   }
 }
 
+const ITEM_UPDATES_QUERY = `
+  query ($ids: [ID!], $limit: Int) {
+    items(ids: $ids, limit: $limit) {
+      id
+      updates(limit: 50) {
+        id
+        text_body
+        created_at
+        creator { id name }
+      }
+    }
+  }
+`;
+
+/**
+ * Updates (comments) posted on the given items, newest first per item.
+ *
+ * @param {Array<string|number>} itemIds
+ * @returns {Promise<Array<{itemId: string, id: string, text: string, createdAt: string, creator: string|null}>>}
+ */
+async function getItemUpdates(itemIds) {
+  if (!itemIds || itemIds.length === 0) return [];
+  try {
+    const data = await mondayApi(ITEM_UPDATES_QUERY, { ids: itemIds.map(String), limit: itemIds.length });
+    const updates = [];
+    for (const item of data.items || []) {
+      for (const update of item.updates || []) {
+        updates.push({
+          itemId: String(item.id),
+          id: update.id,
+          text: (update.text_body || '').trim(),
+          createdAt: update.created_at,
+          creator: update.creator ? update.creator.name : null,
+        });
+      }
+    }
+    return updates;
+  } catch (err) {
+    log.error('getItemUpdates failed:', err.message);
+    return [];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Raw column values — for the undo journal and the recycle bin
+// ---------------------------------------------------------------------------
+
+const ITEM_COLUMN_VALUES_QUERY = `
+  query ($ids: [ID!], $columnIds: [String!], $limit: Int) {
+    items(ids: $ids, limit: $limit) {
+      id
+      name
+      column_values(ids: $columnIds) {
+        id
+        value
+      }
+    }
+  }
+`;
+
+/**
+ * An item's name and the raw (parsed JSON) values of some of its columns.
+ * Empty columns come back as null; "name" reads the item name.
+ *
+ * @param {string|number} itemId
+ * @param {string[]}      columnIds
+ * @returns {Promise<{name: string, values: Object}|null>} null if the item could not be read
+ */
+async function getItemColumnValues(itemId, columnIds) {
+  const items = await getItemsColumnValues([itemId], columnIds);
+  return items.get(String(itemId)) || null;
+}
+
+/**
+ * getItemColumnValues for many items, 100 per request.
+ *
+ * @param {Array<string|number>} itemIds
+ * @param {string[]}             columnIds
+ * @returns {Promise<Map<string, {name: string, values: Object}>>} Items that could be read, by ID
+ */
+async function getItemsColumnValues(itemIds, columnIds) {
+  const items = new Map();
+  const ids = [...new Set(itemIds.map(String))];
+
+  for (let start = 0; start < ids.length; start += MAX_ITEMS_PER_QUERY) {
+    const chunk = ids.slice(start, start + MAX_ITEMS_PER_QUERY);
+    try {
+      const data = await mondayApi(ITEM_COLUMN_VALUES_QUERY, { ids: chunk, columnIds, limit: chunk.length });
+      for (const item of data.items || []) {
+        const values = {};
+        for (const colId of columnIds) {
+          values[colId] = colId === 'name'
+            ? item.name
+            : safeParse((getColumnById(item.column_values, colId) || {}).value);
+        }
+        items.set(String(item.id), { name: item.name, values });
+      }
+    } catch (err) {
+      log.error(`getItemsColumnValues failed for items ${chunk.join(',')}:`, err.message);
+    }
+  }
+  return items;
+}
+
+const ITEM_SNAPSHOT_QUERY = `
+  query ($ids: [ID!]) {
+    items(ids: $ids) {
+      id
+      name
+      board { id }
+      group { id }
+      column_values {
+        id
+        type
+        value
+      }
+    }
+  }
+`;
+
+/**
+ * Everything needed to recreate an item: its board, group, name and the raw
+ * (parsed JSON) value of every column.
+ *
+ * @param {string|number} itemId
+ * @returns {Promise<{id: string, name: string, boardId: string, groupId: string|null, columns: Array<{id, type, value}>}|null>}
+ *   null if the item doesn't exist; throws if Monday can't be reached
+ */
+async function getItemSnapshot(itemId) {
+  const data = await mondayApi(ITEM_SNAPSHOT_QUERY, { ids: [String(itemId)] });
+  const item = data.items && data.items[0];
+  if (!item) return null;
+
+  return {
+    id: String(item.id),
+    name: item.name,
+    boardId: item.board ? String(item.board.id) : null,
+    groupId: item.group ? item.group.id : null,
+    columns: (item.column_values || []).map((col) => ({
+      id: col.id,
+      type: col.type,
+      value: safeParse(col.value),
+    })),
+  };
+}
+
+const BOARD_SCHEMA_QUERY = `
+  query ($ids: [ID!]) {
+    boards(ids: $ids) {
+      id
+      name
+      columns {
+        id
+        title
+        type
+        settings_str
+      }
+      groups {
+        id
+        title
+      }
+    }
+  }
+`;
+
+/**
+ * Columns (with their settings, e.g. status labels) and groups of boards.
+ * Boards that don't exist or the token can't see are left out.
+ *
+ * @param {Array<string|number>} boardIds
+ * @returns {Promise<Array<{id: string, name: string, columns: Array<{id, title, type, settings}>, groups: Array<{id, title}>}>>}
+ */
+async function getBoardSchemas(boardIds) {
+  const data = await mondayApi(BOARD_SCHEMA_QUERY, { ids: boardIds.map(String) });
+  return (data.boards || []).filter(Boolean).map((board) => ({
+    id: String(board.id),
+    name: board.name,
+    columns: (board.columns || []).map((col) => ({
+      id: col.id,
+      title: col.title,
+      type: col.type,
+      settings: safeParse(col.settings_str) || {},
+    })),
+    groups: (board.groups || []).map((group) => ({ id: group.id, title: group.title })),
+  }));
+}
+
 module.exports = {
   getActiveInvestors,
   getAllInvestors,
+  refreshCachedInvestor,
   getInvestorByName,
   getRecentCommunications,
   getActiveOfferings,
   getRMBoardItems,
   searchRMByInvestorName,
+  getRMItemsForInvestor,
+  getCommunicationsForInvestor,
+  getItemUpdates,
+  getItemColumnValues,
+  getItemsColumnValues,
+  getItemSnapshot,
+  getBoardSchemas,
 };
@@ -0,0 +1,255 @@
+const config = require('../config');
+const { getBoardSchemas } = require('./queries');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('monday/schema');
+
+// ---------------------------------------------------------------------------
+// Board schema check — config/monday-boards.js against the live boards
+// ---------------------------------------------------------------------------
+// Every board, column, group and status label ID the bot uses is hardcoded in
+// config/monday-boards.js, and nothing breaks loudly when someone deletes a
+// column or renames a label on Monday: writes fail one by one, or worse,
+// land in the wrong place. validateBoards() reads the boards and reports:
+//   - boards the API token can't see
+//   - configured column IDs missing from their board, or whose type changed
+//   - status label IDs that are gone or whose text changed (commStatusIds,
+//     investorStatusIds, …) and label texts that no longer exist
+//   - configured groups missing from their board
+//
+// It runs at startup (index.js posts the report when something is wrong) and
+// on demand with "check boards". Until the next check, mutations refuse to
+// write columns and groups the last check couldn't find on the board, or
+// configured columns whose type changed (see assertWritable).
+// ---------------------------------------------------------------------------
+
+// The boards this bot reads and writes, and which config maps describe the
+// labels of which status column. `ids` maps key → label ID, `texts` maps
+// key → label text; a key in both means that ID should carry that text.
+const BOARD_CHECKS = [
+  {
+    key: 'investorList',
+    name: 'Investor List',
+    labels: [
+      { column: 'communicationStatus', ids: 'commStatusIds', texts: 'commStatusLabels' },
+      { column: 'status', ids: 'statusIds' },
+    ],
+  },
+  {
+    key: 'relationshipManagement',
+    name: 'Relationship Management',
+    labels: [
+      { column: 'investorStatus', ids: 'investorStatusIds', texts: 'investorStatusLabels' },
+      { column: 'followUpCadence', texts: 'cadenceLabels' },
+      { column: 'communicationMethod', texts: 'commMethodLabels' },
+    ],
+  },
+  {
+    key: 'communicationsLog',
+    name: 'Communications Log',
+    labels: [
+      { column: 'communicationType', ids: 'commTypeIds', texts: 'commTypeLabels' },
+      { column: 'sendStatus', ids: 'sendStatusIds', texts: 'sendStatusLabels' },
+    ],
+  },
+];
+
+// Monday builds a column's ID from the type it was created with
+// ("color_mm0nahbm" is a status column, "date4" a date), and keeps the ID
+// when the type is changed later — so the prefix is the type the config was
+// written against.
+const COLUMN_TYPE_PREFIXES = [
+  [/^name$/, 'name'],
+  [/^(?:status|color)(?:_|\d|$)/, 'status'],
+  [/^date(?:_|\d|$)/, 'date'],
+  [/^email(?:_|\d|$)/, 'email'],
+  [/^phone(?:_|\d|$)/, 'phone'],
+  [/^long_text(?:_|\d|$)/, 'long_text'],
+  [/^text(?:_|\d|$)/, 'text'],
+  [/^numeric(?:_|\d|$)/, 'numbers'],
+  [/^dropdown(?:_|\d|$)/, 'dropdown'],
+  [/^(?:person|people|multiple_person)(?:_|\d|$)/, 'people'],
+  [/^board_relation(?:_|\d|$)/, 'board_relation'],
+  [/^file(?:_|\d|$)/, 'file'],
+  [/^link(?:_|\d|$)/, 'link'],
+];
+
+// boardId → { columns: Set, groups: Set, changedTypes: Map(columnId → type) }
+// from the last check; boards not checked yet are written to freely
+const lastSeen = new Map();
+let lastReport = null;
+
+function expectedColumnType(columnId) {
+  const match = COLUMN_TYPE_PREFIXES.find(([pattern]) => pattern.test(columnId));
+  return match ? match[1] : null;
+}
+
+/**
+ * A status/dropdown column's labels as Map(label ID → text), without the
+ * labels Monday keeps as deactivated.
+ */
+function labelsOf(column) {
+  const labels = new Map();
+  const raw = column.settings.labels;
+  if (Array.isArray(raw)) {
+    for (const label of raw) labels.set(String(label.id), label.name);
+  } else if (raw && typeof raw === 'object') {
+    for (const [id, text] of Object.entries(raw)) labels.set(String(id), text);
+  }
+  for (const id of column.settings.deactivated_labels || []) labels.delete(String(id));
+  return labels;
+}
+
+function sameText(a, b) {
+  return String(a || '').trim() === String(b || '').trim();
+}
+
+function checkLabels(spec, boardConfig, column, problems) {
+  const labels = labelsOf(column);
+  const ids = boardConfig[spec.ids] || {};
+  const texts = boardConfig[spec.texts] || {};
+  const base = { column: spec.column, columnId: column.id, columnTitle: column.title };
+  let checked = 0;
+
+  for (const [key, id] of Object.entries(ids)) {
+    checked++;
+    const actual = labels.get(String(id));
+    if (actual === undefined) {
+      problems.push({ type: 'label_missing', ...base, key, id, expected: texts[key] || null, source: spec.ids });
+    } else if (texts[key] && !sameText(actual, texts[key])) {
+      problems.push({ type: 'label_renamed', ...base, key, id, expected: texts[key], actual, source: spec.texts });
+    }
+  }
+
+  const actualTexts = [...labels.values()];
+  for (const [key, text] of Object.entries(texts)) {
+    if (ids[key] !== undefined) continue;
+    checked++;
+    if (!actualTexts.some((actual) => sameText(actual, text))) {
+      problems.push({ type: 'label_missing', ...base, key, id: null, expected: text, source: spec.texts });
+    }
+  }
+  return checked;
+}
+
+function checkBoard(check, board) {
+  const boardConfig = config.mondayBoards[check.key];
+  const problems = [];
+  const counts = { columns: 0, groups: 0, labels: 0 };
+  const columns = new Map(board.columns.map((col) => [col.id, col]));
+  const groups = new Set(board.groups.map((group) => group.id));
+  const changedTypes = new Map();
+
+  for (const [key, columnId] of Object.entries(boardConfig.columns || {})) {
+    counts.columns++;
+    const column = columns.get(columnId);
+    if (!column) {
+      problems.push({ type: 'column_missing', key, id: columnId });
+      continue;
+    }
+    const expected = expectedColumnType(columnId);
+    if (expected && column.type !== expected) {
+      changedTypes.set(columnId, column.type);
+      problems.push({ type: 'column_type', key, id: columnId, title: column.title, expected, actual: column.type });
+    }
+  }
+
+  for (const [key, groupId] of Object.entries(boardConfig.groups || {})) {
+    counts.groups++;
+    if (!groups.has(groupId)) problems.push({ type: 'group_missing', key, id: groupId });
+  }
+
+  for (const spec of check.labels) {
+    const column = columns.get(boardConfig.columns[spec.column]);
+    if (!column || changedTypes.has(column.id)) continue; // already reported
+    counts.labels += checkLabels(spec, boardConfig, column, problems);
+  }
+
+  lastSeen.set(String(board.id), { columns: new Set(columns.keys()), groups, changedTypes });
+  return { counts, problems };
+}
+
+/**
+ * Check every board the bot uses against its config. Throws if Monday can't
+ * be reached; a board the token can't see is reported as a problem.
+ *
+ * @returns {Promise<{checkedAt: Date, problemCount: number, counts: {columns, groups, labels},
+ *   boards: Array<{key, name, boardId, found: boolean, mondayName: string|null, problems: Array}>}>}
+ */
+async function validateBoards() {
+  const boardIds = BOARD_CHECKS.map((check) => String(config.mondayBoards[check.key].boardId));
+  const boards = new Map((await getBoardSchemas(boardIds)).map((board) => [board.id, board]));
+
+  const report = { checkedAt: new Date(), problemCount: 0, counts: { columns: 0, groups: 0, labels: 0 }, boards: [] };
+  for (const check of BOARD_CHECKS) {
+    const boardId = String(config.mondayBoards[check.key].boardId);
+    const board = boards.get(boardId);
+    const entry = { key: check.key, name: check.name, boardId, found: Boolean(board), mondayName: board ? board.name : null, problems: [] };
+
+    if (!board) {
+      lastSeen.set(boardId, { missing: true });
+      entry.problems.push({ type: 'board_missing', id: boardId });
+    } else {
+      const { counts, problems } = checkBoard(check, board);
+      entry.problems = problems;
+      for (const [kind, count] of Object.entries(counts)) report.counts[kind] += count;
+    }
+
+    for (const problem of entry.problems) {
+      log.warn(`${check.name} (${boardId}): ${problem.type} ${problem.key || ''} ${problem.id === null ? '' : problem.id}`.trim());
+    }
+    report.problemCount += entry.problems.length;
+    report.boards.push(entry);
+  }
+
+  log.info(`Checked ${report.boards.length} boards: ${report.problemCount} problem(s)`);
+  lastReport = report;
+  return report;
+}
+
+/**
+ * The report from the last check, or null if none has run.
+ */
+function getLastBoardCheck() {
+  return lastReport;
+}
+
+/**
+ * Why a write to these columns/group of a board would be refused, or null
+ * if it's fine (or the board hasn't been checked).
+ *
+ * @param {string|number} boardId
+ * @param {Object} target
+ * @param {string[]} [target.columnIds]
+ * @param {string} [target.groupId]
+ * @returns {string|null}
+ */
+function unwritableReason(boardId, { columnIds = [], groupId } = {}) {
+  const seen = lastSeen.get(String(boardId));
+  if (!seen) return null;
+  if (seen.missing) return `board ${boardId} wasn't found in the last board check`;
+
+  const missing = columnIds.filter((id) => id !== 'name' && !seen.columns.has(id));
+  if (missing.length > 0) {
+    return `column${missing.length === 1 ? '' : 's'} ${missing.join(', ')} not found on board ${boardId}`;
+  }
+  const changed = columnIds.filter((id) => seen.changedTypes.has(id));
+  if (changed.length > 0) {
+    return changed.map((id) => `column ${id} is now a ${seen.changedTypes.get(id)} column`).join('; ');
+  }
+  if (groupId && !seen.groups.has(groupId)) return `group ${groupId} not found on board ${boardId}`;
+  return null;
+}
+
+/**
+ * Throw instead of writing columns or a group the last board check couldn't
+ * find (see unwritableReason).
+ */
+function assertWritable(boardId, target) {
+  const reason = unwritableReason(boardId, target);
+  if (reason) {
+    throw new Error(`Refusing to write to Monday: ${reason} — run "check boards" and update config/monday-boards.js`);
+  }
+}
+
+module.exports = { validateBoards, getLastBoardCheck, unwritableReason, assertWritable };
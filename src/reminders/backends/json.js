@@ -0,0 +1,66 @@
+// ---------------------------------------------------------------------------
+// JSON reminder backend — keeps reminders in memory and mirrors them to a
+// single JSON file. Writes go to a temp file first and are renamed into
+// place, so a crash mid-write never leaves a truncated file.
+//
+// Useful for local development; production should use the SQLite backend.
+// ---------------------------------------------------------------------------
+
+const fs = require('fs');
+
+/**
+ * Create a JSON-file reminder backend.
+ *
+ * @param {Object} opts
+ * @param {string} opts.filePath - Path to the JSON file
+ * @returns {Object} Backend implementing init/all/get/insert/update/remove
+ */
+function createJsonBackend({ filePath }) {
+  let reminders = [];
+
+  function persist() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(reminders, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    name: 'json',
+
+    init() {
+      if (!fs.existsSync(filePath)) return;
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      reminders = Array.isArray(data) ? data : [];
+    },
+
+    all() {
+      return reminders
+        .map((r) => ({ ...r }))
+        .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+    },
+
+    get(id) {
+      const found = reminders.find((r) => r.id === id);
+      return found ? { ...found } : null;
+    },
+
+    insert(reminder) {
+      reminders.push({ ...reminder });
+      persist();
+    },
+
+    update(id, changes) {
+      const index = reminders.findIndex((r) => r.id === id);
+      if (index === -1) return;
+      reminders[index] = { ...reminders[index], ...changes, id };
+      persist();
+    },
+
+    remove(id) {
+      reminders = reminders.filter((r) => r.id !== id);
+      persist();
+    },
+  };
+}
+
+module.exports = { createJsonBackend };
@@ -0,0 +1,240 @@
+// ---------------------------------------------------------------------------
+// SQLite reminder backend — durable, file-backed storage with a versioned
+// schema. Every write runs inside a SQLite transaction, so a crash or a
+// redeploy mid-write can never leave a half-written reminder behind.
+//
+// Schema changes are appended to MIGRATIONS and applied in order on startup.
+// The current version is tracked in SQLite's built-in `user_version` pragma.
+// ---------------------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('reminders/sqlite');
+
+// ---------------------------------------------------------------------------
+// Field mapping — reminder object property ↔ SQLite column
+// ---------------------------------------------------------------------------
+// Values are stored as TEXT unless the field declares `type: 'integer'` or
+// `type: 'json'` (serialized JSON text).
+
+const FIELDS = [
+  { prop: 'id',             column: 'id' },
+  { prop: 'investorName',   column: 'investor_name' },
+  { prop: 'itemId',         column: 'item_id' },
+  { prop: 'scheduledAt',    column: 'scheduled_at' },
+  { prop: 'slackUserId',    column: 'slack_user_id' },
+  { prop: 'userEmail',      column: 'user_email' },
+  { prop: 'investorStatus', column: 'investor_status' },
+  { prop: 'dealInterest',   column: 'deal_interest' },
+  { prop: 'investorLink',   column: 'investor_link' },
+  { prop: 'createdAt',      column: 'created_at' },
+  { prop: 'deliveries',     column: 'deliveries',      type: 'json' },
+  { prop: 'attempts',       column: 'attempts',        type: 'integer' },
+  { prop: 'nextAttemptAt',  column: 'next_attempt_at' },
+  { prop: 'lastError',      column: 'last_error' },
+  { prop: 'deadLetteredAt', column: 'dead_lettered_at' },
+  { prop: 'recurrence',     column: 'recurrence',      type: 'json' },
+];
+
+// ---------------------------------------------------------------------------
+// Migrations — append only, never edit a migration that has shipped
+// ---------------------------------------------------------------------------
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'create reminders table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE reminders (
+          id              TEXT PRIMARY KEY,
+          investor_name   TEXT,
+          item_id         TEXT,
+          scheduled_at    TEXT NOT NULL,
+          slack_user_id   TEXT,
+          user_email      TEXT,
+          investor_status TEXT,
+          deal_interest   TEXT,
+          investor_link   TEXT,
+          created_at      TEXT NOT NULL
+        );
+        CREATE INDEX idx_reminders_scheduled_at ON reminders (scheduled_at);
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'add delivery attempts and dead-letter columns',
+    up(db) {
+      db.exec(`
+        ALTER TABLE reminders ADD COLUMN deliveries TEXT;
+        ALTER TABLE reminders ADD COLUMN attempts INTEGER DEFAULT 0;
+        ALTER TABLE reminders ADD COLUMN next_attempt_at TEXT;
+        ALTER TABLE reminders ADD COLUMN last_error TEXT;
+        ALTER TABLE reminders ADD COLUMN dead_lettered_at TEXT;
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'add recurrence rule column',
+    up(db) {
+      db.exec('ALTER TABLE reminders ADD COLUMN recurrence TEXT;');
+    },
+  },
+];
+
+// ---------------------------------------------------------------------------
+// Row mapping helpers
+// ---------------------------------------------------------------------------
+
+function toRow(reminder) {
+  const row = {};
+  for (const field of FIELDS) {
+    const value = reminder[field.prop];
+    if (value === undefined || value === null) {
+      row[field.column] = null;
+    } else if (field.type === 'json') {
+      row[field.column] = JSON.stringify(value);
+    } else if (field.type === 'integer') {
+      row[field.column] = Math.trunc(Number(value));
+    } else {
+      row[field.column] = String(value);
+    }
+  }
+  return row;
+}
+
+function fromRow(row) {
+  const reminder = {};
+  for (const field of FIELDS) {
+    const value = row[field.column];
+    if (value === undefined || value === null) {
+      reminder[field.prop] = null;
+    } else if (field.type === 'json') {
+      try {
+        reminder[field.prop] = JSON.parse(value);
+      } catch {
+        reminder[field.prop] = null;
+      }
+    } else {
+      reminder[field.prop] = value;
+    }
+  }
+  return reminder;
+}
+
+// ---------------------------------------------------------------------------
+// Backend factory
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a SQLite-backed reminder backend.
+ *
+ * @param {Object} opts
+ * @param {string} opts.dbPath       - Path to the SQLite database file
+ * @param {string} [opts.importPath] - Legacy reminders.json to import once
+ * @returns {Object} Backend implementing init/all/get/insert/update/remove
+ */
+function createSqliteBackend({ dbPath, importPath }) {
+  let db = null;
+
+  function migrate() {
+    const current = db.pragma('user_version', { simple: true });
+    const pending = MIGRATIONS.filter((m) => m.version > current);
+
+    for (const migration of pending) {
+      db.transaction(() => {
+        migration.up(db);
+        db.pragma(`user_version = ${migration.version}`);
+      })();
+      log.info(`Applied migration v${migration.version}: ${migration.description}`);
+    }
+  }
+
+  /**
+   * One-time import of the legacy reminders.json file. After a successful
+   * import the file is renamed so it is never imported twice.
+   */
+  function importLegacyJson() {
+    if (!importPath || !fs.existsSync(importPath)) return;
+
+    let legacy;
+    try {
+      legacy = JSON.parse(fs.readFileSync(importPath, 'utf-8'));
+    } catch (err) {
+      log.error(`Could not read legacy file ${importPath}:`, err.message);
+      return;
+    }
+
+    if (!Array.isArray(legacy)) {
+      log.warn(`Legacy file ${importPath} is not an array — skipping import`);
+      return;
+    }
+
+    const insert = db.prepare(buildInsertSql('INSERT OR IGNORE'));
+    const imported = db.transaction((rows) => {
+      let count = 0;
+      for (const reminder of rows) {
+        if (!reminder || !reminder.id || !reminder.scheduledAt) continue;
+        count += insert.run(toRow({
+          createdAt: new Date().toISOString(),
+          ...reminder,
+        })).changes;
+      }
+      return count;
+    })(legacy);
+
+    fs.renameSync(importPath, `${importPath}.imported`);
+    log.info(`Imported ${imported} reminder(s) from ${path.basename(importPath)}`);
+  }
+
+  function buildInsertSql(verb) {
+    const columns = FIELDS.map((f) => f.column);
+    return `${verb} INTO reminders (${columns.join(', ')}) VALUES (${columns.map((c) => '@' + c).join(', ')})`;
+  }
+
+  return {
+    name: 'sqlite',
+
+    init() {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+      db = new Database(dbPath);
+      db.pragma('journal_mode = WAL');
+      try { fs.chmodSync(dbPath, 0o600); } catch (_) {}
+
+      migrate();
+      importLegacyJson();
+    },
+
+    all() {
+      return db.prepare('SELECT * FROM reminders ORDER BY scheduled_at').all().map(fromRow);
+    },
+
+    get(id) {
+      const row = db.prepare('SELECT * FROM reminders WHERE id = ?').get(id);
+      return row ? fromRow(row) : null;
+    },
+
+    insert(reminder) {
+      db.prepare(buildInsertSql('INSERT')).run(toRow(reminder));
+    },
+
+    update(id, changes) {
+      const fields = FIELDS.filter((f) => f.prop !== 'id' && f.prop in changes);
+      if (fields.length === 0) return;
+      const row = toRow({ ...changes, id });
+      const assignments = fields.map((f) => `${f.column} = @${f.column}`).join(', ');
+      db.prepare(`UPDATE reminders SET ${assignments} WHERE id = @id`).run(row);
+    },
+
+    remove(id) {
+      db.prepare('DELETE FROM reminders WHERE id = ?').run(id);
+    },
+  };
+}
+
+module.exports = { createSqliteBackend };
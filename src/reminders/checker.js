@@ -1,11 +1,229 @@
-const { getDueReminders, removeReminder } = require('./store');
+const config = require('../config');
+const {
+  getDueReminders,
+  removeReminder,
+  updateReminder,
+  rescheduleReminder,
+  deadLetterReminder,
+} = require('./store');
+const { nextOccurrence, isRecurrenceActive, describeRecurrence } = require('./recurrence');
 const { sendReminderEmail } = require('./email');
 const { getActiveInvestors } = require('../monday/queries');
 const { generateFollowUpSuggestion } = require('../ai/suggestions');
-const { formatReminderNotification } = require('../slack/messages');
+const { formatDeadLetterAlert } = require('../slack/messages');
+const { buildReminderMessage } = require('../slack/blocks');
+const { recordPostedInvestors } = require('../slack/threads');
+const { createLogger, withCorrelationId, newCorrelationId } = require('../utils/logger');
+
+const log = createLogger('reminders/checker');
 
 const CHECK_INTERVAL_MS = 60 * 1000; // every 60 seconds
 
+// ---------------------------------------------------------------------------
+// Delivery state helpers
+// ---------------------------------------------------------------------------
+// Each reminder tracks its delivery channels separately:
+//   deliveries = { email: { status, attempts, lastError, lastAttemptAt }, slack: {...} }
+// status is "pending" | "sent" | "skipped". A channel that already succeeded
+// is never re-sent when another channel is retried.
+
+function initialDeliveries(reminder, canPostToSlack) {
+  const existing = reminder.deliveries || {};
+  const fresh = (needed) => ({
+    status: needed ? 'pending' : 'skipped',
+    attempts: 0,
+    lastError: null,
+    lastAttemptAt: null,
+  });
+  return {
+    email: existing.email || fresh(!!reminder.userEmail),
+    slack: existing.slack || fresh(canPostToSlack),
+  };
+}
+
+/**
+ * Exponential backoff: base * 2^(attempt - 1), capped at maxDelayMs.
+ */
+function backoffDelayMs(attempt) {
+  const { baseDelayMs, maxDelayMs } = config.reminders.retry;
+  return Math.min(baseDelayMs * 2 ** Math.max(attempt - 1, 0), maxDelayMs);
+}
+
+/**
+ * Run one delivery channel, recording success or failure on its state.
+ *
+ * @param {Object}   state - The channel's delivery state (mutated)
+ * @param {Function} send  - Async function that throws on failure
+ */
+async function attemptDelivery(state, send) {
+  if (state.status !== 'pending') return;
+
+  state.attempts += 1;
+  state.lastAttemptAt = new Date().toISOString();
+  try {
+    await send();
+    state.status = 'sent';
+    state.lastError = null;
+  } catch (err) {
+    state.lastError = err.message;
+  }
+}
+
+/**
+ * Find the investor for a reminder: by itemId, then by name, then by the
+ * context stored on the reminder. Returns null if none of those work.
+ */
+function resolveReminderInvestor(reminder, allInvestors) {
+  let investor = allInvestors.find(
+    (inv) => inv.id === reminder.itemId || inv.id === String(reminder.itemId)
+  );
+
+  if (!investor) {
+    // Fall back to name match
+    const lowerName = (reminder.investorName || '').toLowerCase();
+    investor = allInvestors.find(
+      (inv) => inv.name.toLowerCase().includes(lowerName)
+    );
+  }
+
+  if (!investor && reminder.investorLink) {
+    // Use stored context from the reminder as a fallback
+    log.warn(
+      `Investor "${reminder.investorName}" not found in Monday.com — using stored context`
+    );
+    investor = {
+      name: reminder.investorName,
+      id: reminder.itemId,
+      status: reminder.investorStatus || 'Unknown',
+      dealInterest: reminder.dealInterest || 'N/A',
+      link: reminder.investorLink,
+    };
+  }
+
+  return investor || null;
+}
+
+// ---------------------------------------------------------------------------
+// Process a single due reminder
+// ---------------------------------------------------------------------------
+
+async function processReminder(reminder, allInvestors, slackClient, channelId) {
+  const deliveries = initialDeliveries(reminder, !!(slackClient && channelId));
+
+  const investor = resolveReminderInvestor(reminder, allInvestors);
+  const { recurrence } = reminder;
+
+  // A repeat occurrence only fires while the investor is still in its tier.
+  // The first occurrence was scheduled explicitly, so it is always delivered.
+  if (investor && recurrence && recurrence.occurrence > 0 && !isRecurrenceActive(recurrence, investor.status)) {
+    removeReminder(reminder.id);
+    log.info(
+      `Ended ${describeRecurrence(recurrence)} reminder for ${investor.name} — status is now "${investor.status}" (was "${recurrence.tier}")`
+    );
+    return;
+  }
+
+  if (!investor) {
+    // Monday.com may just be unreachable — count it as a failed attempt on
+    // every pending channel instead of dropping the reminder.
+    const reason = `Could not find investor "${reminder.investorName}" (item ${reminder.itemId})`;
+    for (const state of Object.values(deliveries)) {
+      if (state.status !== 'pending') continue;
+      state.attempts += 1;
+      state.lastAttemptAt = new Date().toISOString();
+      state.lastError = reason;
+    }
+  } else {
+    // Generate AI suggestion
+    let suggestion = '';
+    try {
+      suggestion = await generateFollowUpSuggestion(investor);
+    } catch (err) {
+      log.error('AI suggestion failed:', err.message);
+    }
+
+    // Send reminder email
+    await attemptDelivery(deliveries.email, async () => {
+      const sent = await sendReminderEmail({
+        to: reminder.userEmail,
+        investorName: investor.name,
+        investor,
+        suggestion,
+      });
+      if (!sent) throw new Error('Reminder email could not be sent');
+    });
+
+    // Post Slack notification
+    await attemptDelivery(deliveries.slack, async () => {
+      const { text, blocks } = buildReminderMessage(
+        investor,
+        reminder.slackUserId || 'team',
+        suggestion
+      );
+
+      const posted = await slackClient.chat.postMessage({
+        channel: channelId,
+        text,
+        blocks,
+      });
+      recordPostedInvestors(posted.channel, posted.ts, [investor.id]);
+    });
+  }
+
+  const pending = Object.entries(deliveries).filter(([, state]) => state.status === 'pending');
+
+  // Every channel delivered (or skipped) — schedule the next occurrence of a
+  // recurring reminder, otherwise the reminder is done. investor is null when
+  // no channel was left to deliver on, so fall back to the stored status
+  if (pending.length === 0) {
+    const status = investor ? investor.status : reminder.investorStatus;
+    if (recurrence && isRecurrenceActive(recurrence, status)) {
+      const next = nextOccurrence(recurrence, reminder.scheduledAt);
+      if (next) {
+        rescheduleReminder(reminder.id, next, {
+          recurrence: { ...recurrence, occurrence: (recurrence.occurrence || 0) + 1 },
+        });
+        log.info(
+          `Processed ${describeRecurrence(recurrence)} reminder for ${reminder.investorName} — next at ${next.toISOString()}`
+        );
+        return;
+      }
+    }
+
+    removeReminder(reminder.id);
+    log.info(`Processed reminder for ${reminder.investorName}`);
+    return;
+  }
+
+  const attempts = Math.max(...pending.map(([, state]) => state.attempts));
+  const lastError = pending
+    .map(([channel, state]) => `${channel}: ${state.lastError}`)
+    .join('; ');
+
+  if (attempts >= config.reminders.retry.maxAttempts) {
+    updateReminder(reminder.id, { deliveries, attempts });
+    deadLetterReminder(reminder.id, lastError);
+
+    if (slackClient && channelId) {
+      try {
+        await slackClient.chat.postMessage({
+          channel: channelId,
+          text: formatDeadLetterAlert({ ...reminder, attempts, lastError }),
+        });
+      } catch (alertErr) {
+        log.error('Could not post dead-letter alert:', alertErr.message);
+      }
+    }
+    return;
+  }
+
+  const nextAttemptAt = new Date(Date.now() + backoffDelayMs(attempts)).toISOString();
+  updateReminder(reminder.id, { deliveries, attempts, lastError, nextAttemptAt });
+  log.warn(
+    `Delivery failed for "${reminder.investorName}" (attempt ${attempts}/${config.reminders.retry.maxAttempts}) — retrying at ${nextAttemptAt}. ${lastError}`
+  );
+}
+
 /**
  * Start the reminder checker loop.
  *
@@ -13,114 +231,38 @@ const CHECK_INTERVAL_MS = 60 * 1000; // every 60 seconds
  * @param {string} channelId - Slack channel ID to post notifications to
  */
 function startReminderChecker(slackClient, channelId) {
-  console.log('[reminders/checker] Starting reminder checker (every 60s)');
+  log.info('Starting reminder checker (every 60s)');
 
-  setInterval(async () => {
+  setInterval(() => withCorrelationId(newCorrelationId('reminders'), async () => {
     try {
       const dueReminders = getDueReminders();
 
       if (dueReminders.length === 0) return;
 
-      console.log(`[reminders/checker] Processing ${dueReminders.length} due reminder(s)`);
+      log.info(`Processing ${dueReminders.length} due reminder(s)`);
 
       // Fetch all active investors once for matching
-      const allInvestors = await getActiveInvestors();
+      const allInvestors = await getActiveInvestors({ priority: 'low' });
 
       for (const reminder of dueReminders) {
         try {
-          // Find the investor by itemId first, then fall back to name match
-          let investor = allInvestors.find(
-            (inv) => inv.id === reminder.itemId || inv.id === String(reminder.itemId)
-          );
-
-          if (!investor) {
-            // Fall back to name match
-            const lowerName = (reminder.investorName || '').toLowerCase();
-            investor = allInvestors.find(
-              (inv) => inv.name.toLowerCase().includes(lowerName)
-            );
-          }
-
-          if (!investor) {
-            // Use stored context from the reminder as a fallback
-            if (reminder.investorLink) {
-              console.warn(
-                `[reminders/checker] Investor "${reminder.investorName}" not found in Monday.com — using stored context`
-              );
-              investor = {
-                name: reminder.investorName,
-                id: reminder.itemId,
-                status: reminder.investorStatus || 'Unknown',
-                dealInterest: reminder.dealInterest || 'N/A',
-                link: reminder.investorLink,
-              };
-            } else {
-              console.warn(
-                `[reminders/checker] Could not find investor "${reminder.investorName}" (item ${reminder.itemId}) and no stored context — skipping`
-              );
-              removeReminder(reminder.id);
-              continue;
-            }
-          }
-
-          // Generate AI suggestion
-          let suggestion = '';
-          try {
-            suggestion = await generateFollowUpSuggestion(investor);
-          } catch (err) {
-            console.error('[reminders/checker] AI suggestion failed:', err.message);
-          }
-
-          // Send reminder email
-          if (reminder.userEmail) {
-            await sendReminderEmail({
-              to: reminder.userEmail,
-              investorName: investor.name,
-              investor,
-              suggestion,
-            });
-          }
-
-          // Post Slack notification
-          if (slackClient && channelId) {
-            const slackMessage = formatReminderNotification(
-              investor,
-              reminder.slackUserId || 'team'
-            );
-
-            // Append suggestion if available
-            const fullMessage = suggestion
-              ? `${slackMessage}\n\n:bulb: *Suggested Action:* ${suggestion}`
-              : slackMessage;
-
-            await slackClient.chat.postMessage({
-              channel: channelId,
-              text: fullMessage,
-            });
-          }
-
-          // Remove processed reminder
-          removeReminder(reminder.id);
-          console.log(
-            `[reminders/checker] Processed reminder for ${investor.name}`
-          );
+          await processReminder(reminder, allInvestors, slackClient, channelId);
         } catch (innerErr) {
-          console.error(
-            `[reminders/checker] Error processing reminder "${reminder.investorName}":`,
+          // Leave the reminder in place — it will be picked up on the next tick
+          log.error(
+            `Error processing reminder "${reminder.investorName}":`,
             innerErr.message
           );
-          // Remove the reminder to avoid infinite retry loop
-          removeReminder(reminder.id);
         }
       }
 
-      console.log(
-        `[reminders/checker] Finished processing ${dueReminders.length} reminder(s)`
+      log.info(
+        `Finished processing ${dueReminders.length} reminder(s)`
       );
     } catch (err) {
-      console.error('[reminders/checker] Tick error:', err.message);
+      log.error('Tick error:', err.message);
     }
-  }, CHECK_INTERVAL_MS);
+  }), CHECK_INTERVAL_MS);
 }
 
 module.exports = { startReminderChecker };
@@ -1,6 +1,9 @@
 const nodemailer = require('nodemailer');
 const config = require('../config');
 const { escapeHtml, maskEmail } = require('../utils/helpers');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('reminders/email');
 
 /**
  * Send a follow-up reminder email to the specified recipient.
@@ -96,10 +99,10 @@ async function sendReminderEmail({ to, investorName, investor, suggestion }) {
       html,
     });
 
-    console.log(`[reminders/email] Reminder email sent to ${maskEmail(to)} for ${investorName}`);
+    log.info(`Reminder email sent to ${maskEmail(to)} for ${investorName}`);
     return true;
   } catch (err) {
-    console.error(`[reminders/email] Failed to send email to ${maskEmail(to)}:`, err.message);
+    log.error(`Failed to send email to ${maskEmail(to)}:`, err.message);
     return false;
   }
 }
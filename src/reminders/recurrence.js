@@ -0,0 +1,97 @@
+// ---------------------------------------------------------------------------
+// Recurring reminders — recurrence rules driven by the cadence tiers
+// ---------------------------------------------------------------------------
+// A recurrence rule is stored on the reminder:
+//   { frequency: 'daily' | 'weekly' | 'monthly' | 'interval',
+//     intervalDays?: number,   // only for 'interval'
+//     tier: '💰 Funded',       // status the investor must stay in
+//     occurrence: 0 }          // how many times it has fired so far
+//
+// The checker schedules the next occurrence after each firing and ends the
+// recurrence once the investor's status leaves `tier`.
+// ---------------------------------------------------------------------------
+
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the recurrence rule for an investor status, or null if that tier
+ * does not recur. Uses the tier's `recurring` setting from config.cadence:
+ * 'daily' | 'weekly' | 'monthly', or 'cadence' to repeat every autoNextDays.
+ *
+ * @param {string} status - Investor status label (e.g. "💰 Funded")
+ * @returns {Object|null}
+ */
+function recurrenceForStatus(status) {
+  const tier = config.cadence[status];
+  if (!tier || !tier.recurring) return null;
+
+  if (tier.recurring === 'cadence') {
+    return { frequency: 'interval', intervalDays: tier.autoNextDays, tier: status, occurrence: 0 };
+  }
+  return { frequency: tier.recurring, tier: status, occurrence: 0 };
+}
+
+function advance(date, recurrence) {
+  const next = new Date(date);
+  switch (recurrence.frequency) {
+    case 'daily':
+      return new Date(next.getTime() + DAY_MS);
+    case 'weekly':
+      return new Date(next.getTime() + 7 * DAY_MS);
+    case 'monthly': {
+      // Clamp to the last day of the month so Jan 31 → Feb 28, not Mar 3
+      const day = next.getDate();
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+      next.setDate(Math.min(day, lastDay));
+      return next;
+    }
+    case 'interval':
+      return new Date(next.getTime() + Math.max(recurrence.intervalDays || 1, 1) * DAY_MS);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compute the next occurrence after `fromDate`, skipping any occurrences
+ * that were missed (e.g. while the bot was down) so it lands in the future.
+ *
+ * @param {Object}      recurrence - Recurrence rule
+ * @param {Date|string} fromDate   - The occurrence that just fired
+ * @returns {Date|null} Next occurrence, or null for an unknown frequency
+ */
+function nextOccurrence(recurrence, fromDate) {
+  const now = Date.now();
+  let next = advance(fromDate, recurrence);
+  while (next && next.getTime() <= now) {
+    next = advance(next, recurrence);
+  }
+  return next;
+}
+
+/**
+ * Whether the recurrence still applies to an investor with this status.
+ */
+function isRecurrenceActive(recurrence, status) {
+  return !!recurrence && recurrence.tier === status;
+}
+
+/**
+ * Human-readable recurrence ("weekly", "every 14 days").
+ */
+function describeRecurrence(recurrence) {
+  if (!recurrence) return '';
+  if (recurrence.frequency === 'interval') return `every ${recurrence.intervalDays} days`;
+  return recurrence.frequency;
+}
+
+module.exports = {
+  recurrenceForStatus,
+  nextOccurrence,
+  isRecurrenceActive,
+  describeRecurrence,
+};
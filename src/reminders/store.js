@@ -1,34 +1,56 @@
-const fs = require('fs');
-const path = require('path');
-const { maskEmail } = require('../utils/helpers');
+// ---------------------------------------------------------------------------
+// Reminder store — public API over a pluggable storage backend.
+// ---------------------------------------------------------------------------
+// Backends (see ./backends):
+//   - sqlite (default) — durable, migrated schema, imports reminders.json once
+//   - json             — legacy single-file store, handy for local development
+//
+// Select with REMINDERS_BACKEND. On Railway, point REMINDERS_DB_PATH at a
+// mounted volume so reminders survive redeploys.
+// ---------------------------------------------------------------------------
 
-const STORE_PATH = path.join(__dirname, '../../reminders.json');
+const config = require('../config');
+const { createSqliteBackend } = require('./backends/sqlite');
+const { createJsonBackend } = require('./backends/json');
+const { recordReminder } = require('../history/journal');
+const { createLogger } = require('../utils/logger');
 
-let reminders = [];
+const log = createLogger('reminders/store');
 
-function loadReminders() {
-  try {
-    if (fs.existsSync(STORE_PATH)) {
-      const data = fs.readFileSync(STORE_PATH, 'utf-8');
-      reminders = JSON.parse(data);
-      console.log(`[reminders/store] Loaded ${reminders.length} reminders from disk`);
-    }
-  } catch (err) {
-    console.error('[reminders/store] Error loading reminders:', err.message);
-    reminders = [];
+let backend = null;
+
+function createBackend() {
+  const { backend: kind, dbPath, jsonPath } = config.reminders;
+
+  if (kind === 'json') {
+    return createJsonBackend({ filePath: jsonPath });
+  }
+  if (kind !== 'sqlite') {
+    log.warn(`Unknown REMINDERS_BACKEND "${kind}" — using sqlite`);
   }
+  return createSqliteBackend({ dbPath, importPath: jsonPath });
 }
 
-function saveReminders() {
+/**
+ * Return the active backend, initializing it on first use.
+ */
+function getBackend() {
+  if (!backend) loadReminders();
+  return backend;
+}
+
+function loadReminders() {
+  backend = createBackend();
   try {
-    fs.writeFileSync(STORE_PATH, JSON.stringify(reminders, null, 2));
-    try { fs.chmodSync(STORE_PATH, 0o600); } catch (_) {}
+    backend.init();
+    log.info(`Loaded ${backend.all().length} reminders (${backend.name} backend)`);
   } catch (err) {
-    console.error('[reminders/store] Error saving reminders:', err.message);
+    log.error(`Error initializing ${backend.name} backend:`, err.message);
+    throw err;
   }
 }
 
-function addReminder({ investorName, itemId, scheduledAt, slackUserId, userEmail, investorStatus, dealInterest, investorLink }) {
+function addReminder({ investorName, itemId, scheduledAt, slackUserId, userEmail, investorStatus, dealInterest, investorLink, recurrence }) {
   // scheduledAt should be a Date object or ISO string
   const reminder = {
     id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
@@ -41,25 +63,184 @@ function addReminder({ investorName, itemId, scheduledAt, slackUserId, userEmail
     dealInterest: dealInterest || null,
     investorLink: investorLink || null,
     createdAt: new Date().toISOString(),
+    deliveries: null,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    deadLetteredAt: null,
+    recurrence: recurrence || null,
   };
-  reminders.push(reminder);
-  saveReminders();
-  console.log(`[reminders/store] Added reminder for ${investorName} at ${reminder.scheduledAt} (user: ${slackUserId})`);
+  try {
+    getBackend().insert(reminder);
+  } catch (err) {
+    log.error('Error saving reminder:', err.message);
+    throw err;
+  }
+  log.info(`Added ${recurrence ? recurrence.frequency + ' recurring ' : ''}reminder for ${investorName} at ${reminder.scheduledAt} (user: ${slackUserId})`);
+  recordReminder(reminder);
   return reminder;
 }
 
+/**
+ * Reminders that are due now. A reminder waiting on a retry becomes due at
+ * its nextAttemptAt instead of its scheduledAt. Dead-lettered reminders are
+ * never due.
+ */
 function getDueReminders() {
   const now = new Date();
-  return reminders.filter(r => new Date(r.scheduledAt) <= now);
+  return getBackend().all().filter(r => {
+    if (r.deadLetteredAt) return false;
+    return new Date(r.nextAttemptAt || r.scheduledAt) <= now;
+  });
+}
+
+function getReminder(id) {
+  return getBackend().get(id);
+}
+
+/**
+ * Persist a partial update to a reminder.
+ *
+ * @param {string} id      - Reminder ID
+ * @param {Object} changes - Fields to overwrite
+ */
+function updateReminder(id, changes) {
+  try {
+    getBackend().update(id, changes);
+  } catch (err) {
+    log.error('Error updating reminder:', err.message);
+  }
 }
 
 function removeReminder(id) {
-  reminders = reminders.filter(r => r.id !== id);
-  saveReminders();
+  try {
+    getBackend().remove(id);
+  } catch (err) {
+    log.error('Error removing reminder:', err.message);
+  }
 }
 
+/**
+ * All pending reminders (excludes the dead-letter list).
+ */
 function getAllReminders() {
-  return [...reminders];
+  return getBackend().all().filter(r => !r.deadLetteredAt);
+}
+
+/**
+ * Pending reminders owned by one Slack user, soonest first.
+ */
+function getRemindersForUser(slackUserId) {
+  return getAllReminders().filter(r => r.slackUserId === slackUserId);
+}
+
+/**
+ * Move a reminder to a new time. Clears any retry state so the reminder is
+ * delivered fresh on every channel at the new time.
+ *
+ * @param {string}      id          - Reminder ID
+ * @param {Date|string} scheduledAt - New reminder time
+ * @param {Object}      [extraChanges] - Other fields to update in the same write
+ * @returns {Object|null} The updated reminder, or null if not found
+ */
+function rescheduleReminder(id, scheduledAt, extraChanges = {}) {
+  const reminder = getBackend().get(id);
+  if (!reminder) return null;
+
+  updateReminder(id, {
+    ...extraChanges,
+    scheduledAt: new Date(scheduledAt).toISOString(),
+    deliveries: null,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+  });
+  log.info(`Rescheduled reminder ${id} for ${reminder.investorName} to ${new Date(scheduledAt).toISOString()}`);
+  return getBackend().get(id);
+}
+
+/**
+ * Set a user's reminder for an investor: move the pending one they already
+ * have for that investor, or add one if there is none. Scheduling a follow-up
+ * again (a new date, Snooze, the ⏰ reaction) then replaces the old reminder
+ * instead of starting a second recurring series next to it.
+ *
+ * @param {Object} fields - As for addReminder
+ * @returns {{reminder: Object, rescheduled: boolean}}
+ */
+function setInvestorReminder(fields) {
+  const existing = getAllReminders().find(
+    (r) => String(r.itemId) === String(fields.itemId) && r.slackUserId === fields.slackUserId
+  );
+  if (!existing) return { reminder: addReminder(fields), rescheduled: false };
+
+  const reminder = rescheduleReminder(existing.id, fields.scheduledAt, {
+    investorName: fields.investorName,
+    userEmail: fields.userEmail || existing.userEmail || null,
+    investorStatus: fields.investorStatus || null,
+    dealInterest: fields.dealInterest || null,
+    investorLink: fields.investorLink || null,
+    recurrence: fields.recurrence || null,
+  });
+  return { reminder, rescheduled: true };
+}
+
+// ---------------------------------------------------------------------------
+// Dead-letter list — reminders that exhausted their delivery attempts
+// ---------------------------------------------------------------------------
+
+function deadLetterReminder(id, reason) {
+  updateReminder(id, {
+    deadLetteredAt: new Date().toISOString(),
+    lastError: reason || null,
+    nextAttemptAt: null,
+  });
+  log.warn(`Moved reminder ${id} to dead-letter list: ${reason}`);
+}
+
+function getDeadLetterReminders() {
+  return getBackend().all().filter(r => r.deadLetteredAt);
+}
+
+/**
+ * Take a reminder off the dead-letter list and make it due immediately.
+ * Failed channels (still pending) get a fresh set of attempts; channels that
+ * delivered or were skipped (no email address, no Slack channel) stay as
+ * they are, so retrying doesn't chase a channel that can never succeed.
+ *
+ * @returns {Object|null} The requeued reminder, or null if not found
+ */
+function requeueReminder(id) {
+  const reminder = getBackend().get(id);
+  if (!reminder || !reminder.deadLetteredAt) return null;
+
+  const deliveries = {};
+  for (const [channel, state] of Object.entries(reminder.deliveries || {})) {
+    deliveries[channel] = state.status === 'pending' ? { ...state, attempts: 0 } : state;
+  }
+
+  updateReminder(id, {
+    deliveries,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    deadLetteredAt: null,
+  });
+  log.info(`Requeued dead-lettered reminder ${id}`);
+  return getBackend().get(id);
 }
 
-module.exports = { loadReminders, addReminder, getDueReminders, removeReminder, getAllReminders };
+module.exports = {
+  loadReminders,
+  addReminder,
+  getDueReminders,
+  getReminder,
+  updateReminder,
+  removeReminder,
+  getAllReminders,
+  getRemindersForUser,
+  rescheduleReminder,
+  setInvestorReminder,
+  deadLetterReminder,
+  getDeadLetterReminders,
+  requeueReminder,
+};
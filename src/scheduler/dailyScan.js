@@ -2,8 +2,12 @@ const config = require('../config');
 const { getActiveInvestors } = require('../monday/queries');
 const { getRecentCommunications, getActiveOfferings } = require('../monday/queries');
 const { generateFollowUpSuggestion } = require('../ai/suggestions');
-const { formatDailyDigest } = require('../slack/messages');
+const { buildDailyDigestMessage } = require('../slack/blocks');
+const { recordPostedInvestors } = require('../slack/threads');
 const { getMondayUsers } = require('../utils/userMapping');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('scheduler/dailyScan');
 
 function isSameDay(d1, d2) {
   return (
@@ -56,18 +60,18 @@ async function buildSlackUserMap(slackClient) {
       }
     }
 
-    console.log(`[Daily Scan] Built Slack user map: ${slackUserMap.size} Monday→Slack mappings`);
+    log.info(`Built Slack user map: ${slackUserMap.size} Monday→Slack mappings`);
   } catch (err) {
-    console.error('[Daily Scan] Failed to build Slack user map:', err.message);
+    log.error('Failed to build Slack user map:', err.message);
   }
 
   return slackUserMap;
 }
 
 async function runDailyScan(slackClient, channelId) {
-  console.log('[Daily Scan] Starting daily scan...');
+  log.info('Starting daily scan...');
 
-  const investors = await getActiveInvestors();
+  const investors = await getActiveInvestors({ priority: 'low' });
 
   // Build today's date in EST, zeroed to midnight
   const today = new Date(
@@ -108,8 +112,8 @@ async function runDailyScan(slackClient, channelId) {
         );
         suggestions[investor.name] = suggestion;
       } catch (err) {
-        console.error(
-          `[Daily Scan] Failed to generate suggestion for ${investor.name}:`,
+        log.error(
+          `Failed to generate suggestion for ${investor.name}:`,
           err.message
         );
         suggestions[investor.name] = 'Unable to generate suggestion.';
@@ -121,15 +125,17 @@ async function runDailyScan(slackClient, channelId) {
   const slackUserMap = await buildSlackUserMap(slackClient);
 
   // Format and post digest to Slack
-  const message = formatDailyDigest(overdueList, dueTodayList, suggestions, slackUserMap);
+  const { text, blocks } = buildDailyDigestMessage(overdueList, dueTodayList, suggestions, slackUserMap);
 
-  await slackClient.chat.postMessage({
+  const posted = await slackClient.chat.postMessage({
     channel: channelId,
-    text: message,
+    text,
+    blocks,
   });
+  recordPostedInvestors(posted.channel, posted.ts, [...overdueList, ...dueTodayList].map((inv) => inv.id));
 
-  console.log(
-    `[Daily Scan] Complete. Overdue: ${overdueList.length}, Due today: ${dueTodayList.length}`
+  log.info(
+    `Complete. Overdue: ${overdueList.length}, Due today: ${dueTodayList.length}`
   );
 
   return {
@@ -1,12 +1,16 @@
 const config = require('../config');
 const { getActiveInvestors } = require('../monday/queries');
-const { updateNextFollowUp, addGoingColdFlag } = require('../monday/mutations');
-const { formatGoingColdAlert } = require('../slack/messages');
+const { batchUpdateColumnValues, flaggedName } = require('../monday/mutations');
+const { buildGoingColdMessage } = require('../slack/blocks');
+const { recordPostedInvestors } = require('../slack/threads');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('scheduler/goingCold');
 
 async function runGoingColdCheck(slackClient, channelId) {
-  console.log('[Going Cold] Starting going-cold check...');
+  log.info('Starting going-cold check...');
 
-  const investors = await getActiveInvestors();
+  const investors = await getActiveInvestors({ priority: 'low' });
 
   const today = new Date(
     new Date().toLocaleString('en-US', { timeZone: config.timezone })
@@ -15,7 +19,7 @@ async function runGoingColdCheck(slackClient, channelId) {
 
   const todayStr = today.toISOString().split('T')[0];
 
-  let coldCount = 0;
+  const coldInvestors = [];
 
   for (const investor of investors) {
     if (!investor.lastContactDate) continue;
@@ -31,24 +35,48 @@ async function runGoingColdCheck(slackClient, channelId) {
     if (!tier) continue;
 
     if (daysSinceContact >= tier.coldAfter) {
-      // 1. Prepend going-cold flag to investor name
-      await addGoingColdFlag(investor.id, investor.name);
-
-      // 2. Set Next Follow-Up to today
-      await updateNextFollowUp(investor.id, todayStr);
-
-      // 3. Format and post alert to Slack
-      const alert = formatGoingColdAlert(investor, daysSinceContact, tier);
-      await slackClient.chat.postMessage({
-        channel: channelId,
-        text: alert,
-      });
+      coldInvestors.push({ investor, daysSinceContact, tier });
+    }
+  }
 
-      coldCount++;
+  // 1 + 2. Prepend going-cold flag and set Next Follow-Up to today, batched
+  //        into as few Monday requests as possible. The values just read
+  //        go along as the before values for the audit log.
+  const nextCol = config.monday.columns.nextFollowUp;
+  const updates = coldInvestors.map(({ investor }) => {
+    const columnValues = { [nextCol]: { date: todayStr } };
+    const previousValues = {
+      [nextCol]: investor.nextFollowUp ? { date: new Date(investor.nextFollowUp).toISOString().split('T')[0] } : null,
+    };
+    const newName = flaggedName(investor.name);
+    if (newName) {
+      columnValues.name = newName;
+      previousValues.name = investor.name;
     }
+    return { itemId: investor.id, columnValues, itemName: investor.name, previousValues };
+  });
+  if (updates.length > 0) {
+    const results = await batchUpdateColumnValues(updates);
+    const failed = results.filter((r) => !r.success).length;
+    if (failed > 0) {
+      log.error(`${failed} Monday update(s) failed; alerts will still be posted.`);
+    }
+  }
+
+  // 3. Format and post alerts to Slack
+  for (const { investor, daysSinceContact, tier } of coldInvestors) {
+    const { text, blocks } = buildGoingColdMessage(investor, daysSinceContact, tier);
+    const posted = await slackClient.chat.postMessage({
+      channel: channelId,
+      text,
+      blocks,
+    });
+    recordPostedInvestors(posted.channel, posted.ts, [investor.id]);
   }
 
-  console.log(`[Going Cold] Complete. ${coldCount} investor(s) going cold.`);
+  const coldCount = coldInvestors.length;
+
+  log.info(`Complete. ${coldCount} investor(s) going cold.`);
 
   return coldCount;
 }
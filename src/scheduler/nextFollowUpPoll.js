@@ -0,0 +1,117 @@
+const config = require('../config');
+const { getActiveInvestors } = require('../monday/queries');
+const { batchUpdateColumnValues, unflaggedName } = require('../monday/mutations');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('scheduler/nextFollowUpPoll');
+
+// ---------------------------------------------------------------------------
+// Next follow-up poller — sets Next Follow-Up when Last Contact Date changes
+// ---------------------------------------------------------------------------
+// Every 15 minutes (see cron.js) the Investor List is compared with the Last
+// Contact Dates seen on the previous poll. A changed date means someone
+// logged a contact in Monday, so Next Follow-Up moves to the contact date
+// plus the status tier's autoNextDays.
+//
+// The bot's own touchpoints already set Next Follow-Up (an explicit date, or
+// the cadence clamped to today), so they must not look like changes:
+//   - handleLogTouchpoint reports its writes through rememberLastContact
+//   - an item whose Next Follow-Up is already on or after the computed date
+//     is left alone
+// ---------------------------------------------------------------------------
+
+// itemId → Last Contact Date (YYYY-MM-DD) as of the last poll or bot write
+const lastContactCache = {};
+
+function toDateStr(date) {
+  return date ? new Date(date).toISOString().split('T')[0] : null;
+}
+
+/**
+ * Record a Last Contact Date the bot wrote itself, so the next poll doesn't
+ * treat it as a change and recompute Next Follow-Up over the bot's date.
+ *
+ * @param {string|number} itemId
+ * @param {string} dateStr - YYYY-MM-DD
+ */
+function rememberLastContact(itemId, dateStr) {
+  lastContactCache[String(itemId)] = dateStr;
+}
+
+/**
+ * Work out which investors need Next Follow-Up recalculated. Investors with
+ * no change (or nothing to change) are marked as seen in `cache`; the ones
+ * returned are marked only once their update succeeds.
+ *
+ * @param {Array} investors - Parsed Investor List items
+ * @param {Object} [cache] - itemId → last seen Last Contact Date (the poller's own by default)
+ * @returns {Array<{investor, nextDateStr: string, lastContactStr: string, columnValues: Object,
+ *   previousValues: Object}>} previousValues are the columns' current values, for the audit log
+ */
+function planFollowUpUpdates(investors, cache = lastContactCache) {
+  const planned = [];
+
+  for (const investor of investors) {
+    const itemId = String(investor.id);
+    const lastContactStr = toDateStr(investor.lastContactDate);
+    const changed = lastContactStr && lastContactStr !== (cache[itemId] || null);
+    const tier = changed ? config.cadence[investor.status] : null;
+
+    if (tier) {
+      const nextDate = new Date(investor.lastContactDate);
+      nextDate.setDate(nextDate.getDate() + tier.autoNextDays);
+      const nextDateStr = toDateStr(nextDate);
+      const currentNextStr = toDateStr(investor.nextFollowUp);
+
+      if (!currentNextStr || currentNextStr < nextDateStr) {
+        // Set next follow-up and remove going-cold flag if present
+        const nextCol = config.monday.columns.nextFollowUp;
+        const columnValues = { [nextCol]: { date: nextDateStr } };
+        const previousValues = { [nextCol]: currentNextStr ? { date: currentNextStr } : null };
+        const newName = investor.name && unflaggedName(investor.name);
+        if (newName) {
+          columnValues.name = newName;
+          previousValues.name = investor.name;
+        }
+        planned.push({ investor, nextDateStr, lastContactStr, columnValues, previousValues });
+        continue;
+      }
+    }
+
+    cache[itemId] = lastContactStr;
+  }
+
+  return planned;
+}
+
+async function runNextFollowUpPoll() {
+  log.info('Polling for Last Contact Date changes...');
+
+  const investors = await getActiveInvestors({ priority: 'low' });
+  const planned = planFollowUpUpdates(investors);
+
+  // Update Monday.com in batches; failed items stay out of the cache so the
+  // next poll retries them
+  let updatedCount = 0;
+  if (planned.length > 0) {
+    const results = await batchUpdateColumnValues(
+      planned.map(({ investor, columnValues, previousValues }) => ({
+        itemId: investor.id,
+        columnValues,
+        itemName: investor.name,
+        previousValues,
+      }))
+    );
+    results.forEach((result, i) => {
+      const { investor, nextDateStr, lastContactStr } = planned[i];
+      if (!result.success) return;
+      lastContactCache[String(investor.id)] = lastContactStr;
+      log.info(`Auto-updated next follow-up for ${investor.name}: ${nextDateStr}`);
+      updatedCount++;
+    });
+  }
+
+  log.info(`Polling complete. ${updatedCount} follow-up(s) auto-calculated.`);
+}
+
+module.exports = { runNextFollowUpPoll, planFollowUpUpdates, rememberLastContact };
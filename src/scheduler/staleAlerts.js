@@ -1,11 +1,14 @@
 const config = require('../config');
 const { getActiveInvestors } = require('../monday/queries');
 const { formatStaleAlerts } = require('../slack/messages');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('scheduler/staleAlerts');
 
 async function runStaleAlerts(slackClient, channelId) {
-  console.log('[Stale Alerts] Starting stale investor check...');
+  log.info('Starting stale investor check...');
 
-  const investors = await getActiveInvestors();
+  const investors = await getActiveInvestors({ priority: 'low' });
 
   const today = new Date(
     new Date().toLocaleString('en-US', { timeZone: config.timezone })
@@ -34,8 +37,8 @@ async function runStaleAlerts(slackClient, channelId) {
     });
   }
 
-  console.log(
-    `[Stale Alerts] Complete. ${staleInvestors.length} stale investor(s) found.`
+  log.info(
+    `Complete. ${staleInvestors.length} stale investor(s) found.`
   );
 
   return staleInvestors.length;
@@ -1,11 +1,14 @@
 const config = require('../config');
 const { getAllInvestors } = require('../monday/queries');
 const { formatWeeklySummary } = require('../slack/messages');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('scheduler/weeklySummary');
 
 async function runWeeklySummary(slackClient, channelId) {
-  console.log('[Weekly Summary] Starting weekly summary...');
+  log.info('Starting weekly summary...');
 
-  const investors = await getAllInvestors();
+  const investors = await getAllInvestors({ priority: 'low' });
 
   const today = new Date(
     new Date().toLocaleString('en-US', { timeZone: config.timezone })
@@ -98,7 +101,7 @@ async function runWeeklySummary(slackClient, channelId) {
     text: message,
   });
 
-  console.log('[Weekly Summary] Complete.');
+  log.info('Complete.');
 }
 
 module.exports = { runWeeklySummary };
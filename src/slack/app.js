@@ -1,5 +1,21 @@
 const { App, LogLevel } = require('@slack/bolt');
 const config = require('../config');
+const { createLogger, withCorrelationId, newCorrelationId } = require('../utils/logger');
+
+const log = createLogger('slack/app');
+
+// Bolt's own logs go through the shared logger, so they are redacted and
+// carry the correlation ID of the event being handled
+const boltLog = createLogger('slack/bolt');
+const boltLogger = {
+  debug: (...msgs) => boltLog.debug(...msgs),
+  info: (...msgs) => boltLog.info(...msgs),
+  warn: (...msgs) => boltLog.warn(...msgs),
+  error: (...msgs) => boltLog.error(...msgs),
+  setLevel: () => {},
+  getLevel: () => LogLevel.INFO,
+  setName: () => {},
+};
 
 const app = new App({
   token: config.slack.botToken,
@@ -7,14 +23,20 @@ const app = new App({
   socketMode: true,
   appToken: config.slack.appToken,
   logLevel: LogLevel.INFO,
+  logger: boltLogger,
 });
 
-// Log all incoming events for debugging (will fire for every Slack event)
-app.use(async ({ event, next }) => {
-  if (event) {
-    console.log(`[slack/event] type=${event.type} subtype=${event.subtype || 'none'} channel=${event.channel || 'N/A'} user=${event.user || 'N/A'}`);
-  }
-  await next();
+// Every incoming event, action, command and view submission gets its own
+// correlation ID, which follows it into the Monday and Claude calls it makes
+app.use(async ({ event, body, next }) => {
+  await withCorrelationId(newCorrelationId('slack'), async () => {
+    if (event) {
+      log.debug(`type=${event.type} subtype=${event.subtype || 'none'} channel=${event.channel || 'N/A'} user=${event.user || 'N/A'}`);
+    } else if (body && body.type) {
+      log.debug(`type=${body.type} user=${(body.user && body.user.id) || body.user_id || 'N/A'}`);
+    }
+    await next();
+  });
 });
 
 module.exports = app;
@@ -0,0 +1,416 @@
+// ---------------------------------------------------------------------------
+// Slack Block Kit builders — interactive versions of the alert messages
+// ---------------------------------------------------------------------------
+// Every investor alert gets an actions row:
+//   [Mark contacted] [Snooze 1 day] [Reschedule… (date picker)] [Reassign… (user select)]
+// The investor's Monday item ID travels in the actions block_id
+// ("investor_actions:<itemId>") so the handlers in commands.js can act on the
+// exact item without re-running fuzzy name matching.
+//
+// Each builder returns { text, blocks }; `text` is the plain mrkdwn fallback
+// used for notifications and clients that cannot render blocks.
+// ---------------------------------------------------------------------------
+
+const messages = require('./messages');
+const { escapeSlackMrkdwn } = require('../utils/helpers');
+const { columnName, describeValue, describeActor } = require('../history/audit');
+
+const INVESTOR_ACTIONS_BLOCK_PREFIX = 'investor_actions:';
+
+const ACTION_IDS = {
+  markContacted: 'investor_mark_contacted',
+  snooze: 'investor_snooze_1d',
+  reschedule: 'investor_reschedule',
+  reassign: 'investor_reassign',
+  pickInvestor: 'investor_pick',
+  cancelPick: 'investor_pick_cancel',
+  timelinePage: 'investor_timeline_page',
+  timelineExport: 'investor_timeline_export',
+  auditExport: 'investor_audit_export',
+};
+
+// Slack allows 50 blocks per message; leave room for headers and suggestions
+const MAX_BLOCKS = 50;
+const MAX_INTERACTIVE_DIGEST_ITEMS = 15;
+
+// Section text is capped at 3000 characters by Slack
+const MAX_SECTION_TEXT = 3000;
+
+const TIMELINE_PAGE_SIZE = 10;
+const TIMELINE_SOURCE_LABELS = {
+  rm: ':handshake: RM activity',
+  comms: ':envelope: Communications Log',
+  status: ':arrows_counterclockwise: Status change',
+  update: ':speech_balloon: Monday update',
+  reminder: ':alarm_clock: Reminder',
+};
+
+const AUDIT_PREVIEW_SIZE = 10;
+const AUDIT_EVENT_LABELS = {
+  update: 'Updated',
+  create: 'Created',
+  move: 'Moved',
+  archive: 'Deleted (archived)',
+  delete: 'Deleted',
+  restore: 'Restored',
+  undo: 'Undid changes to',
+  permission_denied: 'Was denied',
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function section(text) {
+  return {
+    type: 'section',
+    text: { type: 'mrkdwn', text: text.length > MAX_SECTION_TEXT ? text.slice(0, MAX_SECTION_TEXT - 1) + '…' : text },
+  };
+}
+
+/**
+ * Split a long list of lines into as few section blocks as possible.
+ */
+function chunkedSections(lines) {
+  const blocks = [];
+  let current = '';
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > MAX_SECTION_TEXT) {
+      blocks.push(section(current));
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current) blocks.push(section(current));
+  return blocks;
+}
+
+/**
+ * Build the actions row for one investor.
+ *
+ * @param {Object} investor - Investor object (needs id)
+ * @returns {Object} Slack actions block
+ */
+function investorActions(investor) {
+  return {
+    type: 'actions',
+    block_id: `${INVESTOR_ACTIONS_BLOCK_PREFIX}${investor.id}`,
+    elements: [
+      {
+        type: 'button',
+        action_id: ACTION_IDS.markContacted,
+        text: { type: 'plain_text', text: 'Mark contacted', emoji: true },
+        style: 'primary',
+        value: String(investor.id),
+      },
+      {
+        type: 'button',
+        action_id: ACTION_IDS.snooze,
+        text: { type: 'plain_text', text: 'Snooze 1 day', emoji: true },
+        value: String(investor.id),
+      },
+      {
+        type: 'datepicker',
+        action_id: ACTION_IDS.reschedule,
+        placeholder: { type: 'plain_text', text: 'Reschedule…', emoji: true },
+      },
+      {
+        type: 'users_select',
+        action_id: ACTION_IDS.reassign,
+        placeholder: { type: 'plain_text', text: 'Reassign…', emoji: true },
+      },
+    ],
+  };
+}
+
+/**
+ * Extract the Monday item ID from an action payload's block_id.
+ *
+ * @param {Object} action - Slack action payload
+ * @returns {string|null}
+ */
+function getActionItemId(action) {
+  if (!action || !action.block_id || !action.block_id.startsWith(INVESTOR_ACTIONS_BLOCK_PREFIX)) {
+    return action && action.value ? action.value : null;
+  }
+  return action.block_id.slice(INVESTOR_ACTIONS_BLOCK_PREFIX.length) || null;
+}
+
+// ---------------------------------------------------------------------------
+// Message builders
+// ---------------------------------------------------------------------------
+
+/**
+ * Scheduled reminder notification with action buttons.
+ *
+ * @param {Object} investor     - The investor object
+ * @param {string} user         - Slack user ID or display name to mention
+ * @param {string} [suggestion] - AI-generated follow-up suggestion
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildReminderMessage(investor, user, suggestion) {
+  const base = messages.formatReminderNotification(investor, user);
+  const text = suggestion
+    ? `${base}\n\n:bulb: *Suggested Action:* ${suggestion}`
+    : base;
+
+  return {
+    text,
+    blocks: [section(text), investorActions(investor)],
+  };
+}
+
+/**
+ * Going-cold alert with action buttons.
+ *
+ * @param {Object} investor  - The investor object
+ * @param {number} daysSince - Days since last contact
+ * @param {Object} cadence   - The cadence tier
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildGoingColdMessage(investor, daysSince, cadence) {
+  const text = messages.formatGoingColdAlert(investor, daysSince, cadence);
+  return {
+    text,
+    blocks: [section(text), investorActions(investor)],
+  };
+}
+
+/**
+ * Daily digest with an actions row under each overdue / due-today investor.
+ * Past MAX_INTERACTIVE_DIGEST_ITEMS investors, the rest are listed as plain
+ * lines to stay under Slack's block limit.
+ *
+ * @param {Array}  overdue        - Investors whose next follow-up is past due
+ * @param {Array}  dueToday       - Investors whose next follow-up is today
+ * @param {Object} suggestions    - Map of investor name -> AI suggestion text
+ * @param {Map}    [slackUserMap] - Map of Monday.com person ID → Slack user ID
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildDailyDigestMessage(overdue, dueToday, suggestions = {}, slackUserMap = null) {
+  const text = messages.formatDailyDigest(overdue, dueToday, suggestions, slackUserMap);
+
+  if ((!overdue || overdue.length === 0) && (!dueToday || dueToday.length === 0)) {
+    return { text, blocks: [section(text)] };
+  }
+
+  const blocks = [section(`:clipboard: *Daily Follow-Up Report — ${messages.todayFormatted()}*`)];
+  let interactiveCount = 0;
+  const overflow = [];
+
+  const addSection = (title, investors, kind) => {
+    if (!investors || investors.length === 0) return;
+    blocks.push({ type: 'divider' });
+    blocks.push(section(title));
+    for (const inv of investors) {
+      const line = messages.formatDigestLine(inv, kind, slackUserMap);
+      if (interactiveCount < MAX_INTERACTIVE_DIGEST_ITEMS) {
+        blocks.push(section(line));
+        blocks.push(investorActions(inv));
+        interactiveCount++;
+      } else {
+        overflow.push(`• ${line}`);
+      }
+    }
+  };
+
+  addSection(`:red_circle: *OVERDUE (${overdue.length}):*`, overdue, 'overdue');
+  addSection(`:calendar: *DUE TODAY (${dueToday.length}):*`, dueToday, 'dueToday');
+
+  if (overflow.length > 0) {
+    blocks.push({ type: 'divider' });
+    blocks.push(...chunkedSections([`*${overflow.length} more:*`, ...overflow]));
+  }
+
+  const suggestionLines = Object.entries(suggestions || {}).map(
+    ([name, suggestion]) => `:bulb: *${escapeSlackMrkdwn(name)}:* ${escapeSlackMrkdwn(suggestion)}`
+  );
+  if (suggestionLines.length > 0) {
+    blocks.push({ type: 'divider' });
+    blocks.push(...chunkedSections(['*Suggested Touchpoints:*', ...suggestionLines]));
+  }
+
+  if (blocks.length > MAX_BLOCKS) {
+    blocks.length = MAX_BLOCKS - 1;
+    blocks.push(section('_Report truncated — say "who\'s overdue" for the full list._'));
+  }
+
+  return { text, blocks };
+}
+
+/**
+ * "Which one did you mean?" picker for a name that matched several
+ * investors. Each button's value is "<token>:<itemId>"; the token points at
+ * the action waiting on the choice.
+ *
+ * @param {string} searchName  - What the user typed
+ * @param {Array}  candidates  - Investor objects, best match first
+ * @param {string} token       - Pending-choice token
+ * @param {Object} [ownerNames] - Map of investor ID → assignee display names
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildDisambiguationMessage(searchName, candidates, token, ownerNames = {}) {
+  const text = `I found a few investors matching "${escapeSlackMrkdwn(searchName)}". Which one did you mean?`;
+
+  const blocks = [section(text)];
+  for (const inv of candidates) {
+    const details = [
+      inv.company ? escapeSlackMrkdwn(inv.company) : null,
+      escapeSlackMrkdwn(inv.status || 'No status'),
+      ownerNames[inv.id] ? `Assigned to ${escapeSlackMrkdwn(ownerNames[inv.id])}` : 'Unassigned',
+    ].filter(Boolean).join(' · ');
+
+    blocks.push({
+      ...section(`*${escapeSlackMrkdwn(inv.name)}*\n${details}`),
+      accessory: {
+        type: 'button',
+        action_id: `${ACTION_IDS.pickInvestor}:${inv.id}`,
+        text: { type: 'plain_text', text: 'This one', emoji: true },
+        value: `${token}:${inv.id}`,
+      },
+    });
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [{
+      type: 'button',
+      action_id: ACTION_IDS.cancelPick,
+      text: { type: 'plain_text', text: 'None of these', emoji: true },
+      value: token,
+    }],
+  });
+
+  return { text, blocks };
+}
+
+/**
+ * One line of an investor timeline: when · source · who, then what happened.
+ */
+function formatTimelineEntry(entry) {
+  const when = entry.dateOnly
+    ? entry.at.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    : messages.formatDateTimeCT(entry.at);
+  const who = entry.slackUserId ? `<@${entry.slackUserId}>` : entry.actor ? escapeSlackMrkdwn(entry.actor) : null;
+
+  let what = escapeSlackMrkdwn(entry.what);
+  if (entry.remindAt) what += ` for ${messages.formatDateTimeCT(entry.remindAt)}`;
+  if (entry.link) what += ` — <${entry.link}|Open>`;
+
+  const lines = [[`*${when}*`, TIMELINE_SOURCE_LABELS[entry.source] || entry.source, who].filter(Boolean).join(' · '), what];
+  if (entry.detail) lines.push(`> ${escapeSlackMrkdwn(entry.detail)}`);
+  return lines.join('\n');
+}
+
+/**
+ * One page of an investor's timeline, newest first, with paging and export
+ * buttons. The buttons carry the investor in their block_id, like
+ * investorActions; paging buttons carry the page to show as their value.
+ *
+ * @param {Object} investor - The investor object (id, name, link)
+ * @param {Array}  entries  - Timeline entries, newest first
+ * @param {number} [page]   - Zero-based page number
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildTimelineMessage(investor, entries, page = 0) {
+  const pageCount = Math.max(1, Math.ceil(entries.length / TIMELINE_PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const shown = entries.slice(current * TIMELINE_PAGE_SIZE, (current + 1) * TIMELINE_PAGE_SIZE);
+
+  const title = `:scroll: *History for <${investor.link}|${escapeSlackMrkdwn(investor.name)}>*`;
+  const text = entries.length === 0
+    ? `${title}\nNo history found yet.`
+    : `${title} — ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}, page ${current + 1} of ${pageCount}`;
+
+  const blocks = [section(text)];
+  if (entries.length === 0) return { text, blocks };
+
+  blocks.push({ type: 'divider' });
+  for (const entry of shown) {
+    blocks.push(section(formatTimelineEntry(entry)));
+  }
+
+  const button = (label, actionId, value) => ({
+    type: 'button',
+    action_id: actionId,
+    text: { type: 'plain_text', text: label, emoji: true },
+    value,
+  });
+  const elements = [];
+  if (current > 0) elements.push(button('‹ Newer', `${ACTION_IDS.timelinePage}:newer`, String(current - 1)));
+  if (current < pageCount - 1) elements.push(button('Older ›', `${ACTION_IDS.timelinePage}:older`, String(current + 1)));
+  elements.push(button(':page_facing_up: Export CSV', ACTION_IDS.timelineExport, 'csv'));
+  blocks.push({ type: 'actions', block_id: `${INVESTOR_ACTIONS_BLOCK_PREFIX}${investor.id}`, elements });
+
+  return { text, blocks };
+}
+
+/**
+ * One audit log entry: when · who · what, then one line per changed column.
+ */
+function formatAuditEntry(entry) {
+  const when = messages.formatDateTimeCT(new Date(entry.createdAt));
+  const who = entry.slackUserId ? `<@${entry.slackUserId}>` : escapeSlackMrkdwn(describeActor(entry));
+  const item = entry.itemName ? `*${escapeSlackMrkdwn(entry.itemName)}*` : `item ${entry.itemId || '?'}`;
+
+  let what = entry.event === 'permission_denied'
+    ? `Was denied: ${escapeSlackMrkdwn(entry.action || 'command')}${entry.itemId ? ` on ${item}` : ''}`
+    : `${AUDIT_EVENT_LABELS[entry.event] || entry.event} ${item}`;
+  if (entry.slackLink) what += ` — <${entry.slackLink}|Slack message>`;
+
+  const lines = [`*${when}* · ${who}`, what];
+  for (const change of entry.changes) {
+    lines.push(`> ${escapeSlackMrkdwn(columnName(change.column))}: ` +
+      `${escapeSlackMrkdwn(describeValue(change.before))} → ${escapeSlackMrkdwn(describeValue(change.after))}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The newest audit log entries for an investor, with a button to export
+ * them all as CSV. The button carries the investor in its block_id, like
+ * investorActions.
+ *
+ * @param {Object} investor - The investor object (id, name, link)
+ * @param {Array}  entries  - Audit entries, newest first
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildAuditMessage(investor, entries) {
+  const title = `:ledger: *Audit log for <${investor.link}|${escapeSlackMrkdwn(investor.name)}>*`;
+  const text = entries.length === 0
+    ? `${title}\nThe bot hasn't changed anything for this investor yet.`
+    : `${title} — ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}` +
+      (entries.length > AUDIT_PREVIEW_SIZE ? `, newest ${AUDIT_PREVIEW_SIZE} shown` : '');
+
+  const blocks = [section(text)];
+  if (entries.length === 0) return { text, blocks };
+
+  blocks.push({ type: 'divider' });
+  for (const entry of entries.slice(0, AUDIT_PREVIEW_SIZE)) {
+    blocks.push(section(formatAuditEntry(entry)));
+  }
+  blocks.push({
+    type: 'actions',
+    block_id: `${INVESTOR_ACTIONS_BLOCK_PREFIX}${investor.id}`,
+    elements: [{
+      type: 'button',
+      action_id: ACTION_IDS.auditExport,
+      text: { type: 'plain_text', text: ':page_facing_up: Export CSV', emoji: true },
+      value: 'csv',
+    }],
+  });
+
+  return { text, blocks };
+}
+
+module.exports = {
+  ACTION_IDS,
+  investorActions,
+  getActionItemId,
+  buildReminderMessage,
+  buildGoingColdMessage,
+  buildDailyDigestMessage,
+  buildDisambiguationMessage,
+  buildTimelineMessage,
+  buildAuditMessage,
+};
@@ -8,31 +8,75 @@
 //   4. If no regex match → Anthropic NLU intent parsing (conversational)
 //   5. Route parsed intent to the appropriate handler
 //   6. If missing_info, ask a targeted follow-up question
+//
+// Commands are accepted in the follow-ups channel and in DMs with the bot.
+// Channel replies go in the triggering message's thread, and a command inside
+// a thread can leave out the investor the thread is about.
 // ---------------------------------------------------------------------------
 
 const config = require('../config');
-const { getActiveInvestors, getAllInvestors, searchRMByInvestorName } = require('../monday/queries');
+const { getActiveInvestors, getAllInvestors, searchRMByInvestorName, getRMItemsForInvestor, getCommunicationsForInvestor } = require('../monday/queries');
+const investorCache = require('../monday/investorCache');
+const { getQueueStats } = require('../monday/client');
 const {
   updateNextFollowUp,
   updateLastContactDate,
   removeGoingColdFlag,
   testMondayWrite,
   updateAssignedTo,
+  updateInvestmentInterest,
   createInvestor,
   createFollowUpActivity,
   updateRMItem,
   logCommunication,
+  restoreColumnValues,
   deleteItem,
 } = require('../monday/mutations');
-const { findBestMatch } = require('../utils/nameMatch');
+const { findBestMatch, searchInvestors } = require('../utils/nameMatch');
 const { escapeSlackMrkdwn } = require('../utils/helpers');
-const { parseNaturalDate } = require('../utils/dateParser');
-const { addReminder } = require('../reminders/store');
+const { parseNaturalDate, parsePastDate, parseDuration, zonedDateTime } = require('../utils/dateParser');
+const {
+  setInvestorReminder,
+  getDeadLetterReminders,
+  requeueReminder,
+  getReminder,
+  removeReminder,
+  getAllReminders,
+  getRemindersForUser,
+  rescheduleReminder,
+} = require('../reminders/store');
+const { recurrenceForStatus, describeRecurrence } = require('../reminders/recurrence');
+const { rememberLastContact } = require('../scheduler/nextFollowUpPoll');
 const { parseIntent } = require('../ai/intentParser');
 const { parseContacts } = require('../ai/contactParser');
-const { resolveSlackUserToMonday, resolveNameToMonday, getTeamSlackId } = require('../utils/userMapping');
+const { extractTouchpoint } = require('../ai/touchpointParser');
+const { getTimeline, timelineToCsv } = require('../history/timeline');
+const { runOperation, runUnjournaled } = require('../history/journal');
+const { runAsActor, getInvestorAudit, auditToCsv } = require('../history/audit');
+const { recycleItem, restoreItem, restoreLosses, listRecycledItems, findRecycledItems } = require('../history/recycleBin');
+const {
+  getLastOperation,
+  markOperationUndone,
+  getRecycledItem,
+  unmarkRestored,
+  savePendingDeletion,
+  getPendingDeletion,
+  clearPendingDeletion,
+  prunePendingDeletions,
+} = require('../history/store');
+const { resolveSlackUserToMonday, resolveNameToMonday, getTeamSlackId, getMondayUsers } = require('../utils/userMapping');
 const { notifyAssignment } = require('./notifications');
+const { checkAccess, authorize, denialMessage, recordDenial } = require('./permissions');
 const messages = require('./messages');
+const { validateBoards } = require('../monday/schema');
+const { ACTION_IDS, getActionItemId, buildDisambiguationMessage, buildTimelineMessage, buildAuditMessage } = require('./blocks');
+const modals = require('./modals');
+const { registerHome, scheduleHomeRefresh } = require('./home');
+const { rememberConversation, takeConversation, rememberChoice, peekChoice, clearChoice } = require('./conversation');
+const { getThreadInvestorId, getPostInvestorIds, recordPostedInvestors, recordReplyContext, extractInvestorIds } = require('./threads');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('slack/commands');
 
 // ---------------------------------------------------------------------------
 // Message deduplication cache — prevents double-processing
@@ -49,16 +93,19 @@ setInterval(() => {
 }, 300000);
 
 // ---------------------------------------------------------------------------
-// Pending deletion confirmations — maps slackUserId to pending delete info
+// Pending deletion confirmations — kept in the history store (keyed by Slack
+// user) so a "yes" still works after a restart
 // ---------------------------------------------------------------------------
 
-const pendingDeletions = new Map();
+const PENDING_DELETION_TTL_MS = 5 * 60 * 1000;
+const MAX_RECYCLE_BIN_LISTING = 20;
 
-// Clean up expired pending deletions every 2 minutes
+// Clean up long-expired pending deletions every 2 minutes
 setInterval(() => {
-  const now = Date.now();
-  for (const [userId, pending] of pendingDeletions) {
-    if (pending.expiresAt < now) pendingDeletions.delete(userId);
+  try {
+    prunePendingDeletions(PENDING_DELETION_TTL_MS);
+  } catch (err) {
+    log.error('Could not prune pending deletions:', err.message);
   }
 }, 120000);
 
@@ -85,14 +132,14 @@ async function getChannelId(client) {
       );
       if (match) {
         channelId = match.id;
-        console.log(`[slack/commands] Resolved channel #${config.slack.channel} -> ${channelId}`);
+        log.info(`Resolved channel #${config.slack.channel} -> ${channelId}`);
         return channelId;
       }
 
       cursor = result.response_metadata && result.response_metadata.next_cursor;
     } while (cursor);
   } catch (err) {
-    console.error('[slack/commands] Failed to look up channel ID:', err.message);
+    log.error('Failed to look up channel ID:', err.message);
   }
 
   return null;
@@ -109,6 +156,13 @@ function formatDateYMD(date) {
   return `${y}-${m}-${d}`;
 }
 
+/**
+ * Today's date as YYYY-MM-DD in Central Time, for date picker validation.
+ */
+function todayYMD() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: config.timezone });
+}
+
 function formatDateReadable(date) {
   return date.toLocaleDateString('en-US', {
     weekday: 'short',
@@ -183,20 +237,39 @@ function cleanSlackText(text) {
 }
 
 function shouldProcess(message) {
-  if (message.bot_id || message.subtype) return false;
+  if (message.bot_id) return false;
+  // Thread replies also sent to the channel are still commands
+  if (message.subtype && message.subtype !== 'thread_broadcast') return false;
   return true;
 }
 
+/**
+ * Commands are accepted in the follow-ups channel (and its threads) and in
+ * direct messages with the bot.
+ */
 async function isCorrectChannel(message, client) {
+  if (message.channel_type === 'im') return true;
   const targetId = await getChannelId(client);
   if (!targetId) return false;
   return message.channel === targetId;
 }
 
+// Most candidates offered when a name matches several investors
+const MAX_DISAMBIGUATION_CHOICES = 5;
+
+function normalizeName(name) {
+  return (name || '').replace(/^\u{1F534}\s*/u, '').trim().toLowerCase();
+}
+
 /**
  * Resolve an investor name from message text using fuzzy matching.
+ * When an exact Monday item ID is known (interactive actions), it wins.
+ * When several investors match about equally well, `candidates` lists them
+ * so the caller can ask which one (see askToDisambiguate).
+ *
+ * @returns {Promise<{investor: Object|null, error: string|null, candidates?: Array}>}
  */
-async function resolveInvestor(searchName) {
+async function resolveInvestor(searchName, itemId) {
   // Always strip leading prepositions (with, for, to, on, about, regarding)
   // as defense-in-depth — both regex and NLU paths may leave them attached
   const cleanName = stripNamePrefix(searchName);
@@ -212,6 +285,12 @@ async function resolveInvestor(searchName) {
     return { investor: null, error: 'No active investors found in Monday.com.' };
   }
 
+  // Buttons and pickers carry the exact item ID — skip fuzzy matching
+  if (itemId) {
+    const exact = investors.find((i) => String(i.id) === String(itemId));
+    if (exact) return { investor: exact, error: null };
+  }
+
   const result = findBestMatch(cleanName, investors);
 
   if (!result) {
@@ -231,16 +310,61 @@ async function resolveInvestor(searchName) {
     };
   }
 
+  // Close alternatives: an exact name match still wins unless it's shared
+  const candidates = [result.match, ...(result.alternatives || []).map((alt) => alt.match)];
+  const exactMatches = candidates.filter((inv) => normalizeName(inv.name) === normalizeName(cleanName));
+  if (exactMatches.length === 1) return { investor: exactMatches[0], error: null };
+  if (candidates.length > 1) {
+    return { investor: null, error: null, candidates: candidates.slice(0, MAX_DISAMBIGUATION_CHOICES) };
+  }
+
   return { investor: result.match, error: null };
 }
 
+/**
+ * Post a "which one did you mean?" picker. Picking an investor re-runs the
+ * intent for that exact item (see the pick action in registerInteractiveActions).
+ *
+ * @param {string}   searchName - What the user typed
+ * @param {Array}    candidates - Matching investors, best first
+ * @param {Object}   intent     - The intent to resume ({ action, ... })
+ * @param {string}   [userId]   - Only this user may pick
+ * @param {Function} say
+ */
+async function askToDisambiguate(searchName, candidates, intent, userId, say) {
+  const token = rememberChoice({ intent, userId });
+
+  // Assignee names for the picker; a lookup failure just leaves them off
+  const ownerNames = {};
+  try {
+    const users = await getMondayUsers();
+    const nameById = new Map(users.map((u) => [String(u.id), u.name]));
+    for (const inv of candidates) {
+      const names = (inv.assignedTo || []).map((p) => nameById.get(String(p.id))).filter(Boolean);
+      if (names.length > 0) ownerNames[inv.id] = names.join(', ');
+    }
+  } catch (err) {
+    log.warn('Could not load assignee names for picker:', err.message);
+  }
+
+  log.info(`Disambiguation: "${searchName}" matched ${candidates.length} investors for action=${intent.action}`);
+  await say(buildDisambiguationMessage(stripNamePrefix(searchName), candidates, token, ownerNames));
+}
+
 // ---------------------------------------------------------------------------
 // Fast regex patterns for direct matches (no AI call needed)
 // ---------------------------------------------------------------------------
 
 const REGEX_PATTERNS = {
   testMonday: /^test\s+monday$/i,
+  // Board schema check: "check boards", "validate the monday boards", "board check"
+  checkBoards: /^(?:(?:check|validate|verify)\s+(?:the\s+)?(?:monday\s+)?boards?|(?:monday\s+)?board\s+check)$/i,
+  cacheStats: /^(?:investor\s+)?cache\s+stats$/i,
   overdue: /(?:who'?s?\s+overdue|overdue\s+(?:investors|follow[- ]?ups)|what\s+follow[- ]?ups?\s+(?:are|is)\s+(?:late|overdue))/i,
+  // Investor timeline: "history of X", "timeline for X", "X's history"
+  history: /^(?:(?:show\s+(?:me\s+)?)?(?:the\s+)?(?:history|timeline)\s+(?:of|for|on|with)\s+(.+)|(.+?)['’]s\s+(?:history|timeline))$/i,
+  // Audit log: "audit X", "audit log for X", "audit trail of X"
+  audit: /^(?:show\s+(?:me\s+)?)?(?:the\s+)?audit(?:\s+(?:log|trail))?\s+(?:(?:of|for|on)\s+)?(.+)$/i,
   statusCheck: /(?:(?:status\s+(?:on|of)|check\s+on|check\s+(?:the\s+)?status\s+(?:of|on))\s+(.+)|how'?s?\s+(.+?)\s+doing)/i,
   touchpoint: /(?:contacted|spoke\s+with|reached\s+out\s+to|just\s+(?:got\s+off|had)\s+a\s+call\s+with|had\s+a\s+meeting\s+with)\s+(.+?)(?:\s+today)?$/i,
   scheduleFollowUp: /(?:schedule\s+(?:a\s+)?follow[- ]?up|set\s+(?:a\s+)?follow[- ]?up|remind\s+me\s+to\s+(?:call|follow\s+up\s+with))(?:\s+(?:with|for)\s+(.+?))?(?:\s+(?:for|on|by|this|next|tomorrow)\s+(.+))?$/i,
@@ -248,13 +372,27 @@ const REGEX_PATTERNS = {
   // Scenario A: "log contact" / "add contact" / "new contact" trigger phrases
   // Captures the trigger so we can check if there's inline info after it
   addContactTrigger: /^(?:log\s+(?:a\s+)?contact|add\s+(?:a\s+)?contact|new\s+contact)\s*(.*)/i,
-  // Delete follow-up from RM board
-  deleteFollowUp: /(?:delete|remove|cancel)\s+(?:the\s+)?follow[- ]?up\s+(?:for\s+|with\s+)?(.+)/i,
-  // Delete contact/investor from Investor List board
-  deleteContact: /(?:delete|remove)\s+(?:the\s+)?(?:contact|investor)\s+(.+)/i,
+  // Delete follow-up(s) from RM board
+  deleteFollowUp: /(?:delete|remove|cancel)\s+(?:the\s+)?follow[- ]?ups?\s+(?:for\s+|with\s+)?(.+)/i,
+  // Delete contact(s)/investor(s) from Investor List board
+  deleteContact: /(?:delete|remove)\s+(?:the\s+)?(?:contacts?|investors?)\s+(.+)/i,
+  // Recycle bin: "deleted investors", "restore Jane Doe", "restore follow-up Jane Doe"
+  listDeleted: /^(?:show\s+(?:me\s+)?)?(?:(?:the\s+)?recycle\s+bin|deleted\s+(?:investors|contacts|follow[- ]?ups|items))$/i,
+  restoreDeleted: /^(?:restore|undelete|recover)\s+(?:the\s+)?(?:deleted\s+)?(?:(investor|contact|follow[- ]?up)\s+(?:for\s+)?)?(.+)$/i,
   // Confirmation replies for pending deletions
   confirmDelete: /^(?:yes|yeah|yep|confirm|do\s+it|go\s+ahead|delete\s+it)$/i,
   cancelDelete: /^(?:no|nah|nope|cancel|never\s*mind|don'?t)$/i,
+  // Dead-letter reminders: list, retry, discard
+  failedReminders: /^(?:show\s+)?(?:failed|dead[- ]?letter(?:ed)?)\s+reminders$/i,
+  retryReminder: /^retry\s+(?:failed\s+)?reminders?\s+(\S+)$/i,
+  discardReminder: /^(?:discard|drop)\s+(?:failed\s+)?reminders?\s+(\S+)$/i,
+  // Reminder management: "my reminders", "snooze X reminder 2 hours", etc.
+  listReminders: /^(?:(?:show|list)\s+(?:me\s+)?)?(my|all|team|the\s+team'?s|everyone'?s)\s+reminders$/i,
+  snoozeReminder: /^snooze\s+(?:my\s+)?(?:the\s+)?(.+?)\s+reminder\s+(?:for\s+|until\s+)?(.+)$/i,
+  moveReminder: /^(?:move|reschedule|push)\s+(?:my\s+)?(?:the\s+)?(.+?)\s+reminder\s+to\s+(.+)$/i,
+  cancelReminder: /^(?:cancel|delete|remove)\s+(?:my\s+)?(?:the\s+)?(?:reminder\s+(?:for|with|about)\s+(.+)|(.+?)\s+reminder)$/i,
+  // Undo the sender's last command: "undo", "undo that", "undo my last change"
+  undo: /^undo(?:\s+(?:that|it|this|(?:my\s+)?last(?:\s+(?:change|command|action))?))?[.!]*$/i,
 };
 
 // ---------------------------------------------------------------------------
@@ -371,11 +509,19 @@ function looksLikeContactDrop(text) {
 async function handleScheduleFollowUp(intent, message, client, say) {
   const searchName = intent.investorName;
   if (!searchName) {
+    rememberConversation(message, {
+      type: 'missing_info',
+      intent: { ...intent, action: 'schedule_followup', missing_info: ['investorName'] },
+    });
     await say("I'd love to help schedule a follow-up, but I need to know which investor. Could you include their name?");
     return;
   }
 
-  const { investor, error } = await resolveInvestor(searchName);
+  const { investor, error, candidates } = await resolveInvestor(searchName, intent.itemId);
+  if (candidates) {
+    await askToDisambiguate(searchName, candidates, { ...intent, action: 'schedule_followup' }, message.user, say);
+    return;
+  }
   if (error) { await say(error); return; }
 
   // Parse date (now returns { date, hasTime })
@@ -442,16 +588,20 @@ async function handleScheduleFollowUp(intent, message, client, say) {
       await createFollowUpActivity(createOpts);
     }
   } catch (rmErr) {
-    console.error('[slack/commands] Failed to write follow-up to RM board:', rmErr.message);
+    log.error('Failed to write follow-up to RM board:', rmErr.message);
     // Non-fatal — continue with the confirmation
   }
 
-  // Store reminder
+  // Store reminder (recurring for tiers that need a regular touch)
+  const recurrence = recurrenceForStatus(investor.status);
+  let recurrenceNote = '';
   try {
     const userInfo = await client.users.info({ user: message.user });
     const email = userInfo.user.profile.email || null;
 
-    addReminder({
+    // Replaces the reminder the user already has for this investor, so
+    // rescheduling never leaves two recurring series behind
+    setInvestorReminder({
       itemId: investor.id,
       investorName: investor.name,
       scheduledAt: parsedDate,
@@ -460,9 +610,13 @@ async function handleScheduleFollowUp(intent, message, client, say) {
       investorStatus: investor.status,
       dealInterest: investor.dealInterest,
       investorLink: investor.link,
+      recurrence,
     });
+    if (recurrence) {
+      recurrenceNote = ` :repeat: The reminder repeats ${describeRecurrence(recurrence)} while they're ${escapeSlackMrkdwn(investor.status)}.`;
+    }
   } catch (reminderErr) {
-    console.error('[slack/commands] Failed to store reminder:', reminderErr.message);
+    log.error('Failed to store reminder:', reminderErr.message);
   }
 
   // Time display
@@ -473,20 +627,36 @@ async function handleScheduleFollowUp(intent, message, client, say) {
 
   await say(
     `Done! Follow-up with *${escapeSlackMrkdwn(investor.name)}* is set for *${formatDateReadable(parsedDate)}*${timeDisplay}.` +
-    ` Monday.com is updated.${hasTime ? ' :alarm_clock: I\'ll remind you when it\'s time.' : ''}` +
+    ` Monday.com is updated.${hasTime ? ' :alarm_clock: I\'ll remind you when it\'s time.' : ''}${recurrenceNote}` +
     ` :point_right: <${investor.link}|Open in Monday>` +
     ` Want me to assign this to someone specific?`
   );
+  rememberConversation(message, {
+    type: 'offer_assign',
+    intent: {
+      investorName: investor.name,
+      itemId: investor.id,
+      date: hasTime ? parsedDate.toISOString() : dateStr,
+    },
+  });
 }
 
 async function handleAssignFollowUp(intent, message, client, say) {
   const searchName = intent.investorName;
   if (!searchName) {
+    rememberConversation(message, {
+      type: 'missing_info',
+      intent: { ...intent, action: 'assign_followup', missing_info: ['investorName', ...(intent.assignee ? [] : ['assignee'])] },
+    });
     await say("I need to know which investor to assign. Could you include their name?");
     return;
   }
 
-  const { investor, error } = await resolveInvestor(searchName);
+  const { investor, error, candidates } = await resolveInvestor(searchName, intent.itemId);
+  if (candidates) {
+    await askToDisambiguate(searchName, candidates, { ...intent, action: 'assign_followup' }, message.user, say);
+    return;
+  }
   if (error) { await say(error); return; }
 
   // Parse date (now returns { date, hasTime })
@@ -505,6 +675,10 @@ async function handleAssignFollowUp(intent, message, client, say) {
   const assigneeRaw = intent.assignee;
 
   if (!assigneeRaw) {
+    rememberConversation(message, {
+      type: 'missing_info',
+      intent: { ...intent, action: 'assign_followup', investorName: investor.name, itemId: investor.id, missing_info: ['assignee'] },
+    });
     await say("I need to know who to assign this to. Mention someone by name or tag them with @.");
     return;
   }
@@ -539,10 +713,10 @@ async function handleAssignFollowUp(intent, message, client, say) {
     assignmentNote = ` (I couldn't find *${escapeSlackMrkdwn(assigneeMapping.slackName)}* in Monday.com to assign them — please do it manually)`;
   }
 
-  // Store reminder for the assignee
+  // Store reminder for the assignee (recurring for tiers that need a regular touch)
   const reminderUserId = assigneeMapping.slackUserId || message.user;
   try {
-    addReminder({
+    setInvestorReminder({
       itemId: investor.id,
       investorName: investor.name,
       scheduledAt: parsedDate,
@@ -551,10 +725,12 @@ async function handleAssignFollowUp(intent, message, client, say) {
       investorStatus: investor.status,
       dealInterest: investor.dealInterest,
       investorLink: investor.link,
+      recurrence: recurrenceForStatus(investor.status),
     });
   } catch (reminderErr) {
-    console.error('[slack/commands] Failed to store reminder:', reminderErr.message);
+    log.error('Failed to store reminder:', reminderErr.message);
   }
+  scheduleHomeRefresh(client, reminderUserId);
 
   // DM the assignee
   let notificationNote = '';
@@ -582,33 +758,87 @@ async function handleAssignFollowUp(intent, message, client, say) {
   );
 }
 
+/**
+ * The Deal Interest label a deal name refers to ("Austin" → "Austin
+ * Multifamily"). Only labels already used on the Investor List count, so a
+ * loosely worded deal never creates a new dropdown option.
+ *
+ * @returns {Promise<string|null>} null if no single label matches
+ */
+async function matchDealLabel(dealName) {
+  const needle = dealName.toLowerCase().replace(/\b(?:the|deal|offering)\b/g, '').replace(/\s+/g, ' ').trim();
+  if (!needle) return null;
+
+  const labels = new Set();
+  for (const inv of await getAllInvestors()) {
+    for (const label of (inv.dealInterest || '').split(',')) {
+      if (label.trim()) labels.add(label.trim());
+    }
+  }
+
+  const exact = [...labels].find((label) => label.toLowerCase() === needle);
+  if (exact) return exact;
+  const partial = [...labels].filter((label) => label.toLowerCase().includes(needle));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Mark an investor as contacted. Optional intent fields carry the details of
+ * a rich touchpoint ("called Wyatt, wants to put $250k into the Austin deal,
+ * follow up next Thursday"):
+ *   - notes        replaces the generic note on the RM and Communications Log items
+ *   - method       commMethodLabels key (email, phone, text, linkedin, inPerson)
+ *   - contactDate  YYYY-MM-DD for a back-dated touchpoint (defaults to today)
+ *   - nextFollowUp YYYY-MM-DD, overrides the status cadence
+ *   - amount       updates Investment Interest
+ *   - deal         added to Deal Interest if it matches an existing label
+ */
 async function handleLogTouchpoint(intent, message, client, say) {
   const searchName = intent.investorName;
   if (!searchName) {
+    rememberConversation(message, {
+      type: 'missing_info',
+      intent: { ...intent, action: 'log_touchpoint', missing_info: ['investorName'] },
+    });
     await say("Who did you contact? Include the investor's name and I'll log the touchpoint.");
     return;
   }
 
-  const { investor, error } = await resolveInvestor(searchName);
+  const { investor, error, candidates } = await resolveInvestor(searchName, intent.itemId);
+  if (candidates) {
+    await askToDisambiguate(searchName, candidates, { ...intent, action: 'log_touchpoint' }, message.user, say);
+    return;
+  }
   if (error) { await say(error); return; }
 
-  const today = new Date();
-  const todayStr = formatDateYMD(today);
-
-  // Update Last Contact Date
-  const contactResult = await updateLastContactDate(investor.id, todayStr);
-  if (!contactResult) {
-    await say(`Sorry, I could not update Monday.com for ${escapeSlackMrkdwn(investor.name)}. Please try again or update it manually. :point_right: <${investor.link}|Open in Monday>`);
-    return;
+  const todayStr = formatDateYMD(new Date());
+  const contactStr = intent.contactDate && intent.contactDate < todayStr ? intent.contactDate : todayStr;
+  const backDated = contactStr !== todayStr;
+
+  // Update Last Contact Date — a back-dated touchpoint never moves it backwards
+  const currentLastContact = investor.lastContactDate ? formatDateYMD(investor.lastContactDate) : null;
+  const keepLastContact = backDated && currentLastContact && currentLastContact > contactStr;
+  if (!keepLastContact) {
+    const contactResult = await updateLastContactDate(investor.id, contactStr);
+    if (!contactResult) {
+      await say(`Sorry, I could not update Monday.com for ${escapeSlackMrkdwn(investor.name)}. Please try again or update it manually. :point_right: <${investor.link}|Open in Monday>`);
+      return;
+    }
+    // Keep the next-follow-up poller from recomputing over the date set below
+    rememberLastContact(investor.id, contactStr);
   }
 
-  // Auto-calculate Next Follow-Up based on status cadence
-  let nextDateStr = null;
+  // Next Follow-Up: an explicit date wins, otherwise the status cadence
+  // counted from the contact date (but never in the past). An older
+  // touchpoint than the latest one leaves the schedule alone.
+  let nextDateStr = intent.nextFollowUp || null;
   const tier = config.cadence[investor.status];
-  if (tier) {
-    const nextDate = new Date();
+  if (nextDateStr) {
+    await updateNextFollowUp(investor.id, nextDateStr);
+  } else if (tier && !keepLastContact) {
+    const nextDate = new Date(`${contactStr}T12:00:00`);
     nextDate.setDate(nextDate.getDate() + tier.autoNextDays);
-    nextDateStr = formatDateYMD(nextDate);
+    nextDateStr = formatDateYMD(nextDate) < todayStr ? todayStr : formatDateYMD(nextDate);
     await updateNextFollowUp(investor.id, nextDateStr);
   }
 
@@ -617,57 +847,177 @@ async function handleLogTouchpoint(intent, message, client, say) {
     await removeGoingColdFlag(investor.id, investor.name);
   }
 
+  // Investment Interest / Deal Interest
+  let dealNote = '';
+  const interest = {};
+  if (intent.amount && Number(investor.investmentInterest) !== Number(intent.amount)) {
+    interest.amount = intent.amount;
+  }
+  if (intent.deal) {
+    const label = await matchDealLabel(intent.deal);
+    const current = (investor.dealInterest || '').split(',').map((l) => l.trim()).filter(Boolean);
+    if (!label) {
+      dealNote = ` I didn't recognize the deal "${escapeSlackMrkdwn(intent.deal)}", so Deal Interest wasn't changed.`;
+    } else if (!current.includes(label)) {
+      interest.dealLabels = [...current, label];
+    }
+  }
+  let interestUpdated = false;
+  if (interest.amount || interest.dealLabels) {
+    interestUpdated = Boolean(await updateInvestmentInterest(investor.id, interest));
+  }
+
+  const commMethod = intent.method ? config.monday.rmCommMethodLabels[intent.method] : undefined;
+
   // Write follow-up activity to Relationship Management board
   try {
     await createFollowUpActivity({
       investorName: investor.name,
       investorStatus: investor.status,
-      lastContactDate: todayStr,
+      lastContactDate: contactStr,
       nextFollowUp: nextDateStr || undefined,
       email: investor.email || undefined,
       phone: investor.phone || undefined,
-      notes: `Touchpoint logged via Slack on ${todayStr}`,
+      commMethod,
+      notes: intent.notes || `Touchpoint logged via Slack on ${todayStr}`,
       linkedInvestorId: investor.id,
     });
   } catch (rmErr) {
-    console.error('[slack/commands] Failed to write to Relationship Management board:', rmErr.message);
+    log.error('Failed to write to Relationship Management board:', rmErr.message);
   }
 
+  const dealInterest = interest.dealLabels && interestUpdated ? interest.dealLabels.join(', ') : investor.dealInterest;
+
   // Log to Communications Log board
   try {
     await logCommunication({
       name: `Follow-up: ${investor.name}`,
       commType: 'Ad Hoc / Other',
-      dateSent: todayStr,
+      dateSent: contactStr,
       sendStatus: 'Sent',
-      notes: `Touchpoint logged via Slack. Status: ${investor.status}. Deal: ${investor.dealInterest || 'N/A'}`,
+      notes: intent.notes
+        ? `${intent.notes}\n\nStatus: ${investor.status}. Deal: ${dealInterest || 'N/A'}`
+        : `Touchpoint logged via Slack. Status: ${investor.status}. Deal: ${dealInterest || 'N/A'}`,
     });
   } catch (commsErr) {
-    console.error('[slack/commands] Failed to log to Communications board:', commsErr.message);
+    log.error('Failed to log to Communications board:', commsErr.message);
   }
 
-  let confirmMsg = `Logged it — *${escapeSlackMrkdwn(investor.name)}* marked as contacted today.`;
-  if (nextDateStr && tier) {
+  const contactedWhen = backDated
+    ? `on *${formatDateReadable(new Date(`${contactStr}T12:00:00Z`))}*`
+    : 'today';
+  let confirmMsg = `Logged it — *${escapeSlackMrkdwn(investor.name)}* marked as contacted ${contactedWhen}.`;
+  if (keepLastContact) {
+    confirmMsg += ` (Last Contact Date stays at ${currentLastContact}, which is more recent.)`;
+  }
+  if (intent.nextFollowUp) {
+    confirmMsg += ` Next follow-up is set for *${nextDateStr}*.`;
+  } else if (nextDateStr && tier) {
     confirmMsg += ` Next follow-up is auto-set for *${nextDateStr}* based on ${escapeSlackMrkdwn(investor.status)} cadence (${tier.autoNextDays} days).`;
   }
-  confirmMsg += ` Status: ${escapeSlackMrkdwn(investor.status)} | Deal: ${escapeSlackMrkdwn(investor.dealInterest || 'N/A')}.`;
+  if (interestUpdated) {
+    const changes = [];
+    if (interest.amount) changes.push(`Investment Interest → *${messages.formatCurrency(interest.amount)}*`);
+    if (interest.dealLabels) changes.push(`Deal Interest → *${escapeSlackMrkdwn(dealInterest)}*`);
+    confirmMsg += ` Updated ${changes.join(', ')}.`;
+  } else if (interest.amount || interest.dealLabels) {
+    confirmMsg += " I couldn't update Investment/Deal Interest — please set it in Monday.";
+  }
+  confirmMsg += dealNote;
+  if (intent.notes) {
+    confirmMsg += ' Notes saved to the RM board and Communications Log.';
+  }
+  confirmMsg += ` Status: ${escapeSlackMrkdwn(investor.status)} | Deal: ${escapeSlackMrkdwn(dealInterest || 'N/A')}.`;
   confirmMsg += ` :point_right: <${investor.link}|Open in Monday>`;
 
   await say(confirmMsg);
 }
 
-async function handleCheckStatus(investorName, say) {
+async function handleCheckStatus(investorName, say, itemId) {
   if (!investorName) {
     await say("Which investor would you like me to check on? Include their name.");
     return;
   }
 
-  const { investor, error } = await resolveInvestor(investorName);
+  const { investor, error, candidates } = await resolveInvestor(investorName, itemId);
+  if (candidates) {
+    await askToDisambiguate(investorName, candidates, { action: 'check_status', investorName }, null, say);
+    return;
+  }
   if (error) { await say(error); return; }
 
   await say(messages.formatInvestorStatus(investor));
 }
 
+/**
+ * Post the first page of an investor's timeline. Older pages and the CSV
+ * export are buttons on the message (see registerInteractiveActions).
+ */
+async function handleInvestorHistory(investorName, say, itemId) {
+  if (!investorName) {
+    await say('Whose history would you like to see? Include their name.');
+    return;
+  }
+
+  const { investor, error, candidates } = await resolveInvestor(investorName, itemId);
+  if (candidates) {
+    await askToDisambiguate(investorName, candidates, { action: 'investor_history', investorName }, null, say);
+    return;
+  }
+  if (error) { await say(error); return; }
+
+  try {
+    const entries = await getTimeline(investor, { fresh: true });
+    await say(buildTimelineMessage(investor, entries, 0));
+  } catch (err) {
+    log.error(`Timeline for ${investor.name} failed:`, err.message);
+    await say(`Sorry, I couldn't pull together the history for *${escapeSlackMrkdwn(investor.name)}* right now. Please try again in a moment.`);
+  }
+}
+
+/**
+ * Everything the bot changed for an investor, RM follow-ups and
+ * Communications Log entries included, newest first.
+ */
+async function loadInvestorAudit(investor) {
+  let relatedIds = [];
+  try {
+    const [rmItems, comms] = await Promise.all([
+      getRMItemsForInvestor(investor),
+      getCommunicationsForInvestor(investor),
+    ]);
+    relatedIds = [...rmItems, ...comms].map((item) => String(item.id));
+  } catch (err) {
+    log.warn(`Could not load related items for audit of ${investor.name}:`, err.message);
+  }
+  return getInvestorAudit(investor, relatedIds);
+}
+
+/**
+ * Post the newest audit log entries for an investor. The full log is a CSV
+ * export button on the message (see registerInteractiveActions).
+ */
+async function handleAudit(investorName, say, itemId) {
+  if (!investorName) {
+    await say('Whose audit log would you like to see? Include their name.');
+    return;
+  }
+
+  const { investor, error, candidates } = await resolveInvestor(investorName, itemId);
+  if (candidates) {
+    await askToDisambiguate(investorName, candidates, { action: 'audit_log', investorName }, null, say);
+    return;
+  }
+  if (error) { await say(error); return; }
+
+  try {
+    await say(buildAuditMessage(investor, await loadInvestorAudit(investor)));
+  } catch (err) {
+    log.error(`Audit log for ${investor.name} failed:`, err.message);
+    await say(`Sorry, I couldn't read the audit log for *${escapeSlackMrkdwn(investor.name)}* right now. Please try again in a moment.`);
+  }
+}
+
 async function handleListOverdue(say) {
   try {
     const investors = await getActiveInvestors();
@@ -688,7 +1038,7 @@ async function handleListOverdue(say) {
 
     await say(messages.formatOverdueList(overdue));
   } catch (err) {
-    console.error('[slack/commands] overdue query error:', err.message);
+    log.error('overdue query error:', err.message);
     await say('Something went wrong while checking overdue investors. Please try again.');
   }
 }
@@ -728,7 +1078,7 @@ async function handleListByStatus(statusFilter, say) {
 
     await say(lines.join('\n'));
   } catch (err) {
-    console.error('[slack/commands] list by status error:', err.message);
+    log.error('list by status error:', err.message);
     await say('Something went wrong. Please try again.');
   }
 }
@@ -774,7 +1124,7 @@ async function handleListNotContacted(daysSinceFilter, say) {
 
     await say(lines.join('\n'));
   } catch (err) {
-    console.error('[slack/commands] list not contacted error:', err.message);
+    log.error('list not contacted error:', err.message);
     await say('Something went wrong. Please try again.');
   }
 }
@@ -812,11 +1162,22 @@ async function handleTestMonday(say) {
       await say(`:x: Monday.com write test FAILED!\nError: \`${result.error}\`\nCheck Railway logs for full details.`);
     }
   } catch (err) {
-    console.error('[slack/commands] test monday error:', err.message);
+    log.error('test monday error:', err.message);
     await say(`:x: Test crashed: \`${err.message}\``);
   }
 }
 
+async function handleCheckBoards(say) {
+  try {
+    await say(':mag: Checking the Monday boards against the config...');
+    const report = await validateBoards();
+    await say(messages.formatBoardCheck(report));
+  } catch (err) {
+    log.error('check boards error:', err.message);
+    await say(`:x: Couldn't read the boards from Monday: \`${err.message}\``);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // NEW: Add Investor handler — parses pasted contacts and creates items
 // ---------------------------------------------------------------------------
@@ -831,6 +1192,19 @@ async function handleAddInvestor(rawText, say) {
       return;
     }
 
+    await addContacts(contacts, say);
+  } catch (err) {
+    log.error('add investor error:', err.message);
+    await say('Something went wrong while adding the investor. Please try again.');
+  }
+}
+
+/**
+ * Create investors for already-parsed contacts ({ name, phone, email,
+ * linkedin, notes }), skipping likely duplicates, and report the results.
+ */
+async function addContacts(contacts, say) {
+  try {
     // Get existing investors for duplicate checking
     const existingInvestors = await getAllInvestors();
     const results = [];
@@ -838,7 +1212,7 @@ async function handleAddInvestor(rawText, say) {
     for (const contact of contacts) {
       // Check for duplicates using fuzzy name matching
       const duplicate = existingInvestors.length > 0
-        ? findBestMatch(contact.name, existingInvestors)
+        ? findBestMatch(contact.name, existingInvestors, { nameOnly: true })
         : null;
 
       if (duplicate && duplicate.score <= 0.3) {
@@ -907,7 +1281,7 @@ async function handleAddInvestor(rawText, say) {
 
     await say(lines.join('\n\n'));
   } catch (err) {
-    console.error('[slack/commands] add investor error:', err.message);
+    log.error('add investor error:', err.message);
     await say('Something went wrong while adding the investor. Please try again.');
   }
 }
@@ -916,13 +1290,17 @@ async function handleAddInvestor(rawText, say) {
 // NEW: Contact Info handler — look up phone/email for an investor
 // ---------------------------------------------------------------------------
 
-async function handleContactInfo(investorName, contactField, say) {
+async function handleContactInfo(investorName, contactField, say, itemId) {
   if (!investorName) {
     await say("Which investor's contact info do you need? Include their name.");
     return;
   }
 
-  const { investor, error } = await resolveInvestor(investorName);
+  const { investor, error, candidates } = await resolveInvestor(investorName, itemId);
+  if (candidates) {
+    await askToDisambiguate(investorName, candidates, { action: 'contact_info', investorName, contactField }, null, say);
+    return;
+  }
   if (error) { await say(error); return; }
 
   if (contactField === 'phone') {
@@ -988,7 +1366,7 @@ async function handleCountInvestors(say) {
 
     await say(lines.join('\n'));
   } catch (err) {
-    console.error('[slack/commands] count investors error:', err.message);
+    log.error('count investors error:', err.message);
     await say('Something went wrong. Please try again.');
   }
 }
@@ -1011,7 +1389,7 @@ async function handleLogNewContact(text, say) {
     // Check for duplicates
     const existingInvestors = await getAllInvestors();
     const duplicate = existingInvestors.length > 0
-      ? findBestMatch(contact.name, existingInvestors)
+      ? findBestMatch(contact.name, existingInvestors, { nameOnly: true })
       : null;
 
     if (duplicate && duplicate.score <= 0.3) {
@@ -1026,7 +1404,7 @@ async function handleLogNewContact(text, say) {
     followUpDate.setDate(followUpDate.getDate() + 14);
     const followUpStr = formatDateYMD(followUpDate);
 
-    console.log(`[slack/commands] handleLogNewContact: name="${contact.name}" email="${contact.email || 'none'}" phone="${contact.phone || 'none'}" linkedin="${contact.linkedin || 'none'}" notes="${contact.notes || 'none'}"`);
+    log.info(`handleLogNewContact: name="${contact.name}" email="${contact.email || 'none'}" phone="${contact.phone || 'none'}" linkedin="${contact.linkedin || 'none'}" notes="${contact.notes || 'none'}"`);
 
     // Build notes from LinkedIn + extra notes
     const noteLines = [];
@@ -1058,7 +1436,7 @@ async function handleLogNewContact(text, say) {
       );
     }
   } catch (err) {
-    console.error('[slack/commands] handleLogNewContact error:', err.message);
+    log.error('handleLogNewContact error:', err.message);
     await say('Something went wrong while adding the contact. Please try again.');
   }
 }
@@ -1066,6 +1444,70 @@ async function handleLogNewContact(text, say) {
 // ---------------------------------------------------------------------------
 // DELETE handlers — delete follow-ups or contacts with confirmation
 // ---------------------------------------------------------------------------
+// Deleting archives the Monday item and keeps a snapshot in the recycle bin
+// (see history/recycleBin.js), so "restore X" can bring it back. Several
+// names ("delete investors Jane Doe, Bob Smith") are confirmed with one "yes".
+
+const BOARD_TYPE_LABELS = {
+  rm: 'Relationship Management board',
+  investor: 'Investor List',
+};
+
+/**
+ * Split "Jane Doe, Bob Smith, and Ann Lee" into separate names. Only commas
+ * and semicolons separate names — "&" and "and" are part of names like
+ * "Smith & Associates" or "Johnson and Johnson".
+ */
+function splitNameList(text) {
+  return text.split(/\s*[,;]\s*/)
+    .map((name, i) => (i > 0 ? name.replace(/^(?:and|&)\s+/i, '') : name).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Remember the items a user was asked to delete and ask for a "yes".
+ *
+ * @param {string}   userId
+ * @param {Array}    items    - { itemId, itemName, boardType, link, detail }
+ * @param {string[]} problems - Names that couldn't be matched, shown first
+ * @param {Function} say
+ */
+async function askToConfirmDeletion(userId, items, problems, say) {
+  const lines = problems.slice();
+  if (items.length === 0) {
+    await say(lines.join('\n'));
+    return;
+  }
+
+  savePendingDeletion(
+    userId,
+    items.map(({ itemId, itemName, boardType, link }) => ({ itemId, itemName, boardType, link })),
+    Date.now() + PENDING_DELETION_TTL_MS
+  );
+
+  if (items.length === 1) {
+    const [item] = items;
+    const what = item.boardType === 'rm' ? 'the follow-up for' : 'the investor';
+    lines.push(
+      `:warning: Are you sure you want to delete ${what} *${escapeSlackMrkdwn(item.itemName)}*` +
+      `${item.boardType === 'investor' ? ' from the Investor List' : ''}?`,
+      item.detail,
+      `<${item.link}|View in Monday>`
+    );
+  } else {
+    lines.push(`:warning: Are you sure you want to delete these ${items.length} items?`);
+    for (const item of items) {
+      lines.push(`• *${escapeSlackMrkdwn(item.itemName)}* (${BOARD_TYPE_LABELS[item.boardType]}) — <${item.link}|View>`);
+    }
+  }
+
+  lines.push(
+    '',
+    "They'll be archived in Monday.com and kept in the recycle bin — say *deleted investors* to see it, or *restore <name>* to bring one back.",
+    `Reply *yes* to confirm or *no* to cancel. (Expires in ${Math.round(PENDING_DELETION_TTL_MS / 60000)} minutes)`
+  );
+  await say(lines.filter((line) => line !== undefined).join('\n'));
+}
 
 /**
  * Handle "delete follow-up [name]" — search RM board, ask for confirmation.
@@ -1076,52 +1518,49 @@ async function handleDeleteFollowUp(investorName, userId, say) {
     return;
   }
 
-  const cleanName = stripNamePrefix(investorName);
+  const names = splitNameList(stripNamePrefix(investorName));
 
   try {
-    const matches = await searchRMByInvestorName(cleanName);
+    const items = [];
+    const problems = [];
 
-    if (!matches || matches.length === 0) {
-      await say(`I couldn't find a follow-up matching "${escapeSlackMrkdwn(cleanName)}" on the Relationship Management board.`);
-      return;
-    }
+    for (const cleanName of names) {
+      const matches = await searchRMByInvestorName(cleanName);
+
+      if (!matches || matches.length === 0) {
+        problems.push(`I couldn't find a follow-up matching "${escapeSlackMrkdwn(cleanName)}" on the Relationship Management board.`);
+        continue;
+      }
+
+      if (matches.length > 1) {
+        // Multiple matches — ask user to be more specific
+        problems.push(`:mag: I found ${matches.length} follow-ups matching "${escapeSlackMrkdwn(cleanName)}":`);
+        for (const item of matches) {
+          const nextFU = item.nextFollowUp
+            ? item.nextFollowUp.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'America/Chicago' })
+            : 'N/A';
+          problems.push(`• *${escapeSlackMrkdwn(item.name)}* — Next: ${nextFU} — <${item.link}|View>`);
+        }
+        problems.push('Please be more specific with the investor name.\n');
+        continue;
+      }
 
-    if (matches.length === 1) {
       const item = matches[0];
       const nextFU = item.nextFollowUp
         ? item.nextFollowUp.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'America/Chicago' })
         : 'N/A';
-
-      // Store pending deletion
-      pendingDeletions.set(userId, {
+      items.push({
         itemId: item.id,
         itemName: item.name,
         boardType: 'rm',
         link: item.link,
-        expiresAt: Date.now() + 60000, // 1 minute to confirm
+        detail: `Next follow-up: ${nextFU} | Status: ${escapeSlackMrkdwn(item.investorStatus || 'N/A')}`,
       });
-
-      await say(
-        `:warning: Are you sure you want to delete the follow-up for *${escapeSlackMrkdwn(item.name)}*?\n` +
-        `Next follow-up: ${nextFU} | Status: ${escapeSlackMrkdwn(item.investorStatus || 'N/A')}\n` +
-        `<${item.link}|View in Monday>\n\n` +
-        `Reply *yes* to confirm or *no* to cancel. (Expires in 60 seconds)`
-      );
-    } else {
-      // Multiple matches — ask user to be more specific
-      const lines = [];
-      lines.push(`:mag: I found ${matches.length} follow-ups matching "${escapeSlackMrkdwn(cleanName)}":`);
-      for (const item of matches) {
-        const nextFU = item.nextFollowUp
-          ? item.nextFollowUp.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'America/Chicago' })
-          : 'N/A';
-        lines.push(`• *${escapeSlackMrkdwn(item.name)}* — Next: ${nextFU} — <${item.link}|View>`);
-      }
-      lines.push('\nPlease be more specific with the investor name.');
-      await say(lines.join('\n'));
     }
+
+    await askToConfirmDeletion(userId, items, problems, say);
   } catch (err) {
-    console.error('[slack/commands] handleDeleteFollowUp error:', err.message);
+    log.error('handleDeleteFollowUp error:', err.message);
     await say('Something went wrong while searching for the follow-up. Please try again.');
   }
 }
@@ -1135,7 +1574,7 @@ async function handleDeleteContact(investorName, userId, say) {
     return;
   }
 
-  const cleanName = stripNamePrefix(investorName);
+  const names = splitNameList(stripNamePrefix(investorName));
 
   try {
     const investors = await getAllInvestors();
@@ -1144,32 +1583,29 @@ async function handleDeleteContact(investorName, userId, say) {
       return;
     }
 
-    const result = findBestMatch(cleanName, investors);
-    if (!result || result.score > 0.35) {
-      await say(`I couldn't find an investor matching "${escapeSlackMrkdwn(cleanName)}". Please check the spelling and try again.`);
-      return;
-    }
-
-    const investor = result.match;
+    const items = [];
+    const problems = [];
+    for (const cleanName of names) {
+      const result = findBestMatch(cleanName, investors);
+      if (!result || result.score > 0.35) {
+        problems.push(`I couldn't find an investor matching "${escapeSlackMrkdwn(cleanName)}". Please check the spelling and try again.`);
+        continue;
+      }
 
-    // Store pending deletion
-    pendingDeletions.set(userId, {
-      itemId: investor.id,
-      itemName: investor.name,
-      boardType: 'investor',
-      link: investor.link,
-      expiresAt: Date.now() + 60000, // 1 minute to confirm
-    });
+      const investor = result.match;
+      if (items.some((item) => String(item.itemId) === String(investor.id))) continue;
+      items.push({
+        itemId: investor.id,
+        itemName: investor.name,
+        boardType: 'investor',
+        link: investor.link,
+        detail: `Status: ${escapeSlackMrkdwn(investor.status || 'N/A')} | Email: ${investor.email || 'N/A'} | Phone: ${investor.phone || 'N/A'}`,
+      });
+    }
 
-    await say(
-      `:warning: Are you sure you want to *permanently delete* the investor *${escapeSlackMrkdwn(investor.name)}* from the Investor List?\n` +
-      `Status: ${escapeSlackMrkdwn(investor.status || 'N/A')} | Email: ${investor.email || 'N/A'} | Phone: ${investor.phone || 'N/A'}\n` +
-      `<${investor.link}|View in Monday>\n\n` +
-      `:exclamation: This action is *permanent* and cannot be undone.\n` +
-      `Reply *yes* to confirm or *no* to cancel. (Expires in 60 seconds)`
-    );
+    await askToConfirmDeletion(userId, items, problems, say);
   } catch (err) {
-    console.error('[slack/commands] handleDeleteContact error:', err.message);
+    log.error('handleDeleteContact error:', err.message);
     await say('Something went wrong while searching for the investor. Please try again.');
   }
 }
@@ -1178,10 +1614,10 @@ async function handleDeleteContact(investorName, userId, say) {
  * Handle confirmation of a pending deletion.
  */
 async function handleConfirmDeletion(userId, say) {
-  const pending = pendingDeletions.get(userId);
+  const pending = getPendingDeletion(userId);
   if (!pending) return false; // No pending deletion
 
-  pendingDeletions.delete(userId);
+  clearPendingDeletion(userId);
 
   if (pending.expiresAt < Date.now()) {
     await say('That deletion request has expired. Please try again.');
@@ -1189,15 +1625,29 @@ async function handleConfirmDeletion(userId, say) {
   }
 
   try {
-    const result = await deleteItem(pending.itemId);
-    if (result) {
-      const boardLabel = pending.boardType === 'rm' ? 'Relationship Management board' : 'Investor List';
-      await say(`:white_check_mark: Deleted *${escapeSlackMrkdwn(pending.itemName)}* from the ${boardLabel}.`);
-    } else {
-      await say(`:x: Failed to delete *${escapeSlackMrkdwn(pending.itemName)}*. Please delete it manually in Monday.com. <${pending.link}|Open in Monday>`);
+    const deleted = [];
+    const failed = [];
+    for (const item of pending.items) {
+      const entry = await recycleItem(item.itemId, userId);
+      (entry ? deleted : failed).push(item);
+    }
+
+    const lines = [];
+    if (deleted.length === 1 && failed.length === 0) {
+      const [item] = deleted;
+      lines.push(
+        `:white_check_mark: Deleted *${escapeSlackMrkdwn(item.itemName)}* from the ${BOARD_TYPE_LABELS[item.boardType]}. ` +
+        `Say *restore ${escapeSlackMrkdwn(item.itemName)}* if that was a mistake.`
+      );
+    } else if (deleted.length > 0) {
+      lines.push(`:white_check_mark: Deleted ${deleted.length} items: ${deleted.map((item) => `*${escapeSlackMrkdwn(item.itemName)}*`).join(', ')}. Say *deleted investors* to restore any of them.`);
     }
+    for (const item of failed) {
+      lines.push(`:x: Failed to delete *${escapeSlackMrkdwn(item.itemName)}*. Please delete it manually in Monday.com. <${item.link}|Open in Monday>`);
+    }
+    await say(lines.join('\n'));
   } catch (err) {
-    console.error('[slack/commands] handleConfirmDeletion error:', err.message);
+    log.error('handleConfirmDeletion error:', err.message);
     await say(`:x: Something went wrong while deleting. Please try again or delete manually.`);
   }
 
@@ -1208,87 +1658,1765 @@ async function handleConfirmDeletion(userId, say) {
  * Handle cancellation of a pending deletion.
  */
 function handleCancelDeletion(userId) {
-  if (!pendingDeletions.has(userId)) return false;
-  pendingDeletions.delete(userId);
+  if (!getPendingDeletion(userId)) return false;
+  clearPendingDeletion(userId);
   return true;
 }
 
 // ---------------------------------------------------------------------------
-// Register all command listeners
+// Recycle bin — "deleted investors", "restore X"
 // ---------------------------------------------------------------------------
 
-function registerCommands(app) {
-  // -------------------------------------------------------------------
-  // 0. Message logger — logs every incoming message event for diagnostics
-  // -------------------------------------------------------------------
-  app.message(async ({ message, client }) => {
-    const text = message.text || '(no text)';
-    const user = message.user || message.bot_id || 'unknown';
-    const channel = message.channel || 'unknown';
-    const subtype = message.subtype || 'none';
-    console.log(`[slack/messages] Received message: "${text}" from=${user} channel=${channel} subtype=${subtype}`);
-  });
+const RECYCLED_ITEM_NOUNS = {
+  [String(config.monday.boards.investorList)]: 'investor',
+  [String(config.monday.boards.relationshipManagement)]: 'follow-up',
+};
 
-  // -------------------------------------------------------------------
-  // Main message handler — regex fast-path + NLU fallback
-  // -------------------------------------------------------------------
-  app.message(async ({ message, client, say }) => {
-    if (!shouldProcess(message)) return;
-    if (!(await isCorrectChannel(message, client))) return;
+/**
+ * Handle "deleted investors" — list what can still be restored.
+ */
+async function handleListDeleted(say) {
+  const entries = listRecycledItems(MAX_RECYCLE_BIN_LISTING);
+  if (entries.length === 0) {
+    await say(':wastebasket: The recycle bin is empty.');
+    return;
+  }
 
-    // Message deduplication — skip already-processed messages
-    if (processedMessages.has(message.ts)) return;
-    processedMessages.set(message.ts, Date.now());
+  const lines = [`:wastebasket: *Recently deleted* (${entries.length}):`];
+  for (const entry of entries) {
+    const noun = RECYCLED_ITEM_NOUNS[entry.boardId] || 'item';
+    const by = entry.deletedBy ? ` by <@${entry.deletedBy}>` : '';
+    lines.push(`• *${escapeSlackMrkdwn(entry.itemName)}* — ${noun}, deleted ${formatDateReadable(new Date(entry.deletedAt))}${by}`);
+  }
+  lines.push('\nSay *restore <name>* to bring one back.');
+  await say(lines.join('\n'));
+}
 
-    const rawText = (message.text || '').trim();
-    if (!rawText) return;
+/**
+ * Handle "restore X" / "restore investor X" — recreate a deleted item from
+ * the recycle bin.
+ *
+ * @param {string} name
+ * @param {'investor'|'rm'|null} boardType - Only look at deleted items from this board
+ */
+async function handleRestoreDeleted(name, boardType, say) {
+  const boardId = boardType === 'investor'
+    ? String(config.monday.boards.investorList)
+    : boardType === 'rm' ? String(config.monday.boards.relationshipManagement) : null;
+  const matches = findRecycledItems(name).filter((entry) => !boardId || entry.boardId === boardId);
+
+  if (matches.length === 0) {
+    await say(`I couldn't find "${escapeSlackMrkdwn(name)}" in the recycle bin. Say *deleted investors* to see what can be restored.`);
+    return;
+  }
 
-    // Ignore messages from the bot itself
-    if (message.user === config.slack.botUserId) return;
+  // The same name on two boards (an investor and their follow-up) — ask which
+  const boards = [...new Set(matches.map((entry) => entry.boardId))];
+  if (boards.length > 1) {
+    const lines = [`:mag: "${escapeSlackMrkdwn(name)}" matches more than one deleted item:`];
+    for (const entry of matches) {
+      const noun = RECYCLED_ITEM_NOUNS[entry.boardId] || 'item';
+      lines.push(`• *${escapeSlackMrkdwn(entry.itemName)}* — say *restore ${noun} ${escapeSlackMrkdwn(entry.itemName)}*`);
+    }
+    await say(lines.join('\n'));
+    return;
+  }
 
-    // Clean Slack formatting for parsing (strip markdown, decode tel/mailto/url)
-    const text = cleanSlackText(rawText);
-    if (!text) return;
+  // Newest deletion wins when the same item was deleted more than once
+  const entry = matches[0];
+  const restored = await restoreItem(entry);
+  if (!restored) {
+    await say(`:x: I couldn't restore *${escapeSlackMrkdwn(entry.itemName)}*. It's still archived in Monday.com for 30 days after deletion if you need it.`);
+    return;
+  }
 
-    try {
-      // ── CONFIRMATION FLOW: check for pending deletion confirmations ──
-      if (pendingDeletions.has(message.user)) {
-        if (REGEX_PATTERNS.confirmDelete.test(text)) {
-          console.log('[slack/commands] Confirm deletion');
-          const handled = await handleConfirmDeletion(message.user, say);
-          if (handled) return;
-        }
-        if (REGEX_PATTERNS.cancelDelete.test(text)) {
-          console.log('[slack/commands] Cancel deletion');
-          const cancelled = handleCancelDeletion(message.user);
-          if (cancelled) {
-            await say(':no_entry_sign: Deletion cancelled.');
-            return;
-          }
-        }
-      }
+  const isInvestor = entry.boardId === String(config.monday.boards.investorList);
+  const link = (isInvestor ? config.monday.boardUrl : config.monday.rmBoardUrl) + restored.id;
+  const lines = [
+    `:recycle: Restored *${escapeSlackMrkdwn(restored.name)}* to the ${BOARD_TYPE_LABELS[isInvestor ? 'investor' : 'rm']}. ` +
+    `Its updates (comments) stay with the archived original. <${link}|Open in Monday>`,
+  ];
+
+  // The restored item has a new ID, so nothing that pointed at the old one follows it
+  const { linkedFollowUps, lostReminders } = await restoreLosses(entry);
+  if (linkedFollowUps.length > 0) {
+    const names = linkedFollowUps.map((item) => `*${escapeSlackMrkdwn(item.name)}*`).join(', ');
+    lines.push(
+      `:link: ${linkedFollowUps.length} follow-up(s) on the ${BOARD_TYPE_LABELS.rm} still link to the archived original ` +
+      `and need relinking in Monday: ${names}`
+    );
+  }
+  if (lostReminders.length > 0) {
+    const owners = [...new Set(lostReminders.map((r) => r.slackUserId).filter(Boolean))].map((id) => `<@${id}>`);
+    lines.push(
+      `:alarm_clock: ${lostReminders.length} reminder(s)${owners.length ? ` for ${owners.join(', ')}` : ''} were cancelled when it was deleted ` +
+      "and aren't coming back — schedule a new follow-up if it's still needed."
+    );
+  }
+  await say(lines.join('\n'));
+}
 
-      // ── FAST PATH: regex matching for common commands ──
+// ---------------------------------------------------------------------------
+// Failed reminder handlers — list, retry or discard dead-lettered reminders
+// ---------------------------------------------------------------------------
 
-      // Test Monday (exact match)
-      if (REGEX_PATTERNS.testMonday.test(text)) {
-        await handleTestMonday(say);
-        return;
-      }
+/**
+ * Dead-lettered reminders the user may manage — everyone's, or only their own
+ * for an 'own' scope (see permissions.js).
+ */
+function failedRemindersFor(userId, action) {
+  const { scope } = checkAccess(userId, action);
+  const reminders = getDeadLetterReminders();
+  return scope === 'all' ? reminders : reminders.filter((r) => r.slackUserId === userId);
+}
 
-      // Who's overdue
-      if (REGEX_PATTERNS.overdue.test(text)) {
-        console.log('[slack/commands] Regex match: overdue');
-        await handleListOverdue(say);
-        return;
-      }
+async function handleListFailedReminders(userId, say) {
+  await say(messages.formatDeadLetterList(failedRemindersFor(userId, 'list_failed_reminders')));
+}
 
-      // Delete follow-up: "delete follow-up for X", "remove follow-up X", "cancel follow-up with X"
+/**
+ * Handle "retry reminder <id|all>" — put dead-lettered reminders back in the queue.
+ * A single ID has already been checked by authorizeIntent; "all" covers only
+ * the reminders the sender may retry.
+ */
+async function handleRetryReminder(reminderId, userId, say) {
+  const ids = reminderId.toLowerCase() === 'all'
+    ? failedRemindersFor(userId, 'retry_reminder').map((r) => r.id)
+    : [reminderId];
+
+  const requeued = ids.map((id) => requeueReminder(id)).filter(Boolean);
+
+  if (requeued.length === 0) {
+    await say(`I couldn't find a failed reminder with ID \`${escapeSlackMrkdwn(reminderId)}\`. Say \`failed reminders\` to see the list.`);
+    return;
+  }
+
+  const names = requeued.map((r) => `*${escapeSlackMrkdwn(r.investorName || 'Unknown')}*`).join(', ');
+  await say(`:repeat: Requeued ${requeued.length} reminder(s): ${names}. I'll try delivering within the next minute.`);
+}
+
+/**
+ * Handle "discard reminder <id>" — permanently drop a dead-lettered reminder.
+ */
+async function handleDiscardReminder(reminderId, say) {
+  const reminder = getReminder(reminderId);
+  if (!reminder || !reminder.deadLetteredAt) {
+    await say(`I couldn't find a failed reminder with ID \`${escapeSlackMrkdwn(reminderId)}\`. Say \`failed reminders\` to see the list.`);
+    return;
+  }
+
+  removeReminder(reminder.id);
+  await say(`:wastebasket: Discarded the failed reminder for *${escapeSlackMrkdwn(reminder.investorName || 'Unknown')}*.`);
+}
+
+// ---------------------------------------------------------------------------
+// Undo — revert the sender's last command (see history/journal.js)
+// ---------------------------------------------------------------------------
+
+const JOURNAL_ITEM_NOUNS = {
+  [String(config.monday.boards.investorList)]: 'investor',
+  [String(config.monday.boards.relationshipManagement)]: 'follow-up activity',
+  [String(config.monday.boards.communicationsLog)]: 'Communications Log entry',
+};
+
+/**
+ * Run a Slack listener as one journaled operation, so "undo" can revert
+ * everything it wrote to Monday, with those writes audited as the user's.
+ *
+ * @param {Function} describe - listener args → { userId, label, channel, ts?, link? }
+ *   (ts or link identify the message that triggered it, for the audit log)
+ * @param {Function} listener
+ */
+function asOperation(describe, listener) {
+  return (args) => {
+    const context = describe(args);
+    const actor = { type: 'slack', slackUserId: context.userId, channel: context.channel, ts: context.ts, link: context.link };
+    return runAsActor(actor, () => runOperation(context, () => listener(args)));
+  };
+}
+
+/**
+ * What a button or picker did, for the undo reply.
+ */
+function actionLabel(action) {
+  if (action.text && action.text.text) return `"${action.text.text}" button`;
+  if (action.selected_date) return `Reschedule to ${action.selected_date}`;
+  if (action.selected_user) return `Reassign to <@${action.selected_user}>`;
+  return action.action_id;
+}
+
+/**
+ * Handle "undo" — restore the columns the user's last command changed,
+ * delete the items it created, restore the ones it deleted and cancel the
+ * reminders it added, newest first.
+ */
+async function handleUndo(userId, say) {
+  let operation;
+  try {
+    operation = getLastOperation(userId);
+  } catch (err) {
+    log.error('Could not read the operation journal:', err.message);
+    await say("Sorry, I couldn't look up your last change right now. Please try again in a moment.");
+    return;
+  }
+  if (!operation) {
+    await say("I don't have any recent changes of yours to undo.");
+    return;
+  }
+
+  const label = operation.label ? `"${escapeSlackMrkdwn(operation.label)}"` : 'your last change';
+  const ageMs = Date.now() - new Date(operation.createdAt).getTime();
+  if (ageMs > config.history.undoWindowMs) {
+    const windowMinutes = Math.round(config.history.undoWindowMs / 60000);
+    await say(
+      `Your last change (${label}) was ${Math.round(ageMs / 60000)} minutes ago — I can only undo changes ` +
+      `from the last ${windowMinutes} minutes. You can fix it directly in Monday.com.`
+    );
+    return;
+  }
+
+  const restored = new Set();
+  const deleted = [];
+  const recovered = [];
+  const cancelled = [];
+  const failed = [];
+  // Undo's own writes (a recreated item included) aren't a new undoable operation
+  await runUnjournaled(async () => {
+    for (const step of [...operation.steps].reverse()) {
+      const name = step.itemName || `item ${step.itemId}`;
+      const noun = JOURNAL_ITEM_NOUNS[step.boardId] || 'item';
+      if (step.kind === 'create') {
+        if (await deleteItem(step.itemId, step)) {
+          // An undone "restore" goes back in the recycle bin
+          unmarkRestored(step.itemId);
+          deleted.push(`${noun} *${escapeSlackMrkdwn(name)}*`);
+        } else {
+          failed.push(`couldn't delete the ${noun} *${escapeSlackMrkdwn(name)}*`);
+        }
+      } else if (step.kind === 'reminder') {
+        // A reminder that already went off (and wasn't recurring) is gone
+        if (getReminder(step.reminderId)) {
+          removeReminder(step.reminderId);
+          cancelled.push(`*${escapeSlackMrkdwn(name)}*`);
+        }
+      } else if (step.kind === 'recycle') {
+        // Already restored by hand ("restore X") — nothing left to undo
+        const entry = getRecycledItem(step.itemId);
+        if (entry && !(await restoreItem(entry))) {
+          failed.push(`couldn't bring back the deleted ${noun} *${escapeSlackMrkdwn(name)}*`);
+        } else if (entry) {
+          recovered.push(`${noun} *${escapeSlackMrkdwn(name)}*`);
+        }
+      } else {
+        if (await restoreColumnValues(step.boardId, step.itemId, step.previousValues || {})) {
+          restored.add(`*${escapeSlackMrkdwn(name)}*`);
+        } else {
+          failed.push(`couldn't restore *${escapeSlackMrkdwn(name)}*`);
+        }
+      }
+    }
+  });
+
+  // Even a partial undo is final — re-running it would repeat the parts that worked
+  markOperationUndone(operation.id);
+  log.info(`Undo: operation=${operation.id} by=${userId} restored=${restored.size} deleted=${deleted.length} recovered=${recovered.length} cancelled=${cancelled.length} failed=${failed.length}`);
+
+  const lines = [`:leftwards_arrow_with_hook: Undid ${label}.`];
+  if (restored.size > 0) lines.push(`• Restored the previous values on ${[...restored].join(', ')}`);
+  if (deleted.length > 0) lines.push(`• Deleted the ${deleted.join(', ')}`);
+  if (cancelled.length > 0) lines.push(`• Cancelled the reminder${cancelled.length === 1 ? '' : 's'} for ${cancelled.join(', ')}`);
+  if (recovered.length > 0) lines.push(`• Brought back the deleted ${recovered.join(', ')} (as new items — their updates stay with the archived originals)`);
+  if (failed.length > 0) lines.push(`:warning: But I ${failed.join(' and ')} — please check Monday.com.`);
+  await say(lines.join('\n'));
+}
+
+// ---------------------------------------------------------------------------
+// Reminder management — list, snooze, reschedule, cancel (own reminders only)
+// ---------------------------------------------------------------------------
+
+/**
+ * Find one of the user's pending reminders by investor name (fuzzy).
+ *
+ * @returns {{reminder: Object|null, error: string|null}}
+ */
+function findUserReminder(userId, investorName) {
+  const reminders = getRemindersForUser(userId);
+  if (reminders.length === 0) {
+    return { reminder: null, error: "You don't have any pending reminders." };
+  }
+
+  if (!investorName) {
+    if (reminders.length === 1) return { reminder: reminders[0], error: null };
+    return { reminder: null, error: 'Which reminder? Include the investor\'s name — say "my reminders" to see them all.' };
+  }
+
+  const cleanName = stripNamePrefix(investorName);
+  const result = findBestMatch(
+    cleanName,
+    reminders.map((r) => ({ ...r, name: r.investorName || '' }))
+  );
+  if (!result || result.score > 0.35) {
+    return {
+      reminder: null,
+      error: `You don't have a reminder matching "${escapeSlackMrkdwn(cleanName)}". Say "my reminders" to see them all.`,
+    };
+  }
+
+  return { reminder: result.match, error: null };
+}
+
+async function handleListReminders(scope, userId, say) {
+  if (scope === 'team') {
+    const access = checkAccess(userId, 'list_team_reminders');
+    if (!access.scope) {
+      recordDenial({ slackUserId: userId, role: access.role, action: 'list_team_reminders' });
+      await say(`${denialMessage(access.role, 'list_team_reminders')} Here are yours:`);
+    } else {
+      await say(messages.formatReminderList(getAllReminders(), { title: 'Team Reminders', showOwner: true }));
+      return;
+    }
+  }
+
+  await say(messages.formatReminderList(getRemindersForUser(userId)));
+}
+
+/**
+ * Handle "snooze X reminder 2 hours" — push the reminder back by a duration,
+ * or to a point in time ("until tomorrow").
+ */
+async function handleSnoozeReminder(intent, userId, say) {
+  const { reminder, error } = findUserReminder(userId, intent.investorName);
+  if (error) { await say(error); return; }
+
+  const expression = intent.snoozeDuration || intent.date;
+  if (!expression) {
+    await say(`How long should I snooze the *${escapeSlackMrkdwn(reminder.investorName)}* reminder? Try "2 hours" or "1 day".`);
+    return;
+  }
+
+  let newDate;
+  const durationMs = parseDuration(expression);
+  if (durationMs) {
+    const base = Math.max(Date.now(), new Date(reminder.scheduledAt).getTime());
+    newDate = new Date(base + durationMs);
+  } else {
+    const parseResult = parseNaturalDate(expression);
+    if (!parseResult) {
+      await say(`I couldn't figure out "${escapeSlackMrkdwn(expression)}". Try something like "2 hours", "1 day" or "tomorrow at 9am".`);
+      return;
+    }
+    newDate = parseResult.date;
+  }
+
+  rescheduleReminder(reminder.id, newDate);
+  await say(`:zzz: Snoozed — I'll remind you about *${escapeSlackMrkdwn(reminder.investorName)}* on *${formatDateReadable(newDate)}* at ${formatTimeReadableCT(newDate)}.`);
+}
+
+/**
+ * Handle "move my X reminder to Thursday 3pm".
+ */
+async function handleRescheduleReminder(intent, userId, say) {
+  const { reminder, error } = findUserReminder(userId, intent.investorName);
+  if (error) { await say(error); return; }
+
+  if (!intent.date) {
+    await say(`When should I move the *${escapeSlackMrkdwn(reminder.investorName)}* reminder to?`);
+    return;
+  }
+
+  const parseResult = parseNaturalDate(intent.date);
+  if (!parseResult) {
+    await say(`I couldn't figure out when you mean by "${escapeSlackMrkdwn(intent.date)}". Try something like "Thursday 3pm" or "next Monday".`);
+    return;
+  }
+
+  const { date: newDate } = parseResult;
+  rescheduleReminder(reminder.id, newDate);
+  await say(`:calendar: Moved your *${escapeSlackMrkdwn(reminder.investorName)}* reminder to *${formatDateReadable(newDate)}* at ${formatTimeReadableCT(newDate)}.`);
+}
+
+/**
+ * Handle "cancel reminder for X" — removes the reminder only; the Monday.com
+ * follow-up date is left untouched.
+ */
+async function handleCancelReminder(intent, userId, say) {
+  const { reminder, error } = findUserReminder(userId, intent.investorName);
+  if (error) { await say(error); return; }
+
+  removeReminder(reminder.id);
+  await say(`:no_bell: Cancelled your reminder for *${escapeSlackMrkdwn(reminder.investorName)}*. The follow-up date on Monday.com is unchanged.`);
+}
+
+// ---------------------------------------------------------------------------
+// Interactive actions — buttons and pickers on reminder / alert / digest posts
+// ---------------------------------------------------------------------------
+// Each action reuses the same handler as the typed command, with the exact
+// Monday item ID from the block so no fuzzy matching is involved. Results
+// are posted in the alert's thread and attributed to whoever clicked.
+
+/**
+ * Build the (message, say) pair the intent handlers expect from an action payload.
+ */
+function actionContext(body, client) {
+  // Buttons on the App Home tab have no channel; reply in the user's DMs
+  const channel = (body.channel && body.channel.id) || body.user.id;
+  const threadTs = body.message && (body.message.thread_ts || body.message.ts);
+  const userId = body.user.id;
+
+  const say = async (reply) => {
+    const payload = typeof reply === 'string' ? { text: reply } : reply;
+    const result = await client.chat.postMessage({
+      ...payload,
+      channel,
+      thread_ts: threadTs,
+      text: `<@${userId}> ${payload.text}`,
+    });
+    if (threadTs) recordReplyContext(channel, threadTs, payload.text);
+    return result;
+  };
+
+  return { message: { user: userId, channel, ts: threadTs, thread_ts: threadTs }, say };
+}
+
+/**
+ * Look up the investor an action refers to, for the name the handlers expect.
+ */
+async function resolveActionInvestor(action) {
+  const itemId = getActionItemId(action);
+  if (!itemId) return null;
+
+  const investors = await getActiveInvestors();
+  return investors.find((i) => String(i.id) === String(itemId)) || null;
+}
+
+/**
+ * Follow-up date to keep when reassigning: the current one if it is still
+ * ahead, otherwise tomorrow.
+ */
+function reassignDate(investor) {
+  const keepDate = investor.nextFollowUp && investor.nextFollowUp >= new Date(new Date().setHours(0, 0, 0, 0));
+  return keepDate ? formatDateYMD(investor.nextFollowUp) : 'tomorrow';
+}
+
+/**
+ * The next weekday after today (Central), as YYYY-MM-DD.
+ */
+function nextBusinessDayYMD() {
+  const date = new Date(new Date().toLocaleString('en-US', { timeZone: config.timezone }));
+  do {
+    date.setDate(date.getDate() + 1);
+  } while (date.getDay() === 0 || date.getDay() === 6);
+  return formatDateYMD(date);
+}
+
+/**
+ * Snooze an investor's follow-up to the next business day — the Snooze button
+ * and the ⏰ reaction. Moves Next Follow-Up on the Investor List and the
+ * user's reminder for the investor; unlike scheduling a follow-up it leaves
+ * the RM board alone and doesn't offer to assign anyone.
+ */
+async function handleSnoozeFollowUp(investor, message, client, say) {
+  const dateStr = nextBusinessDayYMD();
+  const { date } = parseNaturalDate(dateStr);
+
+  if (!(await updateNextFollowUp(investor.id, dateStr))) {
+    await say(`Sorry, I could not update Monday.com for ${escapeSlackMrkdwn(investor.name)}. Please try again or update it manually. :point_right: <${investor.link}|Open in Monday>`);
+    return;
+  }
+
+  try {
+    const userInfo = await client.users.info({ user: message.user });
+    setInvestorReminder({
+      itemId: investor.id,
+      investorName: investor.name,
+      scheduledAt: date,
+      slackUserId: message.user,
+      userEmail: userInfo.user.profile.email || null,
+      investorStatus: investor.status,
+      dealInterest: investor.dealInterest,
+      investorLink: investor.link,
+      recurrence: recurrenceForStatus(investor.status),
+    });
+  } catch (reminderErr) {
+    log.error('Failed to move reminder:', reminderErr.message);
+  }
+
+  await say(`:zzz: Snoozed *${escapeSlackMrkdwn(investor.name)}* until *${formatDateReadable(date)}*. :point_right: <${investor.link}|Open in Monday>`);
+}
+
+function registerInteractiveActions(app) {
+  const withInvestor = (run) => asOperation(({ action, body }) => ({
+    userId: body.user.id,
+    label: actionLabel(action),
+    channel: body.channel && body.channel.id,
+    ts: body.message && body.message.ts,
+  }), async ({ ack, action, body, client }) => {
+    await ack();
+    const { message, say } = actionContext(body, client);
+    try {
+      const investor = await resolveActionInvestor(action);
+      if (!investor) {
+        await say("I couldn't find that investor on the Investor List anymore — they may have been removed or marked inactive.");
+        return;
+      }
+      await run({ investor, action, body, message, client, say });
+    } catch (err) {
+      log.error(`Action ${action.action_id} error:`, err.message);
+      await say('Something went wrong handling that button. Please try again.');
+    } finally {
+      scheduleHomeRefresh(client, message.user);
+    }
+  });
+
+  app.action(ACTION_IDS.markContacted, withInvestor(async ({ investor, message, client, say }) => {
+    log.info(`Action: mark contacted investor="${investor.name}" by=${message.user}`);
+    await handleLogTouchpoint({ investorName: investor.name, itemId: investor.id }, message, client, say);
+  }));
+
+  app.action(ACTION_IDS.snooze, withInvestor(async ({ investor, message, client, say }) => {
+    log.info(`Action: snooze 1 day investor="${investor.name}" by=${message.user}`);
+    await handleSnoozeFollowUp(investor, message, client, say);
+  }));
+
+  app.action(ACTION_IDS.reschedule, withInvestor(async ({ investor, action, message, client, say }) => {
+    log.info(`Action: reschedule investor="${investor.name}" date=${action.selected_date} by=${message.user}`);
+    await handleScheduleFollowUp(
+      { investorName: investor.name, itemId: investor.id, date: action.selected_date },
+      message, client, say
+    );
+  }));
+
+  app.action(ACTION_IDS.reassign, withInvestor(async ({ investor, action, message, client, say }) => {
+    log.info(`Action: reassign investor="${investor.name}" to=${action.selected_user} by=${message.user}`);
+    await routeIntent(
+      {
+        action: 'assign_followup',
+        investorName: investor.name,
+        itemId: investor.id,
+        assignee: `<@${action.selected_user}>`,
+        assigneeIsSlackTag: true,
+        date: reassignDate(investor),
+      },
+      '', message, client, say
+    );
+  }));
+
+  // Disambiguation picker: resume the waiting intent for the chosen investor
+  app.action(new RegExp(`^${ACTION_IDS.pickInvestor}:`), asOperation(({ action, body }) => ({
+    userId: body.user.id,
+    label: actionLabel(action),
+    channel: body.channel && body.channel.id,
+    ts: body.message && body.message.ts,
+  }), async ({ ack, action, body, client }) => {
+    await ack();
+    const { message, say } = actionContext(body, client);
+    const [token, itemId] = action.value.split(':');
+
+    try {
+      const pending = peekChoice(token);
+      if (!pending) {
+        await say('That choice has expired. Please send the request again.');
+        return;
+      }
+      if (pending.userId && pending.userId !== message.user) {
+        await say(`Only <@${pending.userId}> can pick here.`);
+        return;
+      }
+      clearChoice(token);
+
+      const investors = await getActiveInvestors();
+      const investor = investors.find((i) => String(i.id) === String(itemId));
+      if (!investor) {
+        await say("I couldn't find that investor on the Investor List anymore — they may have been removed or marked inactive.");
+        return;
+      }
+
+      // Replace the picker so it can't be answered twice
+      try {
+        await client.chat.update({
+          channel: body.channel.id,
+          ts: body.message.ts,
+          text: `:point_right: Picked *${escapeSlackMrkdwn(investor.name)}*.`,
+          blocks: [],
+        });
+      } catch (err) {
+        log.warn(`Could not update picker message: ${err.data?.error || err.message}`);
+      }
+
+      log.info(`Action: picked investor="${investor.name}" for action=${pending.intent.action} by=${message.user}`);
+      await routeIntent(
+        { ...pending.intent, investorName: investor.name, itemId: investor.id },
+        '', message, client, say
+      );
+    } catch (err) {
+      log.error(`Action ${action.action_id} error:`, err.message);
+      await say('Something went wrong handling that button. Please try again.');
+    } finally {
+      scheduleHomeRefresh(client, message.user);
+    }
+  }));
+
+  // Timeline paging: redraw the same message with another page
+  app.action(new RegExp(`^${ACTION_IDS.timelinePage}:`), withInvestor(async ({ investor, action, body, client }) => {
+    const page = Number(action.value) || 0;
+    const entries = await getTimeline(investor);
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      ...buildTimelineMessage(investor, entries, page),
+    });
+  }));
+
+  // Timeline export: the whole timeline as a CSV file in the same thread
+  app.action(ACTION_IDS.timelineExport, withInvestor(async ({ investor, message, client, say }) => {
+    log.info(`Action: export timeline investor="${investor.name}" by=${message.user}`);
+    const entries = await getTimeline(investor);
+    const slug = investor.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || investor.id;
+    try {
+      await client.files.uploadV2({
+        channel_id: message.channel,
+        thread_ts: message.thread_ts,
+        filename: `${slug}-history-${todayYMD()}.csv`,
+        title: `${investor.name} — history`,
+        content: timelineToCsv(entries),
+        initial_comment: `<@${message.user}> here's the full history for *${escapeSlackMrkdwn(investor.name)}* (${entries.length} entries).`,
+      });
+    } catch (err) {
+      log.error(`Timeline export failed: ${err.data?.error || err.message}`);
+      await say("I couldn't upload the CSV — the bot may be missing the `files:write` scope.");
+    }
+  }));
+
+  // Audit export: the investor's whole audit log as a CSV file in the same thread
+  app.action(ACTION_IDS.auditExport, withInvestor(async ({ investor, message, client, say }) => {
+    const { role, scope } = checkAccess(message.user, 'audit_log');
+    if (!scope) {
+      recordDenial({ slackUserId: message.user, role, action: 'audit_log', items: [investor], detail: 'audit CSV export' });
+      await say(denialMessage(role, 'audit_log'));
+      return;
+    }
+
+    log.info(`Action: export audit log investor="${investor.name}" by=${message.user}`);
+    const entries = await loadInvestorAudit(investor);
+    const slug = investor.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || investor.id;
+    try {
+      await client.files.uploadV2({
+        channel_id: message.channel,
+        thread_ts: message.thread_ts,
+        filename: `${slug}-audit-${todayYMD()}.csv`,
+        title: `${investor.name} — audit log`,
+        content: auditToCsv(entries),
+        initial_comment: `<@${message.user}> here's the audit log for *${escapeSlackMrkdwn(investor.name)}* (${entries.length} entries).`,
+      });
+    } catch (err) {
+      log.error(`Audit export failed: ${err.data?.error || err.message}`);
+      await say("I couldn't upload the CSV — the bot may be missing the `files:write` scope.");
+    }
+  }));
+
+  app.action(ACTION_IDS.cancelPick, async ({ ack, action, body, client }) => {
+    await ack();
+    const pending = peekChoice(action.value);
+    if (pending && pending.userId && pending.userId !== body.user.id) return;
+    clearChoice(action.value);
+    try {
+      await client.chat.update({
+        channel: body.channel.id,
+        ts: body.message.ts,
+        text: ':no_entry_sign: No investor picked. Try again with their full name, company or email.',
+        blocks: [],
+      });
+    } catch (err) {
+      log.warn(`Could not update picker message: ${err.data?.error || err.message}`);
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Reaction shortcuts — emoji on bot alerts act on the alert's investor
+// ---------------------------------------------------------------------------
+// Reminders, going-cold alerts and the daily digest are recorded with their
+// investors when posted (see threads.js). Reacting to one runs the same
+// handler as the matching button; replies go in the alert's thread.
+
+const REACTION_SHORTCUTS = {
+  white_check_mark: 'log',
+  heavy_check_mark: 'log',
+  alarm_clock: 'snooze',
+  raising_hand: 'assign',
+  'man-raising-hand': 'assign',
+  'woman-raising-hand': 'assign',
+};
+
+function registerReactionShortcuts(app) {
+  app.event('reaction_added', asOperation(({ event }) => ({
+    userId: event.user,
+    label: `:${event.reaction}: reaction`,
+    channel: event.item && event.item.channel,
+    ts: event.item && event.item.ts,
+  }), async ({ event, client }) => {
+    // Skin tones arrive as "raising_hand::skin-tone-3"
+    const shortcut = REACTION_SHORTCUTS[event.reaction.split('::')[0]];
+    if (!shortcut || !event.item || event.item.type !== 'message') return;
+    if (event.item_user && event.item_user !== config.slack.botUserId) return;
+    if (event.user === config.slack.botUserId) return;
+
+    const { channel, ts } = event.item;
+    const { message, say } = actionContext(
+      { user: { id: event.user }, channel: { id: channel }, message: { ts } },
+      client
+    );
+
+    try {
+      const itemIds = await getPostInvestorIds(client, channel, ts);
+      if (itemIds.length === 0) return;
+      if (itemIds.length > 1) {
+        await say(`That post covers ${itemIds.length} investors — use the buttons under the one you mean.`);
+        return;
+      }
+
+      const investors = await getActiveInvestors();
+      const investor = investors.find((i) => String(i.id) === itemIds[0]);
+      if (!investor) {
+        await say("I couldn't find that investor on the Investor List anymore — they may have been removed or marked inactive.");
+        return;
+      }
+
+      log.info(`Reaction: ${event.reaction} → ${shortcut} investor="${investor.name}" by=${event.user}`);
+      const base = { investorName: investor.name, itemId: investor.id };
+      if (shortcut === 'log') {
+        await handleLogTouchpoint(base, message, client, say);
+      } else if (shortcut === 'snooze') {
+        await handleSnoozeFollowUp(investor, message, client, say);
+      } else if (shortcut === 'assign') {
+        await routeIntent(
+          { ...base, action: 'assign_followup', assignee: `<@${event.user}>`, assigneeIsSlackTag: true, date: reassignDate(investor) },
+          '', message, client, say
+        );
+      }
+    } catch (err) {
+      log.error(`Reaction ${event.reaction} error:`, err.message);
+      await say('Something went wrong handling that reaction. Please try again.');
+    } finally {
+      scheduleHomeRefresh(client, event.user);
+    }
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// /followup slash command — modal forms for schedule, log, assign and add
+// ---------------------------------------------------------------------------
+// Submissions call the same handlers as typed commands. The investor comes
+// from a typeahead whose value is the Monday item ID, and dates come from
+// pickers, so neither fuzzy names nor natural-language dates are involved.
+
+const FOLLOWUP_SUBCOMMANDS = {
+  schedule: 'schedule',
+  log: 'log',
+  contacted: 'log',
+  touchpoint: 'log',
+  assign: 'assign',
+  add: 'add',
+  new: 'add',
+};
+
+/**
+ * Build the (message, say) pair the intent handlers expect for a modal
+ * submission. Results go to the channel /followup was run in, or to the
+ * user's DMs if the bot can't post there.
+ */
+function modalContext(body, view, client) {
+  const userId = body.user.id;
+  const { channelId } = modals.readModalMetadata(view);
+
+  const say = async (reply) => {
+    const payload = typeof reply === 'string' ? { text: reply } : reply;
+    if (channelId) {
+      try {
+        return await client.chat.postMessage({ ...payload, channel: channelId, text: `<@${userId}> ${payload.text}` });
+      } catch (err) {
+        log.warn(`Could not post modal result to ${channelId}: ${err.data?.error || err.message}`);
+      }
+    }
+    return client.chat.postMessage({ ...payload, channel: userId });
+  };
+
+  return { message: { user: userId, channel: channelId || userId }, say };
+}
+
+/**
+ * Journal context for a modal submission (see asOperation).
+ */
+function modalOperation(label) {
+  return ({ body, view }) => {
+    const meta = modals.readModalMetadata(view);
+    return { userId: body.user.id, label, channel: meta.channelId || body.user.id, link: meta.permalink };
+  };
+}
+
+/**
+ * Best fuzzy match for `/followup schedule Jane`, used to prefill the form.
+ */
+async function findInitialInvestor(searchText) {
+  if (!searchText) return null;
+  const investors = await getActiveInvestors();
+  const result = findBestMatch(stripNamePrefix(searchText), investors);
+  return result && result.score <= 0.35 ? result.match : null;
+}
+
+function registerFollowupCommand(app) {
+  app.command('/followup', async ({ ack, command, client }) => {
+    await ack();
+
+    const [first = '', ...rest] = (command.text || '').trim().split(/\s+/);
+    const form = FOLLOWUP_SUBCOMMANDS[first.toLowerCase()];
+    const meta = { channelId: command.channel_id };
+    log.info(`/followup form=${form || 'menu'} by=${command.user_id}`);
+
+    try {
+      let view;
+      if (!form) {
+        view = modals.buildMenuModal(meta);
+      } else {
+        const initialInvestor = form === 'add' ? null : await findInitialInvestor(rest.join(' '));
+        view = modals.FORM_BUILDERS[form](meta, initialInvestor);
+      }
+      await client.views.open({ trigger_id: command.trigger_id, view });
+    } catch (err) {
+      log.error('/followup error:', err.data?.error || err.message);
+    }
+  });
+
+  // Menu buttons swap the menu for the chosen form; the same buttons on the
+  // App Home tab open the form as a new modal (results go to the user's DMs)
+  app.action(new RegExp(`^${modals.MODAL_ACTION_IDS.openForm}:`), async ({ ack, action, body, client }) => {
+    await ack();
+    const build = modals.FORM_BUILDERS[action.value];
+    if (!build) return;
+    try {
+      if (body.view.type === 'home') {
+        await client.views.open({ trigger_id: body.trigger_id, view: build({}) });
+        return;
+      }
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: build(modals.readModalMetadata(body.view)),
+      });
+    } catch (err) {
+      log.error('/followup menu error:', err.data?.error || err.message);
+    }
+  });
+
+  // Investor typeahead
+  app.options(modals.MODAL_ACTION_IDS.investor, async ({ ack, options }) => {
+    try {
+      const investors = await getActiveInvestors();
+      const matches = searchInvestors(options.value, investors, 20);
+      await ack({ options: matches.map(modals.investorOption) });
+    } catch (err) {
+      log.error('Investor typeahead error:', err.message);
+      await ack({ options: [] });
+    }
+  });
+
+  app.view(modals.CALLBACK_IDS.schedule, asOperation(modalOperation('/followup schedule'), async ({ ack, body, view, client }) => {
+    const values = modals.readModalValues(view);
+    if (values.date < todayYMD()) {
+      await ack({ response_action: 'errors', errors: { date: 'Pick today or a later date.' } });
+      return;
+    }
+    const when = zonedDateTime(values.date, values.time, config.timezone);
+    if (values.time && when < new Date()) {
+      await ack({ response_action: 'errors', errors: { time: 'That time has already passed.' } });
+      return;
+    }
+    await ack();
+
+    const { message, say } = modalContext(body, view, client);
+    // A bare date keeps the 9 AM default; a picked time becomes an exact instant
+    const date = values.time ? when.toISOString() : values.date;
+    log.info(`Modal: schedule investor="${values.investor.label}" date=${date} by=${message.user}`);
+    try {
+      await handleScheduleFollowUp(
+        { investorName: values.investor.label, itemId: values.investor.value, date },
+        message, client, say
+      );
+    } catch (err) {
+      log.error('Schedule modal error:', err.message);
+      await say('Something went wrong scheduling that follow-up. Please try again.');
+    }
+    scheduleHomeRefresh(client, message.user);
+  }));
+
+  app.view(modals.CALLBACK_IDS.log, asOperation(modalOperation('/followup log'), async ({ ack, body, view, client }) => {
+    await ack();
+    const values = modals.readModalValues(view);
+    const { message, say } = modalContext(body, view, client);
+    log.info(`Modal: log touchpoint investor="${values.investor.label}" by=${message.user}`);
+    try {
+      await handleLogTouchpoint(
+        { investorName: values.investor.label, itemId: values.investor.value },
+        message, client, say
+      );
+    } catch (err) {
+      log.error('Log modal error:', err.message);
+      await say('Something went wrong logging that touchpoint. Please try again.');
+    }
+    scheduleHomeRefresh(client, message.user);
+  }));
+
+  app.view(modals.CALLBACK_IDS.assign, asOperation(modalOperation('/followup assign'), async ({ ack, body, view, client }) => {
+    const values = modals.readModalValues(view);
+    if (values.date && values.date < todayYMD()) {
+      await ack({ response_action: 'errors', errors: { date: 'Pick today or a later date.' } });
+      return;
+    }
+    await ack();
+
+    const { message, say } = modalContext(body, view, client);
+    log.info(`Modal: assign investor="${values.investor.label}" to=${values.assignee} by=${message.user}`);
+    try {
+      await routeIntent(
+        {
+          action: 'assign_followup',
+          investorName: values.investor.label,
+          itemId: values.investor.value,
+          assignee: `<@${values.assignee}>`,
+          assigneeIsSlackTag: true,
+          date: values.date || 'tomorrow',
+        },
+        '', message, client, say
+      );
+    } catch (err) {
+      log.error('Assign modal error:', err.message);
+      await say('Something went wrong assigning that follow-up. Please try again.');
+    }
+    scheduleHomeRefresh(client, message.user);
+  }));
+
+  app.view(modals.CALLBACK_IDS.add, asOperation(modalOperation('/followup add'), async ({ ack, body, view, client }) => {
+    const values = modals.readModalValues(view);
+    if (!values.email && !values.phone) {
+      await ack({ response_action: 'errors', errors: { email: 'Add an email or a phone number.' } });
+      return;
+    }
+    await ack();
+
+    const { message, say } = modalContext(body, view, client);
+    log.info(`Modal: add investor by=${message.user}`);
+    await addContacts([{
+      name: values.name,
+      email: values.email || null,
+      phone: values.phone || null,
+      linkedin: values.linkedin || null,
+      notes: values.notes || null,
+    }], say);
+    scheduleHomeRefresh(client, message.user);
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Rich touchpoints — "called Wyatt, wants to put $250k into the Austin deal,
+// follow up after his CPA review next Thursday"
+// ---------------------------------------------------------------------------
+// A bare "spoke with Jane Doe" is logged as-is. When the message says more
+// than who was contacted, the AI touchpoint extractor pulls out the method,
+// notes, amount, deal, when it happened and the next follow-up date, and
+// handleLogTouchpoint writes them.
+
+const TOUCHPOINT_DETAIL_PATTERN = /[,;:$\d]|\b(?:yesterday|ago|last|on\s+(?:mon|tue|wed|thu|fri|sat|sun)\w*|about|re|wants?|said|interested|follow(?:ing)?\s+up|via|by\s+(?:phone|email|text))\b/i;
+const MAX_BARE_TOUCHPOINT_WORDS = 8;
+
+function hasTouchpointDetails(text) {
+  return TOUCHPOINT_DETAIL_PATTERN.test(text) || text.trim().split(/\s+/).length > MAX_BARE_TOUCHPOINT_WORDS;
+}
+
+/**
+ * Notes and resolved dates for an extracted touchpoint. Dates that can't be
+ * right (a contact date in the future, a next follow-up in the past) are
+ * dropped.
+ *
+ * @returns {{ notes: string|null, contactDate: string|null, nextFollowUp: string|null }}
+ */
+function touchpointFields(touchpoint) {
+  const notes = [touchpoint.summary, touchpoint.nextStep && `Next step: ${touchpoint.nextStep}`]
+    .filter(Boolean)
+    .join('\n');
+
+  let nextFollowUp = null;
+  if (touchpoint.nextStepDate) {
+    const parsed = parseNaturalDate(touchpoint.nextStepDate);
+    const ymd = parsed ? formatDateYMD(parsed.date) : null;
+    if (ymd && ymd >= todayYMD()) nextFollowUp = ymd;
+  }
+
+  const contactDate = touchpoint.contactDate
+    ? parsePastDate(touchpoint.contactDate, config.timezone)
+    : null;
+
+  return { notes: notes || null, contactDate, nextFollowUp };
+}
+
+/**
+ * Add the details of a rich touchpoint message to a log_touchpoint intent.
+ * Intents that already carry notes (from a form, or extracted before a
+ * follow-up question) are left alone.
+ */
+async function withTouchpointDetails(intent, rawText) {
+  if (intent.notes !== undefined || !rawText || !hasTouchpointDetails(rawText)) return intent;
+
+  const touchpoint = await extractTouchpoint(rawText);
+  if (!touchpoint) return intent;
+
+  return {
+    ...intent,
+    investorName: intent.investorName || touchpoint.investorName || touchpoint.company,
+    ...touchpointFields(touchpoint),
+    method: touchpoint.method,
+    amount: touchpoint.amount,
+    deal: touchpoint.deal,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// "Log as investor touchpoint" message shortcut
+// ---------------------------------------------------------------------------
+// Works on any message the bot can see — pasted call notes, forwarded emails.
+// The AI extractor prefills a confirmation form (investor, method, date,
+// notes, amount, deal, next date); submitting it runs handleLogTouchpoint with the real
+// notes and a link back to the source message. Results go to the user's DMs.
+
+const TOUCHPOINT_SHORTCUT_ID = 'log_investor_touchpoint';
+
+// Slack caps plain_text_input values at 3000 characters
+const MAX_NOTES_LENGTH = 3000;
+
+/**
+ * Message text plus any attachment text (forwarded emails and shared
+ * messages arrive as attachments), with Slack formatting decoded.
+ */
+function shortcutMessageText(msg) {
+  const parts = [msg.text || ''];
+  for (const attachment of msg.attachments || []) {
+    parts.push(attachment.text || attachment.fallback || '');
+  }
+  return cleanSlackText(parts.filter(Boolean).join('\n\n').replace(/```/g, ''));
+}
+
+/**
+ * Turn an extracted touchpoint into the confirmation form's prefill.
+ */
+async function touchpointPrefill(touchpoint, messageText) {
+  if (!touchpoint) {
+    return { notes: messageText.slice(0, MAX_NOTES_LENGTH) };
+  }
+
+  const searchName = touchpoint.investorName || touchpoint.company;
+  const { notes, contactDate, nextFollowUp } = touchpointFields(touchpoint);
+
+  return {
+    initialInvestor: await findInitialInvestor(searchName),
+    investorHint: searchName,
+    method: touchpoint.method,
+    notes: (notes || messageText).slice(0, MAX_NOTES_LENGTH),
+    amount: touchpoint.amount,
+    deal: touchpoint.deal,
+    contactDate,
+    nextDate: nextFollowUp,
+  };
+}
+
+function registerTouchpointShortcut(app) {
+  app.shortcut(TOUCHPOINT_SHORTCUT_ID, async ({ ack, shortcut, client }) => {
+    await ack();
+    const userId = shortcut.user.id;
+    log.info(`Shortcut: log touchpoint from ${shortcut.channel.id}/${shortcut.message.ts} by=${userId}`);
+
+    // Open right away (the trigger expires in 3 seconds), then fill it in
+    let viewId;
+    try {
+      const opened = await client.views.open({
+        trigger_id: shortcut.trigger_id,
+        view: modals.buildLoadingModal('Log touchpoint'),
+      });
+      viewId = opened.view.id;
+    } catch (err) {
+      log.error('Touchpoint shortcut error:', err.data?.error || err.message);
+      return;
+    }
+
+    let permalink = null;
+    try {
+      const result = await client.chat.getPermalink({ channel: shortcut.channel.id, message_ts: shortcut.message.ts });
+      permalink = result.permalink;
+    } catch (err) {
+      log.warn(`Could not get permalink for shortcut message: ${err.data?.error || err.message}`);
+    }
+
+    try {
+      const messageText = shortcutMessageText(shortcut.message);
+      const touchpoint = await extractTouchpoint(messageText);
+      const prefill = await touchpointPrefill(touchpoint, messageText);
+      await client.views.update({
+        view_id: viewId,
+        view: modals.buildMessageTouchpointModal({ channelId: null, permalink }, prefill),
+      });
+    } catch (err) {
+      log.error('Touchpoint shortcut error:', err.data?.error || err.message);
+    }
+  });
+
+  app.view(modals.CALLBACK_IDS.messageTouchpoint, asOperation(modalOperation('Log as investor touchpoint'), async ({ ack, body, view, client }) => {
+    const values = modals.readModalValues(view);
+    if (values.contact_date && values.contact_date > todayYMD()) {
+      await ack({ response_action: 'errors', errors: { contact_date: "A touchpoint can't be in the future." } });
+      return;
+    }
+    if (values.date && values.date < todayYMD()) {
+      await ack({ response_action: 'errors', errors: { date: 'Pick today or a later date.' } });
+      return;
+    }
+    await ack();
+
+    const { permalink } = modals.readModalMetadata(view);
+    const notes = [
+      values.notes,
+      values.amount && `Amount discussed: $${Number(values.amount).toLocaleString('en-US')}`,
+      permalink && `Source: ${permalink}`,
+    ].filter(Boolean).join('\n');
+
+    const { message, say } = modalContext(body, view, client);
+    log.info(`Modal: message touchpoint investor="${values.investor.label}" by=${message.user}`);
+    try {
+      await handleLogTouchpoint(
+        {
+          investorName: values.investor.label,
+          itemId: values.investor.value,
+          notes,
+          method: values.method ? values.method.value : null,
+          contactDate: values.contact_date || null,
+          nextFollowUp: values.date || null,
+          amount: values.amount ? Number(values.amount) : null,
+          deal: values.deal || null,
+        },
+        message, client, say
+      );
+    } catch (err) {
+      log.error('Message touchpoint modal error:', err.message);
+      await say('Something went wrong logging that touchpoint. Please try again.');
+    }
+    scheduleHomeRefresh(client, message.user);
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Thread context — the investor a thread is about
+// ---------------------------------------------------------------------------
+
+// Stand-ins for "the investor this thread is about"
+const THREAD_PRONOUN_PATTERN = /^(?:him|her|them|he|she|they|it|this\s+(?:one|investor|person|guy)|that\s+(?:one|investor|person|guy))$/i;
+
+/**
+ * Fill in the thread's investor when a command posted in a thread doesn't
+ * name one (or just says "them").
+ *
+ * @param {Object} intent - Parsed intent ({ investorName, missing_info, ... })
+ * @param {Object} event  - The raw Slack message event
+ * @param {Object} client - Slack Web API client
+ * @returns {Promise<Object>} The intent, with investorName/itemId filled if known
+ */
+async function applyThreadContext(intent, event, client) {
+  const name = (intent.investorName || '').trim();
+  if ((name && !THREAD_PRONOUN_PATTERN.test(name)) || !event.thread_ts) return intent;
+
+  const itemId = await getThreadInvestorId(client, event.channel, event.thread_ts);
+  if (!itemId) return intent;
+
+  const investors = await getActiveInvestors();
+  const investor = investors.find((i) => String(i.id) === itemId);
+  if (!investor) return intent;
+
+  log.info(`Thread context: investor="${investor.name}" thread=${event.thread_ts}`);
+  return {
+    ...intent,
+    investorName: investor.name,
+    itemId: investor.id,
+    missing_info: (intent.missing_info || []).filter((field) => field !== 'investorName'),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Conversation follow-ups — answers to the bot's own questions
+// ---------------------------------------------------------------------------
+// When a request is missing something, the bot asks for it and remembers the
+// intent (see conversation.js). The user's next message in the same thread
+// fills the slot and the original action runs. A reply that looks like a new
+// command drops the question and is handled normally.
+
+const MISSING_INFO_SLOTS = ['investorName', 'assignee', 'date'];
+
+const ACTION_LABELS = {
+  schedule_followup: 'schedule a follow-up',
+  assign_followup: 'assign a follow-up',
+  log_touchpoint: 'log a contact',
+  check_status: 'check the status',
+  investor_history: 'pull up the history',
+  audit_log: 'pull up the audit log',
+  contact_info: 'look up contact info',
+  delete_followup: 'delete a follow-up',
+  delete_contact: 'delete an investor',
+  snooze_reminder: 'snooze a reminder',
+  reschedule_reminder: 'move a reminder',
+  cancel_reminder: 'cancel a reminder',
+};
+
+// Longer replies are treated as a new request rather than a slot value
+const MAX_ANSWER_WORDS = 10;
+
+const AFFIRMATIVE_PATTERN = /^(?:(?:yes|yeah|yep|yup|sure(?:\s+thing)?|ok(?:ay)?|please(?:\s+do)?)\b[\s,.!]*)+/i;
+const SLACK_MENTION_PATTERN = /<@(U[A-Z0-9]+)(?:\|[^>]*)?>/;
+
+/**
+ * Ask for the first missing field the bot knows how to fill and remember the
+ * intent so the reply can complete it.
+ *
+ * @returns {Promise<boolean>} true if a question was asked
+ */
+async function askForMissingInfo(intent, message, say) {
+  const missing = (intent.missing_info || [])[0]; // Focus on the most important missing field
+  if (!MISSING_INFO_SLOTS.includes(missing)) return false;
+
+  const actionLabel = ACTION_LABELS[intent.action] || 'do that';
+  const investorLabel = escapeSlackMrkdwn(intent.investorName || 'the investor');
+  const question = {
+    investorName: `Got it, you want to ${actionLabel}. Which investor are you referring to?`,
+    assignee: `Got it, you want to ${actionLabel} for *${investorLabel}*. Who should I assign this to?`,
+    date: `Got it, you want to ${actionLabel} for *${investorLabel}*. When should the follow-up be?`,
+  }[missing];
+
+  rememberConversation(message, { type: 'missing_info', intent });
+  await say(question);
+  return true;
+}
+
+/**
+ * True if a reply is better read as a new command than as an answer.
+ */
+function looksLikeNewCommand(text) {
+  if (text.split(/\s+/).length > MAX_ANSWER_WORDS) return true;
+  return Object.entries(REGEX_PATTERNS).some(([name, pattern]) =>
+    name !== 'confirmDelete' && name !== 'cancelDelete' && pattern.test(text)
+  );
+}
+
+/**
+ * Copy an assignee answer ("Sarah", "to @sarah") onto the intent.
+ */
+function fillAssignee(intent, text, rawText) {
+  const mention = rawText.match(SLACK_MENTION_PATTERN);
+  if (mention) {
+    intent.assignee = `<@${mention[1]}>`;
+    intent.assigneeIsSlackTag = true;
+  } else {
+    intent.assignee = text.replace(/^(?:assign\s+(?:it\s+|this\s+)?)?(?:to\s+)?/i, '').trim();
+    intent.assigneeIsSlackTag = false;
+  }
+}
+
+/**
+ * Handle the user's reply to a remembered question.
+ *
+ * @returns {Promise<boolean>} true if the reply was consumed
+ */
+async function handlePendingConversation(pending, text, rawText, message, client, say) {
+  // "Want me to assign this to someone specific?" after scheduling
+  if (pending.type === 'offer_assign') {
+    if (REGEX_PATTERNS.cancelDelete.test(text)) {
+      await say('No problem — it stays with you.');
+      return true;
+    }
+
+    const isMention = SLACK_MENTION_PATTERN.test(rawText) && rawText.replace(SLACK_MENTION_PATTERN, '').trim() === '';
+    if (!AFFIRMATIVE_PATTERN.test(text) && !isMention) return false;
+
+    const intent = {
+      ...pending.intent,
+      action: 'assign_followup',
+      assignee: null,
+      assigneeIsSlackTag: false,
+      missing_info: ['assignee'],
+    };
+    const rest = text.replace(AFFIRMATIVE_PATTERN, '').trim();
+    if (!rest) {
+      await askForMissingInfo(intent, message, say);
+      return true;
+    }
+
+    fillAssignee(intent, rest, rawText);
+    // "ok thanks" is an acknowledgement, not someone called "thanks" — only
+    // a mention or a name that resolves to a teammate assigns
+    if (!intent.assigneeIsSlackTag) {
+      const mapping = await resolveNameToMonday(client, intent.assignee);
+      if (!mapping.slackUserId && !mapping.mondayPersonId) {
+        log.info(`Conversation: offer to assign declined, "${rest}" is not a teammate`);
+        await say(`OK — it stays with you. To hand it off later, say *assign ${escapeSlackMrkdwn(intent.investorName)} to <name>*.`);
+        return true;
+      }
+    }
+    log.info(`Conversation: assign after schedule investor="${intent.investorName}" to="${intent.assignee}"`);
+    await routeIntent(intent, rawText, message, client, say);
+    return true;
+  }
+
+  if (pending.type !== 'missing_info') return false;
+
+  if (REGEX_PATTERNS.cancelDelete.test(text)) {
+    await say('OK, never mind.');
+    return true;
+  }
+  if (looksLikeNewCommand(text)) return false;
+
+  const intent = { ...pending.intent };
+  const [slot, ...remaining] = intent.missing_info;
+
+  if (slot === 'investorName') {
+    intent.investorName = stripNamePrefix(text);
+  } else if (slot === 'assignee') {
+    fillAssignee(intent, text, rawText);
+  } else if (slot === 'date') {
+    if (!parseNaturalDate(text)) {
+      rememberConversation(message, pending);
+      await say(`I couldn't figure out when you mean by "${escapeSlackMrkdwn(text)}". Try something like "tomorrow", "next Tuesday", or "Friday at 2pm".`);
+      return true;
+    }
+    intent.date = text;
+  }
+
+  intent.missing_info = remaining;
+  log.info(`Conversation: filled ${slot} for action=${intent.action}`);
+  if (await askForMissingInfo(intent, message, say)) return true;
+
+  await routeIntent(intent, rawText, message, client, say);
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Permissions — checked by routeIntent before any handler runs
+// ---------------------------------------------------------------------------
+// Roles and policies live in permissions.js. For 'own' scopes the targeted
+// investors are looked up here the same way the handler will find them, and
+// the command is refused if any of them belongs to someone else. Names that
+// don't resolve are left to the handler, which reports them as usual.
+// ---------------------------------------------------------------------------
+
+/**
+ * The investors (or RM follow-ups) an intent would act on, with who owns them.
+ *
+ * Investors and follow-ups carry Monday owners (ownerIds); reminders carry
+ * the Slack user they belong to (ownerSlackIds).
+ *
+ * @returns {Promise<Array<{id, name, ownerIds?: string[], ownerSlackIds?: string[], unassignedOk: boolean}>>}
+ */
+async function permissionTargets(intent) {
+  const names = intent.investorName ? splitNameList(stripNamePrefix(intent.investorName)) : [];
+
+  if (intent.action === 'delete_contact') {
+    const investors = names.length > 0 ? await getAllInvestors() : [];
+    return names
+      .map((name) => findBestMatch(name, investors))
+      .filter((result) => result && result.score <= 0.35)
+      .map(({ match }) => ({
+        id: match.id,
+        name: match.name,
+        ownerIds: (match.assignedTo || []).map((p) => String(p.id)),
+        unassignedOk: false,
+      }));
+  }
+
+  if (intent.action === 'delete_followup') {
+    const targets = [];
+    let investors = null;
+    for (const name of names) {
+      const matches = await searchRMByInvestorName(name);
+      if (!matches || matches.length !== 1) continue;
+      const item = matches[0];
+      const ownerIds = [...(item.personIds || [])];
+      if (item.linkedInvestorIds && item.linkedInvestorIds.length > 0) {
+        investors = investors || await getAllInvestors();
+        for (const inv of investors) {
+          if (item.linkedInvestorIds.map(String).includes(String(inv.id))) {
+            ownerIds.push(...(inv.assignedTo || []).map((p) => String(p.id)));
+          }
+        }
+      }
+      targets.push({ id: item.id, name: item.name, ownerIds, unassignedOk: false });
+    }
+    return targets;
+  }
+
+  // Failed reminders belong to the Slack user they were set for. "retry
+  // reminder all" isn't checked here — the handler narrows it to the
+  // sender's own reminders instead
+  if (intent.action === 'retry_reminder' || intent.action === 'discard_reminder') {
+    const reminder = getReminder(intent.reminderId);
+    if (!reminder || !reminder.deadLetteredAt) return [];
+    return [{
+      id: reminder.itemId,
+      name: reminder.investorName,
+      ownerSlackIds: reminder.slackUserId ? [reminder.slackUserId] : [],
+      unassignedOk: false,
+    }];
+  }
+
+  if (intent.action === 'assign_followup') {
+    const { investor } = await resolveInvestor(intent.investorName || '', intent.itemId);
+    if (!investor) return [];
+    return [{
+      id: investor.id,
+      name: investor.name,
+      ownerIds: (investor.assignedTo || []).map((p) => String(p.id)),
+      unassignedOk: true,
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Check the sender may run an intent. Replies when not; authorize records the
+ * denial.
+ *
+ * @returns {Promise<boolean>} true if the handler may run
+ */
+async function authorizeIntent(intent, message, client, say) {
+  const userId = message.user;
+  const detail = String(message.text || '').trim() || intent.action;
+
+  let targets = [];
+  let mondayPersonId = null;
+  if (checkAccess(userId, intent.action).scope === 'own') {
+    try {
+      targets = await permissionTargets(intent);
+      if (targets.some((target) => !target.ownerSlackIds)) {
+        ({ mondayPersonId } = await resolveSlackUserToMonday(client, userId));
+      }
+    } catch (err) {
+      log.error(`Permission check for ${intent.action} failed:`, err.message);
+      await say('Sorry, I could not check your permissions with Monday.com right now. Please try again in a moment.');
+      return false;
+    }
+  }
+
+  const decision = authorize({ slackUserId: userId, action: intent.action, targets, mondayPersonId, detail });
+  if (!decision.allowed) await say(decision.message);
+  return decision.allowed;
+}
+
+/**
+ * Run a parsed intent, once the sender's role allows it.
+ */
+async function routeIntent(intent, rawText, message, client, say) {
+  if (!(await authorizeIntent(intent, message, client, say))) return;
+
+  switch (intent.action) {
+    case 'schedule_followup':
+      await handleScheduleFollowUp(intent, message, client, say);
+      break;
+
+    case 'assign_followup':
+      await handleAssignFollowUp(intent, message, client, say);
+      break;
+
+    case 'log_touchpoint':
+      await handleLogTouchpoint(await withTouchpointDetails(intent, rawText), message, client, say);
+      break;
+
+    case 'check_status':
+      await handleCheckStatus(intent.investorName, say, intent.itemId);
+      break;
+
+    case 'investor_history':
+      await handleInvestorHistory(intent.investorName, say, intent.itemId);
+      break;
+
+    case 'audit_log':
+      await handleAudit(intent.investorName, say, intent.itemId);
+      break;
+
+    case 'list_overdue':
+      await handleListOverdue(say);
+      break;
+
+    case 'list_by_status':
+      await handleListByStatus(intent.statusFilter, say);
+      break;
+
+    case 'list_not_contacted':
+      await handleListNotContacted(intent.daysSinceFilter, say);
+      break;
+
+    case 'test_monday':
+      await handleTestMonday(say);
+      break;
+
+    case 'check_boards':
+      await handleCheckBoards(say);
+      break;
+
+    case 'add_investor':
+      // Pass raw text (not cleaned) to preserve full contact info
+      await handleAddInvestor(rawText, say);
+      break;
+
+    case 'contact_info':
+      await handleContactInfo(intent.investorName, intent.contactField, say, intent.itemId);
+      break;
+
+    case 'count_investors':
+      await handleCountInvestors(say);
+      break;
+
+    case 'delete_followup':
+      await handleDeleteFollowUp(intent.investorName, message.user, say);
+      break;
+
+    case 'delete_contact':
+      await handleDeleteContact(intent.investorName, message.user, say);
+      break;
+
+    case 'list_reminders':
+      await handleListReminders(intent.reminderScope, message.user, say);
+      break;
+
+    case 'snooze_reminder':
+      await handleSnoozeReminder(intent, message.user, say);
+      break;
+
+    case 'reschedule_reminder':
+      await handleRescheduleReminder(intent, message.user, say);
+      break;
+
+    case 'cancel_reminder':
+      await handleCancelReminder(intent, message.user, say);
+      break;
+
+    case 'list_failed_reminders':
+      await handleListFailedReminders(message.user, say);
+      break;
+
+    case 'retry_reminder':
+      await handleRetryReminder(intent.reminderId, message.user, say);
+      break;
+
+    case 'discard_reminder':
+      await handleDiscardReminder(intent.reminderId, say);
+      break;
+
+    default:
+      await say(
+        "I'm not sure what you need — are you trying to schedule a follow-up, log a contact, or check on an investor? Just let me know and I'll help out."
+      );
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Register all command listeners
+// ---------------------------------------------------------------------------
+
+function registerCommands(app) {
+  // -------------------------------------------------------------------
+  // 0. Message logger — who/where for every incoming message (debug level).
+  //    Never the text: messages carry investor names, emails and phones.
+  // -------------------------------------------------------------------
+  app.message(async ({ message }) => {
+    const user = message.user || message.bot_id || 'unknown';
+    const channel = message.channel || 'unknown';
+    const subtype = message.subtype || 'none';
+    log.debug(`Received message: ${(message.text || '').length} chars from=${user} channel=${channel} subtype=${subtype}`);
+  });
+
+  // -------------------------------------------------------------------
+  // Main message handler — regex fast-path + NLU fallback
+  // -------------------------------------------------------------------
+  app.message(asOperation(({ message: event }) => ({
+    userId: event.user,
+    label: event.text,
+    channel: event.channel,
+    ts: event.ts,
+  }), async ({ message: event, client, say: sayInChannel }) => {
+    if (!shouldProcess(event)) return;
+    if (!(await isCorrectChannel(event, client))) return;
+
+    // Reply in the thread of the triggering message. DMs are already private,
+    // so they stay a flat conversation. `thread_ts` on the message is the
+    // thread the conversation lives in from here on.
+    const isDirectMessage = event.channel_type === 'im';
+    const replyThreadTs = isDirectMessage ? undefined : (event.thread_ts || event.ts);
+    const message = { ...event, thread_ts: replyThreadTs };
+    const say = async (reply) => {
+      const payload = typeof reply === 'string' ? { text: reply } : reply;
+      const result = await sayInChannel({ ...payload, thread_ts: replyThreadTs });
+      if (replyThreadTs) recordReplyContext(message.channel, replyThreadTs, payload.text);
+      // A reaction on the reply itself acts on the investor it names
+      if (result) recordPostedInvestors(result.channel, result.ts, extractInvestorIds({ text: payload.text }));
+      return result;
+    };
+
+    // Message deduplication — skip already-processed messages
+    if (processedMessages.has(message.ts)) return;
+    processedMessages.set(message.ts, Date.now());
+
+    const rawText = (message.text || '').trim();
+    if (!rawText) return;
+
+    // Ignore messages from the bot itself
+    if (message.user === config.slack.botUserId) return;
+
+    // Clean Slack formatting for parsing (strip markdown, decode tel/mailto/url)
+    const text = cleanSlackText(rawText);
+    if (!text) return;
+
+    try {
+      // ── CONFIRMATION FLOW: check for pending deletion confirmations ──
+      if (getPendingDeletion(message.user)) {
+        if (REGEX_PATTERNS.confirmDelete.test(text)) {
+          log.info('Confirm deletion');
+          const handled = await handleConfirmDeletion(message.user, say);
+          if (handled) return;
+        }
+        if (REGEX_PATTERNS.cancelDelete.test(text)) {
+          log.info('Cancel deletion');
+          const cancelled = handleCancelDeletion(message.user);
+          if (cancelled) {
+            await say(':no_entry_sign: Deletion cancelled.');
+            return;
+          }
+        }
+      }
+
+      // ── UNDO: revert the sender's last command ──
+      if (REGEX_PATTERNS.undo.test(text)) {
+        log.info(`Regex match: undo by=${message.user}`);
+        await handleUndo(message.user, say);
+        return;
+      }
+
+      // ── CONVERSATION FLOW: answers to a question the bot just asked ──
+      const pendingConversation = takeConversation(message);
+      if (pendingConversation &&
+          await handlePendingConversation(pendingConversation, text, rawText, message, client, say)) {
+        return;
+      }
+
+      // ── FAST PATH: regex matching for common commands ──
+
+      // Test Monday (exact match)
+      if (REGEX_PATTERNS.testMonday.test(text)) {
+        await routeIntent({ action: 'test_monday' }, rawText, message, client, say);
+        return;
+      }
+
+      // Board schema check (exact match)
+      if (REGEX_PATTERNS.checkBoards.test(text)) {
+        await routeIntent({ action: 'check_boards' }, rawText, message, client, say);
+        return;
+      }
+
+      // Cache stats (exact match)
+      if (REGEX_PATTERNS.cacheStats.test(text)) {
+        await say(messages.formatCacheStats(investorCache.getStats(), getQueueStats()));
+        return;
+      }
+
+      // Who's overdue
+      if (REGEX_PATTERNS.overdue.test(text)) {
+        log.info('Regex match: overdue');
+        await handleListOverdue(say);
+        return;
+      }
+
+      // Failed reminders: "failed reminders", "retry reminder <id>", "discard reminder <id>"
+      if (REGEX_PATTERNS.failedReminders.test(text)) {
+        log.info('Regex match: failedReminders');
+        await routeIntent({ action: 'list_failed_reminders' }, rawText, message, client, say);
+        return;
+      }
+
+      const retryReminderMatch = text.match(REGEX_PATTERNS.retryReminder);
+      if (retryReminderMatch) {
+        log.info(`Regex match: retryReminder id="${retryReminderMatch[1]}"`);
+        await routeIntent({ action: 'retry_reminder', reminderId: retryReminderMatch[1] }, rawText, message, client, say);
+        return;
+      }
+
+      const discardReminderMatch = text.match(REGEX_PATTERNS.discardReminder);
+      if (discardReminderMatch) {
+        log.info(`Regex match: discardReminder id="${discardReminderMatch[1]}"`);
+        await routeIntent({ action: 'discard_reminder', reminderId: discardReminderMatch[1] }, rawText, message, client, say);
+        return;
+      }
+
+      // Reminder management: "my reminders", "snooze X reminder 2 hours",
+      // "move my X reminder to Thursday 3pm", "cancel reminder for X"
+      const listRemindersMatch = text.match(REGEX_PATTERNS.listReminders);
+      if (listRemindersMatch) {
+        const scope = /^my$/i.test(listRemindersMatch[1]) ? 'mine' : 'team';
+        log.info(`Regex match: listReminders scope=${scope}`);
+        await handleListReminders(scope, message.user, say);
+        return;
+      }
+
+      const snoozeReminderMatch = text.match(REGEX_PATTERNS.snoozeReminder);
+      if (snoozeReminderMatch) {
+        const investorName = stripNamePrefix(snoozeReminderMatch[1].trim());
+        const expression = snoozeReminderMatch[2].trim();
+        log.info(`Regex match: snoozeReminder investor="${investorName}" for="${expression}"`);
+        await handleSnoozeReminder({ investorName, snoozeDuration: expression }, message.user, say);
+        return;
+      }
+
+      const moveReminderMatch = text.match(REGEX_PATTERNS.moveReminder);
+      if (moveReminderMatch) {
+        const investorName = stripNamePrefix(moveReminderMatch[1].trim());
+        const dateExpr = moveReminderMatch[2].trim();
+        log.info(`Regex match: moveReminder investor="${investorName}" date="${dateExpr}"`);
+        await handleRescheduleReminder({ investorName, date: dateExpr }, message.user, say);
+        return;
+      }
+
+      const cancelReminderMatch = text.match(REGEX_PATTERNS.cancelReminder);
+      if (cancelReminderMatch) {
+        const investorName = stripNamePrefix((cancelReminderMatch[1] || cancelReminderMatch[2]).trim());
+        log.info(`Regex match: cancelReminder investor="${investorName}"`);
+        await handleCancelReminder({ investorName }, message.user, say);
+        return;
+      }
+
+      // Recycle bin: "deleted investors"
+      if (REGEX_PATTERNS.listDeleted.test(text)) {
+        log.info('Regex match: listDeleted');
+        await handleListDeleted(say);
+        return;
+      }
+
+      // Restore: "restore Jane Doe", "restore follow-up for Jane Doe"
+      const restoreMatch = text.match(REGEX_PATTERNS.restoreDeleted);
+      if (restoreMatch) {
+        const kind = (restoreMatch[1] || '').toLowerCase();
+        const boardType = kind.startsWith('follow') ? 'rm' : kind ? 'investor' : null;
+        const name = restoreMatch[2].trim();
+        log.info(`Regex match: restoreDeleted name="${name}" board=${boardType || 'any'}`);
+        await handleRestoreDeleted(name, boardType, say);
+        return;
+      }
+
+      // Delete follow-up: "delete follow-up for X", "remove follow-up X", "cancel follow-up with X"
       const deleteFollowUpMatch = text.match(REGEX_PATTERNS.deleteFollowUp);
       if (deleteFollowUpMatch) {
         const name = stripNamePrefix(deleteFollowUpMatch[1].trim());
-        console.log(`[slack/commands] Regex match: deleteFollowUp investor="${name}"`);
-        await handleDeleteFollowUp(name, message.user, say);
+        log.info(`Regex match: deleteFollowUp investor="${name}"`);
+        await routeIntent({ action: 'delete_followup', investorName: name }, rawText, message, client, say);
         return;
       }
 
@@ -1296,8 +3424,8 @@ function registerCommands(app) {
       const deleteContactMatch = text.match(REGEX_PATTERNS.deleteContact);
       if (deleteContactMatch) {
         const name = stripNamePrefix(deleteContactMatch[1].trim());
-        console.log(`[slack/commands] Regex match: deleteContact investor="${name}"`);
-        await handleDeleteContact(name, message.user, say);
+        log.info(`Regex match: deleteContact investor="${name}"`);
+        await routeIntent({ action: 'delete_contact', investorName: name }, rawText, message, client, say);
         return;
       }
 
@@ -1314,7 +3442,7 @@ function registerCommands(app) {
                                  LINKEDIN_PATTERN.test(afterTrigger);
 
           if (hasContactInfo) {
-            console.log(`[slack/commands] Regex match: addContactTrigger with inline contact info: "${afterTrigger}"`);
+            log.info(`Regex match: addContactTrigger with inline contact info: "${afterTrigger}"`);
             await handleLogNewContact(afterTrigger, say);
             return;
           }
@@ -1322,7 +3450,7 @@ function registerCommands(app) {
           // (e.g. "log a contact with John Smith" = log touchpoint for existing investor)
         } else {
           // Scenario C: just the trigger phrase, no info
-          console.log('[slack/commands] Regex match: addContactTrigger with no info (Scenario C)');
+          log.info('Regex match: addContactTrigger with no info (Scenario C)');
           await say(
             "I can add a new contact! Please include the details — for example:\n" +
             "> Log contact John Smith john@example.com 555-123-4567 Family Office\n" +
@@ -1337,9 +3465,9 @@ function registerCommands(app) {
       if (scheduleMatch) {
         const investorName = scheduleMatch[1] ? stripNamePrefix(scheduleMatch[1].trim()) : null;
         const dateExpr = scheduleMatch[2] ? scheduleMatch[2].trim() : null;
-        console.log(`[slack/commands] Regex match: scheduleFollowUp investor="${investorName || 'none'}" date="${dateExpr || 'none'}"`);
+        log.info(`Regex match: scheduleFollowUp investor="${investorName || 'none'}" date="${dateExpr || 'none'}"`);
         await handleScheduleFollowUp(
-          { investorName, date: dateExpr, assignee: null },
+          await applyThreadContext({ investorName, date: dateExpr, assignee: null }, event, client),
           message, client, say
         );
         return;
@@ -1347,11 +3475,32 @@ function registerCommands(app) {
 
       // Log contact (touchpoint for EXISTING investor): "log a contact with X", "mark contacted X"
       // NOTE: This is for logging a touchpoint on an existing investor, NOT adding a new contact
+      // Anything more than a name goes through NLU and the touchpoint extractor
       const logContactMatch = text.match(REGEX_PATTERNS.logContact);
-      if (logContactMatch) {
+      if (logContactMatch && !hasTouchpointDetails(logContactMatch[1] || '')) {
         const investorName = logContactMatch[1] ? stripNamePrefix(logContactMatch[1].trim()) : null;
-        console.log(`[slack/commands] Regex match: logContact investor="${investorName || 'none'}"`);
-        await handleLogTouchpoint({ investorName }, message, client, say);
+        log.info(`Regex match: logContact investor="${investorName || 'none'}"`);
+        await handleLogTouchpoint(await applyThreadContext({ investorName }, event, client), message, client, say);
+        return;
+      }
+
+      // Audit log: "audit X" / "audit log for X"
+      const auditMatch = text.match(REGEX_PATTERNS.audit);
+      if (auditMatch) {
+        const name = stripNamePrefix(auditMatch[1].trim());
+        log.info(`Regex match: audit investor="${name}"`);
+        const { investorName } = await applyThreadContext({ investorName: name }, event, client);
+        await routeIntent({ action: 'audit_log', investorName }, rawText, message, client, say);
+        return;
+      }
+
+      // Investor timeline: "history of X" / "timeline for X"
+      const historyMatch = text.match(REGEX_PATTERNS.history);
+      if (historyMatch) {
+        const name = stripNamePrefix((historyMatch[1] || historyMatch[2]).trim());
+        log.info(`Regex match: history investor="${name}"`);
+        const { investorName } = await applyThreadContext({ investorName: name }, event, client);
+        await handleInvestorHistory(investorName, say);
         return;
       }
 
@@ -1360,18 +3509,19 @@ function registerCommands(app) {
       if (statusMatch) {
         const name = (statusMatch[1] || statusMatch[2] || '').trim();
         if (name) {
-          console.log(`[slack/commands] Regex match: statusCheck investor="${name}"`);
-          await handleCheckStatus(stripNamePrefix(name), say);
+          log.info(`Regex match: statusCheck investor="${name}"`);
+          const { investorName } = await applyThreadContext({ investorName: stripNamePrefix(name) }, event, client);
+          await handleCheckStatus(investorName, say);
           return;
         }
       }
 
       // Touchpoint: "contacted X today" / "spoke with X"
       const touchpointMatch = text.match(REGEX_PATTERNS.touchpoint);
-      if (touchpointMatch) {
+      if (touchpointMatch && !hasTouchpointDetails(touchpointMatch[1])) {
         const name = stripNamePrefix(touchpointMatch[1].trim());
-        console.log(`[slack/commands] Regex match: touchpoint investor="${name}"`);
-        await handleLogTouchpoint({ investorName: name }, message, client, say);
+        log.info(`Regex match: touchpoint investor="${name}"`);
+        await handleLogTouchpoint(await applyThreadContext({ investorName: name }, event, client), message, client, say);
         return;
       }
 
@@ -1379,20 +3529,20 @@ function registerCommands(app) {
       // If the message contains an email or phone pattern AND a name-like string,
       // treat it as a contact drop (no explicit trigger phrase needed)
       if (looksLikeContactDrop(text)) {
-        console.log(`[slack/commands] Auto-detected contact info in message: "${text}"`);
+        log.info('Auto-detected contact info in message');
         await handleLogNewContact(text, say);
         return;
       }
 
       // ── NLU PATH: send to Claude for intent parsing ──
-      console.log(`[slack/commands] No regex match for "${text}" — sending to NLU`);
+      log.info('No regex match — sending to NLU');
 
       let intent;
       try {
         intent = await parseIntent(text);
-        console.log(`[slack/commands] NLU returned: action=${intent.action} confidence=${intent.confidence} error=${intent.error || 'none'}`);
+        log.info(`NLU returned: action=${intent.action} confidence=${intent.confidence} error=${intent.error || 'none'}`);
       } catch (nluErr) {
-        console.error(`[slack/commands] NLU call threw exception: ${nluErr.message}`);
+        log.error(`NLU call threw exception: ${nluErr.message}`);
         await say(
           "I'm not sure what you need — are you trying to schedule a follow-up, log a contact, or check on an investor? Just let me know and I'll help out."
         );
@@ -1402,7 +3552,7 @@ function registerCommands(app) {
       // If confidence is too low or NLU failed, treat as non-command
       if (intent.confidence < 0.5 || intent.action === 'unknown') {
         if (intent.error) {
-          console.warn(`[slack/commands] NLU error caused fallback: ${intent.error}`);
+          log.warn(`NLU error caused fallback: ${intent.error}`);
         }
         await say(
           "I'm not sure what you need — are you trying to schedule a follow-up, log a contact, or check on an investor? Just let me know and I'll help out."
@@ -1410,98 +3560,30 @@ function registerCommands(app) {
         return;
       }
 
-      // Check for missing info — ask targeted follow-up question
-      if (intent.missing_info && intent.missing_info.length > 0) {
-        const missing = intent.missing_info[0]; // Focus on the most important missing field
-        const actionLabel = {
-          schedule_followup: 'schedule a follow-up',
-          assign_followup: 'assign a follow-up',
-          log_touchpoint: 'log a contact',
-          check_status: 'check the status',
-          contact_info: 'look up contact info',
-          delete_followup: 'delete a follow-up',
-          delete_contact: 'delete an investor',
-        }[intent.action] || 'do that';
-
-        if (missing === 'investorName') {
-          await say(`Got it, you want to ${actionLabel}. Which investor are you referring to?`);
-          return;
-        }
-        if (missing === 'assignee') {
-          await say(`Got it, you want to ${actionLabel} for *${escapeSlackMrkdwn(intent.investorName || 'the investor')}*. Who should I assign this to?`);
-          return;
-        }
-        if (missing === 'date') {
-          await say(`Got it, you want to ${actionLabel} for *${escapeSlackMrkdwn(intent.investorName || 'the investor')}*. When should the follow-up be?`);
-          return;
-        }
-      }
-
-      // Route based on parsed action
-      switch (intent.action) {
-        case 'schedule_followup':
-          await handleScheduleFollowUp(intent, message, client, say);
-          break;
-
-        case 'assign_followup':
-          await handleAssignFollowUp(intent, message, client, say);
-          break;
-
-        case 'log_touchpoint':
-          await handleLogTouchpoint(intent, message, client, say);
-          break;
+      // Inside a thread about one investor, "them" / no name means that investor
+      intent = await applyThreadContext(intent, event, client);
 
-        case 'check_status':
-          await handleCheckStatus(intent.investorName, say);
-          break;
-
-        case 'list_overdue':
-          await handleListOverdue(say);
-          break;
-
-        case 'list_by_status':
-          await handleListByStatus(intent.statusFilter, say);
-          break;
-
-        case 'list_not_contacted':
-          await handleListNotContacted(intent.daysSinceFilter, say);
-          break;
-
-        case 'test_monday':
-          await handleTestMonday(say);
-          break;
-
-        case 'add_investor':
-          // Pass raw text (not cleaned) to preserve full contact info
-          await handleAddInvestor(rawText, say);
-          break;
-
-        case 'contact_info':
-          await handleContactInfo(intent.investorName, intent.contactField, say);
-          break;
-
-        case 'count_investors':
-          await handleCountInvestors(say);
-          break;
-
-        case 'delete_followup':
-          await handleDeleteFollowUp(intent.investorName, message.user, say);
-          break;
-
-        case 'delete_contact':
-          await handleDeleteContact(intent.investorName, message.user, say);
-          break;
+      // Check for missing info — ask targeted follow-up question
+      if (await askForMissingInfo(intent, message, say)) return;
 
-        default:
-          await say(
-            "I'm not sure what you need — are you trying to schedule a follow-up, log a contact, or check on an investor? Just let me know and I'll help out."
-          );
-      }
+      await routeIntent(intent, rawText, message, client, say);
     } catch (err) {
-      console.error('[slack/commands] Handler error:', err.message, err.stack);
+      log.error('Handler error:', err.message, err.stack);
       await say('Something went wrong processing your message. Please try again.');
+    } finally {
+      // Commands may have changed what the sender's Home tab shows
+      scheduleHomeRefresh(client, message.user);
     }
-  });
+  }));
+
+  // Buttons and pickers on reminder, going-cold and digest messages
+  registerInteractiveActions(app);
+
+  // /followup slash command and its modals
+  registerFollowupCommand(app);
+  registerTouchpointShortcut(app);
+  registerReactionShortcuts(app);
+  registerHome(app);
 }
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,109 @@
+// ---------------------------------------------------------------------------
+// Conversation state — remembers what the bot just asked a user
+// ---------------------------------------------------------------------------
+// When the bot asks a follow-up question ("Which investor are you referring
+// to?", "Want me to assign this to someone specific?"), it stores the pending
+// intent here. The user's next message in the same place (channel + thread)
+// is then read as the answer instead of a brand-new command.
+//
+// Disambiguation pickers ("Which Jane did you mean?") are answered with a
+// button rather than a message, so they are stored under a random token that
+// the buttons carry.
+//
+// State is in memory only and expires after a few minutes; a stale question
+// is simply forgotten.
+// ---------------------------------------------------------------------------
+
+const crypto = require('crypto');
+
+const CONVERSATION_TTL_MS = 5 * 60 * 1000;
+
+// conversation key → { type, intent, expiresAt, ... }
+const pendingConversations = new Map();
+// choice token → { action, intent, userId, expiresAt }
+const pendingChoices = new Map();
+
+// Clean up expired conversations every 2 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const store of [pendingConversations, pendingChoices]) {
+    for (const [key, pending] of store) {
+      if (pending.expiresAt < now) store.delete(key);
+    }
+  }
+}, 120000);
+
+/**
+ * One conversation per user per channel thread (top-level counts as its own
+ * thread).
+ */
+function conversationKey(message) {
+  return `${message.channel}:${message.thread_ts || 'top'}:${message.user}`;
+}
+
+/**
+ * Remember a question the bot asked in reply to `message`.
+ *
+ * @param {Object} message - The Slack message being answered
+ * @param {Object} state   - { type: 'missing_info' | 'offer_assign', intent, ... }
+ */
+function rememberConversation(message, state) {
+  if (!message || !message.user || !message.channel) return;
+  pendingConversations.set(conversationKey(message), {
+    ...state,
+    expiresAt: Date.now() + CONVERSATION_TTL_MS,
+  });
+}
+
+/**
+ * Take (and clear) the pending question for this message's user and thread.
+ *
+ * @returns {Object|null}
+ */
+function takeConversation(message) {
+  const key = conversationKey(message);
+  const pending = pendingConversations.get(key);
+  if (!pending) return null;
+
+  pendingConversations.delete(key);
+  return pending.expiresAt >= Date.now() ? pending : null;
+}
+
+function clearConversation(message) {
+  pendingConversations.delete(conversationKey(message));
+}
+
+/**
+ * Remember the action waiting on a disambiguation picker.
+ *
+ * @param {Object} state - { action, intent, userId }
+ * @returns {string} Token for the picker's buttons
+ */
+function rememberChoice(state) {
+  const token = crypto.randomBytes(6).toString('hex');
+  pendingChoices.set(token, { ...state, expiresAt: Date.now() + CONVERSATION_TTL_MS });
+  return token;
+}
+
+/**
+ * Look up a picker's pending action without clearing it.
+ *
+ * @returns {Object|null}
+ */
+function peekChoice(token) {
+  const pending = pendingChoices.get(token);
+  return pending && pending.expiresAt >= Date.now() ? pending : null;
+}
+
+function clearChoice(token) {
+  pendingChoices.delete(token);
+}
+
+module.exports = {
+  rememberConversation,
+  takeConversation,
+  clearConversation,
+  rememberChoice,
+  peekChoice,
+  clearChoice,
+};
@@ -0,0 +1,303 @@
+// ---------------------------------------------------------------------------
+// App Home — each teammate's personal follow-up dashboard
+// ---------------------------------------------------------------------------
+// The Home tab shows, for the viewing user only:
+//   - quick actions (open the /followup forms)
+//   - overdue and due-today investors assigned to them on Monday.com
+//   - their pending reminders
+//   - investors they own that are going cold
+// Investor rows reuse the alert action buttons from blocks.js.
+//
+// The tab is published on `app_home_opened` and refreshed (debounced) after
+// the user runs a command, clicks a button or submits a form. Only users who
+// have opened the tab since startup are refreshed.
+// ---------------------------------------------------------------------------
+
+const config = require('../config');
+const { getActiveInvestors } = require('../monday/queries');
+const { getRemindersForUser } = require('../reminders/store');
+const { resolveSlackUserToMonday } = require('../utils/userMapping');
+const { escapeSlackMrkdwn } = require('../utils/helpers');
+const { investorActions } = require('./blocks');
+const { MODAL_ACTION_IDS } = require('./modals');
+const messages = require('./messages');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('slack/home');
+
+// Slack allows 100 blocks in a Home tab view
+const MAX_HOME_BLOCKS = 100;
+// Investors per section that get their own action row (2 blocks each)
+const MAX_INTERACTIVE_PER_SECTION = 8;
+const MAX_REMINDERS_SHOWN = 15;
+
+const REFRESH_DEBOUNCE_MS = 2000;
+
+// Users who have opened the Home tab since startup
+const homeViewers = new Set();
+const refreshTimers = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// Data
+// ---------------------------------------------------------------------------
+
+function todayMidnight() {
+  const today = new Date(
+    new Date().toLocaleString('en-US', { timeZone: config.timezone })
+  );
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+function dayOf(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Gather everything the Home tab shows for one Slack user.
+ */
+async function loadHomeData(client, userId) {
+  const [mapping, investors] = await Promise.all([
+    resolveSlackUserToMonday(client, userId),
+    getActiveInvestors(),
+  ]);
+
+  const reminders = getRemindersForUser(userId)
+    .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+  const data = {
+    mapped: Boolean(mapping.mondayPersonId),
+    overdue: [],
+    dueToday: [],
+    goingCold: [],
+    reminders,
+  };
+  if (!data.mapped) return data;
+
+  const today = todayMidnight();
+  const mine = investors.filter((inv) =>
+    (inv.assignedTo || []).some((p) => String(p.id) === String(mapping.mondayPersonId))
+  );
+
+  for (const inv of mine) {
+    if (inv.nextFollowUp) {
+      const due = dayOf(inv.nextFollowUp);
+      if (due < today) data.overdue.push(inv);
+      else if (due.getTime() === today.getTime()) data.dueToday.push(inv);
+    }
+
+    const tier = config.cadence[inv.status];
+    if (tier && inv.lastContactDate) {
+      const daysSince = Math.floor((today - dayOf(inv.lastContactDate)) / DAY_MS);
+      if (daysSince >= tier.coldAfter) data.goingCold.push({ investor: inv, daysSince });
+    }
+  }
+
+  data.overdue.sort((a, b) => a.nextFollowUp - b.nextFollowUp);
+  data.goingCold.sort((a, b) => b.daysSince - a.daysSince);
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// View builder
+// ---------------------------------------------------------------------------
+
+function mrkdwn(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text } };
+}
+
+function header(text) {
+  return { type: 'header', text: { type: 'plain_text', text, emoji: true } };
+}
+
+function context(text) {
+  return { type: 'context', elements: [{ type: 'mrkdwn', text }] };
+}
+
+function quickActions() {
+  const button = (text, form, style) => {
+    const el = {
+      type: 'button',
+      text: { type: 'plain_text', text, emoji: true },
+      action_id: `${MODAL_ACTION_IDS.openForm}:${form}`,
+      value: form,
+    };
+    if (style) el.style = style;
+    return el;
+  };
+
+  return {
+    type: 'actions',
+    block_id: 'home_quick_actions',
+    elements: [
+      button(':calendar: Schedule follow-up', 'schedule', 'primary'),
+      button(':white_check_mark: Log touchpoint', 'log'),
+      button(':bust_in_silhouette: Assign', 'assign'),
+      button(':heavy_plus_sign: Add investor', 'add'),
+    ],
+  };
+}
+
+/**
+ * Investor rows with action buttons; anything past the interactive limit is
+ * listed as plain lines. Block IDs must be unique within a view, so an
+ * investor already shown with buttons (tracked in `shown`) gets none again.
+ */
+function investorSection(blocks, shown, title, items, formatLine, emptyText) {
+  blocks.push({ type: 'divider' });
+  blocks.push(mrkdwn(`${title} (${items.length})`));
+
+  if (items.length === 0) {
+    blocks.push(context(emptyText));
+    return;
+  }
+
+  items.slice(0, MAX_INTERACTIVE_PER_SECTION).forEach((item) => {
+    const investor = item.investor || item;
+    blocks.push(mrkdwn(formatLine(item)));
+    if (!shown.has(investor.id)) {
+      shown.add(investor.id);
+      blocks.push(investorActions(investor));
+    }
+  });
+
+  const rest = items.slice(MAX_INTERACTIVE_PER_SECTION);
+  if (rest.length > 0) {
+    blocks.push(mrkdwn(rest.map((item) => `\u2022 ${formatLine(item)}`).join('\n')));
+  }
+}
+
+function investorLink(inv) {
+  return `*<${inv.link}|${escapeSlackMrkdwn(inv.name)}>*`;
+}
+
+/**
+ * Build the Home tab view for one user.
+ *
+ * @param {Object} data - Output of loadHomeData
+ * @returns {Object} Slack "home" view
+ */
+function buildHomeView(data) {
+  const blocks = [];
+  const shown = new Set();
+  const today = todayMidnight();
+
+  blocks.push(header(':wave: Your follow-ups'));
+  blocks.push(context(`Updated ${messages.formatDateTimeCT(new Date())}`));
+  blocks.push(quickActions());
+
+  if (!data.mapped) {
+    blocks.push(mrkdwn(
+      ":warning: I couldn't match your Slack account to a Monday.com user, so I can't tell which investors are yours. " +
+      'Make sure your Slack and Monday.com emails match.'
+    ));
+  } else {
+    investorSection(
+      blocks,
+      shown,
+      ':red_circle: *Overdue*',
+      data.overdue,
+      (inv) => {
+        const daysOver = Math.floor((today - dayOf(inv.nextFollowUp)) / DAY_MS);
+        return `${investorLink(inv)} \u2014 ${daysOver} day${daysOver === 1 ? '' : 's'} overdue \u2014 ${escapeSlackMrkdwn(inv.status || 'No status')}`;
+      },
+      'Nothing overdue. :tada:'
+    );
+
+    investorSection(
+      blocks,
+      shown,
+      ':calendar: *Due today*',
+      data.dueToday,
+      (inv) => `${investorLink(inv)} \u2014 ${escapeSlackMrkdwn(inv.status || 'No status')}${inv.dealInterest ? ` \u2014 ${escapeSlackMrkdwn(inv.dealInterest)}` : ''}`,
+      'Nothing due today.'
+    );
+  }
+
+  // Reminders
+  blocks.push({ type: 'divider' });
+  blocks.push(mrkdwn(`:alarm_clock: *Your reminders* (${data.reminders.length})`));
+  if (data.reminders.length === 0) {
+    blocks.push(context('No pending reminders.'));
+  } else {
+    const lines = data.reminders.slice(0, MAX_REMINDERS_SHOWN).map((r) => {
+      const name = r.investorLink
+        ? `*<${r.investorLink}|${escapeSlackMrkdwn(r.investorName || 'Unknown')}>*`
+        : `*${escapeSlackMrkdwn(r.investorName || 'Unknown')}*`;
+      return `\u2022 ${name} \u2014 ${messages.formatDateTimeCT(new Date(r.scheduledAt))}`;
+    });
+    if (data.reminders.length > MAX_REMINDERS_SHOWN) {
+      lines.push(`_\u2026and ${data.reminders.length - MAX_REMINDERS_SHOWN} more. Say "my reminders" in the channel to see them all._`);
+    }
+    blocks.push(mrkdwn(lines.join('\n')));
+  }
+
+  if (data.mapped) {
+    investorSection(
+      blocks,
+      shown,
+      ':snowflake: *Going cold*',
+      data.goingCold,
+      ({ investor, daysSince }) => `${investorLink(investor)} \u2014 no contact in ${daysSince} days \u2014 ${escapeSlackMrkdwn(investor.status || 'No status')}`,
+      'No one is going cold.'
+    );
+  }
+
+  // Stay under Slack's limit; the trimmed tail is the least urgent content
+  if (blocks.length > MAX_HOME_BLOCKS) {
+    blocks.length = MAX_HOME_BLOCKS - 1;
+    blocks.push(context('Some items are hidden \u2014 say "who\'s overdue" in the channel for the full list.'));
+  }
+
+  return { type: 'home', blocks };
+}
+
+// ---------------------------------------------------------------------------
+// Publishing
+// ---------------------------------------------------------------------------
+
+/**
+ * Build and publish one user's Home tab.
+ */
+async function publishHome(client, userId) {
+  try {
+    const data = await loadHomeData(client, userId);
+    await client.views.publish({ user_id: userId, view: buildHomeView(data) });
+    log.info(`Published Home tab for ${userId}`);
+  } catch (err) {
+    log.error(`Failed to publish Home tab for ${userId}:`, err.data?.error || err.message);
+  }
+}
+
+/**
+ * Refresh a user's Home tab shortly, collapsing bursts of changes into one
+ * publish. No-op for users who haven't opened the tab.
+ */
+function scheduleHomeRefresh(client, userId) {
+  if (!userId || !homeViewers.has(userId)) return;
+
+  clearTimeout(refreshTimers.get(userId));
+  refreshTimers.set(userId, setTimeout(() => {
+    refreshTimers.delete(userId);
+    publishHome(client, userId);
+  }, REFRESH_DEBOUNCE_MS));
+}
+
+function registerHome(app) {
+  app.event('app_home_opened', async ({ event, client }) => {
+    if (event.tab !== 'home') return;
+    homeViewers.add(event.user);
+    await publishHome(client, event.user);
+  });
+}
+
+module.exports = {
+  buildHomeView,
+  publishHome,
+  scheduleHomeRefresh,
+  registerHome,
+};
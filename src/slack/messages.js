@@ -5,6 +5,7 @@
 
 const config = require('../config');
 const { escapeSlackMrkdwn } = require('../utils/helpers');
+const { describeRecurrence } = require('../reminders/recurrence');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -91,6 +92,27 @@ function formatAssigneeTag(investor, slackUserMap) {
   return tags.length > 0 ? ` → ${tags.join(', ')}` : '';
 }
 
+/**
+ * Format one investor line of the daily digest (without the bullet).
+ *
+ * @param {Object} inv           - Investor object
+ * @param {string} section       - "overdue" or "dueToday"
+ * @param {Map}    [slackUserMap] - Map of Monday.com person ID → Slack user ID
+ * @returns {string} Slack mrkdwn line
+ */
+function formatDigestLine(inv, section, slackUserMap) {
+  const assignee = formatAssigneeTag(inv, slackUserMap);
+
+  if (section === 'overdue') {
+    const days = daysAgo(inv.lastContactDate);
+    const daysStr = days !== null ? `last contacted ${days} days ago` : 'no contact date';
+    return `:red_circle: ${escapeSlackMrkdwn(inv.name)}${assignee} \u2014 ${escapeSlackMrkdwn(inv.status)} \u2014 ${daysStr} \u2014 ${escapeSlackMrkdwn(inv.dealInterest || 'N/A')} \u2014 <${inv.link}|Open in Monday>`;
+  }
+
+  const timeStr = formatTimeIfNotDefault(inv.nextFollowUp);
+  return `${escapeSlackMrkdwn(inv.name)}${assignee} \u2014 ${escapeSlackMrkdwn(inv.status)} \u2014 ${escapeSlackMrkdwn(inv.dealInterest || 'N/A')}${timeStr} \u2014 <${inv.link}|Open in Monday>`;
+}
+
 /**
  * Build the daily follow-up report message.
  *
@@ -113,12 +135,7 @@ function formatDailyDigest(overdue, dueToday, suggestions = {}, slackUserMap = n
   if (overdue && overdue.length > 0) {
     lines.push(`:red_circle: *OVERDUE (${overdue.length}):*`);
     for (const inv of overdue) {
-      const days = daysAgo(inv.lastContactDate);
-      const daysStr = days !== null ? `last contacted ${days} days ago` : 'no contact date';
-      const assignee = formatAssigneeTag(inv, slackUserMap);
-      lines.push(
-        `\u2022 :red_circle: ${escapeSlackMrkdwn(inv.name)}${assignee} \u2014 ${escapeSlackMrkdwn(inv.status)} \u2014 ${daysStr} \u2014 ${escapeSlackMrkdwn(inv.dealInterest || 'N/A')} \u2014 <${inv.link}|Open in Monday>`
-      );
+      lines.push(`\u2022 ${formatDigestLine(inv, 'overdue', slackUserMap)}`);
     }
     lines.push('');
   }
@@ -127,11 +144,7 @@ function formatDailyDigest(overdue, dueToday, suggestions = {}, slackUserMap = n
   if (dueToday && dueToday.length > 0) {
     lines.push(`:calendar: *DUE TODAY (${dueToday.length}):*`);
     for (const inv of dueToday) {
-      const assignee = formatAssigneeTag(inv, slackUserMap);
-      const timeStr = formatTimeIfNotDefault(inv.nextFollowUp);
-      lines.push(
-        `\u2022 ${escapeSlackMrkdwn(inv.name)}${assignee} \u2014 ${escapeSlackMrkdwn(inv.status)} \u2014 ${escapeSlackMrkdwn(inv.dealInterest || 'N/A')}${timeStr} \u2014 <${inv.link}|Open in Monday>`
-      );
+      lines.push(`\u2022 ${formatDigestLine(inv, 'dueToday', slackUserMap)}`);
     }
     lines.push('');
   }
@@ -351,11 +364,194 @@ function formatReminderNotification(investor, user) {
   return `:alarm_clock: ${userMention} \u2014 Time to follow up with *${name}*! Status: ${status} | Deal Interest: ${deal} :point_right: <${investor.link}|Open in Monday>`;
 }
 
+// ---------------------------------------------------------------------------
+// formatReminderList
+// ---------------------------------------------------------------------------
+
+function formatDateTimeCT(date) {
+  return date.toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'America/Chicago',
+    timeZoneName: 'short',
+  });
+}
+
+/**
+ * Build the pending reminder list for "my reminders" / "team reminders".
+ *
+ * @param {Array}  reminders          - Reminder records, soonest first
+ * @param {Object} [opts]
+ * @param {string} [opts.title]       - Heading text
+ * @param {boolean} [opts.showOwner]  - Tag the owner on each line (team view)
+ * @returns {string} Slack mrkdwn message
+ */
+function formatReminderList(reminders, { title = 'Your Reminders', showOwner = false } = {}) {
+  if (!reminders || reminders.length === 0) {
+    return showOwner
+      ? ':white_check_mark: No pending reminders for the team.'
+      : ':white_check_mark: You have no pending reminders.';
+  }
+
+  const lines = [];
+  lines.push(`:alarm_clock: *${title} (${reminders.length}):*`);
+  lines.push('');
+
+  for (const r of reminders) {
+    const owner = showOwner && r.slackUserId ? ` \u2014 <@${r.slackUserId}>` : '';
+    const retrying = r.attempts > 0 ? ' \u2014 :warning: retrying delivery' : '';
+    const repeats = r.recurrence ? ` \u2014 :repeat: ${describeRecurrence(r.recurrence)}` : '';
+    const link = r.investorLink ? ` \u2014 <${r.investorLink}|Open in Monday>` : '';
+    lines.push(
+      `\u2022 *${escapeSlackMrkdwn(r.investorName || 'Unknown')}* \u2014 ${formatDateTimeCT(new Date(r.scheduledAt))}${repeats}${owner}${retrying}${link}`
+    );
+  }
+
+  lines.push('');
+  lines.push('Manage them with "snooze Wyatt reminder 2 hours", "move my Wyatt reminder to Thursday 3pm" or "cancel reminder for Wyatt".');
+
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Dead-letter reminders
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the alert posted when a reminder exhausts its delivery attempts.
+ *
+ * @param {Object} reminder - Reminder record (with attempts and lastError)
+ * @returns {string} Slack mrkdwn message
+ */
+function formatDeadLetterAlert(reminder) {
+  return (
+    `:warning: Reminder for *${escapeSlackMrkdwn(reminder.investorName || 'Unknown')}* failed after ${reminder.attempts} attempt(s) and was moved to the failed reminders list.\n` +
+    `Last error: ${escapeSlackMrkdwn(reminder.lastError || 'unknown')}\n` +
+    `Say \`failed reminders\` to review, \`retry reminder ${reminder.id}\` or \`discard reminder ${reminder.id}\`.`
+  );
+}
+
+/**
+ * Build the list of dead-lettered reminders for the "failed reminders" command.
+ *
+ * @param {Array} reminders - Dead-lettered reminder records
+ * @returns {string} Slack mrkdwn message
+ */
+function formatDeadLetterList(reminders) {
+  if (!reminders || reminders.length === 0) {
+    return ':white_check_mark: No failed reminders \u2014 everything was delivered.';
+  }
+
+  const lines = [];
+  lines.push(`:warning: *Failed Reminders (${reminders.length}):*`);
+  lines.push('');
+
+  for (const r of reminders) {
+    const channels = Object.entries(r.deliveries || {})
+      .filter(([, state]) => state.status !== 'skipped')
+      .map(([channel, state]) => `${channel} ${state.status === 'sent' ? ':white_check_mark:' : ':x:'}`)
+      .join(' ');
+    const userMention = r.slackUserId ? ` for <@${r.slackUserId}>` : '';
+    lines.push(
+      `\u2022 \`${r.id}\` *${escapeSlackMrkdwn(r.investorName || 'Unknown')}*${userMention} \u2014 due ${formatDateShort(new Date(r.scheduledAt))} \u2014 ${channels || 'no channels'}`
+    );
+    lines.push(`    Last error: ${escapeSlackMrkdwn(r.lastError || 'unknown')}`);
+  }
+
+  lines.push('');
+  lines.push('Reply `retry reminder ID` (or `retry reminder all`) to try again, or `discard reminder ID` to drop it.');
+
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Investor cache + Monday queue stats ("cache stats")
+// ---------------------------------------------------------------------------
+
+function formatCacheStats(cache, queue) {
+  const minutes = (ms) => `${Math.round(ms / 60000)} min`;
+  const lines = [];
+  lines.push(':bar_chart: *Investor Cache*');
+  lines.push(`\u2022 Hits: ${cache.hits} \u2022 Misses: ${cache.misses} \u2022 Hit rate: ${cache.hitRate === null ? '\u2014' : `${cache.hitRate}%`}`);
+  lines.push(`\u2022 Cached investors: ${cache.size} (${cache.stale} stale) \u2022 Age: ${cache.ageMs === null ? 'not loaded' : minutes(cache.ageMs)} of ${minutes(cache.ttlMs)} TTL`);
+  lines.push(`\u2022 Webhook/write updates: ${cache.patches} patched, ${cache.invalidations} invalidated, ${cache.removals} removed, ${cache.itemRefreshes} refetched`);
+  if (queue) {
+    lines.push('');
+    lines.push(':hourglass_flowing_sand: *Monday API Queue*');
+    lines.push(`\u2022 Queued: ${queue.queued} \u2022 In flight: ${queue.active} \u2022 Complexity left: ${queue.complexityRemaining === null ? '\u2014' : queue.complexityRemaining.toLocaleString('en-US')}`);
+    if (queue.pausedForMs > 0) {
+      lines.push(`\u2022 Paused for rate limit: ${Math.ceil(queue.pausedForMs / 1000)}s`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Board schema check ("check boards", and at startup when something is off)
+// ---------------------------------------------------------------------------
+
+function formatBoardProblem(problem) {
+  const label = (text) => `"${escapeSlackMrkdwn(text)}"`;
+  const where = problem.columnTitle ? ` on *${escapeSlackMrkdwn(problem.columnTitle)}*` : '';
+  switch (problem.type) {
+    case 'board_missing':
+      return `Board \`${problem.id}\` not found \u2014 deleted, or the API token can't see it`;
+    case 'column_missing':
+      return `Column \`${problem.id}\` (${problem.key}) is missing`;
+    case 'column_type':
+      return `Column \`${problem.id}\` (${problem.key}, *${escapeSlackMrkdwn(problem.title)}*) is now a *${problem.actual}* column \u2014 config expects *${problem.expected}*`;
+    case 'label_renamed':
+      return `Label #${problem.id}${where} (${problem.source}.${problem.key}) was renamed: ${label(problem.expected)} \u2192 ${label(problem.actual)}`;
+    case 'label_missing':
+      return problem.id === null
+        ? `Label ${label(problem.expected)}${where} (${problem.source}.${problem.key}) no longer exists`
+        : `Label #${problem.id}${where} (${problem.source}.${problem.key}${problem.expected ? `, ${label(problem.expected)}` : ''}) no longer exists`;
+    case 'group_missing':
+      return `Group \`${problem.id}\` (${problem.key}) is missing`;
+    default:
+      return problem.type;
+  }
+}
+
+/**
+ * Build the board check report.
+ *
+ * @param {Object} report - From monday/schema.validateBoards
+ * @returns {string} Slack mrkdwn message
+ */
+function formatBoardCheck(report) {
+  const { columns, groups, labels } = report.counts;
+  const checked = `${columns} columns, ${groups} groups and ${labels} labels`;
+  if (report.problemCount === 0) {
+    return `:white_check_mark: *Board check:* all ${report.boards.length} boards match the config (${checked} checked).`;
+  }
+
+  const lines = [];
+  lines.push(`:warning: *Board check:* ${report.problemCount} problem(s) between Monday and \`src/config/monday-boards.js\``);
+  for (const board of report.boards) {
+    lines.push('');
+    if (board.problems.length === 0) {
+      lines.push(`:white_check_mark: *${board.name}* (${board.boardId}) \u2014 OK`);
+      continue;
+    }
+    lines.push(`:x: *${board.name}* (${board.boardId})`);
+    for (const problem of board.problems) lines.push(`\u2022 ${formatBoardProblem(problem)}`);
+  }
+  lines.push('');
+  lines.push(`_${checked} checked. Until this is fixed, writes to missing or retyped columns and to missing groups are refused. After fixing the board (or updating the config and restarting), say \`check boards\` to check again._`);
+  return lines.join('\n');
+}
+
 // ---------------------------------------------------------------------------
 // Exports
 // ---------------------------------------------------------------------------
 
 module.exports = {
+  todayFormatted,
+  formatDigestLine,
   formatDailyDigest,
   formatGoingColdAlert,
   formatWeeklySummary,
@@ -363,4 +559,11 @@ module.exports = {
   formatOverdueList,
   formatInvestorStatus,
   formatReminderNotification,
+  formatReminderList,
+  formatDateTimeCT,
+  formatCurrency,
+  formatDeadLetterAlert,
+  formatDeadLetterList,
+  formatCacheStats,
+  formatBoardCheck,
 };
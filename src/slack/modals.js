@@ -0,0 +1,338 @@
+// ---------------------------------------------------------------------------
+// Slack modal builders — the /followup command's forms
+// ---------------------------------------------------------------------------
+// `/followup` opens a menu (or a specific form with `/followup schedule`,
+// `log`, `assign`, `add`). Each form uses structured inputs instead of free
+// text: an investor typeahead (options served by commands.js), date/time
+// pickers and a teammate selector. Submissions are handled in commands.js by
+// the same handlers as the typed commands.
+//
+// `private_metadata` carries { channelId } so results are posted back where
+// the command was run.
+//
+// The "Log as investor touchpoint" message shortcut uses its own confirmation
+// form, prefilled from the message by the AI touchpoint extractor.
+// ---------------------------------------------------------------------------
+
+const config = require('../config');
+const { escapeSlackMrkdwn } = require('../utils/helpers');
+
+const CALLBACK_IDS = {
+  menu: 'followup_menu',
+  schedule: 'followup_schedule',
+  log: 'followup_log',
+  assign: 'followup_assign',
+  add: 'followup_add',
+  messageTouchpoint: 'followup_message_touchpoint',
+};
+
+const MODAL_ACTION_IDS = {
+  investor: 'followup_investor',
+  openForm: 'followup_open_form',
+};
+
+// Slack caps option text at 75 characters
+const MAX_OPTION_TEXT = 75;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function plainText(text) {
+  return { type: 'plain_text', text, emoji: true };
+}
+
+function modal(callbackId, title, blocks, meta, submitLabel = 'Submit') {
+  return {
+    type: 'modal',
+    callback_id: callbackId,
+    title: plainText(title),
+    submit: plainText(submitLabel),
+    close: plainText('Cancel'),
+    private_metadata: JSON.stringify(meta || {}),
+    blocks,
+  };
+}
+
+function input(blockId, label, element, { optional = false, hint } = {}) {
+  const block = {
+    type: 'input',
+    block_id: blockId,
+    label: plainText(label),
+    element,
+    optional,
+  };
+  if (hint) block.hint = plainText(hint);
+  return block;
+}
+
+function textInput(actionId, placeholder, { multiline = false } = {}) {
+  return {
+    type: 'plain_text_input',
+    action_id: actionId,
+    multiline,
+    placeholder: plainText(placeholder),
+  };
+}
+
+/**
+ * Typeahead option for an investor; the value is the Monday item ID.
+ */
+function investorOption(investor) {
+  const label = investor.name.length > MAX_OPTION_TEXT
+    ? investor.name.slice(0, MAX_OPTION_TEXT - 1) + '…'
+    : investor.name;
+  return { text: plainText(label), value: String(investor.id) };
+}
+
+function investorInput(initialInvestor) {
+  const element = {
+    type: 'external_select',
+    action_id: MODAL_ACTION_IDS.investor,
+    placeholder: plainText('Start typing a name…'),
+    min_query_length: 0,
+  };
+  if (initialInvestor) element.initial_option = investorOption(initialInvestor);
+  return input('investor', 'Investor', element);
+}
+
+function dateInput(label, { optional = false, hint } = {}) {
+  return input('date', label, {
+    type: 'datepicker',
+    action_id: 'value',
+    placeholder: plainText('Pick a date'),
+  }, { optional, hint });
+}
+
+function timeInput() {
+  return input('time', 'Time (Central)', {
+    type: 'timepicker',
+    action_id: 'value',
+    placeholder: plainText('Pick a time'),
+    timezone: config.timezone,
+  }, { optional: true, hint: 'Set a time to get a reminder then. Without one the follow-up is for 9:00 AM.' });
+}
+
+// ---------------------------------------------------------------------------
+// Views
+// ---------------------------------------------------------------------------
+
+function buildMenuModal(meta) {
+  const button = (text, form) => ({
+    type: 'button',
+    text: plainText(text),
+    action_id: `${MODAL_ACTION_IDS.openForm}:${form}`,
+    value: form,
+  });
+
+  return {
+    type: 'modal',
+    callback_id: CALLBACK_IDS.menu,
+    title: plainText('Investor follow-ups'),
+    close: plainText('Close'),
+    private_metadata: JSON.stringify(meta || {}),
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: 'What would you like to do?' },
+      },
+      {
+        type: 'actions',
+        block_id: 'followup_menu',
+        elements: [
+          button(':calendar: Schedule follow-up', 'schedule'),
+          button(':white_check_mark: Log touchpoint', 'log'),
+          button(':bust_in_silhouette: Assign', 'assign'),
+          button(':heavy_plus_sign: Add investor', 'add'),
+        ],
+      },
+    ],
+  };
+}
+
+function buildScheduleModal(meta, initialInvestor) {
+  return modal(CALLBACK_IDS.schedule, 'Schedule follow-up', [
+    investorInput(initialInvestor),
+    dateInput('Follow-up date'),
+    timeInput(),
+  ], meta, 'Schedule');
+}
+
+function buildLogModal(meta, initialInvestor) {
+  return modal(CALLBACK_IDS.log, 'Log touchpoint', [
+    investorInput(initialInvestor),
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: 'Marks them as contacted today and sets the next follow-up from their status cadence.',
+      }],
+    },
+  ], meta, 'Log it');
+}
+
+function buildAssignModal(meta, initialInvestor) {
+  return modal(CALLBACK_IDS.assign, 'Assign follow-up', [
+    investorInput(initialInvestor),
+    input('assignee', 'Assign to', {
+      type: 'users_select',
+      action_id: 'value',
+      placeholder: plainText('Pick a teammate'),
+    }),
+    dateInput('Follow-up date', { optional: true, hint: 'Defaults to tomorrow.' }),
+  ], meta, 'Assign');
+}
+
+function buildAddInvestorModal(meta) {
+  return modal(CALLBACK_IDS.add, 'Add investor', [
+    input('name', 'Name', textInput('value', 'Full name')),
+    input('email', 'Email', { ...textInput('value', 'name@example.com'), type: 'email_text_input' }, { optional: true }),
+    input('phone', 'Phone', textInput('value', '(555) 123-4567'), { optional: true }),
+    input('linkedin', 'LinkedIn', { ...textInput('value', 'https://linkedin.com/in/…'), type: 'url_text_input' }, { optional: true }),
+    input('notes', 'Notes', textInput('value', 'How you met, interests, etc.', { multiline: true }), { optional: true }),
+  ], meta, 'Add');
+}
+
+function buildLoadingModal(title) {
+  return {
+    type: 'modal',
+    title: plainText(title),
+    close: plainText('Cancel'),
+    blocks: [{
+      type: 'section',
+      text: { type: 'mrkdwn', text: ':hourglass_flowing_sand: Reading the message…' },
+    }],
+  };
+}
+
+function methodOption(key) {
+  return { text: plainText(config.monday.rmCommMethodLabels[key]), value: key };
+}
+
+/**
+ * Confirmation form for the "Log as investor touchpoint" message shortcut.
+ *
+ * @param {Object} meta                     - { channelId, permalink }
+ * @param {Object} prefill
+ * @param {Object} [prefill.initialInvestor] - Matched investor
+ * @param {string} [prefill.investorHint]    - Extracted name when nothing matched
+ * @param {string} [prefill.method]          - commMethodLabels key
+ * @param {string} [prefill.notes]
+ * @param {number} [prefill.amount]
+ * @param {string} [prefill.deal]
+ * @param {string} [prefill.contactDate]     - YYYY-MM-DD
+ * @param {string} [prefill.nextDate]        - YYYY-MM-DD
+ */
+function buildMessageTouchpointModal(meta, prefill = {}) {
+  const blocks = [];
+
+  if (prefill.investorHint && !prefill.initialInvestor) {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `:mag: The message mentions *${escapeSlackMrkdwn(prefill.investorHint)}*, but I couldn't match them to the Investor List. Pick the investor below.`,
+      }],
+    });
+  }
+
+  blocks.push(investorInput(prefill.initialInvestor));
+
+  const method = {
+    type: 'static_select',
+    action_id: 'value',
+    placeholder: plainText('How did you reach them?'),
+    options: Object.keys(config.monday.rmCommMethodLabels).map(methodOption),
+  };
+  if (prefill.method) method.initial_option = methodOption(prefill.method);
+  blocks.push(input('method', 'Contact method', method, { optional: true }));
+
+  const contactDate = {
+    type: 'datepicker',
+    action_id: 'value',
+    placeholder: plainText('Pick a date'),
+  };
+  if (prefill.contactDate) contactDate.initial_date = prefill.contactDate;
+  blocks.push(input('contact_date', 'Date of contact', contactDate, { optional: true, hint: 'Defaults to today.' }));
+
+  const notes = textInput('value', 'What was discussed', { multiline: true });
+  if (prefill.notes) notes.initial_value = prefill.notes;
+  blocks.push(input('notes', 'Notes', notes));
+
+  const amount = { ...textInput('value', 'e.g. 250000'), type: 'number_input', is_decimal_allowed: false, min_value: '0' };
+  delete amount.multiline;
+  if (prefill.amount) amount.initial_value = String(prefill.amount);
+  blocks.push(input('amount', 'Amount discussed ($)', amount, { optional: true }));
+
+  const deal = textInput('value', 'e.g. Austin');
+  if (prefill.deal) deal.initial_value = prefill.deal;
+  blocks.push(input('deal', 'Deal', deal, { optional: true, hint: 'Added to their Deal Interest if it matches a deal on the board.' }));
+
+  const nextDate = dateInput('Next follow-up', {
+    optional: true,
+    hint: 'Leave blank to set it from their status cadence.',
+  });
+  if (prefill.nextDate) nextDate.element.initial_date = prefill.nextDate;
+  blocks.push(nextDate);
+
+  return modal(CALLBACK_IDS.messageTouchpoint, 'Log touchpoint', blocks, meta, 'Log it');
+}
+
+const FORM_BUILDERS = {
+  schedule: buildScheduleModal,
+  log: buildLogModal,
+  assign: buildAssignModal,
+  add: buildAddInvestorModal,
+};
+
+// ---------------------------------------------------------------------------
+// Submission parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Flatten a submitted view's state into { blockId: value }. Select values
+ * come back as { value, label } so handlers get both the ID and the name.
+ */
+function readModalValues(view) {
+  const values = {};
+  for (const [blockId, actions] of Object.entries(view.state.values || {})) {
+    const action = Object.values(actions)[0];
+    if (!action) continue;
+    if (action.selected_option) {
+      values[blockId] = { value: action.selected_option.value, label: action.selected_option.text.text };
+    } else if (action.selected_date !== undefined) {
+      values[blockId] = action.selected_date;
+    } else if (action.selected_time !== undefined) {
+      values[blockId] = action.selected_time;
+    } else if (action.selected_user !== undefined) {
+      values[blockId] = action.selected_user;
+    } else {
+      values[blockId] = action.value ? action.value.trim() : null;
+    }
+  }
+  return values;
+}
+
+function readModalMetadata(view) {
+  try {
+    return JSON.parse(view.private_metadata || '{}');
+  } catch {
+    return {};
+  }
+}
+
+module.exports = {
+  CALLBACK_IDS,
+  MODAL_ACTION_IDS,
+  FORM_BUILDERS,
+  investorOption,
+  buildMenuModal,
+  buildScheduleModal,
+  buildLogModal,
+  buildAssignModal,
+  buildAddInvestorModal,
+  buildLoadingModal,
+  buildMessageTouchpointModal,
+  readModalValues,
+  readModalMetadata,
+};
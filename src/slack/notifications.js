@@ -3,6 +3,9 @@
 // ---------------------------------------------------------------------------
 
 const { escapeSlackMrkdwn } = require('../utils/helpers');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('slack/notifications');
 
 /**
  * Send a DM to a Slack user notifying them of a follow-up assignment.
@@ -46,16 +49,16 @@ async function notifyAssignment(slackClient, {
         channel: openResult.channel.id,
         text: dmMessage,
       });
-      console.log(`[notifications] DM sent to <@${slackUserId}> about ${investorName}`);
+      log.info(`DM sent to <@${slackUserId}> about ${investorName}`);
       return { dmSent: true, channelFallback: false };
     }
   } catch (dmErr) {
     const errCode = dmErr.data?.error || dmErr.message;
-    console.warn(`[notifications] Could not DM <@${slackUserId}>: ${errCode}`);
+    log.warn(`Could not DM <@${slackUserId}>: ${errCode}`);
 
     // Common reasons: missing im:write scope, user has DMs disabled, etc.
     if (errCode === 'missing_scope' || errCode === 'not_allowed_token_type') {
-      console.warn('[notifications] Bot may be missing im:write scope. Falling back to channel mention.');
+      log.warn('Bot may be missing im:write scope. Falling back to channel mention.');
     }
   }
 
@@ -71,10 +74,10 @@ async function notifyAssignment(slackClient, {
         channel: channelId,
         text: channelMessage,
       });
-      console.log(`[notifications] Channel mention sent for <@${slackUserId}> about ${investorName}`);
+      log.info(`Channel mention sent for <@${slackUserId}> about ${investorName}`);
       return { dmSent: false, channelFallback: true };
     } catch (channelErr) {
-      console.error(`[notifications] Channel fallback also failed:`, channelErr.message);
+      log.error(`Channel fallback also failed:`, channelErr.message);
     }
   }
 
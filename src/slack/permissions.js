@@ -0,0 +1,168 @@
+// ---------------------------------------------------------------------------
+// Permissions — which roles may run which commands
+// ---------------------------------------------------------------------------
+// Every Slack user has one role, from config.slack.roles:
+//   - admin:     everything, including diagnostics (test monday)
+//   - manager:   delete and reassign any investor, see team-wide views and
+//                the audit log, manage everyone's failed reminders
+//   - associate: delete and reassign only investors assigned to themselves
+//                (and assign investors nobody has yet); see, retry and
+//                discard only their own failed reminders
+//
+// Commands not listed in POLICIES are open to everyone. The router checks
+// a command's policy before its handler runs (see authorizeIntent in
+// commands.js, which gathers the targets and calls authorize); denied
+// attempts are written to the audit log.
+// ---------------------------------------------------------------------------
+
+const config = require('../config');
+const { addAuditEntry } = require('../history/store');
+const { escapeSlackMrkdwn } = require('../utils/helpers');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('slack/permissions');
+
+// action → role → scope. 'all' = any investor, 'own' = only investors
+// assigned to the user (for reminders: only the user's own reminders).
+// Roles not listed are denied.
+const POLICIES = {
+  test_monday: { admin: 'all' },
+  delete_contact: { admin: 'all', manager: 'all', associate: 'own' },
+  delete_followup: { admin: 'all', manager: 'all', associate: 'own' },
+  assign_followup: { admin: 'all', manager: 'all', associate: 'own' },
+  list_team_reminders: { admin: 'all', manager: 'all' },
+  list_failed_reminders: { admin: 'all', manager: 'all', associate: 'own' },
+  retry_reminder: { admin: 'all', manager: 'all', associate: 'own' },
+  discard_reminder: { admin: 'all', manager: 'all', associate: 'own' },
+  audit_log: { admin: 'all', manager: 'all' },
+};
+
+const ACTION_DESCRIPTIONS = {
+  test_monday: 'run the Monday.com diagnostic',
+  delete_contact: 'delete investors',
+  delete_followup: 'delete follow-ups',
+  assign_followup: 'reassign investors',
+  list_team_reminders: "see the team's reminders",
+  list_failed_reminders: "see the team's failed reminders",
+  retry_reminder: 'retry failed reminders',
+  discard_reminder: 'discard failed reminders',
+  audit_log: 'see the audit log',
+};
+
+/**
+ * A Slack user's role.
+ *
+ * @param {string} slackUserId
+ * @returns {'admin'|'manager'|'associate'}
+ */
+function getRole(slackUserId) {
+  if (config.slack.roles.admin.includes(slackUserId)) return 'admin';
+  if (config.slack.roles.manager.includes(slackUserId)) return 'manager';
+  return 'associate';
+}
+
+/**
+ * What a user may do for an action.
+ *
+ * @param {string} slackUserId
+ * @param {string} action - Intent action (or policy name)
+ * @returns {{role: string, scope: 'all'|'own'|null}} scope null = denied
+ */
+function checkAccess(slackUserId, action) {
+  const role = getRole(slackUserId);
+  const policy = POLICIES[action];
+  if (!policy) return { role, scope: 'all' };
+  return { role, scope: policy[role] || null };
+}
+
+/**
+ * The reply for a denied command.
+ *
+ * @param {string} role
+ * @param {string} action
+ * @param {string[]} [itemNames] - Investors the user doesn't own, for 'own' scopes
+ */
+function denialMessage(role, action, itemNames = []) {
+  const what = ACTION_DESCRIPTIONS[action] || 'do that';
+  if (itemNames.length > 0) {
+    return `:lock: As an ${role}, you can only ${what} assigned to you — ` +
+      `${itemNames.map((name) => `*${name}*`).join(', ')} ${itemNames.length === 1 ? "isn't" : "aren't"}. ` +
+      'Ask a manager or admin to do it.';
+  }
+  return `:lock: Only ${Object.keys(POLICIES[action] || {}).map((r) => `${r}s`).join(' and ')} can ${what}.`;
+}
+
+/**
+ * Log a denied attempt to the audit log.
+ *
+ * @param {Object} denial
+ * @param {string} denial.slackUserId
+ * @param {string} denial.role
+ * @param {string} denial.action
+ * @param {Array<{id, name}>} [denial.items] - Investors the attempt targeted
+ * @param {string} [denial.detail]           - What was asked, e.g. the command text
+ */
+function recordDenial({ slackUserId, role, action, items = [], detail }) {
+  log.warn(`Denied ${action} for ${slackUserId} (${role})${items.length ? ` on items ${items.map((i) => i.id).join(',')}` : ''}`);
+  const targets = items.length > 0 ? items : [{}];
+  for (const item of targets) {
+    addAuditEntry({
+      event: 'permission_denied',
+      slackUserId,
+      role,
+      action,
+      itemId: item.id,
+      itemName: item.name,
+      detail,
+    });
+  }
+}
+
+/**
+ * Whether the user owns a target. Investors and follow-ups are owned through
+ * Monday people columns (ownerIds are Monday person IDs); reminders are owned
+ * by the Slack user they were set for (ownerSlackIds).
+ */
+function ownsTarget(target, slackUserId, mondayPersonId) {
+  const bySlack = Array.isArray(target.ownerSlackIds);
+  const owners = bySlack ? target.ownerSlackIds : target.ownerIds || [];
+  if (owners.length === 0) return Boolean(target.unassignedOk);
+  const me = bySlack ? slackUserId : mondayPersonId;
+  return Boolean(me) && owners.map(String).includes(String(me));
+}
+
+/**
+ * Decide whether a user may run an action on the given targets. Denials are
+ * recorded in the audit log and come back with the reply to send.
+ *
+ * @param {Object} request
+ * @param {string} request.slackUserId
+ * @param {string} request.action
+ * @param {Array<{id, name, ownerIds?: string[], ownerSlackIds?: string[], unassignedOk?: boolean}>} [request.targets]
+ *   What the command would act on; only consulted for 'own' scopes
+ * @param {string|number} [request.mondayPersonId] - The user's Monday person, for ownerIds
+ * @param {string} [request.detail] - What was asked, e.g. the command text
+ * @returns {{allowed: boolean, role: string, scope: 'all'|'own'|null, message?: string}}
+ */
+function authorize({ slackUserId, action, targets = [], mondayPersonId = null, detail }) {
+  const { role, scope } = checkAccess(slackUserId, action);
+  if (scope === 'all') return { allowed: true, role, scope };
+
+  if (!scope) {
+    recordDenial({ slackUserId, role, action, detail });
+    return { allowed: false, role, scope, message: denialMessage(role, action) };
+  }
+
+  const notOwned = targets.filter((target) => !ownsTarget(target, slackUserId, mondayPersonId));
+  if (notOwned.length === 0) return { allowed: true, role, scope };
+
+  recordDenial({ slackUserId, role, action, items: notOwned, detail });
+  return {
+    allowed: false,
+    role,
+    scope,
+    message: denialMessage(role, action, notOwned.map((target) => escapeSlackMrkdwn(target.name || 'Unknown'))),
+  };
+}
+
+module.exports = { getRole, checkAccess, authorize, denialMessage, recordDenial };
@@ -0,0 +1,170 @@
+// ---------------------------------------------------------------------------
+// Message context — which investors a bot post or Slack thread is about
+// ---------------------------------------------------------------------------
+// Two features need to know which investor a message refers to:
+//   - Commands posted inside a thread can leave out the investor ("mark
+//     contacted", "push to Friday") when the thread is clearly about one.
+//   - Emoji reactions on bot alerts act on the alert's investor.
+// The investors for a message come from, in order:
+//   1. What the bot recorded when it posted the alert or replied in the thread
+//   2. The message itself — an alert's action buttons, or Investor List links
+//      in its text (this also covers posts made before a restart)
+// Only messages that point at exactly one investor give implicit context.
+// A reaction acts on the post it's on, never on the thread around it: a bot
+// reply in an alert's thread is only about an investor if it was recorded.
+// ---------------------------------------------------------------------------
+
+const config = require('../config');
+const { getActionItemId } = require('./blocks');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('slack/threads');
+
+const MESSAGE_CONTEXT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// `${channel}:${ts}` → { itemIds, fromReply, expiresAt }
+const messageInvestors = new Map();
+
+// Clean up expired message context every hour
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of messageInvestors) {
+    if (entry.expiresAt < now) messageInvestors.delete(key);
+  }
+}, 3600000).unref();
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const INVESTOR_LINK_PATTERN = new RegExp(`${escapeRegExp(config.monday.boardUrl)}(\\d+)`, 'g');
+
+/**
+ * Every Investor List item a message points at, via action blocks or links.
+ *
+ * @param {Object} message - Slack message ({ text, blocks })
+ * @returns {string[]} Distinct item IDs
+ */
+function extractInvestorIds(message) {
+  const ids = new Set();
+
+  for (const block of message.blocks || []) {
+    const itemId = getActionItemId({ block_id: block.block_id });
+    if (itemId) ids.add(itemId);
+  }
+
+  for (const match of (message.text || '').matchAll(INVESTOR_LINK_PATTERN)) {
+    ids.add(match[1]);
+  }
+
+  return [...ids];
+}
+
+/**
+ * Remember which investors a bot post is about, keyed by its channel and ts.
+ *
+ * @param {string}   channel - Channel ID (from the chat.postMessage response)
+ * @param {string}   ts      - Message timestamp
+ * @param {string[]} itemIds - Monday item IDs
+ */
+function recordPostedInvestors(channel, ts, itemIds) {
+  if (!channel || !ts || !itemIds || itemIds.length === 0) return;
+  messageInvestors.set(`${channel}:${ts}`, {
+    itemIds: [...new Set(itemIds.map(String))],
+    expiresAt: Date.now() + MESSAGE_CONTEXT_TTL_MS,
+  });
+}
+
+/**
+ * Record the investor a bot reply in a thread is about, if it names exactly
+ * one. A reply never replaces what an alert itself was recorded as being about.
+ */
+function recordReplyContext(channel, threadTs, text) {
+  const ids = extractInvestorIds({ text });
+  if (ids.length !== 1 || !channel || !threadTs) return;
+
+  const key = `${channel}:${threadTs}`;
+  const existing = messageInvestors.get(key);
+  if (existing && !existing.fromReply && existing.itemIds.length > 0) return;
+
+  messageInvestors.set(key, {
+    itemIds: ids,
+    fromReply: true,
+    expiresAt: Date.now() + MESSAGE_CONTEXT_TTL_MS,
+  });
+}
+
+/**
+ * Look up the investors a message (or thread root) is about.
+ *
+ * @param {Object} client  - Slack Web API client
+ * @param {string} channel - Channel ID
+ * @param {string} ts      - Message (or thread root) timestamp
+ * @returns {Promise<string[]>} Monday item IDs
+ */
+async function getMessageInvestorIds(client, channel, ts) {
+  const key = `${channel}:${ts}`;
+  const cached = messageInvestors.get(key);
+  if (cached && cached.expiresAt >= Date.now()) return cached.itemIds;
+
+  let itemIds = [];
+  try {
+    const result = await client.conversations.replies({ channel, ts, limit: 1, inclusive: true });
+    const root = result.messages && result.messages[0];
+    if (root) itemIds = extractInvestorIds(root);
+  } catch (err) {
+    log.warn(`Could not read message ${key}: ${err.data?.error || err.message}`);
+    return [];
+  }
+
+  // Cache misses too, so every reply in a busy thread doesn't refetch the root
+  messageInvestors.set(key, { itemIds, expiresAt: Date.now() + MESSAGE_CONTEXT_TTL_MS });
+  return itemIds;
+}
+
+/**
+ * Look up the investors a bot post itself is about, for reactions on it.
+ * Unlike getMessageInvestorIds, a reply in a thread doesn't inherit the
+ * thread's investor: only posts recorded with recordPostedInvestors, or a
+ * top-level post's own buttons and links, count.
+ *
+ * @param {Object} client  - Slack Web API client
+ * @param {string} channel - Channel ID
+ * @param {string} ts      - Message timestamp
+ * @returns {Promise<string[]>} Monday item IDs
+ */
+async function getPostInvestorIds(client, channel, ts) {
+  const key = `${channel}:${ts}`;
+  const recorded = messageInvestors.get(key);
+  if (recorded && !recorded.fromReply && recorded.expiresAt >= Date.now()) return recorded.itemIds;
+
+  try {
+    const result = await client.conversations.replies({ channel, ts, limit: 1, inclusive: true });
+    const root = result.messages && result.messages[0];
+    // For a reply, Slack returns the thread's root first — not the post reacted to
+    if (!root || root.ts !== ts) return [];
+    return extractInvestorIds(root);
+  } catch (err) {
+    log.warn(`Could not read message ${key}: ${err.data?.error || err.message}`);
+    return [];
+  }
+}
+
+/**
+ * The single investor a thread is about, if there is one.
+ *
+ * @returns {Promise<string|null>} Monday item ID
+ */
+async function getThreadInvestorId(client, channel, threadTs) {
+  const itemIds = await getMessageInvestorIds(client, channel, threadTs);
+  return itemIds.length === 1 ? itemIds[0] : null;
+}
+
+module.exports = {
+  extractInvestorIds,
+  recordPostedInvestors,
+  recordReplyContext,
+  getMessageInvestorIds,
+  getPostInvestorIds,
+  getThreadInvestorId,
+};
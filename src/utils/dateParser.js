@@ -47,4 +47,105 @@ function parseNaturalDate(expression) {
   return { date, hasTime };
 }
 
-module.exports = { parseNaturalDate };
+/**
+ * Parse a date expression that refers to the past, for back-dated entries
+ * ("spoke with Jane on Monday", "yesterday", "last Friday", "Oct 2"). A bare
+ * weekday means the most recent one; any other date in the future is
+ * rejected.
+ *
+ * @param {string} expression - Natural language date string
+ * @param {string} timeZone   - IANA time zone that "today" is judged in
+ * @returns {string|null} Date as YYYY-MM-DD, or null if unparseable or future
+ */
+function parsePastDate(expression, timeZone) {
+  if (!expression || typeof expression !== 'string') return null;
+
+  let results = chrono.parse(expression, new Date());
+  if (results.length === 0) {
+    results = chrono.parse('on ' + expression, new Date());
+  }
+  if (results.length === 0) return null;
+
+  const start = results[0].start;
+  const toYMD = (d) => d.toLocaleDateString('en-CA', { timeZone });
+  const today = toYMD(new Date());
+  let date = start.date();
+
+  if (toYMD(date) > today && start.isCertain('weekday') && !start.isCertain('day')) {
+    date = new Date(date.getTime() - 7 * 24 * 60 * 60 * 1000);
+  }
+
+  const ymd = toYMD(date);
+  return ymd > today ? null : ymd;
+}
+
+const DURATION_UNITS_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a relative duration like "2 hours", "30 min", "a day" or "1 week".
+ *
+ * @param {string} expression - Natural language duration
+ * @returns {number|null} Duration in milliseconds, or null if not a duration
+ */
+function parseDuration(expression) {
+  if (!expression || typeof expression !== 'string') return null;
+
+  const match = expression
+    .trim()
+    .match(/^(?:for\s+)?(\d+(?:\.\d+)?|an?|one)\s*(m(?:in(?:ute)?s?)?|h(?:(?:ou)?rs?)?|d(?:ays?)?|w(?:(?:ee)?ks?)?)$/i);
+  if (!match) return null;
+
+  const amount = /^\d/.test(match[1]) ? parseFloat(match[1]) : 1;
+  const unitRaw = match[2].toLowerCase();
+  const unit = unitRaw.startsWith('m') ? 'minute'
+    : unitRaw.startsWith('h') ? 'hour'
+    : unitRaw.startsWith('d') ? 'day'
+    : 'week';
+
+  return Math.round(amount * DURATION_UNITS_MS[unit]);
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds.
+ */
+function zoneOffsetMs(instant, timeZone) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(instant)
+    .find((p) => p.type === 'timeZoneName').value; // e.g. "GMT-05:00"
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return (match[1] === '-' ? -1 : 1) * minutes * 60 * 1000;
+}
+
+/**
+ * Build the instant for a wall-clock date and time in a specific time zone,
+ * e.g. ("2026-03-10", "14:30", "America/Chicago") → 2:30 PM Central that day.
+ * Used for Slack date/time pickers, whose values carry no zone.
+ *
+ * @param {string} ymd       - Date as YYYY-MM-DD
+ * @param {string} [hhmm]    - Time as HH:mm (defaults to 09:00)
+ * @param {string} timeZone  - IANA time zone name
+ * @returns {Date|null}
+ */
+function zonedDateTime(ymd, hhmm, timeZone) {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(ymd || '');
+  const timeMatch = /^(\d{2}):(\d{2})$/.exec(hhmm || '09:00');
+  if (!dateMatch || !timeMatch) return null;
+
+  const wallClockUtc = Date.UTC(
+    Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]),
+    Number(timeMatch[1]), Number(timeMatch[2])
+  );
+  // Apply the zone's offset, then re-check it in case that crossed a DST change
+  let instant = wallClockUtc - zoneOffsetMs(new Date(wallClockUtc), timeZone);
+  instant = wallClockUtc - zoneOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+module.exports = { parseNaturalDate, parsePastDate, parseDuration, zonedDateTime };
@@ -57,4 +57,14 @@ function maskEmail(email) {
   return `${maskedLocal}@${maskedDomain}.${ext}`;
 }
 
-module.exports = { formatDateYMD, daysAgo, getESTDate, escapeHtml, escapeSlackMrkdwn, maskEmail };
+/**
+ * Mask a phone number for safe logging, keeping the last two digits.
+ * "+1 (555) 123-4567" -> "***-***-**67"
+ */
+function maskPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 4) return '[no phone]';
+  return `***-***-**${digits.slice(-2)}`;
+}
+
+module.exports = { formatDateYMD, daysAgo, getESTDate, escapeHtml, escapeSlackMrkdwn, maskEmail, maskPhone };
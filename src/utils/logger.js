@@ -0,0 +1,188 @@
+// ---------------------------------------------------------------------------
+// Logger — structured JSON logs with PII redaction and correlation IDs
+// ---------------------------------------------------------------------------
+// Each line is one JSON object:
+//   {"time":"…","level":"info","module":"monday/client","correlationId":"slack-4f1c…","msg":"…"}
+// Modules get their own logger (createLogger('monday/client')) with the same
+// call style as console: log.info('Updated item', itemId). A plain object as
+// the last argument is added as fields; Errors add an `error` field with the
+// stack.
+//
+// Before anything is written, messages and fields are redacted:
+//   - email addresses are masked (maskEmail), phone numbers keep 2 digits
+//   - Slack, Anthropic and bearer tokens, JWTs (Monday tokens) and the
+//     configured secrets are replaced with [REDACTED]
+//   - values of fields named like secrets are replaced too, emails/phones
+//     masked by field name
+//
+// A correlation ID ties together everything one Slack command, cron run or
+// webhook does — its Monday requests and AI calls included. Entry points
+// wrap their work in withCorrelationId (Slack middleware in slack/app.js,
+// cron jobs, the webhook route); everything below inherits it.
+// ---------------------------------------------------------------------------
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { maskEmail, maskPhone } = require('./helpers');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[config.logLevel] || LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+// Separated phone numbers ("555-123-4567", "(555) 123 4567", "+1 555.123.4567")
+// and "+" followed by 10–15 digits. Bare digit runs are left alone: Monday
+// item and board IDs look just like unformatted phone numbers.
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b|\+\d{10,15}\b/g;
+// Phone values inside logged JSON ("phone":"5551234567")
+const PHONE_FIELD_PATTERN = /("phone"\s*:\s*")([^"]*)"/gi;
+const TOKEN_PATTERNS = [
+  /\bx(?:ox[abposr]|app)-[A-Za-z0-9-]+/g,   // Slack bot/user/app tokens
+  /\bsk-ant-[A-Za-z0-9_-]+/g,               // Anthropic API keys
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,            // JWTs (Monday API tokens, webhook signatures)
+  /\bBearer\s+[\w.~+/-]+=*/gi,
+];
+const SECRET_KEY_PATTERN = /token|secret|password|passwd|authorization|api[_-]?key|^pass$/i;
+
+// Configured secrets, redacted wherever they appear
+const SECRETS = [
+  config.monday.apiToken,
+  config.monday.webhook && config.monday.webhook.signingSecret,
+  config.slack.botToken,
+  config.slack.appToken,
+  config.slack.signingSecret,
+  config.anthropic.apiKey,
+  config.smtp.pass,
+].filter((secret) => typeof secret === 'string' && secret.length >= 8);
+
+const correlationContext = new AsyncLocalStorage();
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+
+/**
+ * Mask emails, phone numbers and tokens in a string.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+  if (typeof text !== 'string' || !text) return text;
+  let out = text;
+  for (const secret of SECRETS) out = out.split(secret).join(REDACTED);
+  for (const pattern of TOKEN_PATTERNS) out = out.replace(pattern, REDACTED);
+  return out
+    .replace(EMAIL_PATTERN, (email) => maskEmail(email))
+    .replace(PHONE_FIELD_PATTERN, (match, prefix, phone) => `${prefix}${maskPhone(phone)}"`)
+    .replace(PHONE_PATTERN, (phone) => maskPhone(phone));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Redact a field value, using its key to catch secrets, emails and phones.
+ */
+function redactValue(value, key = '', depth = 0) {
+  if (SECRET_KEY_PATTERN.test(key)) return value ? REDACTED : value;
+  if (typeof value === 'string') {
+    if (/email/i.test(key)) return maskEmail(value);
+    if (/phone/i.test(key)) return maskPhone(value);
+    return redact(value);
+  }
+  if (value instanceof Error) return serializeError(value);
+  if (depth >= 5 || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, key, depth + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = redactValue(v, k, depth + 1);
+  return out;
+}
+
+function serializeError(err) {
+  const out = { message: redact(err.message), stack: redact(err.stack) };
+  if (err.statusCode) out.statusCode = err.statusCode;
+  if (err.errorCode) out.errorCode = err.errorCode;
+  if (err.data && err.data.error) out.slackError = err.data.error;
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Correlation IDs
+// ---------------------------------------------------------------------------
+
+/**
+ * A new correlation ID, e.g. "slack-4f1c2a9b0e3d".
+ *
+ * @param {string} [prefix] - Where the work came from: slack, cron, webhook…
+ */
+function newCorrelationId(prefix = 'req') {
+  return `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Run `fn` with `id` attached to every log line it writes.
+ */
+function withCorrelationId(id, fn) {
+  return correlationContext.run(id || newCorrelationId(), fn);
+}
+
+/**
+ * The current correlation ID, if any.
+ */
+function getCorrelationId() {
+  return correlationContext.getStore() || null;
+}
+
+// ---------------------------------------------------------------------------
+// Loggers
+// ---------------------------------------------------------------------------
+
+function write(level, module, args) {
+  if (LEVELS[level] < minLevel) return;
+
+  const parts = [...args];
+  const fields = parts.length > 1 && isPlainObject(parts[parts.length - 1]) ? parts.pop() : null;
+  const error = parts.find((part) => part instanceof Error);
+  const msg = util.format(...parts.map((part) => (part instanceof Error ? part.message : part)));
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    module,
+    correlationId: getCorrelationId() || undefined,
+    msg: redact(msg),
+  };
+  if (fields) Object.assign(entry, redactValue(fields));
+  if (error) entry.error = serializeError(error);
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (_) {
+    line = JSON.stringify({ time: entry.time, level, module, correlationId: entry.correlationId, msg: entry.msg });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * A logger for one module.
+ *
+ * @param {string} module - Tag for every line, e.g. "monday/client"
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function createLogger(module) {
+  return {
+    debug: (...args) => write('debug', module, args),
+    info: (...args) => write('info', module, args),
+    warn: (...args) => write('warn', module, args),
+    error: (...args) => write('error', module, args),
+  };
+}
+
+module.exports = { createLogger, redact, redactValue, newCorrelationId, withCorrelationId, getCorrelationId };
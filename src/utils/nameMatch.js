@@ -1,30 +1,97 @@
 const Fuse = require('fuse.js');
 
+// Company matches rank just behind an equally good name match
+const COMPANY_SCORE_PENALTY = 0.02;
+
+const EMAIL_QUERY_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_QUERY_PATTERN = /^\+?[\d\s().\-]{7,}$/;
+
+function cleanInvestorName(name) {
+  return name.replace(/^\u{1F534}\s*/u, '').trim();
+}
+
+function phoneDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Exact lookup when the search text is an email address or phone number.
+ *
+ * @returns {Array|null} Matching investors, or null if the text is neither
+ */
+function findByContactInfo(searchText, investors) {
+  const query = searchText.trim();
+
+  if (EMAIL_QUERY_PATTERN.test(query)) {
+    const email = query.toLowerCase();
+    return investors.filter((inv) => inv.email && inv.email.toLowerCase() === email);
+  }
+
+  if (PHONE_QUERY_PATTERN.test(query)) {
+    const digits = phoneDigits(query);
+    return investors.filter((inv) => inv.phone && phoneDigits(inv.phone) === digits);
+  }
+
+  return null;
+}
+
 /**
- * Find the best fuzzy match for an investor name within a list.
+ * Find the best fuzzy match for an investor within a list. Searches the
+ * name and company; an email address or phone number is matched exactly.
  *
- * @param {string} searchName - The name to search for
- * @param {Array}  investors  - Array of investor objects (each must have a 'name' property)
+ * @param {string} searchName - The name, company, email or phone to search for
+ * @param {Array}  investors  - Array of investor objects (each must have a 'name'
+ *   property; 'company', 'email' and 'phone' are used when present)
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.nameOnly] - Match names only (duplicate checks)
  * @returns {Object|null} Match result:
- *   { match: investorObject, score: number, alternatives?: Array }
+ *   { match: investorObject, score: number, alternatives?: Array<{name, score, match}> }
  *   or null if no match found
  */
-function findBestMatch(searchName, investors) {
+function findBestMatch(searchName, investors, { nameOnly = false } = {}) {
   if (!searchName || !investors || investors.length === 0) return null;
 
+  const contactMatches = nameOnly ? null : findByContactInfo(searchName, investors);
+  if (contactMatches) {
+    if (contactMatches.length === 0) return null;
+    const [first, ...rest] = contactMatches;
+    const result = { match: first, score: 0 };
+    if (rest.length > 0) {
+      result.alternatives = rest.map((inv) => ({ name: inv.name, score: 0, match: inv }));
+    }
+    return result;
+  }
+
   // Prepare investors with cleaned names (strip leading red circle emoji and whitespace)
-  const prepared = investors.map((inv) => ({
+  const prepared = investors.map((inv, index) => ({
     ...inv,
-    cleanName: inv.name.replace(/^\u{1F534}\s*/u, '').trim(),
+    index,
+    cleanName: cleanInvestorName(inv.name),
   }));
 
-  const fuse = new Fuse(prepared, {
+  const nameFuse = new Fuse(prepared, {
     keys: ['cleanName'],
     threshold: 0.4,
     includeScore: true,
   });
+  const companyFuse = new Fuse(nameOnly ? [] : prepared.filter((inv) => inv.company), {
+    keys: ['company'],
+    threshold: 0.4,
+    includeScore: true,
+    ignoreLocation: true,
+  });
+
+  // Best score per investor across name and company ("the Heavy family office")
+  const best = new Map();
+  const consider = (item, score) => {
+    const current = best.get(item.index);
+    if (!current || score < current.score) best.set(item.index, { item, score });
+  };
+  for (const r of nameFuse.search(searchName)) consider(r.item, r.score);
+  const companyQuery = searchName.replace(/^(?:the|a|an)\s+/i, '');
+  for (const r of companyFuse.search(companyQuery)) consider(r.item, r.score + COMPANY_SCORE_PENALTY);
 
-  const results = fuse.search(searchName);
+  const results = [...best.values()].sort((a, b) => a.score - b.score);
 
   if (results.length === 0) return null;
 
@@ -40,10 +107,11 @@ function findBestMatch(searchName, investors) {
     .map((r) => ({
       name: r.item.name,
       score: r.score,
+      match: investors[r.item.index],
     }));
 
   const result = {
-    match: topResult.item,
+    match: investors[topResult.item.index],
     score: topResult.score,
   };
 
@@ -54,4 +122,33 @@ function findBestMatch(searchName, investors) {
   return result;
 }
 
-module.exports = { findBestMatch };
+/**
+ * Rank investors against a partial name for typeahead pickers.
+ * An empty query returns the first `limit` investors alphabetically.
+ *
+ * @param {string} query     - What the user has typed so far
+ * @param {Array}  investors - Array of investor objects (each must have a 'name' property)
+ * @param {number} [limit]   - Maximum results
+ * @returns {Array} Matching investor objects, best first
+ */
+function searchInvestors(query, investors, limit = 20) {
+  if (!investors || investors.length === 0) return [];
+
+  const cleanName = (inv) => cleanInvestorName(inv.name);
+
+  if (!query || !query.trim()) {
+    return [...investors]
+      .sort((a, b) => cleanName(a).localeCompare(cleanName(b)))
+      .slice(0, limit);
+  }
+
+  const fuse = new Fuse(investors.map((inv) => ({ ...inv, cleanName: cleanName(inv) })), {
+    keys: ['cleanName'],
+    threshold: 0.4,
+    ignoreLocation: true,
+  });
+
+  return fuse.search(query.trim(), { limit }).map((r) => r.item);
+}
+
+module.exports = { findBestMatch, searchInvestors };
@@ -5,6 +5,9 @@
 
 const config = require('../config');
 const { mondayApi } = require('../monday/client');
+const { createLogger } = require('./logger');
+
+const log = createLogger('utils/userMapping');
 
 // ---------------------------------------------------------------------------
 // Hardcoded team member Slack ID lookup (fast, no API call needed)
@@ -66,10 +69,10 @@ async function getMondayUsers() {
     const data = await mondayApi(MONDAY_USERS_QUERY);
     mondayUsers = data.users || [];
     mondayUsersFetchedAt = now;
-    console.log(`[userMapping] Fetched ${mondayUsers.length} Monday.com users`);
+    log.info(`Fetched ${mondayUsers.length} Monday.com users`);
     return mondayUsers;
   } catch (err) {
-    console.error('[userMapping] Failed to fetch Monday.com users:', err.message);
+    log.error('Failed to fetch Monday.com users:', err.message);
     return mondayUsers || []; // return stale cache if available
   }
 }
@@ -125,7 +128,7 @@ async function resolveSlackUserToMonday(slackClient, slackUserId) {
   // Check cache
   const cached = cache.get(slackUserId);
   if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
-    console.log(`[userMapping] Cache hit for Slack user ${slackUserId} → Monday ID ${cached.mondayPersonId}`);
+    log.info(`Cache hit for Slack user ${slackUserId} → Monday ID ${cached.mondayPersonId}`);
     return cached;
   }
 
@@ -136,7 +139,7 @@ async function resolveSlackUserToMonday(slackClient, slackUserId) {
     const realName = userInfo.user.real_name || profile.real_name || '';
     const email = profile.email || null;
 
-    console.log(`[userMapping] Slack user ${slackUserId}: name="${realName}" email="${email || 'none'}"`);
+    log.info(`Slack user ${slackUserId}: name="${realName}" email="${email || 'none'}"`);
 
     // Find matching Monday.com user
     const mondayUser = await findMondayUser(realName, email);
@@ -150,9 +153,9 @@ async function resolveSlackUserToMonday(slackClient, slackUserId) {
     };
 
     if (mondayUser) {
-      console.log(`[userMapping] Mapped Slack ${slackUserId} (${realName}) → Monday.com user ${mondayUser.id} (${mondayUser.name})`);
+      log.info(`Mapped Slack ${slackUserId} (${realName}) → Monday.com user ${mondayUser.id} (${mondayUser.name})`);
     } else {
-      console.warn(`[userMapping] No Monday.com match found for Slack user ${slackUserId} (${realName}, ${email || 'no email'})`);
+      log.warn(`No Monday.com match found for Slack user ${slackUserId} (${realName}, ${email || 'no email'})`);
     }
 
     // Cache the result
@@ -160,7 +163,7 @@ async function resolveSlackUserToMonday(slackClient, slackUserId) {
 
     return result;
   } catch (err) {
-    console.error(`[userMapping] Failed to resolve Slack user ${slackUserId}:`, err.message);
+    log.error(`Failed to resolve Slack user ${slackUserId}:`, err.message);
     return {
       mondayPersonId: null,
       slackUserId,
@@ -187,7 +190,7 @@ async function resolveNameToMonday(slackClient, name) {
     // 1. Try hardcoded team lookup first (instant, no API call)
     const teamSlackId = getTeamSlackId(name);
     if (teamSlackId) {
-      console.log(`[userMapping] Hardcoded team match: "${name}" → ${teamSlackId}`);
+      log.info(`Hardcoded team match: "${name}" → ${teamSlackId}`);
       return resolveSlackUserToMonday(slackClient, teamSlackId);
     }
 
@@ -218,7 +221,7 @@ async function resolveNameToMonday(slackClient, name) {
     } while (cursor);
 
     // 3. No Slack user found — try Monday.com directly by name
-    console.warn(`[userMapping] No Slack user found for name "${name}", trying Monday.com directly`);
+    log.warn(`No Slack user found for name "${name}", trying Monday.com directly`);
     const mondayUser = await findMondayUser(name, null);
 
     return {
@@ -228,13 +231,43 @@ async function resolveNameToMonday(slackClient, name) {
       slackEmail: null,
     };
   } catch (err) {
-    console.error(`[userMapping] Failed to resolve name "${name}":`, err.message);
+    log.error(`Failed to resolve name "${name}":`, err.message);
     return { mondayPersonId: null, slackUserId: null, slackName: name, slackEmail: null };
   }
 }
 
+/**
+ * Resolve a Monday.com user ID to a Slack user (by email, then by the
+ * hardcoded team first-name lookup).
+ *
+ * @param {import('@slack/web-api').WebClient} slackClient
+ * @param {string|number} mondayUserId
+ * @returns {Promise<{slackUserId: string|null, name: string|null, email: string|null}>}
+ */
+async function resolveMondayUserToSlack(slackClient, mondayUserId) {
+  const users = await getMondayUsers();
+  const mondayUser = users.find((u) => String(u.id) === String(mondayUserId));
+  if (!mondayUser) {
+    return { slackUserId: null, name: null, email: null };
+  }
+
+  let slackUserId = null;
+  if (mondayUser.email) {
+    try {
+      const result = await slackClient.users.lookupByEmail({ email: mondayUser.email });
+      slackUserId = (result.user && result.user.id) || null;
+    } catch (err) {
+      log.warn(`No Slack user for Monday.com user ${mondayUserId}: ${err.data?.error || err.message}`);
+    }
+  }
+  if (!slackUserId) slackUserId = getTeamSlackId(mondayUser.name);
+
+  return { slackUserId, name: mondayUser.name, email: mondayUser.email || null };
+}
+
 module.exports = {
   resolveSlackUserToMonday,
+  resolveMondayUserToSlack,
   resolveNameToMonday,
   getMondayUsers,
   getTeamSlackId,
@@ -1,12 +1,34 @@
 // ---------------------------------------------------------------------------
-// Webhook handler — processes Monday.com status-change webhooks and sends
-// follow-up Slack notifications for BOTH boards:
+// Webhook handler — processes Monday.com webhooks and sends follow-up Slack
+// notifications:
 //   1. Relationship Management board → Investor Status column (urgent only)
 //   2. Investor List board → Communication Status column (any change + urgent)
+//   3. Investor List board → new item, Next Follow-Up moved, Assigned To
+//      changed (moves/reassigns matching local reminders)
+//   4. Either board → update (comment) posted, item deleted/archived
+//      (deletions also drop the investor's local reminders)
+// Changes made by the bot's own Monday account are not re-announced.
+// Status column changes on either board are also recorded in the history
+// store for the investor timeline.
 // ---------------------------------------------------------------------------
 
 const config = require('../config');
 const { mondayApi } = require('../monday/client');
+const { refreshCachedInvestor } = require('../monday/queries');
+const investorCache = require('../monday/investorCache');
+const {
+  getAllReminders,
+  getDeadLetterReminders,
+  updateReminder,
+  removeReminder,
+  rescheduleReminder,
+} = require('../reminders/store');
+const { recordStatusChange, noteLostReminders } = require('../history/store');
+const { resolveMondayUserToSlack } = require('../utils/userMapping');
+const { escapeSlackMrkdwn } = require('../utils/helpers');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('webhook/handler');
 
 const rmCols = config.monday.rmColumns;
 const ilCols = config.monday.columns; // Investor List columns
@@ -91,22 +113,50 @@ async function resolvePersonNames(columnValues, colId) {
   if (userIds.length === 0) return col.text || '';
 
   try {
-    const query = `
-      query ($ids: [ID!]) {
-        users(ids: $ids) {
-          id
-          name
-        }
-      }
-    `;
-    const data = await mondayApi(query, { ids: userIds.map(String) });
-    const users = data.users || [];
-    return users.map((u) => u.name).join(', ') || col.text || '';
+    const names = await fetchUserNames(userIds);
+    return names.join(', ') || col.text || '';
   } catch {
     return col.text || '';
   }
 }
 
+/**
+ * Look up Monday.com user display names by ID.
+ *
+ * @param {Array<string|number>} userIds
+ * @returns {Promise<string[]>}
+ */
+async function fetchUserNames(userIds) {
+  if (userIds.length === 0) return [];
+  const query = `
+    query ($ids: [ID!]) {
+      users(ids: $ids) {
+        id
+        name
+      }
+    }
+  `;
+  const data = await mondayApi(query, { ids: userIds.map(String) });
+  return (data.users || []).map((u) => u.name);
+}
+
+// The Monday account behind MONDAY_API_TOKEN — events it triggers are our own
+let apiUserIdPromise = null;
+
+async function isOwnChange(event) {
+  if (!event.userId) return false;
+  if (!apiUserIdPromise) {
+    apiUserIdPromise = mondayApi('query { me { id } }')
+      .then((data) => String(data.me.id))
+      .catch((err) => {
+        apiUserIdPromise = null;
+        log.warn(`Could not look up API user: ${err.message}`);
+        return null;
+      });
+  }
+  return String(event.userId) === await apiUserIdPromise;
+}
+
 // ---------------------------------------------------------------------------
 // Parse column helpers
 // ---------------------------------------------------------------------------
@@ -276,17 +326,17 @@ async function handleRMBoard(event, slackClient) {
   const { id: newLabelId } = getLabelFromValue(newValue);
 
   if (newLabelId !== URGENT_LABEL_ID) {
-    console.log(
-      `[webhook/handler] RM board: status changed but not urgent (label ID: ${newLabelId}). Skipping.`
+    log.info(
+      `RM board: status changed but not urgent (label ID: ${newLabelId}). Skipping.`
     );
     return { notified: false, reason: `RM board: not urgent (label: ${newLabelId})` };
   }
 
-  console.log(`[webhook/handler] \ud83d\udea8 RM board: URGENT status for item ${itemId}. Fetching details...`);
+  log.info(`\ud83d\udea8 RM board: URGENT status for item ${itemId}. Fetching details...`);
 
   const rmItem = await fetchItem(itemId);
   if (!rmItem) {
-    console.error(`[webhook/handler] Could not fetch RM item ${itemId}`);
+    log.error(`Could not fetch RM item ${itemId}`);
     return { notified: false, reason: 'RM item fetch failed' };
   }
 
@@ -294,12 +344,12 @@ async function handleRMBoard(event, slackClient) {
   try {
     linkedInvestor = await fetchLinkedInvestor(rmItem);
     if (linkedInvestor) {
-      console.log(`[webhook/handler] Linked investor: ${linkedInvestor.name} (${linkedInvestor.id})`);
+      log.info(`Linked investor: ${linkedInvestor.name} (${linkedInvestor.id})`);
     } else {
-      console.warn('[webhook/handler] No linked investor found on RM item.');
+      log.warn('No linked investor found on RM item.');
     }
   } catch (err) {
-    console.error('[webhook/handler] Error fetching linked investor:', err.message);
+    log.error('Error fetching linked investor:', err.message);
   }
 
   const message = buildRMUrgentMessage(rmItem, linkedInvestor);
@@ -311,10 +361,10 @@ async function handleRMBoard(event, slackClient) {
       unfurl_links: false,
       unfurl_media: false,
     });
-    console.log(`[webhook/handler] \u2705 RM urgent notification sent for: ${rmItem.name}`);
+    log.info(`\u2705 RM urgent notification sent for: ${rmItem.name}`);
     return { notified: true };
   } catch (slackErr) {
-    console.error(`[webhook/handler] Failed to send RM Slack notification: ${slackErr.message}`);
+    log.error(`Failed to send RM Slack notification: ${slackErr.message}`);
     return { notified: false, reason: `slack error: ${slackErr.message}` };
   }
 }
@@ -332,14 +382,14 @@ async function handleILBoard(event, slackClient) {
 
   const { id: newLabelId, text: newLabelText } = getLabelFromValue(newValue);
 
-  console.log(
-    `[webhook/handler] \ud83d\udce3 IL board: Communication Status changed to "${newLabelText}" (label ID: ${newLabelId}) for item ${itemId}`
+  log.info(
+    `\ud83d\udce3 IL board: Communication Status changed to "${newLabelText}" (label ID: ${newLabelId}) for item ${itemId}`
   );
 
   // Fetch the investor item
   const ilItem = await fetchItem(itemId);
   if (!ilItem) {
-    console.error(`[webhook/handler] Could not fetch IL item ${itemId}`);
+    log.error(`Could not fetch IL item ${itemId}`);
     return { notified: false, reason: 'IL item fetch failed' };
   }
 
@@ -348,7 +398,7 @@ async function handleILBoard(event, slackClient) {
   try {
     assignedToNames = await resolvePersonNames(ilItem.column_values, ilCols.assignedTo);
   } catch (err) {
-    console.warn(`[webhook/handler] Could not resolve Assigned To: ${err.message}`);
+    log.warn(`Could not resolve Assigned To: ${err.message}`);
   }
 
   // Pick message format: 🚨 for urgent, 📣 for everything else
@@ -356,7 +406,7 @@ async function handleILBoard(event, slackClient) {
   let message;
 
   if (isUrgent) {
-    console.log(`[webhook/handler] \ud83d\udea8 IL board: URGENT status for ${ilItem.name}`);
+    log.info(`\ud83d\udea8 IL board: URGENT status for ${ilItem.name}`);
     message = buildILUrgentMessage(ilItem, assignedToNames);
   } else {
     const statusText = newLabelText || getTextValue(ilItem.column_values, ilCols.communicationStatus) || 'Unknown';
@@ -371,14 +421,316 @@ async function handleILBoard(event, slackClient) {
       unfurl_media: false,
     });
     const emoji = isUrgent ? '\ud83d\udea8' : '\ud83d\udce3';
-    console.log(`[webhook/handler] \u2705 IL ${isUrgent ? 'urgent' : 'status update'} notification sent for: ${ilItem.name}`);
+    log.info(`\u2705 IL ${isUrgent ? 'urgent' : 'status update'} notification sent for: ${ilItem.name}`);
+    return { notified: true };
+  } catch (slackErr) {
+    log.error(`Failed to send IL Slack notification: ${slackErr.message}`);
+    return { notified: false, reason: `slack error: ${slackErr.message}` };
+  }
+}
+
+// ===========================================================================
+// ITEM LIFECYCLE + COLUMN HANDLERS
+// ===========================================================================
+
+function personIdsFromValue(value) {
+  return ((value && value.personsAndTeams) || [])
+    .filter((p) => p.kind === 'person')
+    .map((p) => p.id);
+}
+
+function boardLinkFor(boardId, itemId) {
+  const board = String(boardId) === String(rmBoard.boardId) ? rmBoard : ilBoard;
+  return board.boardUrl + itemId;
+}
+
+function remindersForItem(itemId) {
+  return [...getAllReminders(), ...getDeadLetterReminders()].filter(
+    (r) => String(r.itemId) === String(itemId)
+  );
+}
+
+function ymdInTimezone(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: config.timezone });
+}
+
+async function postToFollowupChannel(slackClient, text, logLabel) {
+  try {
+    await slackClient.chat.postMessage({
+      channel: FOLLOWUP_CHANNEL,
+      text,
+      unfurl_links: false,
+      unfurl_media: false,
+    });
+    log.info(`\u2705 ${logLabel} notification sent`);
     return { notified: true };
   } catch (slackErr) {
-    console.error(`[webhook/handler] Failed to send IL Slack notification: ${slackErr.message}`);
+    log.error(`Failed to send ${logLabel} Slack notification: ${slackErr.message}`);
     return { notified: false, reason: `slack error: ${slackErr.message}` };
   }
 }
 
+// ---------------------------------------------------------------------------
+// IL Board: 🆕 investor created in the Monday UI
+// ---------------------------------------------------------------------------
+
+async function handleInvestorCreated(event, slackClient) {
+  const { itemId } = event;
+
+  const ilItem = await fetchItem(itemId);
+  if (!ilItem) {
+    log.error(`Could not fetch new IL item ${itemId}`);
+    return { notified: false, reason: 'IL item fetch failed' };
+  }
+
+  const cv = ilItem.column_values;
+  let createdBy = '';
+  try {
+    createdBy = event.userId ? (await fetchUserNames([event.userId]))[0] || '' : '';
+  } catch { /* creator name is optional */ }
+
+  const message =
+    `\ud83c\udd95 *New Investor Added in Monday.com*\n` +
+    `*Investor:* ${escapeSlackMrkdwn(ilItem.name)}\n` +
+    `*Status:* ${getTextValue(cv, ilCols.status) || '\u2014'}\n` +
+    `*Email:* ${getEmailValue(cv, ilCols.email) || '\u2014'}\n` +
+    `*Phone:* ${getPhoneValue(cv, ilCols.phone) || '\u2014'}\n` +
+    `*Added By:* ${escapeSlackMrkdwn(createdBy) || '\u2014'}\n` +
+    `\n\ud83d\udd17 <${ilBoard.boardUrl + ilItem.id}|Open in Monday.com>`;
+
+  return postToFollowupChannel(slackClient, message, `IL new investor (${ilItem.name})`);
+}
+
+// ---------------------------------------------------------------------------
+// IL Board: 📅 Next Follow-Up moved — reminders set for the old date follow
+// ---------------------------------------------------------------------------
+
+async function handleFollowUpDateChanged(event, slackClient) {
+  const { itemId } = event;
+  const newDate = event.value && event.value.date;
+  const oldDate = event.previousValue && event.previousValue.date;
+
+  if (newDate === oldDate) {
+    return { notified: false, reason: 'IL board: follow-up date unchanged' };
+  }
+
+  // Move pending reminders that were due on the old follow-up date, keeping
+  // their time of day
+  let moved = 0;
+  if (oldDate && newDate) {
+    const dayShiftMs = Date.parse(newDate) - Date.parse(oldDate);
+    for (const reminder of remindersForItem(itemId)) {
+      if (reminder.deadLetteredAt) continue;
+      if (ymdInTimezone(reminder.scheduledAt) !== oldDate) continue;
+      const scheduledAt = new Date(new Date(reminder.scheduledAt).getTime() + dayShiftMs);
+      if (rescheduleReminder(reminder.id, scheduledAt.toISOString())) moved++;
+    }
+  }
+
+  const itemName = event.pulseName || (await fetchItem(itemId) || {}).name || `Item ${itemId}`;
+  const reminderNote = moved > 0 ? `\n:alarm_clock: Moved ${moved} reminder(s) to the new date.` : '';
+
+  const message =
+    `\ud83d\udcc5 *Next Follow-Up ${newDate ? 'Moved' : 'Cleared'}*\n` +
+    `*Investor:* ${escapeSlackMrkdwn(itemName)}\n` +
+    `*Was:* ${oldDate || '\u2014'}\n` +
+    `*Now:* ${newDate || '\u2014'}` +
+    reminderNote +
+    `\n\n\ud83d\udd17 <${ilBoard.boardUrl + itemId}|Open in Monday.com>`;
+
+  return postToFollowupChannel(slackClient, message, `IL follow-up date (${itemName})`);
+}
+
+// ---------------------------------------------------------------------------
+// IL Board: 👤 Assigned To changed — pending reminders go to the new owner
+// ---------------------------------------------------------------------------
+
+async function handleAssigneeChanged(event, slackClient) {
+  const { itemId } = event;
+  const newIds = personIdsFromValue(event.value);
+  const oldIds = personIdsFromValue(event.previousValue);
+
+  let newNames = [];
+  let oldNames = [];
+  try {
+    [newNames, oldNames] = await Promise.all([fetchUserNames(newIds), fetchUserNames(oldIds)]);
+  } catch (err) {
+    log.warn(`Could not resolve assignee names: ${err.message}`);
+  }
+
+  // Hand pending reminders to the first new assignee we can find in Slack
+  let newOwner = null;
+  let reassigned = 0;
+  if (newIds.length > 0) {
+    newOwner = await resolveMondayUserToSlack(slackClient, newIds[0]);
+    if (newOwner.slackUserId) {
+      for (const reminder of remindersForItem(itemId)) {
+        if (reminder.slackUserId === newOwner.slackUserId) continue;
+        updateReminder(reminder.id, {
+          slackUserId: newOwner.slackUserId,
+          userEmail: newOwner.email,
+        });
+        reassigned++;
+      }
+    }
+  }
+
+  const itemName = event.pulseName || (await fetchItem(itemId) || {}).name || `Item ${itemId}`;
+  const newLabel = newOwner && newOwner.slackUserId
+    ? `<@${newOwner.slackUserId}>`
+    : escapeSlackMrkdwn(newNames.join(', ')) || '\u2014';
+  const reminderNote = reassigned > 0
+    ? `\n:alarm_clock: ${reassigned} reminder(s) now go to ${newLabel}.`
+    : '';
+
+  const message =
+    `\ud83d\udc64 *Follow-Up Owner Changed*\n` +
+    `*Investor:* ${escapeSlackMrkdwn(itemName)}\n` +
+    `*Was:* ${escapeSlackMrkdwn(oldNames.join(', ')) || '\u2014'}\n` +
+    `*Now:* ${newLabel}` +
+    reminderNote +
+    `\n\n\ud83d\udd17 <${ilBoard.boardUrl + itemId}|Open in Monday.com>`;
+
+  return postToFollowupChannel(slackClient, message, `IL assignee (${itemName})`);
+}
+
+// ---------------------------------------------------------------------------
+// Either board: 💬 update (comment) posted on an item
+// ---------------------------------------------------------------------------
+
+const MAX_UPDATE_PREVIEW = 500;
+
+function updatePreview(event) {
+  const raw = event.textBody ||
+    String(event.body || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '');
+  const text = raw.replace(/&nbsp;/g, ' ').trim();
+  return text.length > MAX_UPDATE_PREVIEW ? `${text.slice(0, MAX_UPDATE_PREVIEW)}\u2026` : text;
+}
+
+async function handleUpdatePosted(event, slackClient) {
+  const { itemId, boardId } = event;
+
+  const item = await fetchItem(itemId);
+  const itemName = (item && item.name) || event.pulseName || `Item ${itemId}`;
+
+  let author = '';
+  try {
+    author = event.userId ? (await fetchUserNames([event.userId]))[0] || '' : '';
+  } catch { /* author name is optional */ }
+
+  const preview = updatePreview(event);
+  const quoted = preview
+    ? escapeSlackMrkdwn(preview).split('\n').map((line) => `> ${line}`).join('\n')
+    : '> _(no text)_';
+
+  const message =
+    `\ud83d\udcac *New Update on ${escapeSlackMrkdwn(itemName)}*` +
+    (author ? ` from ${escapeSlackMrkdwn(author)}` : '') +
+    `\n${quoted}\n` +
+    `\n\ud83d\udd17 <${boardLinkFor(boardId, itemId)}|Open in Monday.com>`;
+
+  return postToFollowupChannel(slackClient, message, `update posted (${itemName})`);
+}
+
+// ---------------------------------------------------------------------------
+// Either board: 🗑️ item deleted or archived — drop its local reminders
+// ---------------------------------------------------------------------------
+
+async function handleItemDeleted(event, slackClient, { announce = true } = {}) {
+  const { itemId, boardId, type } = event;
+  const onInvestorList = String(boardId) === String(ilBoard.boardId);
+
+  const reminders = onInvestorList ? remindersForItem(itemId) : [];
+  for (const reminder of reminders) {
+    removeReminder(reminder.id);
+  }
+  // A bot delete kept a recycle bin snapshot; its restore reports these
+  noteLostReminders(itemId, reminders);
+
+  const itemName = event.pulseName || event.itemName ||
+    (reminders[0] && reminders[0].investorName) || `Item ${itemId}`;
+  const verb = type === 'archive_pulse' || type === 'item_archived' ? 'Archived' : 'Deleted';
+  const boardLabel = onInvestorList ? 'Investor List' : 'Relationship Management';
+  const reminderNote = reminders.length > 0
+    ? `\n:alarm_clock: Cancelled ${reminders.length} reminder(s) for this investor.`
+    : '';
+
+  if (!announce) {
+    log.info(`${verb} ${itemName} (own change); removed ${reminders.length} reminder(s)`);
+    return { notified: false, reason: 'own change (item removed)' };
+  }
+
+  const message =
+    `\ud83d\uddd1\ufe0f *${onInvestorList ? 'Investor' : 'Follow-Up'} ${verb} in Monday.com*\n` +
+    `*Item:* ${escapeSlackMrkdwn(itemName)}\n` +
+    `*Board:* ${boardLabel}` +
+    reminderNote;
+
+  return postToFollowupChannel(slackClient, message, `item ${verb.toLowerCase()} (${itemName})`);
+}
+
+// ===========================================================================
+// INVESTOR CACHE SYNC
+// ===========================================================================
+
+const ITEM_REMOVED_EVENTS = new Set(['delete_pulse', 'archive_pulse', 'item_deleted', 'item_archived']);
+
+/**
+ * Keep the investor cache in step with an Investor List webhook event:
+ * deleted/archived items are dropped, anything else is refetched and patched
+ * in. If the refetch fails the item is just marked stale.
+ *
+ * @param {object} payload - The webhook event payload from Monday.com
+ * @returns {Promise<string>} What happened ("removed", "patched", "invalidated", "skipped")
+ */
+async function syncInvestorCache(payload) {
+  const event = payload && payload.event;
+  if (!event || String(event.boardId) !== String(ilBoard.boardId)) return 'skipped';
+
+  const itemId = event.pulseId || event.itemId;
+  if (!itemId) return 'skipped';
+
+  if (ITEM_REMOVED_EVENTS.has(event.type)) {
+    investorCache.remove(itemId);
+    return 'removed';
+  }
+
+  try {
+    const investor = await refreshCachedInvestor(itemId);
+    return investor ? 'patched' : 'removed';
+  } catch (err) {
+    log.warn(`Could not refresh cached investor ${itemId}: ${err.message}`);
+    investorCache.invalidate(itemId);
+    return 'invalidated';
+  }
+}
+
+// ===========================================================================
+// STATUS HISTORY
+// ===========================================================================
+
+// Status columns whose changes appear on the investor timeline
+const HISTORY_COLUMNS = {
+  [ilCols.status]: 'Status',
+  [ilCols.communicationStatus]: 'Communication Status',
+  [rmCols.investorStatus]: 'Investor Status',
+};
+
+function recordStatusHistory(event) {
+  if (!event.columnId || !HISTORY_COLUMNS[event.columnId]) return;
+  recordStatusChange({
+    boardId: event.boardId,
+    itemId: event.itemId,
+    columnId: event.columnId,
+    columnTitle: event.columnTitle || HISTORY_COLUMNS[event.columnId],
+    previousValue: getLabelFromValue(event.previousValue).text,
+    newValue: getLabelFromValue(event.value).text,
+    mondayUserId: event.userId,
+    // changedAt is epoch seconds; fall back to when we received it
+    changedAt: event.changedAt ? new Date(event.changedAt * 1000) : new Date(),
+  });
+}
+
 // ===========================================================================
 // MAIN ROUTER
 // ===========================================================================
@@ -416,4 +768,68 @@ async function handleStatusChange(payload, slackClient) {
   return { notified: false, reason: `unknown board: ${boardId}` };
 }
 
-module.exports = { handleStatusChange, FOLLOWUP_CHANNEL };
+/**
+ * Process any Monday.com webhook event: item created/deleted, updates posted,
+ * date/person column changes, and (via handleStatusChange) status changes.
+ *
+ * @param {object} payload - The webhook event payload from Monday.com
+ * @param {import('@slack/web-api').WebClient} slackClient - Slack client
+ * @returns {Promise<{notified: boolean, reason?: string}>}
+ */
+async function handleWebhookEvent(payload, slackClient) {
+  if (!payload || !payload.event) {
+    return { notified: false, reason: 'no event in payload' };
+  }
+
+  // Monday sends pulseId on most events; the status handlers read itemId
+  const event = { ...payload.event, itemId: payload.event.pulseId || payload.event.itemId };
+  const boardIdStr = String(event.boardId);
+  const onInvestorList = boardIdStr === String(ilBoard.boardId);
+  const onKnownBoard = onInvestorList || boardIdStr === String(rmBoard.boardId);
+
+  if (!onKnownBoard) {
+    return { notified: false, reason: `unknown board: ${event.boardId}` };
+  }
+
+  recordStatusHistory(event);
+
+  const isStatusColumn = event.columnId === ilCols.communicationStatus ||
+                         event.columnId === rmCols.investorStatus;
+  if (event.columnId && isStatusColumn) {
+    return handleStatusChange({ ...payload, event }, slackClient);
+  }
+
+  // The bot already confirms its own writes in Slack; deletions still need
+  // their reminders cleaned up
+  const ownChange = await isOwnChange(event);
+
+  if (ITEM_REMOVED_EVENTS.has(event.type)) {
+    return handleItemDeleted(event, slackClient, { announce: !ownChange });
+  }
+
+  if (ownChange) {
+    return { notified: false, reason: `own change (${event.type})` };
+  }
+
+  if (event.type === 'create_pulse') {
+    return onInvestorList
+      ? handleInvestorCreated(event, slackClient)
+      : { notified: false, reason: 'RM board: item created' };
+  }
+
+  if (event.type === 'create_update') {
+    return handleUpdatePosted(event, slackClient);
+  }
+
+  if (onInvestorList && event.columnId === ilCols.nextFollowUp) {
+    return handleFollowUpDateChanged(event, slackClient);
+  }
+
+  if (onInvestorList && event.columnId === ilCols.assignedTo) {
+    return handleAssigneeChanged(event, slackClient);
+  }
+
+  return { notified: false, reason: `unhandled event: ${event.type} column=${event.columnId || 'none'}` };
+}
+
+module.exports = { handleWebhookEvent, handleStatusChange, syncInvestorCache, FOLLOWUP_CHANNEL };
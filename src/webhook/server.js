@@ -2,19 +2,29 @@
 // Monday.com Webhook Server
 // ---------------------------------------------------------------------------
 // Listens for incoming webhooks from Monday.com on POST /webhook/monday.
-// Handles the Monday.com webhook verification challenge and routes status-
-// change events to the handler for both boards:
-//   - Relationship Management (18399401453) → Investor Status
-//   - Investor List (18399326252) → Communication Status
+// Handles the Monday.com webhook verification challenge, refreshes changed
+// Investor List items in the investor cache, and routes events to the handler
+// for both boards:
+//   - Relationship Management (18399401453) → Investor Status, updates, deletions
+//   - Investor List (18399326252) → Communication Status, Next Follow-Up,
+//     Assigned To, new items, updates, deletions
 //
 // Monday.com webhook flow:
 //   1. You create a webhook via Monday.com API or UI
 //   2. Monday sends a POST with { "challenge": "..." } to verify the URL
 //   3. We respond with { "challenge": "..." } to confirm
 //   4. After verification, Monday sends real events as POST payloads
+//
+// Every request (including the challenge) must pass signature and freshness
+// checks in ./verify; repeated triggerUuids are acknowledged but not processed.
 // ---------------------------------------------------------------------------
 
-const { handleStatusChange } = require('./handler');
+const { handleWebhookEvent, syncInvestorCache } = require('./handler');
+const { verifyWebhookRequest, isDuplicateTrigger } = require('./verify');
+const { runAsActor } = require('../history/audit');
+const { createLogger, withCorrelationId, newCorrelationId } = require('../utils/logger');
+
+const log = createLogger('webhook/server');
 
 /**
  * Register the Monday.com webhook route on the existing Express app.
@@ -25,22 +35,39 @@ const { handleStatusChange } = require('./handler');
 function registerWebhookRoutes(expressApp, slackClient) {
   // Parse JSON bodies (express.json() should already be applied, but ensure it)
   expressApp.use('/webhook', require('express').json());
+  // One correlation ID per delivery, carried into the Monday and Slack calls it makes
+  expressApp.use('/webhook', (req, res, next) => withCorrelationId(newCorrelationId('webhook'), next));
 
   expressApp.post('/webhook/monday', async (req, res) => {
     const body = req.body;
 
+    // ── Step 0: Authenticate the request before acting on anything ──
+    const verification = verifyWebhookRequest(req);
+    if (!verification.ok) {
+      log.warn(
+        `Rejected webhook from ${req.ip}: ${verification.reason}`
+      );
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+
     // ── Step 1: Handle Monday.com webhook verification challenge ──
     if (body && body.challenge) {
-      console.log('[webhook/server] Monday.com webhook challenge received. Responding...');
+      log.info('Monday.com webhook challenge received. Responding...');
       return res.status(200).json({ challenge: body.challenge });
     }
 
     // ── Step 2: Process the webhook event ──
     if (!body || !body.event) {
-      console.warn('[webhook/server] Received webhook with no event payload:', JSON.stringify(body));
+      log.warn('Received webhook with no event payload:', JSON.stringify(body));
       return res.status(200).json({ ok: true });
     }
 
+    // Monday retries until it gets a 200, so acknowledge duplicates too
+    if (isDuplicateTrigger(body.event.triggerUuid)) {
+      log.info(`Duplicate triggerUuid ${body.event.triggerUuid}. Skipping.`);
+      return res.status(200).json({ ok: true, duplicate: true });
+    }
+
     // Acknowledge immediately (Monday.com expects a fast 200 response)
     res.status(200).json({ ok: true });
 
@@ -48,25 +75,38 @@ function registerWebhookRoutes(expressApp, slackClient) {
     const eventType = body.event.type || 'unknown';
     const boardId = body.event.boardId || 'unknown';
     const columnId = body.event.columnId || 'unknown';
-    const itemId = body.event.itemId || 'unknown';
+    const itemId = body.event.pulseId || body.event.itemId || 'unknown';
 
-    console.log(
-      `[webhook/server] Received event: type=${eventType} board=${boardId} column=${columnId} item=${itemId}`
+    log.info(
+      `Received event: type=${eventType} board=${boardId} column=${columnId} item=${itemId}`
     );
 
     try {
-      const result = await handleStatusChange(body, slackClient);
+      const cacheResult = await syncInvestorCache(body);
+      if (cacheResult !== 'skipped') {
+        log.info(`Investor cache ${cacheResult} for item ${itemId}`);
+      }
+    } catch (err) {
+      log.error(`Error syncing investor cache: ${err.message}`);
+    }
+
+    try {
+      // Any Monday writes it triggers are audited as the webhook's
+      const result = await runAsActor(
+        { type: 'webhook', name: eventType },
+        () => handleWebhookEvent(body, slackClient)
+      );
       if (result.notified) {
-        console.log(`[webhook/server] Notification sent for item ${itemId}`);
+        log.info(`Notification sent for item ${itemId}`);
       } else {
-        console.log(`[webhook/server] No notification needed: ${result.reason}`);
+        log.info(`No notification needed: ${result.reason}`);
       }
     } catch (err) {
-      console.error(`[webhook/server] Error processing webhook event: ${err.message}`);
+      log.error(`Error processing webhook event: ${err.message}`);
     }
   });
 
-  console.log('[webhook/server] Monday.com webhook route registered: POST /webhook/monday');
+  log.info('Monday.com webhook route registered: POST /webhook/monday');
 }
 
 module.exports = { registerWebhookRoutes };
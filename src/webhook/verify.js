@@ -0,0 +1,132 @@
+// ---------------------------------------------------------------------------
+// Webhook verification — authenticates Monday.com webhook requests
+// ---------------------------------------------------------------------------
+// Monday signs each webhook request with a JWT in the Authorization header
+// (HS256, keyed with the app's signing secret). A request is accepted only if:
+//   1. The JWT signature matches MONDAY_SIGNING_SECRET
+//   2. The token has not expired and was issued within the allowed window
+//   3. The event's triggerTime (when present) is within the allowed window
+// Events that pass are then deduped on `triggerUuid` so Monday's retries and
+// replayed requests are only processed once.
+// ---------------------------------------------------------------------------
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// triggerUuid → time first seen (ms)
+const seenTriggers = new Map();
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verify an HS256 JWT and return its claims.
+ *
+ * @returns {{ok: true, claims: object} | {ok: false, reason: string}}
+ */
+function verifyJwt(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return { ok: false, reason: 'malformed token' };
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch {
+    return { ok: false, reason: 'malformed token' };
+  }
+
+  if (header.alg !== 'HS256') {
+    return { ok: false, reason: `unsupported algorithm ${header.alg}` };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest();
+  const actual = base64UrlDecode(parts[2]);
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { ok: false, reason: 'bad signature' };
+  }
+
+  return { ok: true, claims };
+}
+
+/**
+ * Check JWT claims and the event's triggerTime against the allowed age.
+ *
+ * @returns {string|null} Rejection reason, or null if fresh
+ */
+function checkFreshness(claims, event) {
+  const { maxAgeMs } = config.monday.webhook;
+  const nowSec = Date.now() / 1000;
+
+  if (typeof claims.exp === 'number' && claims.exp < nowSec) {
+    return 'token expired';
+  }
+  if (typeof claims.iat === 'number' && nowSec - claims.iat > maxAgeMs / 1000) {
+    return `token issued ${Math.round(nowSec - claims.iat)}s ago`;
+  }
+
+  if (event && event.triggerTime) {
+    const triggeredAt = Date.parse(event.triggerTime);
+    if (!isNaN(triggeredAt) && Date.now() - triggeredAt > maxAgeMs) {
+      return `event triggered ${Math.round((Date.now() - triggeredAt) / 1000)}s ago`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Authenticate an incoming webhook request.
+ *
+ * @param {import('express').Request} req
+ * @returns {{ok: boolean, reason?: string}}
+ */
+function verifyWebhookRequest(req) {
+  const { signingSecret, allowUnsigned } = config.monday.webhook;
+
+  if (!signingSecret) {
+    return allowUnsigned
+      ? { ok: true }
+      : { ok: false, reason: 'MONDAY_SIGNING_SECRET is not configured' };
+  }
+
+  const header = req.get('authorization') || '';
+  const token = header.replace(/^Bearer\s+/i, '').trim();
+  if (!token) return { ok: false, reason: 'missing Authorization header' };
+
+  const result = verifyJwt(token, signingSecret);
+  if (!result.ok) return result;
+
+  const staleReason = checkFreshness(result.claims, req.body && req.body.event);
+  if (staleReason) return { ok: false, reason: `stale request: ${staleReason}` };
+
+  return { ok: true };
+}
+
+/**
+ * Record a triggerUuid, returning true if it was already seen within the
+ * dedupe window. Events without a triggerUuid are never treated as duplicates.
+ */
+function isDuplicateTrigger(triggerUuid) {
+  if (!triggerUuid) return false;
+
+  const now = Date.now();
+  const windowMs = config.monday.webhook.maxAgeMs * 2;
+  // Map iterates in insertion order, so the oldest entries come first
+  for (const [uuid, seenAt] of seenTriggers) {
+    if (now - seenAt <= windowMs) break;
+    seenTriggers.delete(uuid);
+  }
+
+  if (seenTriggers.has(triggerUuid)) return true;
+  seenTriggers.set(triggerUuid, now);
+  return false;
+}
+
+module.exports = { verifyWebhookRequest, verifyJwt, checkFreshness, isDuplicateTrigger };
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+process.env.HISTORY_DB_PATH = path.join(tmpDir, 'history.db');
+
+const { getInvestorAudit } = require('../../src/history/audit');
+const { addAuditEntry, addToRecycleBin, markRestored } = require('../../src/history/store');
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('an investor\'s audit matches item IDs, not names that contain theirs', () => {
+  addAuditEntry({ event: 'update', itemId: '1', itemName: 'Dan' });
+  addAuditEntry({ event: 'update', itemId: '2', itemName: 'Dana' });
+  addAuditEntry({ event: 'update', itemId: '3', itemName: 'Dan' }); // another Dan, another item
+  addAuditEntry({ event: 'permission_denied', itemName: '🔴  dan ' });
+  addAuditEntry({ event: 'permission_denied', itemName: 'Daniel' });
+
+  const entries = getInvestorAudit({ id: '1', name: 'Dan' });
+
+  assert.deepEqual(entries.map((e) => [e.event, e.itemId]).sort(), [['permission_denied', null], ['update', '1']]);
+});
+
+test('an investor\'s audit includes the item it was restored from', () => {
+  addAuditEntry({ event: 'archive', itemId: '10', itemName: 'Eve' });
+  const entryId = addToRecycleBin({ boardId: 'b', itemId: '10', itemName: 'Eve', columns: [] });
+  markRestored(entryId, '11');
+  addAuditEntry({ event: 'restore', itemId: '11', itemName: 'Eve' });
+
+  const entries = getInvestorAudit({ id: '11', name: 'Eve' });
+
+  assert.deepEqual(entries.map((e) => e.itemId).sort(), ['10', '11']);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+process.env.HISTORY_DB_PATH = path.join(tmpDir, 'history.db');
+
+const {
+  runOperation,
+  runUnjournaled,
+  snapshotItems,
+  recordRecycle,
+  recordCreate,
+  recordReminder,
+} = require('../../src/history/journal');
+const { getLastOperation, addToRecycleBin, getRecycledItem, markRestored } = require('../../src/history/store');
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('a delete is journaled so undo restores it instead of an older operation', async () => {
+  await runOperation({ userId: 'U_EDIT', label: 'update Smith' }, async () => {
+    recordCreate('1', { id: '500', name: 'Smith' });
+  });
+  await runOperation({ userId: 'U_EDIT', label: 'delete Jones' }, async () => {
+    recordRecycle({ id: 1, boardId: '1', itemId: '600', itemName: 'Jones' });
+  });
+
+  const operation = getLastOperation('U_EDIT');
+  assert.equal(operation.label, 'delete Jones');
+  assert.deepEqual(operation.steps.map((s) => [s.kind, s.itemId]), [['recycle', '600']]);
+});
+
+test('writes made by runUnjournaled are not journaled', async () => {
+  await runOperation({ userId: 'U_UNDO', label: 'undo' }, () => runUnjournaled(async () => {
+    recordCreate('1', { id: '700', name: 'Restored' });
+  }));
+
+  assert.equal(getLastOperation('U_UNDO'), null);
+});
+
+test('getRecycledItem finds the unrestored entry for a deleted item', () => {
+  const entryId = addToRecycleBin({ boardId: '1', itemId: '800', itemName: 'Brown', columns: [] });
+  assert.equal(getRecycledItem('800').id, entryId);
+
+  markRestored(entryId, '801');
+  assert.equal(getRecycledItem('800'), null);
+});
+
+test('reminders added by an operation are journaled with their ID', async () => {
+  await runOperation({ userId: 'U_REMIND', label: 'follow up with Jones Friday 2pm' }, async () => {
+    recordReminder({ id: 'r1', itemId: '600', investorName: 'Jones' });
+  });
+
+  const [step] = getLastOperation('U_REMIND').steps;
+  assert.equal(step.kind, 'reminder');
+  assert.equal(step.reminderId, 'r1');
+  assert.equal(step.itemName, 'Jones');
+});
+
+test('snapshotItems uses the values a caller already has instead of reading Monday', async () => {
+  const [snapshot] = await snapshotItems([{
+    boardId: '1',
+    itemId: '900',
+    columnIds: ['date4', 'name'],
+    itemName: 'Ann',
+    previousValues: { date4: { date: '2026-03-01' }, name: 'Ann' },
+  }]);
+
+  assert.deepEqual(snapshot, {
+    boardId: '1',
+    itemId: '900',
+    itemName: 'Ann',
+    previousValues: { date4: { date: '2026-03-01' }, name: 'Ann' },
+  });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recycle-bin-test-'));
+process.env.HISTORY_DB_PATH = path.join(tmpDir, 'history.db');
+
+const config = require('../../src/config');
+const queries = require('../../src/monday/queries');
+
+// recycleBin keeps its own reference, so stand in for Monday before loading it
+let rmItems = [];
+queries.getRMBoardItems = async () => rmItems;
+
+const { restoreLosses } = require('../../src/history/recycleBin');
+const { addToRecycleBin, getRecycledItem, noteLostReminders } = require('../../src/history/store');
+
+const investorBoard = String(config.monday.boards.investorList);
+const rmBoard = String(config.monday.boards.relationshipManagement);
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('restoring an investor reports follow-ups linked to the archived original', async () => {
+  addToRecycleBin({ boardId: investorBoard, itemId: '100', itemName: 'Acme', columns: [] });
+  rmItems = [
+    { id: '500', name: 'Acme', linkedInvestorIds: ['100'] },
+    { id: '501', name: 'Acme Two', linkedInvestorIds: ['1000'] },
+    { id: '502', name: 'Unlinked', linkedInvestorIds: [] },
+  ];
+
+  const { linkedFollowUps } = await restoreLosses(getRecycledItem('100'));
+
+  assert.deepEqual(linkedFollowUps, [{ id: '500', name: 'Acme' }]);
+});
+
+test('reminders cancelled by the archive webhook are kept on the recycle bin entry', async () => {
+  addToRecycleBin({ boardId: investorBoard, itemId: '200', itemName: 'Beta', columns: [] });
+  noteLostReminders('200', [
+    { id: 'r1', slackUserId: 'U1', scheduledAt: '2026-03-10T15:00:00.000Z', recurrence: { frequency: 'weekly' } },
+    { id: 'r2', slackUserId: 'U2', scheduledAt: '2026-03-12T15:00:00.000Z', recurrence: null },
+  ]);
+  noteLostReminders('999', [{ id: 'r3', slackUserId: 'U1', scheduledAt: '2026-03-10T15:00:00.000Z' }]);
+  rmItems = [];
+
+  const { lostReminders } = await restoreLosses(getRecycledItem('200'));
+
+  assert.deepEqual(lostReminders, [
+    { slackUserId: 'U1', scheduledAt: '2026-03-10T15:00:00.000Z', recurring: true },
+    { slackUserId: 'U2', scheduledAt: '2026-03-12T15:00:00.000Z', recurring: false },
+  ]);
+  assert.equal(getRecycledItem('999'), null);
+});
+
+test('restoring a follow-up loses nothing the reply needs to report', async () => {
+  addToRecycleBin({ boardId: rmBoard, itemId: '300', itemName: 'Gamma', columns: [] });
+  rmItems = [{ id: '600', name: 'Other', linkedInvestorIds: ['300'] }];
+
+  assert.deepEqual(await restoreLosses(getRecycledItem('300')), { linkedFollowUps: [], lostReminders: [] });
+});
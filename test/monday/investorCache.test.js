@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const investorCache = require('../../src/monday/investorCache');
+
+test('a refresh evicts only the items Monday reports as gone', async () => {
+  investorCache.clear();
+  const loadAll = async () => [
+    { id: '1', name: 'Ann' },
+    { id: '2', name: 'Bob' },
+    { id: '3', name: 'Cat' },
+  ];
+  await investorCache.getInvestors({ loadAll, loadItems: async () => assert.fail('not stale yet') });
+
+  ['1', '2', '3'].forEach((id) => investorCache.invalidate(id));
+  const requested = [];
+  const investors = await investorCache.getInvestors({
+    loadAll: async () => assert.fail('should refresh by ID, not reload the board'),
+    loadItems: async (ids) => {
+      requested.push(...ids);
+      // 1 came back updated, 2 was archived, 3 wasn't returned at all
+      return { investors: [{ id: '1', name: 'Ann Lee' }], goneIds: ['2'] };
+    },
+  });
+
+  assert.deepEqual(requested, ['1', '2', '3']);
+  assert.deepEqual(investors.map((inv) => inv.name), ['Ann Lee', 'Cat']);
+  investorCache.clear();
+});
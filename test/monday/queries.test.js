@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stand in for Monday before queries.js picks up mondayApi
+const client = require('../../src/monday/client');
+let boardItems = [];
+client.mondayApi = async () => ({ boards: [{ items_page: { cursor: null, items: boardItems } }] });
+
+const { getCommunicationsForInvestor } = require('../../src/monday/queries');
+
+function commsItem(id, name) {
+  return { id, name, column_values: [] };
+}
+
+test('Communications Log entries match the investor\'s exact name, not names containing it', async () => {
+  boardItems = [
+    commsItem('1', 'Follow-up: Dan'),
+    commsItem('2', 'Follow-up: Dana'),
+    commsItem('3', 'Follow-up: Daniel Smith'),
+    commsItem('4', 'follow up:  🔴 dan'),
+    commsItem('5', 'Dan'),
+  ];
+
+  const comms = await getCommunicationsForInvestor({ name: '🔴 Dan' });
+
+  assert.deepEqual(comms.map((c) => c.id), ['1', '4', '5']);
+});
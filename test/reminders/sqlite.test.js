@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createSqliteBackend } = require('../../src/reminders/backends/sqlite');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-test-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let dbCount = 0;
+function tmpPath(name) {
+  return path.join(tmpDir, `${++dbCount}-${name}`);
+}
+
+function reminder(overrides) {
+  return {
+    id: 'r1',
+    investorName: 'Jane Doe',
+    itemId: '42',
+    scheduledAt: '2026-03-10T15:00:00.000Z',
+    slackUserId: 'U1',
+    createdAt: '2026-03-01T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+test('migrates a v1 database forward and keeps its reminders', () => {
+  const dbPath = tmpPath('v1.db');
+  const v1 = new Database(dbPath);
+  v1.exec(`
+    CREATE TABLE reminders (
+      id TEXT PRIMARY KEY, investor_name TEXT, item_id TEXT, scheduled_at TEXT NOT NULL,
+      slack_user_id TEXT, user_email TEXT, investor_status TEXT, deal_interest TEXT,
+      investor_link TEXT, created_at TEXT NOT NULL
+    );
+    INSERT INTO reminders (id, investor_name, scheduled_at, created_at)
+    VALUES ('old', 'Bob Smith', '2026-03-10T15:00:00.000Z', '2026-03-01T00:00:00.000Z');
+  `);
+  v1.pragma('user_version = 1');
+  v1.close();
+
+  const backend = createSqliteBackend({ dbPath });
+  backend.init();
+
+  const migrated = backend.get('old');
+  assert.equal(migrated.investorName, 'Bob Smith');
+  assert.equal(migrated.deliveries, null);
+  assert.equal(migrated.deadLetteredAt, null);
+
+  backend.update('old', { deliveries: { email: { status: 'sent' } }, attempts: 2 });
+  assert.deepEqual(backend.get('old').deliveries, { email: { status: 'sent' } });
+  assert.equal(backend.get('old').attempts, 2);
+
+  const version = new Database(dbPath).pragma('user_version', { simple: true });
+  assert.ok(version >= 2, `expected the v2 migration to run, got v${version}`);
+});
+
+test('imports the legacy JSON file once and renames it', () => {
+  const dbPath = tmpPath('import.db');
+  const importPath = tmpPath('reminders.json');
+  fs.writeFileSync(importPath, JSON.stringify([
+    reminder({ id: 'a' }),
+    reminder({ id: 'b', investorName: 'Bob Smith' }),
+    { id: 'no-schedule' },
+  ]));
+
+  const backend = createSqliteBackend({ dbPath, importPath });
+  backend.init();
+  assert.deepEqual(backend.all().map((r) => r.id).sort(), ['a', 'b']);
+  assert.ok(!fs.existsSync(importPath));
+  assert.ok(fs.existsSync(`${importPath}.imported`));
+
+  // The next start finds nothing left to import
+  const again = createSqliteBackend({ dbPath, importPath });
+  again.init();
+  assert.deepEqual(again.all().map((r) => r.id).sort(), ['a', 'b']);
+});
+
+test('removes reminders and rejects duplicate IDs', () => {
+  const backend = createSqliteBackend({ dbPath: tmpPath('crud.db') });
+  backend.init();
+  backend.insert(reminder());
+
+  assert.throws(() => backend.insert(reminder()), /UNIQUE/);
+  backend.remove('r1');
+  assert.equal(backend.get('r1'), null);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-test-'));
+process.env.REMINDERS_DB_PATH = path.join(tmpDir, 'reminders.db');
+process.env.REMINDERS_JSON_PATH = path.join(tmpDir, 'reminders.json');
+
+const config = require('../../src/config');
+const store = require('../../src/reminders/store');
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function useBackend(backend, overrides = {}) {
+  Object.assign(config.reminders, { backend, ...overrides });
+  store.loadReminders();
+}
+
+function addTestReminder(overrides) {
+  return store.addReminder({
+    investorName: 'Jane Doe',
+    itemId: '42',
+    scheduledAt: new Date('2026-03-10T15:00:00Z'),
+    slackUserId: 'U1',
+    ...overrides,
+  });
+}
+
+test('REMINDERS_BACKEND picks the backend', () => {
+  useBackend('json');
+  const added = addTestReminder();
+  const saved = JSON.parse(fs.readFileSync(config.reminders.jsonPath, 'utf-8'));
+  assert.deepEqual(saved.map((r) => r.id), [added.id]);
+
+  // sqlite imports that file on its first start
+  useBackend('sqlite');
+  assert.deepEqual(store.getAllReminders().map((r) => r.id), [added.id]);
+  assert.ok(fs.existsSync(`${config.reminders.jsonPath}.imported`));
+});
+
+test('loadReminders throws when the store can\'t be opened', () => {
+  const badJson = path.join(tmpDir, 'broken.json');
+  fs.writeFileSync(badJson, '{ not json');
+  assert.throws(() => useBackend('json', { jsonPath: badJson }), SyntaxError);
+});
+
+test('addReminder throws when the reminder can\'t be saved', () => {
+  useBackend('json', { jsonPath: path.join(tmpDir, 'missing-dir', 'reminders.json') });
+  assert.throws(() => addTestReminder(), /ENOENT/);
+});
+
+test('requeueing a dead-lettered reminder retries only the channels that failed', () => {
+  useBackend('sqlite');
+  const { id } = addTestReminder({ userEmail: null });
+  store.updateReminder(id, {
+    deliveries: {
+      email: { status: 'skipped', attempts: 0, lastError: null, lastAttemptAt: null },
+      slack: { status: 'pending', attempts: 5, lastError: 'channel_not_found', lastAttemptAt: '2026-03-10T16:00:00.000Z' },
+    },
+    attempts: 5,
+  });
+  store.deadLetterReminder(id, 'slack: channel_not_found');
+
+  const requeued = store.requeueReminder(id);
+
+  assert.equal(requeued.deadLetteredAt, null);
+  assert.deepEqual(requeued.deliveries.email, { status: 'skipped', attempts: 0, lastError: null, lastAttemptAt: null });
+  assert.equal(requeued.deliveries.slack.status, 'pending');
+  assert.equal(requeued.deliveries.slack.attempts, 0);
+  assert.equal(store.getDeadLetterReminders().length, 0);
+});
+
+test('setting an investor reminder again moves the existing one', () => {
+  useBackend('sqlite');
+  const recurrence = { frequency: 'weekly', tier: '💰 Funded', occurrence: 0 };
+  const first = store.setInvestorReminder({
+    investorName: 'Acme Capital', itemId: '77', scheduledAt: '2026-03-10T15:00:00Z', slackUserId: 'U1', recurrence,
+  });
+  const again = store.setInvestorReminder({
+    investorName: 'Acme Capital', itemId: '77', scheduledAt: '2026-03-11T15:00:00Z', slackUserId: 'U1', recurrence,
+  });
+  const otherUser = store.setInvestorReminder({
+    investorName: 'Acme Capital', itemId: '77', scheduledAt: '2026-03-11T15:00:00Z', slackUserId: 'U2', recurrence,
+  });
+
+  assert.equal(first.rescheduled, false);
+  assert.equal(again.rescheduled, true);
+  assert.equal(again.reminder.id, first.reminder.id);
+  assert.equal(again.reminder.scheduledAt, '2026-03-11T15:00:00.000Z');
+  assert.equal(otherUser.rescheduled, false);
+  assert.equal(store.getAllReminders().filter((r) => r.itemId === '77').length, 2);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const { planFollowUpUpdates, rememberLastContact } = require('../../src/scheduler/nextFollowUpPoll');
+
+const STATUS = '🟡 Warm Prospect'; // autoNextDays: 5
+const nextCol = config.monday.columns.nextFollowUp;
+
+function investor(overrides) {
+  return {
+    id: '101',
+    name: 'Wyatt Earp',
+    status: STATUS,
+    lastContactDate: new Date('2026-03-10T12:00:00Z'),
+    nextFollowUp: null,
+    ...overrides,
+  };
+}
+
+test('recomputes Next Follow-Up when Last Contact Date changed in Monday', () => {
+  const cache = { 101: '2026-03-01' };
+  const planned = planFollowUpUpdates([investor({ nextFollowUp: new Date('2026-03-06T12:00:00Z') })], cache);
+
+  assert.equal(planned.length, 1);
+  assert.deepEqual(planned[0].columnValues[nextCol], { date: '2026-03-15' });
+  assert.deepEqual(planned[0].previousValues, { [nextCol]: { date: '2026-03-06' } });
+  assert.equal(cache[101], '2026-03-01', 'cache moves only once the write succeeds');
+});
+
+test('keeps the follow-up date of a touchpoint the bot logged', () => {
+  // Back-dated touchpoint with an explicit follow-up earlier than the cadence date
+  rememberLastContact('102', '2026-03-10');
+  const touched = investor({ id: '102', nextFollowUp: new Date('2026-03-11T12:00:00Z') });
+
+  assert.deepEqual(planFollowUpUpdates([touched]), []);
+});
+
+test('skips items whose Next Follow-Up is already on or after the computed date', () => {
+  const cache = {};
+  const planned = planFollowUpUpdates([
+    investor({ id: '103', nextFollowUp: new Date('2026-03-15T12:00:00Z') }),
+    investor({ id: '104', nextFollowUp: new Date('2026-04-01T12:00:00Z') }),
+  ], cache);
+
+  assert.deepEqual(planned, []);
+  assert.equal(cache[103], '2026-03-10');
+  assert.equal(cache[104], '2026-03-10');
+});
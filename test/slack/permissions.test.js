@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'permissions-test-'));
+process.env.HISTORY_DB_PATH = path.join(tmpDir, 'history.db');
+
+const config = require('../../src/config');
+const { getAuditEntries } = require('../../src/history/store');
+const { getRole, checkAccess, authorize } = require('../../src/slack/permissions');
+
+config.slack.roles.admin = ['UADMIN'];
+config.slack.roles.manager = ['UMANAGER'];
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function investor(id, name, ownerIds) {
+  return { id, name, ownerIds, unassignedOk: false };
+}
+
+test('roles come from the configured user lists', () => {
+  assert.equal(getRole('UADMIN'), 'admin');
+  assert.equal(getRole('UMANAGER'), 'manager');
+  assert.equal(getRole('USOMEONE'), 'associate');
+
+  assert.deepEqual(checkAccess('UMANAGER', 'test_monday'), { role: 'manager', scope: null });
+  assert.deepEqual(checkAccess('USOMEONE', 'delete_contact'), { role: 'associate', scope: 'own' });
+  assert.deepEqual(checkAccess('USOMEONE', 'schedule_followup'), { role: 'associate', scope: 'all' });
+});
+
+test('authorize lets an action through when the role has the "all" scope', () => {
+  const decision = authorize({
+    slackUserId: 'UMANAGER',
+    action: 'delete_contact',
+    targets: [investor('1', 'Someone Else\'s', ['M9'])],
+  });
+  assert.equal(decision.allowed, true);
+});
+
+test('authorize denies a role the action isn\'t open to', () => {
+  const decision = authorize({ slackUserId: 'UASSOC1', action: 'audit_log', detail: 'audit Acme' });
+
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.message, ':lock: Only admins and managers can see the audit log.');
+});
+
+test('an associate may act on investors assigned to them', () => {
+  const decision = authorize({
+    slackUserId: 'UASSOC1',
+    action: 'delete_contact',
+    targets: [investor('11', 'Mine', ['M1']), investor('12', 'Shared', ['M2', 'M1'])],
+    mondayPersonId: 'M1',
+  });
+  assert.equal(decision.allowed, true);
+});
+
+test('an associate may only assign unassigned investors when the action allows it', () => {
+  const unassigned = { id: '13', name: 'Nobody\'s', ownerIds: [], unassignedOk: true };
+  assert.equal(authorize({ slackUserId: 'UASSOC1', action: 'assign_followup', targets: [unassigned], mondayPersonId: 'M1' }).allowed, true);
+  assert.equal(authorize({ slackUserId: 'UASSOC1', action: 'delete_contact', targets: [{ ...unassigned, unassignedOk: false }], mondayPersonId: 'M1' }).allowed, false);
+});
+
+test('an associate without a Monday account owns no investors', () => {
+  const decision = authorize({ slackUserId: 'UASSOC1', action: 'delete_contact', targets: [investor('14', 'Mine', ['M1'])] });
+  assert.equal(decision.allowed, false);
+});
+
+test('a bulk delete mixing own and other investors is denied, and the others are audited', () => {
+  const decision = authorize({
+    slackUserId: 'UASSOC2',
+    action: 'delete_contact',
+    targets: [investor('21', 'Mine', ['M1']), investor('22', 'Acme & Co', ['M2'])],
+    mondayPersonId: 'M1',
+    detail: 'delete Mine, Acme & Co',
+  });
+
+  assert.equal(decision.allowed, false);
+  assert.equal(
+    decision.message,
+    ':lock: As an associate, you can only delete investors assigned to you — *Acme &amp; Co* isn\'t. Ask a manager or admin to do it.'
+  );
+
+  const [entry] = getAuditEntries({ itemIds: ['22'] });
+  assert.equal(entry.event, 'permission_denied');
+  assert.equal(entry.slackUserId, 'UASSOC2');
+  assert.equal(entry.role, 'associate');
+  assert.equal(entry.action, 'delete_contact');
+  assert.equal(entry.itemName, 'Acme & Co');
+  assert.equal(entry.detail, 'delete Mine, Acme & Co');
+  assert.deepEqual(getAuditEntries({ itemIds: ['21'] }), [], 'the owned investor was not denied');
+});
+
+test('reminders belong to the Slack user they were set for', () => {
+  const reminder = (slackUserId) => ({ id: '31', name: 'Acme', ownerSlackIds: slackUserId ? [slackUserId] : [], unassignedOk: false });
+
+  assert.equal(authorize({ slackUserId: 'UASSOC1', action: 'retry_reminder', targets: [reminder('UASSOC1')] }).allowed, true);
+  assert.equal(authorize({ slackUserId: 'UASSOC1', action: 'discard_reminder', targets: [reminder('UASSOC2')] }).allowed, false);
+  assert.equal(authorize({ slackUserId: 'UASSOC1', action: 'discard_reminder', targets: [reminder(null)] }).allowed, false);
+  assert.equal(authorize({ slackUserId: 'UMANAGER', action: 'discard_reminder', targets: [reminder('UASSOC2')] }).allowed, true);
+});
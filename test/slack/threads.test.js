@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const { recordPostedInvestors, getPostInvestorIds, getThreadInvestorId } = require('../../src/slack/threads');
+
+const ALERT_TS = '1700000000.000100';
+const REPLY_TS = '1700000050.000200';
+const alert = { ts: ALERT_TS, text: `Going cold: <${config.monday.boardUrl}42|Jane Doe>` };
+
+// conversations.replies returns the thread's root first, whichever ts is asked for
+const client = { conversations: { replies: async () => ({ messages: [alert] }) } };
+
+test('a bot reply in an alert thread is not taken to be about the alert\'s investor', async () => {
+  assert.deepEqual(await getPostInvestorIds(client, 'C1', REPLY_TS), []);
+  assert.equal(await getThreadInvestorId(client, 'C1', ALERT_TS), '42', 'commands in the thread still are');
+});
+
+test('a reaction acts on the investor recorded for the post', async () => {
+  recordPostedInvestors('C1', REPLY_TS, ['77']);
+  assert.deepEqual(await getPostInvestorIds(client, 'C1', REPLY_TS), ['77']);
+});
+
+test('an unrecorded top-level alert falls back to its own links', async () => {
+  assert.deepEqual(await getPostInvestorIds(client, 'C2', ALERT_TS), ['42']);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../../src/config');
+const { verifyJwt, checkFreshness, isDuplicateTrigger } = require('../../src/webhook/verify');
+
+const SECRET = 'test-signing-secret';
+const NOW = Date.parse('2026-03-10T15:00:00Z');
+const MAX_AGE_MS = 10 * 60 * 1000;
+
+config.monday.webhook.maxAgeMs = MAX_AGE_MS;
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(claims, { secret = SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) {
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+test('verifyJwt accepts a token signed with the secret', () => {
+  const result = verifyJwt(sign({ accountId: 7 }), SECRET);
+  assert.deepEqual(result, { ok: true, claims: { accountId: 7 } });
+});
+
+test('verifyJwt rejects a bad signature', () => {
+  assert.deepEqual(verifyJwt(sign({ accountId: 7 }, { secret: 'someone-else' }), SECRET), { ok: false, reason: 'bad signature' });
+
+  // Claims swapped under a valid signature
+  const [header, , signature] = sign({ accountId: 7 }).split('.');
+  assert.deepEqual(verifyJwt(`${header}.${encode({ accountId: 8 })}.${signature}`, SECRET), { ok: false, reason: 'bad signature' });
+});
+
+test('verifyJwt rejects algorithms other than HS256', () => {
+  assert.deepEqual(verifyJwt(sign({}, { header: { alg: 'none' } }), SECRET), { ok: false, reason: 'unsupported algorithm none' });
+  assert.deepEqual(verifyJwt(sign({}, { header: { alg: 'HS512' } }), SECRET), { ok: false, reason: 'unsupported algorithm HS512' });
+});
+
+test('verifyJwt rejects malformed tokens', () => {
+  assert.deepEqual(verifyJwt('not-a-jwt', SECRET), { ok: false, reason: 'malformed token' });
+  assert.deepEqual(verifyJwt('a.b', SECRET), { ok: false, reason: 'malformed token' });
+  assert.deepEqual(verifyJwt(`${encode({ alg: 'HS256' })}.not-json.sig`, SECRET), { ok: false, reason: 'malformed token' });
+});
+
+test('checkFreshness rejects expired tokens', (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  assert.equal(checkFreshness({ exp: NOW / 1000 - 1 }), 'token expired');
+  assert.equal(checkFreshness({ exp: NOW / 1000 + 60 }), null);
+});
+
+test('checkFreshness rejects tokens issued too long ago', (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  assert.equal(checkFreshness({ iat: (NOW - MAX_AGE_MS - 1000) / 1000 }), 'token issued 601s ago');
+  assert.equal(checkFreshness({ iat: (NOW - 60 * 1000) / 1000 }), null);
+});
+
+test('checkFreshness rejects events triggered too long ago', (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  const stale = new Date(NOW - MAX_AGE_MS - 5000).toISOString();
+  const recent = new Date(NOW - 5000).toISOString();
+
+  assert.equal(checkFreshness({}, { triggerTime: stale }), 'event triggered 605s ago');
+  assert.equal(checkFreshness({}, { triggerTime: recent }), null);
+  assert.equal(checkFreshness({}, { triggerTime: 'not a date' }), null);
+  assert.equal(checkFreshness({}, {}), null);
+});
+
+test('isDuplicateTrigger dedupes within the window', (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  assert.equal(isDuplicateTrigger('trigger-1'), false);
+  assert.equal(isDuplicateTrigger('trigger-1'), true);
+  assert.equal(isDuplicateTrigger('trigger-2'), false);
+  assert.equal(isDuplicateTrigger(undefined), false);
+  assert.equal(isDuplicateTrigger(undefined), false);
+});
+
+test('isDuplicateTrigger forgets triggers once the window has passed', (t) => {
+  let now = NOW + 1000;
+  t.mock.method(Date, 'now', () => now);
+  assert.equal(isDuplicateTrigger('trigger-3'), false);
+
+  // The window is twice the allowed age; trigger-1 and -2 were seen at NOW
+  now = NOW + MAX_AGE_MS * 2 + 500;
+  assert.equal(isDuplicateTrigger('trigger-1'), false, 'evicted, so seen as new');
+  assert.equal(isDuplicateTrigger('trigger-3'), true, 'still inside the window');
+});